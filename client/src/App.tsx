@@ -1,17 +1,30 @@
 import React, { useState, useEffect } from 'react';
 import './App.css';
-import { Sensor, Alert } from './types';
+import { Sensor, Alert, AlertUpdate, AuthUser, Mine, EvacuationZoneCollection, Asset, AssetInHazardEvent, ReplayFrame } from './types';
 import { simulationService } from './services/simulation';
 import socketService from './services/socket';
+import authService from './services/auth';
+import { minesApi, alertsApi, assetsApi } from './services/api';
 import MapComponent from './components/MapComponent';
 import SensorPanel from './components/SensorPanel';
+import AlertPanel from './components/AlertPanel';
+import ReplayControls from './components/ReplayControls';
+import LoginForm from './components/LoginForm';
 
 const App: React.FC = () => {
+  const [user, setUser] = useState<AuthUser | null>(authService.getUser());
   const [sensors, setSensors] = useState<Sensor[]>([]);
   const [alerts, setAlerts] = useState<Alert[]>([]);
+  const [mines, setMines] = useState<Mine[]>([]);
+  const [evacuationZones, setEvacuationZones] = useState<EvacuationZoneCollection | null>(null);
+  const [hazardAssets, setHazardAssets] = useState<Asset[]>([]);
+  const [assetHazardVersion, setAssetHazardVersion] = useState(0);
+  // Set while replaying history; the map and alert list show it instead of live data
+  const [replayFrame, setReplayFrame] = useState<ReplayFrame | null>(null);
   const [loading, setLoading] = useState(true);
   const [connected, setConnected] = useState(false);
   const [selectedSensor, setSelectedSensor] = useState<string | null>(null);
+  const [selectedAlertId, setSelectedAlertId] = useState<string | null>(null);
   const [filters, setFilters] = useState({
     showNormal: true,
     showWarning: true,
@@ -19,8 +32,16 @@ const App: React.FC = () => {
     showOffline: false
   });
 
+  // Track login/logout (including a failed token refresh)
+  useEffect(() => authService.onChange(setUser), []);
+
+  // Token refreshes hand over a new user object; effects key on the id so they only re-run on login/logout
+  const userId = user?._id;
+
   // Initialize real WebSocket connection and simulation service
   useEffect(() => {
+    if (!userId) return;
+    
     console.log('🔧 Initializing GeoSafe AI with real AI predictions...');
     
     // Set up WebSocket event listeners BEFORE connecting
@@ -67,6 +88,38 @@ const App: React.FC = () => {
       });
     };
 
+    // Repeat detections update the open alert instead of adding a new one
+    const handleAlertUpdated = (data: AlertUpdate) => {
+      setAlerts(prevAlerts => (prevAlerts || []).map(alert =>
+        alert.alertId === data.alertId
+          ? {
+              ...alert,
+              occurrenceCount: data.occurrenceCount,
+              lastSeenAt: data.lastSeenAt,
+              priority: data.priority,
+              riskLevel: data.riskLevel,
+              confidence: data.confidence,
+              status: data.status
+            }
+          : alert
+      ));
+    };
+
+    // A reopened alert is open again; bring it back to the top of the list
+    const handleAlertReopened = (data: { alertId: string; alert: Alert }) => {
+      setAlerts(prevAlerts => [data.alert, ...(prevAlerts || []).filter(alert => alert.alertId !== data.alertId).slice(0, 9)]);
+    };
+
+    // Assets entering or leaving HIGH-risk areas refresh the hazard list
+    const handleAssetInHazard = (data: AssetInHazardEvent) => {
+      console.warn(`🚷 ${data.assetId} (${data.name}) inside hazard area of ${data.alertId}: ${data.distance}/${data.radius} m`);
+      setAssetHazardVersion(version => version + 1);
+    };
+
+    const handleAssetHazardCleared = () => {
+      setAssetHazardVersion(version => version + 1);
+    };
+
     const handleRiskUpdate = (data: { sensorId: string; riskLevel: string; confidence: number }) => {
       console.log('📊 Risk update from backend:', data.sensorId, '→', data.riskLevel, `(${data.confidence})`);
       console.log('📊 Full risk update data:', JSON.stringify(data, null, 2));
@@ -91,7 +144,11 @@ const App: React.FC = () => {
     
     socketService.onSensorReading(handleSensorReading);
     socketService.onAlertTrigger(handleAlertTrigger);
+    socketService.onAlertUpdated(handleAlertUpdated);
+    socketService.onAlertReopened(handleAlertReopened);
     socketService.onRiskUpdate(handleRiskUpdate);
+    socketService.onAssetInHazard(handleAssetInHazard);
+    socketService.onAssetHazardCleared(handleAssetHazardCleared);
     
     // Connect to backend WebSocket AFTER setting up listeners
     console.log('🔌 Attempting to connect to backend...');
@@ -110,7 +167,7 @@ const App: React.FC = () => {
     socketService.connect();
     
     // Test backend connectivity first
-    fetch('http://localhost:5000/api/sensors?includeLatestReading=true')
+    authService.fetch('http://localhost:5000/api/sensors?includeLatestReading=true')
       .then(response => {
         console.log('✅ Backend is reachable via HTTP:', response.status);
         if (response.ok) {
@@ -141,7 +198,7 @@ const App: React.FC = () => {
           
           // Set up periodic sensor data refresh every 5 seconds (shorter for real-time feel)
           const refreshInterval = setInterval(() => {
-            fetch('http://localhost:5000/api/sensors?includeLatestReading=true')
+            authService.fetch('http://localhost:5000/api/sensors?includeLatestReading=true')
               .then(response => response.json())
               .then(refreshData => {
                 if (refreshData.sensors) {
@@ -166,7 +223,7 @@ const App: React.FC = () => {
           
           // Set up periodic alerts refresh every 10 seconds
           const alertsInterval = setInterval(() => {
-            fetch('http://localhost:5000/api/alerts?status=ACTIVE&limit=10&sortBy=triggeredAt&sortOrder=desc')
+            authService.fetch('http://localhost:5000/api/alerts?status=ACTIVE&limit=10&sortBy=triggeredAt&sortOrder=desc')
               .then(response => response.json())
               .then(alertsData => {
                 if (alertsData.data && Array.isArray(alertsData.data)) {
@@ -251,12 +308,44 @@ const App: React.FC = () => {
       }
       socketService.offSensorReading(handleSensorReading);
       socketService.offAlertTrigger(handleAlertTrigger);
+      socketService.offAlertUpdated(handleAlertUpdated);
+      socketService.offAlertReopened(handleAlertReopened);
       socketService.offRiskUpdate(handleRiskUpdate);
+      socketService.offAssetInHazard(handleAssetInHazard);
+      socketService.offAssetHazardCleared(handleAssetHazardCleared);
       
       simulationService.stopSimulation();
       socketService.disconnect();
     };
-  }, []);
+  }, [userId]);
+
+  // Load mine and zone boundaries for the map
+  useEffect(() => {
+    if (!userId) return;
+    
+    minesApi.getMines()
+      .then(setMines)
+      .catch(error => console.error('❌ Failed to load mines:', error));
+  }, [userId]);
+
+  // Recompute evacuation zones whenever the set of open alerts changes
+  const alertsKey = alerts.map(alert => `${alert.alertId}:${alert.status}:${alert.occurrenceCount || 1}`).join(',');
+  useEffect(() => {
+    if (!userId) return;
+    
+    alertsApi.getEvacuationZones()
+      .then(setEvacuationZones)
+      .catch(error => console.error('❌ Failed to load evacuation zones:', error));
+  }, [userId, alertsKey]);
+
+  // Tracked assets currently inside HIGH-risk alert areas
+  useEffect(() => {
+    if (!userId) return;
+    
+    assetsApi.getAssets({ inHazard: true })
+      .then(setHazardAssets)
+      .catch(error => console.error('❌ Failed to load assets in hazard areas:', error));
+  }, [userId, alertsKey, assetHazardVersion]);
 
   // Load initial data (now handled by simulation service in the first useEffect)
   // This effect is kept for potential future API integration
@@ -277,9 +366,12 @@ const App: React.FC = () => {
     }));
   };
 
+  const viewSensors = replayFrame ? replayFrame.sensors : sensors;
+  const viewAlerts = replayFrame ? replayFrame.alerts : alerts;
+
   const getFilteredSensors = () => {
-    if (!sensors || !Array.isArray(sensors)) return [];
-    return sensors.filter(sensor => {
+    if (!viewSensors || !Array.isArray(viewSensors)) return [];
+    return viewSensors.filter(sensor => {
       const riskLevel = sensor.riskLevel || 'LOW';
       const isOnline = sensor.status === 'ACTIVE';
 
@@ -298,8 +390,8 @@ const App: React.FC = () => {
   };
 
   const getCurrentMineInfo = () => {
-    const safeSensors = sensors || [];
-    const safeAlerts = alerts || [];
+    const safeSensors = viewSensors || [];
+    const safeAlerts = viewAlerts || [];
     const activeSensors = safeSensors.filter(s => s.status === 'ACTIVE').length;
     const totalSensors = safeSensors.length;
     const criticalAlerts = safeAlerts.filter(a => a.severity === 'CRITICAL').length;
@@ -311,6 +403,14 @@ const App: React.FC = () => {
     };
   };
 
+  const handleLogout = async () => {
+    await authService.logout();
+  };
+
+  if (!user) {
+    return <LoginForm onLogin={setUser} />;
+  }
+
   if (loading) {
     return (
       <div className="loading-spinner">
@@ -321,6 +421,7 @@ const App: React.FC = () => {
 
   const mineInfo = getCurrentMineInfo();
   const filteredSensors = getFilteredSensors();
+  const selectedAlert = viewAlerts.find(alert => alert.alertId === selectedAlertId) || null;
 
   return (
     <div className="dashboard">
@@ -328,7 +429,13 @@ const App: React.FC = () => {
       <header className="dashboard-header">
         <h1>
           GeoSafe AI - Mine Safety Monitoring 
-          <span style={{fontSize: '12px', background: '#2ecc71', padding: '2px 6px', borderRadius: '4px', marginLeft: '8px'}}>LIVE AI</span>
+          {replayFrame ? (
+            <span style={{fontSize: '12px', background: '#8e44ad', color: 'white', padding: '2px 6px', borderRadius: '4px', marginLeft: '8px'}}>
+              ⏪ REPLAY {new Date(replayFrame.time).toLocaleString()}
+            </span>
+          ) : (
+            <span style={{fontSize: '12px', background: '#2ecc71', padding: '2px 6px', borderRadius: '4px', marginLeft: '8px'}}>LIVE AI</span>
+          )}
           <span style={{
             fontSize: '12px', 
             background: connected ? '#2ecc71' : '#f39c12', 
@@ -344,6 +451,15 @@ const App: React.FC = () => {
           <span>Active Sensors: {mineInfo.activeSensors}/{mineInfo.totalSensors}</span>
           <span>Critical Alerts: {mineInfo.criticalAlerts}</span>
           <span>Southern India Mines</span>
+          <span>
+            {user.name} ({user.role})
+            <button
+              onClick={handleLogout}
+              style={{ marginLeft: '8px', padding: '2px 8px', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}
+            >
+              Sign out
+            </button>
+          </span>
           {!connected && <span style={{color: '#f39c12'}}>🔄 Polling Mode</span>}
         </div>
       </header>
@@ -361,7 +477,7 @@ const App: React.FC = () => {
                 checked={filters.showNormal}
                 onChange={() => handleFilterChange('showNormal')}
               />
-              <label htmlFor="normal">🟢 Normal ({(sensors || []).filter(s => s.riskLevel === 'LOW').length})</label>
+              <label htmlFor="normal">🟢 Normal ({(viewSensors || []).filter(s => s.riskLevel === 'LOW').length})</label>
             </div>
             <div className="filter-option">
               <input 
@@ -370,7 +486,7 @@ const App: React.FC = () => {
                 checked={filters.showWarning}
                 onChange={() => handleFilterChange('showWarning')}
               />
-              <label htmlFor="warning">🟡 Warning ({(sensors || []).filter(s => s.riskLevel === 'MEDIUM').length})</label>
+              <label htmlFor="warning">🟡 Warning ({(viewSensors || []).filter(s => s.riskLevel === 'MEDIUM').length})</label>
             </div>
             <div className="filter-option">
               <input 
@@ -379,7 +495,7 @@ const App: React.FC = () => {
                 checked={filters.showAlert}
                 onChange={() => handleFilterChange('showAlert')}
               />
-              <label htmlFor="alert">🔴 Alert ({(sensors || []).filter(s => s.riskLevel === 'HIGH').length})</label>
+              <label htmlFor="alert">🔴 Alert ({(viewSensors || []).filter(s => s.riskLevel === 'HIGH').length})</label>
             </div>
             <div className="filter-option">
               <input 
@@ -393,17 +509,26 @@ const App: React.FC = () => {
           </div>
         </div>
 
+        {/* Incident Replay */}
+        <div className="sidebar-section">
+          <h3>Incident Replay</h3>
+          <ReplayControls sensors={sensors} onFrame={setReplayFrame} />
+        </div>
+
         {/* Recent Alerts */}
         <div className="sidebar-section">
           <h3>Recent Alerts</h3>
-          {alerts.length === 0 ? (
+          {viewAlerts.length === 0 ? (
             <p style={{ color: '#666', fontSize: '14px' }}>No recent alerts</p>
           ) : (
-            alerts.slice(0, 5).map((alert) => (
+            viewAlerts.slice(0, 5).map((alert) => (
               <div 
                 key={alert._id}
                 className={`alert-panel ${alert.severity?.toLowerCase()}`}
-                onClick={() => handleSensorSelect(alert.sensorId)}
+                onClick={() => {
+                  handleSensorSelect(alert.sensorId);
+                  setSelectedAlertId(alert.alertId);
+                }}
                 style={{ cursor: 'pointer' }}
               >
                 <div className="alert-header">
@@ -415,12 +540,59 @@ const App: React.FC = () => {
                 </div>
                 <div style={{ fontSize: '11px', color: '#999' }}>
                   {new Date(alert.triggeredAt).toLocaleTimeString()}
+                  {(alert.occurrenceCount || 1) > 1 && (
+                    <span> · {alert.occurrenceCount}× (last {new Date(alert.lastSeenAt || alert.triggeredAt).toLocaleTimeString()})</span>
+                  )}
                 </div>
               </div>
             ))
           )}
         </div>
 
+        {/* Assets in Hazard Areas */}
+        {hazardAssets.length > 0 && (
+          <div className="sidebar-section">
+            <h3>Assets in Hazard Areas</h3>
+            {hazardAssets.map((asset) => (
+              <div 
+                key={asset.assetId}
+                className="alert-panel high"
+                onClick={() => setSelectedAlertId(asset.hazard.alertIds[0])}
+                style={{ cursor: 'pointer' }}
+              >
+                <div className="alert-header">
+                  <span className="sensor-id">{asset.assetId}</span>
+                  <span className="alert-badge">{asset.assetType.replace('_', ' ')}</span>
+                </div>
+                <div style={{ fontSize: '12px', color: '#666' }}>
+                  {asset.name}{asset.headcount > 1 && ` · ${asset.headcount} people`}
+                </div>
+                <div style={{ fontSize: '11px', color: '#999' }}>
+                  {asset.hazard.alertIds.join(', ')}
+                  {asset.hazard.since && <span> · since {new Date(asset.hazard.since).toLocaleTimeString()}</span>}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Selected Alert Details */}
+        {selectedAlert && (
+          <div className="sidebar-section" style={{ 
+            background: '#f8f9fa', 
+            border: '2px solid #e74c3c',
+            borderRadius: '8px',
+            padding: '16px',
+            marginTop: '16px'
+          }}>
+            <AlertPanel
+              alert={selectedAlert}
+              onClose={() => setSelectedAlertId(null)}
+              onSensorSelect={handleSensorSelect}
+            />
+          </div>
+        )}
+
         {/* Selected Sensor Details */}
         {selectedSensor && (
           <div className="sidebar-section" style={{ 
@@ -444,7 +616,7 @@ const App: React.FC = () => {
           <div className="live-data">
             <div className="data-item">
               <span className="data-label">Total Sensors</span>
-              <span className="data-value">{(sensors || []).length}</span>
+              <span className="data-value">{(viewSensors || []).length}</span>
             </div>
             <div className="data-item">
               <span className="data-label">Active</span>
@@ -453,19 +625,19 @@ const App: React.FC = () => {
             <div className="data-item">
               <span className="data-label">High Risk</span>
               <span className="data-value" style={{ color: '#e74c3c' }}>
-                {(sensors || []).filter(s => s.riskLevel === 'HIGH').length}
+                {(viewSensors || []).filter(s => s.riskLevel === 'HIGH').length}
               </span>
             </div>
             <div className="data-item">
               <span className="data-label">Medium Risk</span>
               <span className="data-value" style={{ color: '#f39c12' }}>
-                {(sensors || []).filter(s => s.riskLevel === 'MEDIUM').length}
+                {(viewSensors || []).filter(s => s.riskLevel === 'MEDIUM').length}
               </span>
             </div>
             <div className="data-item">
               <span className="data-label">Normal</span>
               <span className="data-value" style={{ color: '#2ecc71' }}>
-                {(sensors || []).filter(s => s.riskLevel === 'LOW').length}
+                {(viewSensors || []).filter(s => s.riskLevel === 'LOW').length}
               </span>
             </div>
           </div>
@@ -476,7 +648,9 @@ const App: React.FC = () => {
       <main className="dashboard-main">
         <MapComponent 
           sensors={filteredSensors}
-          alerts={alerts}
+          mines={mines}
+          evacuationZones={replayFrame ? null : evacuationZones}
+          alerts={viewAlerts}
           onSensorSelect={handleSensorSelect}
           selectedSensor={selectedSensor}
         />
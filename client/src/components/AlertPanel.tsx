@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from 'react';
+import { Alert, AlertEvent, EvacuationZone } from '../types';
+import { alertsApi } from '../services/api';
+
+interface AlertPanelProps {
+  alert: Alert;
+  onClose: () => void;
+  onSensorSelect: (sensorId: string) => void;
+}
+
+const AlertPanel: React.FC<AlertPanelProps> = ({ alert, onClose, onSensorSelect }) => {
+  const [evacuation, setEvacuation] = useState<EvacuationZone | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [reportError, setReportError] = useState<string | null>(null);
+  const [history, setHistory] = useState<AlertEvent[]>([]);
+  const [historyError, setHistoryError] = useState<string | null>(null);
+
+  // Refresh when the alert changes or repeats (its zone may have grown)
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    alertsApi.getAlertEvacuation(alert.alertId)
+      .then(({ evacuation }) => setEvacuation(evacuation))
+      .catch((error: any) => setError(error.response?.data?.error || 'Failed to load evacuation zone'))
+      .finally(() => setLoading(false));
+  }, [alert.alertId, alert.occurrenceCount, alert.status]);
+
+  // Lifecycle history; reloads whenever the alert moves or gains an action
+  useEffect(() => {
+    setHistoryError(null);
+    alertsApi.getAlertHistory(alert.alertId)
+      .then(({ events }) => setHistory(events))
+      .catch((error: any) => setHistoryError(error.response?.data?.error || 'Failed to load alert history'));
+  }, [alert.alertId, alert.status, alert.occurrenceCount, alert.escalation?.level, alert.actionsTaken?.length]);
+
+  const describeEvent = (event: AlertEvent) => {
+    const details = event.details || {};
+    switch (event.event) {
+      case 'ESCALATED': return `level ${details.level} → ${details.escalatedTo}`;
+      case 'UPGRADED': return Object.entries(details.to || {}).map(([field, value]) => `${field} ${value}`).join(', ');
+      case 'REOPENED': return details.reason;
+      case 'ACTION': return details.action;
+      default: return details.notes;
+    }
+  };
+
+  const handleDownloadReport = async () => {
+    setReportError(null);
+    try {
+      const blob = await alertsApi.getIncidentReportHtml(alert.alertId);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `incident-${alert.alertId}.html`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to download incident report:', error);
+      setReportError('Failed to download incident report');
+    }
+  };
+
+  const getRiskColor = (riskLevel?: string) => {
+    switch (riskLevel) {
+      case 'LOW': return '#2ecc71';
+      case 'MEDIUM': return '#f39c12';
+      case 'HIGH': return '#e74c3c';
+      default: return '#666';
+    }
+  };
+
+  const entityStyle = {
+    padding: '4px 8px',
+    marginBottom: '4px',
+    background: 'white',
+    border: '1px solid #e9ecef',
+    borderRadius: '4px',
+    fontSize: '12px',
+    cursor: 'pointer'
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <h3 style={{ margin: 0, fontSize: '16px' }}>Alert {alert.alertId}</h3>
+        <button
+          onClick={onClose}
+          style={{ padding: '4px 10px', border: 'none', background: '#95a5a6', color: 'white', borderRadius: '4px', cursor: 'pointer' }}
+        >
+          ×
+        </button>
+      </div>
+
+      <div style={{ fontSize: '14px', lineHeight: '1.4' }}>
+        <div style={{ marginBottom: '8px' }}>
+          <strong>Type:</strong> {alert.alertType.replace('_', ' ')}
+        </div>
+        <div style={{ marginBottom: '8px' }}>
+          <strong>Risk Level:</strong>{' '}
+          <span style={{ color: getRiskColor(alert.riskLevel), fontWeight: 'bold' }}>{alert.riskLevel}</span>
+          {' '}({(alert.confidence * 100).toFixed(0)}% confidence)
+        </div>
+        <div style={{ marginBottom: '8px' }}>
+          <strong>Status:</strong> {alert.status}
+        </div>
+        <button
+          onClick={handleDownloadReport}
+          style={{ padding: '4px 10px', border: 'none', background: '#34495e', color: 'white', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}
+        >
+          📄 {['RESOLVED', 'FALSE_POSITIVE'].includes(alert.status) ? 'Incident report' : 'Draft incident report'}
+        </button>
+        {reportError && <div style={{ fontSize: '12px', color: '#e74c3c', marginTop: '4px' }}>{reportError}</div>}
+
+        <div style={{
+          marginTop: '12px',
+          padding: '8px',
+          background: '#fdf2f2',
+          borderRadius: '4px',
+          border: '1px solid #f5c6cb'
+        }}>
+          <strong style={{ fontSize: '13px' }}>🚧 Evacuation Zone</strong>
+          {loading ? (
+            <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>Computing...</div>
+          ) : error ? (
+            <div style={{ fontSize: '12px', color: '#e74c3c', marginTop: '4px' }}>{error}</div>
+          ) : !evacuation ? (
+            <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>No evacuation required</div>
+          ) : (
+            <div style={{ marginTop: '4px', fontSize: '12px' }}>
+              <div>
+                {evacuation.evacuationId} · {(evacuation.area / 10000).toFixed(1)} ha ·{' '}
+                radius {evacuation.alerts.find(a => a.alertId === alert.alertId)?.radius ?? '?'} m
+              </div>
+              {evacuation.alerts.length > 1 && (
+                <div style={{ color: '#666' }}>
+                  Merged with {evacuation.alerts.filter(a => a.alertId !== alert.alertId).map(a => a.alertId).join(', ')}
+                </div>
+              )}
+
+              <div style={{ marginTop: '8px', fontWeight: 'bold' }}>
+                Affected sensors ({evacuation.affected.sensors.length})
+              </div>
+              {evacuation.affected.sensors.length === 0 ? (
+                <div style={{ color: '#666' }}>None</div>
+              ) : (
+                evacuation.affected.sensors.map(sensor => (
+                  <div key={sensor.sensorId} style={entityStyle} onClick={() => onSensorSelect(sensor.sensorId)}>
+                    {sensor.sensorId} · {sensor.name}
+                    <span style={{ color: '#999' }}> ({sensor.status})</span>
+                  </div>
+                ))
+              )}
+
+              <div style={{ marginTop: '8px', fontWeight: 'bold' }}>
+                Assets inside ({evacuation.affected.assets.length}, {evacuation.affected.headcount} people)
+              </div>
+              {evacuation.affected.assets.length === 0 ? (
+                <div style={{ color: '#666' }}>None</div>
+              ) : (
+                evacuation.affected.assets.map(asset => (
+                  <div key={asset.assetId} style={{ ...entityStyle, cursor: 'default' }}>
+                    {asset.assetId} · {asset.name}
+                    <span style={{ color: '#999' }}> ({asset.assetType.replace('_', ' ')}{asset.headcount > 1 ? `, ${asset.headcount}` : ''})</span>
+                  </div>
+                ))
+              )}
+            </div>
+          )}
+        </div>
+
+        <div style={{ marginTop: '12px' }}>
+          <strong style={{ fontSize: '13px' }}>🕘 History</strong>
+          {historyError ? (
+            <div style={{ fontSize: '12px', color: '#e74c3c', marginTop: '4px' }}>{historyError}</div>
+          ) : history.length === 0 ? (
+            <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>No recorded events</div>
+          ) : (
+            <div style={{ marginTop: '4px', fontSize: '12px' }}>
+              {history.map(event => (
+                <div key={event._id} style={{ ...entityStyle, cursor: 'default' }}>
+                  <span style={{ color: '#999' }}>{new Date(event.at).toLocaleTimeString()}</span>{' '}
+                  <strong>{event.event.replace('_', ' ')}</strong> by {event.actor}
+                  {describeEvent(event) && <div style={{ color: '#666' }}>{describeEvent(event)}</div>}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AlertPanel;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import authService from '../services/auth';
+import { AuthUser } from '../types';
+
+interface LoginFormProps {
+  onLogin: (user: AuthUser) => void;
+}
+
+const LoginForm: React.FC<LoginFormProps> = ({ onLogin }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const user = await authService.login(username, password);
+      onLogin(user);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Unable to reach the server');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '8px 10px',
+    marginTop: '4px',
+    border: '1px solid #ccc',
+    borderRadius: '4px',
+    fontSize: '14px',
+    boxSizing: 'border-box' as const
+  };
+
+  return (
+    <div className="loading-spinner">
+      <form
+        onSubmit={handleSubmit}
+        style={{
+          background: 'white',
+          padding: '24px',
+          borderRadius: '8px',
+          boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
+          width: '300px'
+        }}
+      >
+        <h2 style={{ margin: '0 0 16px 0', color: '#2c3e50' }}>GeoSafe AI Sign In</h2>
+
+        <label style={{ display: 'block', marginBottom: '12px', fontSize: '14px' }}>
+          Username
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            required
+            style={inputStyle}
+          />
+        </label>
+
+        <label style={{ display: 'block', marginBottom: '16px', fontSize: '14px' }}>
+          Password
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            required
+            style={inputStyle}
+          />
+        </label>
+
+        {error && (
+          <div style={{ color: '#e74c3c', fontSize: '13px', marginBottom: '12px' }}>{error}</div>
+        )}
+
+        <button
+          type="submit"
+          disabled={submitting}
+          style={{
+            width: '100%',
+            padding: '10px',
+            border: 'none',
+            background: '#3498db',
+            color: 'white',
+            borderRadius: '4px',
+            cursor: submitting ? 'wait' : 'pointer',
+            fontSize: '14px'
+          }}
+        >
+          {submitting ? 'Signing in...' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginForm;
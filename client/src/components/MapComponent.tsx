@@ -1,8 +1,8 @@
 import React, { useEffect, useRef, useState } from 'react';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
-import { Sensor, Alert } from '../types';
-import { MINE_LOCATIONS } from '../services/simulation';
+import { Sensor, Alert, Mine, RiskSurfaceCell, EvacuationZoneCollection } from '../types';
+import { minesApi } from '../services/api';
 
 // Fix for default markers in Leaflet with Webpack
 let DefaultIcon = L.divIcon({
@@ -16,13 +16,23 @@ L.Marker.prototype.options.icon = DefaultIcon;
 
 interface MapComponentProps {
   sensors: Sensor[];
+  mines: Mine[];
+  evacuationZones?: EvacuationZoneCollection | null;
   alerts: Alert[];
   onSensorSelect: (sensorId: string) => void;
   selectedSensor: string | null;
 }
 
+// Green (low) through amber to red (high) for a 0-1 risk score
+const heatColor = (risk: number): string => {
+  const hue = Math.round(120 * (1 - Math.min(Math.max(risk, 0), 1)));
+  return `hsl(${hue}, 85%, 45%)`;
+};
+
 const MapComponent: React.FC<MapComponentProps> = ({
   sensors,
+  mines,
+  evacuationZones,
   alerts,
   onSensorSelect,
   selectedSensor
@@ -30,7 +40,9 @@ const MapComponent: React.FC<MapComponentProps> = ({
   const mapRef = useRef<HTMLDivElement>(null);
   const mapInstanceRef = useRef<L.Map | null>(null);
   const markersRef = useRef<{ [key: string]: L.Marker }>({});
+  const boundaryLayerRef = useRef<L.LayerGroup | null>(null);
   const [mapLoaded, setMapLoaded] = useState(false);
+  const [showHeatmap, setShowHeatmap] = useState(false);
 
   // Initialize map
   useEffect(() => {
@@ -55,26 +67,6 @@ const MapComponent: React.FC<MapComponentProps> = ({
       maxZoom: 18,
     }).addTo(map);
 
-    // Add mine boundary areas
-    MINE_LOCATIONS.forEach(mine => {
-      const circle = L.circle([mine.location.lat, mine.location.lng], {
-        color: '#e74c3c',
-        fillColor: '#e74c3c',
-        fillOpacity: 0.1,
-        radius: 2000, // 2km radius
-        weight: 2,
-        opacity: 0.6
-      }).addTo(map);
-
-      circle.bindPopup(`
-        <div style="min-width: 200px;">
-          <h3 style="margin: 0 0 8px 0; color: #2c3e50;">${mine.name}</h3>
-          <p style="margin: 0 0 4px 0; font-size: 12px; color: #666;">Zone: ${mine.zone}</p>
-          <p style="margin: 0; font-size: 12px; color: #666;">${mine.description}</p>
-        </div>
-      `);
-    });
-
     mapInstanceRef.current = map;
     setMapLoaded(true);
 
@@ -86,6 +78,126 @@ const MapComponent: React.FC<MapComponentProps> = ({
     };
   }, []);
 
+  // Draw mine and zone boundaries
+  useEffect(() => {
+    if (!mapInstanceRef.current || !mapLoaded) return;
+    
+    boundaryLayerRef.current?.remove();
+    const layer = L.layerGroup().addTo(mapInstanceRef.current);
+    boundaryLayerRef.current = layer;
+    
+    mines.forEach(mine => {
+      L.geoJSON(mine.boundary, {
+        style: {
+          color: '#e74c3c',
+          fillColor: '#e74c3c',
+          fillOpacity: 0.05,
+          weight: 2,
+          opacity: 0.6
+        }
+      }).bindPopup(`
+        <div style="min-width: 200px;">
+          <h3 style="margin: 0 0 8px 0; color: #2c3e50;">${mine.name}</h3>
+          <p style="margin: 0 0 4px 0; font-size: 12px; color: #666;">Zones: ${(mine.zones || []).map(zone => zone.zoneId).join(', ') || 'None'}</p>
+          <p style="margin: 0; font-size: 12px; color: #666;">${mine.description || ''}</p>
+        </div>
+      `).addTo(layer);
+      
+      (mine.zones || []).forEach(zone => {
+        L.geoJSON(zone.boundary, {
+          style: {
+            color: '#c0392b',
+            fillColor: '#e74c3c',
+            fillOpacity: 0.1,
+            weight: 1,
+            dashArray: '4 4'
+          }
+        }).bindPopup(`
+          <div style="min-width: 200px;">
+            <h3 style="margin: 0 0 8px 0; color: #2c3e50;">${zone.name}</h3>
+            <p style="margin: 0 0 4px 0; font-size: 12px; color: #666;">Zone: ${zone.zoneId}</p>
+            <p style="margin: 0; font-size: 12px; color: #666;">Mine: ${mine.name}</p>
+          </div>
+        `).addTo(layer);
+      });
+    });
+    
+    return () => {
+      layer.remove();
+    };
+  }, [mines, mapLoaded]);
+
+  // Draw the interpolated risk surface under the sensor markers
+  useEffect(() => {
+    if (!mapInstanceRef.current || !mapLoaded || !showHeatmap) return;
+    
+    const layer = L.layerGroup().addTo(mapInstanceRef.current);
+    let cancelled = false;
+    
+    const loadSurfaces = async () => {
+      try {
+        const surfaces = await Promise.all(mines.map(mine => minesApi.getRiskSurface(mine.mineId)));
+        if (cancelled) return;
+        
+        layer.clearLayers();
+        surfaces.forEach(surface => {
+          L.geoJSON(surface as GeoJSON.FeatureCollection, {
+            interactive: false,
+            style: (feature) => {
+              const risk = (feature as RiskSurfaceCell | undefined)?.properties.risk;
+              return {
+                stroke: false,
+                fillColor: heatColor(risk ?? 0),
+                fillOpacity: risk === null || risk === undefined ? 0 : 0.25 + risk * 0.35
+              };
+            }
+          }).addTo(layer);
+        });
+      } catch (error) {
+        console.error('❌ Failed to load risk surface:', error);
+      }
+    };
+    
+    loadSurfaces();
+    const refreshInterval = setInterval(loadSurfaces, 60000);
+    
+    return () => {
+      cancelled = true;
+      clearInterval(refreshInterval);
+      layer.remove();
+    };
+  }, [mines, mapLoaded, showHeatmap]);
+
+  // Draw evacuation zones for open alerts
+  useEffect(() => {
+    if (!mapInstanceRef.current || !mapLoaded || !evacuationZones) return;
+    
+    const layer = L.geoJSON(evacuationZones as GeoJSON.FeatureCollection, {
+      style: {
+        color: '#c0392b',
+        fillColor: '#c0392b',
+        fillOpacity: 0.2,
+        weight: 2,
+        dashArray: '6 4'
+      },
+      onEachFeature: (feature, featureLayer) => {
+        const zone = (feature as EvacuationZoneCollection['features'][number]).properties;
+        featureLayer.bindPopup(`
+          <div style="min-width: 200px;">
+            <h3 style="margin: 0 0 8px 0; color: #c0392b;">🚧 Evacuation ${zone.evacuationId}</h3>
+            <p style="margin: 0 0 4px 0; font-size: 12px;"><strong>Risk:</strong> ${zone.riskLevel} · ${zone.priority}</p>
+            <p style="margin: 0 0 4px 0; font-size: 12px;"><strong>Alerts:</strong> ${zone.alerts.map(a => a.alertId).join(', ')}</p>
+            <p style="margin: 0; font-size: 12px;"><strong>Other sensors inside:</strong> ${zone.affected.sensors.map(s => s.sensorId).join(', ') || 'None'}</p>
+          </div>
+        `);
+      }
+    }).addTo(mapInstanceRef.current);
+    
+    return () => {
+      layer.remove();
+    };
+  }, [evacuationZones, mapLoaded]);
+
   // Update sensors on map
   useEffect(() => {
     if (!mapInstanceRef.current || !mapLoaded) return;
@@ -217,6 +329,28 @@ const MapComponent: React.FC<MapComponentProps> = ({
         </div>
       )}
       
+      {mapLoaded && mines.length > 0 && (
+        <button
+          onClick={() => setShowHeatmap(!showHeatmap)}
+          style={{
+            position: 'absolute',
+            top: '10px',
+            right: '10px',
+            zIndex: 1000,
+            padding: '6px 12px',
+            background: showHeatmap ? '#e74c3c' : 'white',
+            color: showHeatmap ? 'white' : '#2c3e50',
+            border: '2px solid rgba(0,0,0,0.2)',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            fontSize: '12px',
+            fontWeight: 'bold'
+          }}
+        >
+          {showHeatmap ? '🔥 Hide risk heatmap' : '🔥 Show risk heatmap'}
+        </button>
+      )}
+      
       {/* Show empty state message when no sensors */}
       {mapLoaded && sensors.length === 0 && (
         <div style={{
@@ -0,0 +1,283 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Sensor, Alert, SensorReading, ReplayBounds, ReplayEvent, ReplayFrame, ReplaySnapshot, ReplaySpeed, ReplayState } from '../types';
+import { replayApi } from '../services/api';
+import replayService from '../services/replay';
+
+const SPEEDS: ReplaySpeed[] = [1, 10, 60];
+const DEFAULT_WINDOW_MS = 60 * 60 * 1000;
+
+interface ReplayControlsProps {
+  sensors: Sensor[];
+  onFrame: (frame: ReplayFrame | null) => void;
+}
+
+// Value for a datetime-local input, in local time
+const toLocalInput = (date: Date): string => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+const priorityColor = (priority: Alert['priority']) => {
+  switch (priority) {
+    case 'CRITICAL': return '#8e44ad';
+    case 'HIGH': return '#e74c3c';
+    case 'MEDIUM': return '#f39c12';
+    default: return '#2ecc71';
+  }
+};
+
+const ReplayControls: React.FC<ReplayControlsProps> = ({ sensors, onFrame }) => {
+  const [bounds, setBounds] = useState<ReplayBounds | null>(null);
+  const [startInput, setStartInput] = useState('');
+  const [endInput, setEndInput] = useState('');
+  const [speed, setSpeed] = useState<ReplaySpeed>(10);
+  const [state, setState] = useState<ReplayState | null>(null);
+  const [scrubTime, setScrubTime] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [version, setVersion] = useState(0);
+
+  // Replayed state, kept outside React state so high-speed ticks don't copy it on every event
+  const readingsRef = useRef(new Map<string, SensorReading>());
+  const alertsRef = useRef(new Map<string, Alert>());
+
+  // Default to the last hour of recorded data
+  useEffect(() => {
+    replayApi.getBounds()
+      .then(data => {
+        setBounds(data);
+        const end = data.latest ? new Date(data.latest) : new Date();
+        setEndInput(toLocalInput(end));
+        setStartInput(toLocalInput(new Date(end.getTime() - DEFAULT_WINDOW_MS)));
+      })
+      .catch(error => console.error('❌ Failed to load replay bounds:', error));
+  }, []);
+
+  // Rebuild the dashboard frame from the replayed readings and alerts
+  useEffect(() => {
+    if (!state) return;
+
+    onFrame({
+      time: state.time,
+      sensors: sensors.map(sensor => {
+        const reading = readingsRef.current.get(sensor.sensorId);
+        return { ...sensor, lastReading: reading, riskLevel: reading?.riskPrediction.level };
+      }),
+      alerts: Array.from(alertsRef.current.values())
+        .sort((a, b) => new Date(b.triggeredAt).getTime() - new Date(a.triggeredAt).getTime())
+    });
+  }, [version, state, sensors, onFrame]);
+
+  // Leave replay when the controls unmount (e.g. on sign out)
+  useEffect(() => () => {
+    replayService.stop();
+    onFrame(null);
+  }, [onFrame]);
+
+  const applySnapshot = (snapshot: ReplaySnapshot) => {
+    readingsRef.current = new Map(snapshot.readings.map(reading => [reading.sensorId, reading]));
+    alertsRef.current = new Map(snapshot.alerts.map(alert => [alert.alertId, alert]));
+    setVersion(v => v + 1);
+  };
+
+  const applyEvents = (time: string, events: ReplayEvent[]) => {
+    for (const event of events) {
+      switch (event.type) {
+        case 'sensor-reading':
+          readingsRef.current.set(event.data.sensorId, event.data.reading);
+          break;
+        case 'alert-trigger':
+          alertsRef.current.set(event.data.alert.alertId, event.data.alert);
+          break;
+        case 'alert-acknowledged': {
+          const alert = alertsRef.current.get(event.data.alertId);
+          if (alert) {
+            alertsRef.current.set(alert.alertId, {
+              ...alert,
+              status: 'ACKNOWLEDGED',
+              acknowledgedBy: event.data.acknowledgedBy,
+              acknowledgedAt: new Date(event.data.acknowledgedAt)
+            });
+          }
+          break;
+        }
+        case 'alert-resolved': {
+          const alert = alertsRef.current.get(event.data.alertId);
+          if (alert) {
+            alertsRef.current.set(alert.alertId, {
+              ...alert,
+              status: event.data.resolution,
+              resolvedBy: event.data.resolvedBy,
+              resolvedAt: new Date(event.data.resolvedAt)
+            });
+          }
+          break;
+        }
+      }
+    }
+    setState(prev => (prev ? { ...prev, time } : prev));
+    if (events.length > 0) setVersion(v => v + 1);
+  };
+
+  const handleStart = () => {
+    const startTime = new Date(startInput);
+    const endTime = new Date(endInput);
+    if (isNaN(startTime.getTime()) || isNaN(endTime.getTime()) || startTime >= endTime) {
+      setError('Choose a start time before the end time');
+      return;
+    }
+
+    setError(null);
+    replayService.disconnect(); // drop listeners from a failed start
+    replayService.connect();
+    replayService.onState(setState);
+    replayService.onSnapshot(applySnapshot);
+    replayService.onTick(({ time, events }) => applyEvents(time, events));
+    replayService.onEnded(setState);
+    replayService.onError(({ message, details }) => setError(details?.length ? `${message}: ${details.join(', ')}` : message));
+    replayService.start({ startTime: startTime.toISOString(), endTime: endTime.toISOString(), speed });
+
+    // Alert markers for the scrubber
+    replayApi.getBounds({ startDate: startTime.toISOString(), endDate: endTime.toISOString() })
+      .then(setBounds)
+      .catch(error => console.error('❌ Failed to load replay alert markers:', error));
+  };
+
+  const handleStop = () => {
+    replayService.stop();
+    readingsRef.current = new Map();
+    alertsRef.current = new Map();
+    setState(null);
+    setScrubTime(null);
+    onFrame(null);
+  };
+
+  const handleSpeed = (value: ReplaySpeed) => {
+    setSpeed(value);
+    if (state) replayService.setSpeed(value);
+  };
+
+  const handleSeek = () => {
+    if (scrubTime === null) return;
+    replayService.seek(new Date(scrubTime).toISOString());
+    setScrubTime(null);
+  };
+
+  const buttonStyle = (active: boolean) => ({
+    padding: '4px 10px',
+    marginRight: '4px',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '12px',
+    background: active ? '#3498db' : '#ecf0f1',
+    color: active ? 'white' : '#2c3e50'
+  });
+
+  const inputStyle = { width: '100%', fontSize: '12px', padding: '4px', marginBottom: '6px' };
+
+  const start = state ? new Date(state.startTime).getTime() : 0;
+  const end = state ? new Date(state.endTime).getTime() : 0;
+  const current = scrubTime ?? (state ? new Date(state.time).getTime() : 0);
+
+  return (
+    <div style={{ fontSize: '12px' }}>
+      {!state ? (
+        <>
+          <label>From</label>
+          <input
+            type="datetime-local"
+            value={startInput}
+            onChange={e => setStartInput(e.target.value)}
+            min={bounds?.earliest ? toLocalInput(new Date(bounds.earliest)) : undefined}
+            style={inputStyle}
+          />
+          <label>To</label>
+          <input
+            type="datetime-local"
+            value={endInput}
+            onChange={e => setEndInput(e.target.value)}
+            max={bounds?.latest ? toLocalInput(new Date(bounds.latest)) : undefined}
+            style={inputStyle}
+          />
+        </>
+      ) : (
+        <>
+          <div style={{ fontWeight: 'bold', marginBottom: '6px' }}>
+            ⏪ {new Date(current).toLocaleString()}
+          </div>
+
+          {/* Alert markers above the scrubber */}
+          <div style={{ position: 'relative', height: '8px' }}>
+            {(bounds?.alerts || [])
+              .filter(alert => {
+                const time = new Date(alert.triggeredAt).getTime();
+                return time >= start && time <= end;
+              })
+              .map(alert => (
+                <div
+                  key={alert.alertId}
+                  title={`${alert.alertId} (${alert.priority})`}
+                  style={{
+                    position: 'absolute',
+                    left: `${((new Date(alert.triggeredAt).getTime() - start) / (end - start)) * 100}%`,
+                    width: '3px',
+                    height: '8px',
+                    background: priorityColor(alert.priority)
+                  }}
+                />
+              ))}
+          </div>
+          <input
+            type="range"
+            min={start}
+            max={end}
+            step={1000}
+            value={current}
+            onChange={e => setScrubTime(Number(e.target.value))}
+            onMouseUp={handleSeek}
+            onTouchEnd={handleSeek}
+            onKeyUp={handleSeek}
+            style={{ width: '100%' }}
+          />
+          <div style={{ display: 'flex', justifyContent: 'space-between', color: '#999', fontSize: '11px', marginBottom: '6px' }}>
+            <span>{new Date(start).toLocaleTimeString()}</span>
+            <span>{new Date(end).toLocaleTimeString()}</span>
+          </div>
+        </>
+      )}
+
+      <div style={{ marginBottom: '6px' }}>
+        {SPEEDS.map(value => (
+          <button key={value} onClick={() => handleSpeed(value)} style={buttonStyle(speed === value)}>
+            {value}x
+          </button>
+        ))}
+      </div>
+
+      <div>
+        {!state ? (
+          <button onClick={handleStart} style={buttonStyle(true)}>▶ Start replay</button>
+        ) : (
+          <>
+            {state.playing ? (
+              <button onClick={() => replayService.pause()} style={buttonStyle(false)}>⏸ Pause</button>
+            ) : (
+              <button
+                onClick={() => replayService.resume()}
+                disabled={state.time >= state.endTime}
+                style={buttonStyle(false)}
+              >
+                ▶ Play
+              </button>
+            )}
+            <button onClick={handleStop} style={buttonStyle(false)}>⏹ Back to live</button>
+          </>
+        )}
+      </div>
+
+      {error && <div style={{ color: '#e74c3c', marginTop: '6px' }}>{error}</div>}
+    </div>
+  );
+};
+
+export default ReplayControls;
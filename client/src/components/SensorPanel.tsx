@@ -1,6 +1,10 @@
 import React, { useState, useEffect } from 'react';
-import { Sensor } from '../types';
+import { Sensor, AlertSuppression } from '../types';
 import { simulationService } from '../services/simulation';
+import { alertsApi } from '../services/api';
+import authService from '../services/auth';
+
+const SNOOZE_MINUTES = 30;
 
 interface SensorPanelProps {
   sensorId: string;
@@ -9,6 +13,12 @@ interface SensorPanelProps {
 
 const SensorPanel: React.FC<SensorPanelProps> = ({ sensorId, onClose }) => {
   const [sensor, setSensor] = useState<Sensor | null>(null);
+  const [snooze, setSnooze] = useState<AlertSuppression | null>(null);
+  const [snoozeError, setSnoozeError] = useState<string | null>(null);
+  const [snoozing, setSnoozing] = useState(false);
+
+  // Only supervisors and admins may suppress alerts
+  const canSnooze = ['supervisor', 'admin'].includes(authService.getUser()?.role || '');
 
   const buttonStyle = {
     marginTop: '10px',
@@ -26,6 +36,41 @@ const SensorPanel: React.FC<SensorPanelProps> = ({ sensorId, onClose }) => {
     setSensor(foundSensor || null);
   }, [sensorId]);
 
+  useEffect(() => {
+    setSnooze(null);
+    setSnoozeError(null);
+    alertsApi.getSuppressions({ sensorId, kind: 'SNOOZE' })
+      .then(({ suppressions }) => setSnooze(suppressions.find(s => !s.alertType) || null))
+      .catch(error => console.error('Failed to load snooze status:', error));
+  }, [sensorId]);
+
+  const handleSnooze = async () => {
+    setSnoozing(true);
+    setSnoozeError(null);
+    try {
+      const { suppression } = await alertsApi.snoozeSensor(sensorId, SNOOZE_MINUTES);
+      setSnooze(suppression);
+    } catch (error: any) {
+      setSnoozeError(error.response?.data?.error || 'Failed to snooze sensor');
+    } finally {
+      setSnoozing(false);
+    }
+  };
+
+  const handleUnsnooze = async () => {
+    if (!snooze) return;
+    setSnoozing(true);
+    setSnoozeError(null);
+    try {
+      await alertsApi.removeSuppression(snooze._id);
+      setSnooze(null);
+    } catch (error: any) {
+      setSnoozeError(error.response?.data?.error || 'Failed to remove snooze');
+    } finally {
+      setSnoozing(false);
+    }
+  };
+
   if (!sensor) {
     return (
       <div>
@@ -151,6 +196,35 @@ const SensorPanel: React.FC<SensorPanelProps> = ({ sensorId, onClose }) => {
           </div>
         )}
         
+        <div style={{ marginTop: '12px' }}>
+          {snooze ? (
+            <div style={{ fontSize: '12px', color: '#8e44ad' }}>
+              🔕 Alerts snoozed until {new Date(snooze.expiresAt).toLocaleTimeString()}
+              {snooze.createdBy && ` by ${snooze.createdBy}`}
+              {canSnooze && (
+                <button
+                  onClick={handleUnsnooze}
+                  disabled={snoozing}
+                  style={{ ...buttonStyle, background: '#7f8c8d', display: 'block' }}
+                >
+                  Resume alerts
+                </button>
+              )}
+            </div>
+          ) : canSnooze && (
+            <button
+              onClick={handleSnooze}
+              disabled={snoozing}
+              style={{ ...buttonStyle, background: '#8e44ad', marginTop: 0 }}
+            >
+              🔕 Snooze {SNOOZE_MINUTES}m
+            </button>
+          )}
+          {snoozeError && (
+            <div style={{ marginTop: '4px', fontSize: '11px', color: '#e74c3c' }}>{snoozeError}</div>
+          )}
+        </div>
+        
         <div style={{ marginTop: '12px', fontSize: '11px', color: '#999' }}>
           <div>Installed: {new Date(sensor.installationDate).toLocaleDateString()}</div>
           {sensor.lastMaintenanceDate && (
@@ -3,10 +3,21 @@ import {
   Sensor, 
   SensorReading, 
   Alert, 
+  AlertEvent,
+  ModelPerformance,
+  AlertSuppression,
+  Mine,
+  Zone,
+  RiskSurface,
+  EvacuationZone,
+  EvacuationZoneCollection,
+  Asset,
+  ReplayBounds,
   ApiResponse, 
   PaginatedResponse,
   SensorHealthStatus 
 } from '../types';
+import authService from './auth';
 
 // Create axios instance with base configuration
 const api = axios.create({
@@ -17,10 +28,14 @@ const api = axios.create({
   },
 });
 
-// Request interceptor for logging
+// Request interceptor for logging and attaching the access token
 api.interceptors.request.use(
   (config) => {
     console.log(`API Request: ${config.method?.toUpperCase()} ${config.url}`);
+    const token = authService.getAccessToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
     return config;
   },
   (error) => {
@@ -35,7 +50,19 @@ api.interceptors.response.use(
     console.log(`API Response: ${response.status} ${response.config.url}`);
     return response;
   },
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Retry once with a refreshed access token when the current one has expired
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retried) {
+      originalRequest._retried = true;
+      const token = await authService.refreshAccessToken();
+      if (token) {
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      }
+    }
+
     console.error('API Response Error:', error.response?.data || error.message);
     return Promise.reject(error);
   }
@@ -218,20 +245,32 @@ export const alertsApi = {
   },
 
   // Acknowledge alert
-  acknowledgeAlert: async (alertId: string, acknowledgedBy: string): Promise<ApiResponse<Alert>> => {
-    const response: AxiosResponse<ApiResponse<Alert>> = await api.patch(`/alerts/${alertId}/acknowledge`, { acknowledgedBy });
+  acknowledgeAlert: async (alertId: string): Promise<ApiResponse<Alert>> => {
+    const response: AxiosResponse<ApiResponse<Alert>> = await api.patch(`/alerts/${alertId}/acknowledge`);
     return response.data;
   },
 
-  // Resolve alert
-  resolveAlert: async (alertId: string, resolvedBy: string, resolution?: string): Promise<ApiResponse<Alert>> => {
+  // Resolve alert (it must be acknowledged first)
+  resolveAlert: async (alertId: string, resolution?: string, notes?: string): Promise<ApiResponse<Alert>> => {
     const response: AxiosResponse<ApiResponse<Alert>> = await api.patch(`/alerts/${alertId}/resolve`, { 
-      resolvedBy, 
-      resolution 
+      resolution,
+      notes
     });
     return response.data;
   },
 
+  // Reopen a resolved or false-positive alert
+  reopenAlert: async (alertId: string, reason: string): Promise<ApiResponse<Alert>> => {
+    const response: AxiosResponse<ApiResponse<Alert>> = await api.patch(`/alerts/${alertId}/reopen`, { reason });
+    return response.data;
+  },
+
+  // Get an alert's lifecycle history, oldest first
+  getAlertHistory: async (alertId: string): Promise<{ alertId: string; status: Alert['status']; events: AlertEvent[] }> => {
+    const response: AxiosResponse<{ alertId: string; status: Alert['status']; events: AlertEvent[] }> = await api.get(`/alerts/${alertId}/history`);
+    return response.data;
+  },
+
   // Escalate alert
   escalateAlert: async (alertId: string, escalatedTo: string): Promise<ApiResponse<Alert>> => {
     const response: AxiosResponse<ApiResponse<Alert>> = await api.patch(`/alerts/${alertId}/escalate`, { escalatedTo });
@@ -239,15 +278,63 @@ export const alertsApi = {
   },
 
   // Add action to alert
-  addAlertAction: async (alertId: string, action: string, takenBy: string, notes?: string): Promise<ApiResponse<Alert>> => {
+  addAlertAction: async (alertId: string, action: string, notes?: string): Promise<ApiResponse<Alert>> => {
     const response: AxiosResponse<ApiResponse<Alert>> = await api.post(`/alerts/${alertId}/actions`, {
       action,
-      takenBy,
       notes
     });
     return response.data;
   },
 
+  // Get current snoozes and cooldowns
+  getSuppressions: async (params?: {
+    sensorId?: string;
+    kind?: 'SNOOZE' | 'COOLDOWN';
+  }): Promise<{ suppressions: AlertSuppression[] }> => {
+    const response: AxiosResponse<{ suppressions: AlertSuppression[] }> = await api.get('/alerts/suppressions', { params });
+    return response.data;
+  },
+
+  // Snooze alerts for a sensor (all alert types unless one is given)
+  snoozeSensor: async (sensorId: string, durationMinutes = 30, alertType?: Alert['alertType'], reason?: string): Promise<{ message: string; suppression: AlertSuppression }> => {
+    const response: AxiosResponse<{ message: string; suppression: AlertSuppression }> = await api.post('/alerts/suppressions', {
+      sensorId,
+      durationMinutes,
+      alertType,
+      reason
+    });
+    return response.data;
+  },
+
+  // Lift a snooze or cooldown early
+  removeSuppression: async (suppressionId: string): Promise<{ message: string; suppression: AlertSuppression }> => {
+    const response: AxiosResponse<{ message: string; suppression: AlertSuppression }> = await api.delete(`/alerts/suppressions/${suppressionId}`);
+    return response.data;
+  },
+
+  // Get evacuation polygons for open alerts
+  getEvacuationZones: async (mineId?: string): Promise<EvacuationZoneCollection> => {
+    const response: AxiosResponse<EvacuationZoneCollection> = await api.get('/alerts/evacuation-zones', {
+      params: mineId ? { mineId } : undefined
+    });
+    return response.data;
+  },
+
+  // Get the evacuation zone and affected entities for an alert
+  getAlertEvacuation: async (alertId: string): Promise<{ alertId: string; evacuation: EvacuationZone | null }> => {
+    const response: AxiosResponse<{ alertId: string; evacuation: EvacuationZone | null }> = await api.get(`/alerts/${alertId}/evacuation`);
+    return response.data;
+  },
+
+  // Download the incident report as an HTML document
+  getIncidentReportHtml: async (alertId: string): Promise<Blob> => {
+    const response: AxiosResponse<Blob> = await api.get(`/alerts/${alertId}/report`, {
+      params: { format: 'html' },
+      responseType: 'blob'
+    });
+    return response.data;
+  },
+
   // Get dashboard analytics
   getDashboardAnalytics: async (timeframe?: string): Promise<{
     timeframe: string;
@@ -268,6 +355,7 @@ export const alertsApi = {
       HIGH: number;
       CRITICAL: number;
     };
+    modelPerformance: ModelPerformance[];
     alertsNeedingEscalation: Alert[];
   }> => {
     const response = await api.get('/alerts/analytics/dashboard', {
@@ -277,6 +365,47 @@ export const alertsApi = {
   }
 };
 
+// Mine and zone API
+export const minesApi = {
+  // Get all mines with their zones
+  getMines: async (params?: { status?: string }): Promise<Mine[]> => {
+    const response: AxiosResponse<{ mines: Mine[] }> = await api.get('/mines', { params });
+    return response.data.mines;
+  },
+
+  // Get zones, optionally for one mine
+  getZones: async (mineId?: string): Promise<Zone[]> => {
+    const response: AxiosResponse<{ zones: Zone[] }> = await api.get('/zones', {
+      params: mineId ? { mineId } : undefined
+    });
+    return response.data.zones;
+  },
+
+  // Get the interpolated risk grid for a mine
+  getRiskSurface: async (mineId: string, params?: { cellSize?: number; power?: number }): Promise<RiskSurface> => {
+    const response: AxiosResponse<RiskSurface> = await api.get(`/mines/${mineId}/risk-surface`, { params });
+    return response.data;
+  }
+};
+
+// Asset tracking API
+export const assetsApi = {
+  // Get tracked assets
+  getAssets: async (params?: { assetType?: string; status?: string; inHazard?: boolean }): Promise<Asset[]> => {
+    const response: AxiosResponse<{ assets: Asset[] }> = await api.get('/assets', { params });
+    return response.data.assets;
+  }
+};
+
+// Historical replay API (playback itself runs over the /replay socket namespace)
+export const replayApi = {
+  // Get the replayable time range and alert markers for a window
+  getBounds: async (params?: { startDate?: string; endDate?: string }): Promise<ReplayBounds> => {
+    const response: AxiosResponse<ReplayBounds> = await api.get('/sensor-data/replay/bounds', { params });
+    return response.data;
+  }
+};
+
 // Health check API
 export const healthApi = {
   checkHealth: async (): Promise<{
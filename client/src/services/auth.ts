@@ -0,0 +1,136 @@
+import axios from 'axios';
+import { AuthUser, AuthTokens } from '../types';
+
+const STORAGE_KEY = 'geosafe-auth';
+const baseURL = process.env.REACT_APP_API_URL || '/api';
+
+interface StoredSession extends AuthTokens {
+  user: AuthUser;
+}
+
+class AuthService {
+  private session: StoredSession | null = null;
+  private refreshPromise: Promise<string | null> | null = null;
+  private listeners: ((user: AuthUser | null) => void)[] = [];
+
+  constructor() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      this.session = stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.error('Failed to restore auth session:', error);
+      this.session = null;
+    }
+  }
+
+  // Log in with username/password and persist the token pair
+  async login(username: string, password: string): Promise<AuthUser> {
+    const response = await axios.post(`${baseURL}/auth/login`, { username, password });
+    this.setSession(response.data);
+    return response.data.user;
+  }
+
+  // Revoke refresh tokens on the server and clear the local session
+  async logout() {
+    const token = this.getAccessToken();
+    if (token) {
+      try {
+        await axios.post(`${baseURL}/auth/logout`, null, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+      } catch (error) {
+        console.warn('Logout request failed:', error);
+      }
+    }
+    this.setSession(null);
+  }
+
+  // Exchange the refresh token for a new token pair (concurrent callers share one request)
+  refreshAccessToken(): Promise<string | null> {
+    if (!this.session?.refreshToken) return Promise.resolve(null);
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = axios.post(`${baseURL}/auth/refresh`, {
+        refreshToken: this.session.refreshToken
+      })
+        .then(response => {
+          this.setSession(response.data);
+          return response.data.accessToken as string;
+        })
+        .catch(error => {
+          console.error('Token refresh failed:', error.response?.data || error.message);
+          this.setSession(null);
+          return null;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
+  }
+
+  getAccessToken(): string | null {
+    return this.session?.accessToken || null;
+  }
+
+  getUser(): AuthUser | null {
+    return this.session?.user || null;
+  }
+
+  isAuthenticated(): boolean {
+    return !!this.session?.accessToken;
+  }
+
+  // Headers for raw fetch calls that bypass the axios instance
+  authHeaders(): Record<string, string> {
+    const token = this.getAccessToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  // fetch() wrapper that attaches the access token and retries once after a refresh on 401
+  async fetch(input: string, init: RequestInit = {}): Promise<Response> {
+    const send = () => fetch(input, {
+      ...init,
+      headers: { ...(init.headers as Record<string, string>), ...this.authHeaders() }
+    });
+
+    const response = await send();
+    if (response.status !== 401) return response;
+
+    const token = await this.refreshAccessToken();
+    return token ? send() : response;
+  }
+
+  onChange(callback: (user: AuthUser | null) => void) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(listener => listener !== callback);
+    };
+  }
+
+  private setSession(data: (AuthTokens & { user: AuthUser }) | null) {
+    this.session = data
+      ? {
+          user: data.user,
+          accessToken: data.accessToken,
+          refreshToken: data.refreshToken,
+          tokenType: data.tokenType,
+          expiresIn: data.expiresIn
+        }
+      : null;
+
+    if (this.session) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.session));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+
+    this.listeners.forEach(listener => listener(this.getUser()));
+  }
+}
+
+// Create singleton instance
+const authService = new AuthService();
+
+export default authService;
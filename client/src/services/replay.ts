@@ -0,0 +1,90 @@
+import { io, Socket } from 'socket.io-client';
+import authService from './auth';
+import { ReplayEvent, ReplayOptions, ReplaySnapshot, ReplaySpeed, ReplayState } from '../types';
+
+// Client for the /replay namespace; separate from the live socket so replay never mixes with live data
+class ReplayService {
+  private socket: Socket | null = null;
+
+  connect() {
+    if (this.socket) return;
+
+    const serverUrl = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000';
+    this.socket = io(`${serverUrl}/replay`, {
+      path: '/socket.io',
+      transports: ['polling'],
+      forceNew: true,
+      withCredentials: true,
+      auth: { token: authService.getAccessToken() }
+    });
+
+    this.socket.on('connect_error', async (error) => {
+      console.error('❌ Replay connection error:', error.message);
+      if (error.message === 'Token expired') {
+        const token = await authService.refreshAccessToken();
+        if (token && this.socket) {
+          this.socket.auth = { token };
+          this.socket.connect();
+        }
+      }
+    });
+  }
+
+  disconnect() {
+    if (this.socket) {
+      this.socket.disconnect();
+      this.socket = null;
+    }
+  }
+
+  // Controls
+  start(options: ReplayOptions) {
+    this.connect();
+    this.socket?.emit('replay-start', options);
+  }
+
+  pause() {
+    this.socket?.emit('replay-pause');
+  }
+
+  resume() {
+    this.socket?.emit('replay-resume');
+  }
+
+  seek(time: string) {
+    this.socket?.emit('replay-seek', { time });
+  }
+
+  setSpeed(speed: ReplaySpeed) {
+    this.socket?.emit('replay-speed', { speed });
+  }
+
+  stop() {
+    this.socket?.emit('replay-stop');
+    this.disconnect();
+  }
+
+  // Event listeners (call connect() first)
+  onState(callback: (state: ReplayState) => void) {
+    this.socket?.on('replay-state', callback);
+  }
+
+  onSnapshot(callback: (snapshot: ReplaySnapshot) => void) {
+    this.socket?.on('replay-snapshot', callback);
+  }
+
+  onTick(callback: (data: { time: string; events: ReplayEvent[] }) => void) {
+    this.socket?.on('replay-tick', callback);
+  }
+
+  onEnded(callback: (state: ReplayState) => void) {
+    this.socket?.on('replay-ended', callback);
+  }
+
+  onError(callback: (error: { message: string; details?: string[] }) => void) {
+    this.socket?.on('replay-error', callback);
+  }
+}
+
+const replayService = new ReplayService();
+export default replayService;
@@ -1,69 +1,5 @@
 import { Sensor, SensorReading, Alert, SensorLocation, MineGrid } from '../types';
 
-// Southern India mine locations (real mining areas)
-const SOUTHERN_INDIA_MINES = [
-  {
-    name: "Kolar Gold Fields Mine",
-    location: { lat: 12.9516, lng: 78.1289 },
-    zone: "Karnataka_KGF",
-    description: "Historic gold mining area in Karnataka"
-  },
-  {
-    name: "Hutti Gold Mine",
-    location: { lat: 15.9430, lng: 76.8910 },
-    zone: "Karnataka_Hutti", 
-    description: "Active gold mine in Raichur district"
-  },
-  {
-    name: "Sandur Iron Ore Mine",
-    location: { lat: 15.1167, lng: 76.5500 },
-    zone: "Karnataka_Sandur",
-    description: "Iron ore mining in Ballari district"
-  },
-  {
-    name: "Salem Magnesite Mine",
-    location: { lat: 11.6643, lng: 78.1460 },
-    zone: "TamilNadu_Salem",
-    description: "Magnesite mining in Tamil Nadu"
-  },
-  {
-    name: "Neyveli Lignite Mine",
-    location: { lat: 11.6173, lng: 79.4829 },
-    zone: "TamilNadu_Neyveli",
-    description: "Lignite coal mining in Cuddalore district"
-  },
-  {
-    name: "Singareni Coal Mine",
-    location: { lat: 18.2636, lng: 79.1500 },
-    zone: "Telangana_Singareni",
-    description: "Coal mining in Telangana"
-  },
-  {
-    name: "Ramagundam Coal Mine",
-    location: { lat: 18.7733, lng: 79.4744 },
-    zone: "Telangana_Ramagundam",
-    description: "Thermal coal mining area"
-  },
-  {
-    name: "Bailadila Iron Ore Mine",
-    location: { lat: 18.0833, lng: 81.3333 },
-    zone: "Chhattisgarh_Bailadila",
-    description: "Major iron ore mining in Chhattisgarh"
-  },
-  {
-    name: "Kudremukh Iron Ore Mine",
-    location: { lat: 13.2904, lng: 75.0729 },
-    zone: "Karnataka_Kudremukh",
-    description: "Iron ore mining in Western Ghats"
-  },
-  {
-    name: "Hospet Iron Ore Mine",
-    location: { lat: 15.2693, lng: 76.3869 },
-    zone: "Karnataka_Hospet",
-    description: "Iron ore mining near Hampi"
-  }
-];
-
 // Generate realistic sensor data (readings only, no predictions)
 function generateSensorReading(sensorId: string): SensorReading {
   const now = new Date();
@@ -95,7 +31,7 @@ function generateSensorReading(sensorId: string): SensorReading {
       aiModelVersion: 'pending'
     },
     dataQuality: {
-      completeness: 0.95 + Math.random() * 0.05,
+      completeness: 1, // Placeholder, the server assesses data quality on ingestion
       anomalies: []
     },
     metadata: {
@@ -373,7 +309,4 @@ export class SimulationService {
 }
 
 // Create singleton instance
-export const simulationService = new SimulationService();
-
-// Export the mine locations for map display
-export const MINE_LOCATIONS = SOUTHERN_INDIA_MINES;
\ No newline at end of file
+export const simulationService = new SimulationService();
\ No newline at end of file
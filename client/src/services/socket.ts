@@ -1,4 +1,6 @@
  import { io, Socket } from 'socket.io-client';
+import authService from './auth';
+import { Alert, AlertUpdate, AssetInHazardEvent, BoundaryGeometry } from '../types';
 
 class SocketService {
   private socket: Socket | null = null;
@@ -71,8 +73,8 @@ class SocketService {
       this.reconnectAttempts = 0;
       this.reconnectInterval = 1000;
       
-      // Authenticate the client
-      this.authenticate('operator', 'dashboard-user', 'Dashboard User');
+      // Authenticate the client with the logged-in user's access token
+      this.authenticate();
     });
 
     this.socket.on('disconnect', (reason) => {
@@ -110,6 +112,14 @@ class SocketService {
       console.log('✅ Socket authenticated:', data);
     });
 
+    this.socket.on('authentication-error', async (data) => {
+      console.warn('🔒 Socket authentication failed:', data.message);
+      if (data.message === 'Token expired') {
+        const token = await authService.refreshAccessToken();
+        if (token) this.authenticate();
+      }
+    });
+
     // Error handling
     this.socket.on('error', (error) => {
       console.error('🚨 Socket error:', error);
@@ -138,9 +148,10 @@ class SocketService {
   }
 
   // Authentication
-  authenticate(role: string, userId: string, name: string) {
-    if (this.socket?.connected) {
-      this.socket.emit('authenticate', { role, userId, name });
+  authenticate() {
+    const token = authService.getAccessToken();
+    if (this.socket?.connected && token) {
+      this.socket.emit('authenticate', { token });
     }
   }
 
@@ -160,17 +171,17 @@ class SocketService {
   }
 
   // Area subscription
-  subscribeToArea(bounds: { north: number; south: number; east: number; west: number }) {
+  subscribeToArea(area: { north: number; south: number; east: number; west: number } | { polygon: BoundaryGeometry }) {
     if (this.socket?.connected) {
-      this.socket.emit('subscribe-area', bounds);
-      console.log('📡 Subscribed to area updates:', bounds);
+      this.socket.emit('subscribe-area', area);
+      console.log('📡 Subscribed to area updates:', area);
     }
   }
 
   // Alert actions
-  acknowledgeAlert(alertId: string, acknowledgedBy: string) {
+  acknowledgeAlert(alertId: string) {
     if (this.socket?.connected) {
-      this.socket.emit('acknowledge-alert', { alertId, acknowledgedBy });
+      this.socket.emit('acknowledge-alert', { alertId });
       console.log(`✅ Alert acknowledged: ${alertId}`);
     }
   }
@@ -206,6 +217,10 @@ class SocketService {
     this.socket?.on('critical-alert', callback);
   }
 
+  onAlertUpdated(callback: (data: AlertUpdate) => void) {
+    this.socket?.on('alert-updated', callback);
+  }
+
   onAlertAcknowledged(callback: (data: { alertId: string; acknowledgedBy: string; acknowledgedAt: Date }) => void) {
     this.socket?.on('alert-acknowledged', callback);
   }
@@ -214,6 +229,10 @@ class SocketService {
     this.socket?.on('alert-resolved', callback);
   }
 
+  onAlertReopened(callback: (data: { alertId: string; reopenedBy: string; reason: string; alert: Alert }) => void) {
+    this.socket?.on('alert-reopened', callback);
+  }
+
   onAlertEscalated(callback: (data: { alertId: string; escalationLevel: number; escalatedTo: string; priority: string }) => void) {
     this.socket?.on('alert-escalated', callback);
   }
@@ -222,6 +241,14 @@ class SocketService {
     this.socket?.on('sensor-status', callback);
   }
 
+  onAssetInHazard(callback: (data: AssetInHazardEvent) => void) {
+    this.socket?.on('asset-in-hazard', callback);
+  }
+
+  onAssetHazardCleared(callback: (data: { assetId: string; alertIds: string[]; stillInHazard: boolean }) => void) {
+    this.socket?.on('asset-hazard-cleared', callback);
+  }
+
   onDashboardData(callback: (data: { activeAlerts: any[]; sensorStats: any; highRiskReadings: any[] }) => void) {
     this.socket?.on('dashboard-data', callback);
   }
@@ -251,6 +278,22 @@ class SocketService {
     }
   }
 
+  offAlertUpdated(callback?: (...args: any[]) => void) {
+    if (callback) {
+      this.socket?.off('alert-updated', callback);
+    } else {
+      this.socket?.off('alert-updated');
+    }
+  }
+
+  offAlertReopened(callback?: (...args: any[]) => void) {
+    if (callback) {
+      this.socket?.off('alert-reopened', callback);
+    } else {
+      this.socket?.off('alert-reopened');
+    }
+  }
+
   offCriticalAlert(callback?: (...args: any[]) => void) {
     if (callback) {
       this.socket?.off('critical-alert', callback);
@@ -275,6 +318,22 @@ class SocketService {
     }
   }
 
+  offAssetInHazard(callback?: (...args: any[]) => void) {
+    if (callback) {
+      this.socket?.off('asset-in-hazard', callback);
+    } else {
+      this.socket?.off('asset-in-hazard');
+    }
+  }
+
+  offAssetHazardCleared(callback?: (...args: any[]) => void) {
+    if (callback) {
+      this.socket?.off('asset-hazard-cleared', callback);
+    } else {
+      this.socket?.off('asset-hazard-cleared');
+    }
+  }
+
   offDashboardData(callback?: (...args: any[]) => void) {
     if (callback) {
       this.socket?.off('dashboard-data', callback);
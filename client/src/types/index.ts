@@ -37,6 +37,11 @@ export interface Sensor {
   installationDate: Date;
   lastMaintenanceDate?: Date;
   batteryLevel: number;
+  health?: {
+    status: 'HEALTHY' | 'WARNING' | 'CRITICAL';
+    issues: string[];
+    checkedAt?: Date | null;
+  };
   createdAt?: Date;
   updatedAt?: Date;
 }
@@ -71,10 +76,13 @@ export interface SensorReading {
   dataQuality: {
     completeness: number;
     anomalies: Array<{
-      type: string;
+      type: 'SPIKE' | 'STUCK_VALUE' | 'IMPOSSIBLE_JUMP' | 'SOIL_TYPE_CONTRADICTION';
       field: string;
       severity: 'LOW' | 'MEDIUM' | 'HIGH';
+      value?: number | null;
+      message?: string;
     }>;
+    flagged?: boolean;
   };
   metadata: {
     source: 'SENSOR' | 'SIMULATION' | 'MANUAL';
@@ -100,6 +108,8 @@ export interface Alert {
   riskLevel: 'LOW' | 'MEDIUM' | 'HIGH';
   confidence: number;
   triggeredAt: Date;
+  occurrenceCount?: number;
+  lastSeenAt?: Date;
   acknowledgedAt?: Date;
   acknowledgedBy?: string;
   resolvedAt?: Date;
@@ -129,6 +139,238 @@ export interface Alert {
   updatedAt?: Date;
 }
 
+// Entry in an alert's append-only lifecycle history
+export interface AlertEvent {
+  _id: string;
+  alertId: string;
+  event: 'CREATED' | 'UPGRADED' | 'ACKNOWLEDGED' | 'ESCALATED' | 'RESOLVED' | 'FALSE_POSITIVE' | 'REOPENED' | 'ACTION';
+  fromStatus: Alert['status'] | null;
+  toStatus: Alert['status'] | null;
+  actor: string;
+  at: Date;
+  details: Record<string, any> | null;
+}
+
+// Operator verdicts on one model version's alerts (precision = hazards / labeled)
+export interface ModelPerformance {
+  modelVersion: string;
+  labeled: number;
+  hazards: number;
+  falsePositives: number;
+  precision: number;
+  falsePositiveRate: number;
+  avgConfidenceHazard: number | null;
+  avgConfidenceFalsePositive: number | null;
+  firstLabeledAt: Date;
+  lastLabeledAt: Date;
+}
+
+// Repeat detection folded into an open alert
+export interface AlertUpdate {
+  alertId: string;
+  sensorId: string;
+  occurrenceCount: number;
+  lastSeenAt: Date;
+  priority: Alert['priority'];
+  riskLevel: Alert['riskLevel'];
+  confidence: number;
+  status: Alert['status'];
+}
+
+export interface AlertSuppression {
+  _id: string;
+  sensorId: string;
+  alertType: Alert['alertType'] | null;
+  kind: 'SNOOZE' | 'COOLDOWN';
+  reason?: string | null;
+  startsAt: Date;
+  expiresAt: Date;
+  createdBy?: string | null;
+  alertId?: string | null;
+  suppressedCount: number;
+  remainingMinutes: number;
+}
+
+// Mine and zone boundaries (GeoJSON, [longitude, latitude] positions)
+export interface BoundaryGeometry {
+  type: 'Polygon' | 'MultiPolygon';
+  coordinates: number[][][] | number[][][][];
+}
+
+export interface Zone {
+  _id?: string;
+  zoneId: string;
+  name: string;
+  mineId: string;
+  description?: string;
+  boundary: BoundaryGeometry;
+}
+
+export interface Mine {
+  _id?: string;
+  mineId: string;
+  name: string;
+  state?: string;
+  description?: string;
+  location: SensorLocation;
+  boundary: BoundaryGeometry;
+  status: 'ACTIVE' | 'INACTIVE';
+  zones?: Zone[];
+}
+
+// Interpolated risk grid for a mine (GeoJSON FeatureCollection of cells)
+export interface RiskSurfaceCell {
+  type: 'Feature';
+  geometry: BoundaryGeometry;
+  properties: {
+    risk: number | null; // 0-1
+    level: 'LOW' | 'MEDIUM' | 'HIGH' | null;
+    nearestSensorDistance: number | null; // meters
+  };
+}
+
+export interface RiskSurface {
+  type: 'FeatureCollection';
+  features: RiskSurfaceCell[];
+  properties: {
+    mineId: string;
+    cellSize: number;
+    power: number;
+    method: 'IDW';
+    sensorCount: number;
+    generatedAt: string;
+  };
+}
+
+// Evacuation zone computed from one or more overlapping open alerts
+export interface AffectedSensor {
+  sensorId: string;
+  name: string;
+  status: Sensor['status'];
+  zone?: string;
+  location: SensorLocation;
+}
+
+export interface AffectedAsset {
+  assetId: string;
+  name: string;
+  assetType: Asset['assetType'];
+  headcount: number;
+  location: SensorLocation;
+  lastPositionAt: string | null;
+}
+
+export interface EvacuationZone {
+  evacuationId: string;
+  alerts: Array<{
+    alertId: string;
+    sensorId: string;
+    alertType: Alert['alertType'];
+    riskLevel: Alert['riskLevel'];
+    priority: Alert['priority'];
+    radius: number; // meters
+  }>;
+  sourceSensorIds: string[];
+  riskLevel: Alert['riskLevel'];
+  priority: Alert['priority'];
+  area: number; // square meters
+  affected: {
+    sensors: AffectedSensor[];
+    assets: AffectedAsset[];
+    headcount: number;
+  };
+}
+
+export interface EvacuationZoneCollection {
+  type: 'FeatureCollection';
+  features: Array<{
+    type: 'Feature';
+    geometry: BoundaryGeometry;
+    properties: EvacuationZone;
+  }>;
+}
+
+// Tracked personnel and equipment
+export interface Asset {
+  _id: string;
+  assetId: string;
+  name: string;
+  assetType: 'HAUL_TRUCK' | 'SHOVEL' | 'DRILL' | 'DOZER' | 'LIGHT_VEHICLE' | 'CREW' | 'PERSON' | 'OTHER';
+  headcount: number;
+  location?: SensorLocation;
+  lastPositionAt: string | null;
+  speed: number | null; // km/h
+  heading: number | null; // degrees from north
+  status: 'ACTIVE' | 'INACTIVE';
+  hazard: {
+    alertIds: string[];
+    since: string | null;
+  };
+  inHazard: boolean;
+}
+
+// Socket payload when an asset is inside a HIGH-risk alert area
+export interface AssetInHazardEvent {
+  assetId: string;
+  name: string;
+  assetType: Asset['assetType'];
+  headcount: number;
+  location: SensorLocation;
+  alertId: string;
+  sensorId: string;
+  priority: Alert['priority'];
+  distance: number; // meters from the alert
+  radius: number; // meters, the alert's affected area
+  timestamp: string;
+}
+
+// Historical replay over the /replay socket namespace
+export type ReplaySpeed = 1 | 10 | 60;
+
+export interface ReplayOptions {
+  startTime: string;
+  endTime: string;
+  speed: ReplaySpeed;
+  mineId?: string;
+  sensorIds?: string[];
+}
+
+export interface ReplayState {
+  startTime: string;
+  endTime: string;
+  time: string;
+  speed: ReplaySpeed;
+  playing: boolean;
+}
+
+export type ReplayEvent =
+  | { type: 'sensor-reading'; time: string; data: { sensorId: string; reading: SensorReading } }
+  | { type: 'alert-trigger'; time: string; data: { alert: Alert } }
+  | { type: 'alert-acknowledged'; time: string; data: { alertId: string; acknowledgedBy: string; acknowledgedAt: string } }
+  | { type: 'alert-resolved'; time: string; data: { alertId: string; resolvedBy: string; resolution: 'RESOLVED' | 'FALSE_POSITIVE'; resolvedAt: string } };
+
+// State at a replay time: latest reading per sensor and the alerts of the preceding day
+export interface ReplaySnapshot {
+  time: string;
+  readings: SensorReading[];
+  alerts: Alert[];
+}
+
+export interface ReplayBounds {
+  earliest: string | null;
+  latest: string | null;
+  speeds: ReplaySpeed[];
+  window: { startDate: string; endDate: string };
+  alerts: Array<Pick<Alert, 'alertId' | 'sensorId' | 'priority' | 'riskLevel'> & { triggeredAt: string }>;
+}
+
+// What the dashboard shows while replaying
+export interface ReplayFrame {
+  time: string;
+  sensors: Sensor[];
+  alerts: Alert[];
+}
+
 // API Response types
 export interface ApiResponse<T> {
   data?: T;
@@ -147,27 +389,52 @@ export interface PaginatedResponse<T> {
   };
 }
 
+// Authentication types
+export type UserRole = 'operator' | 'supervisor' | 'admin';
+
+export interface AuthUser {
+  _id: string;
+  username: string;
+  name: string;
+  email?: string;
+  phone?: string;
+  role: UserRole;
+  isActive: boolean;
+  lastLogin?: Date;
+}
+
+export interface AuthTokens {
+  accessToken: string;
+  refreshToken: string;
+  tokenType: 'Bearer';
+  expiresIn: string;
+}
+
 // WebSocket event types
 export interface SocketEvents {
   // Client to server
-  authenticate: (data: { role: string; userId: string; name: string }) => void;
+  authenticate: (data: { token: string }) => void;
   'subscribe-sensor': (sensorId: string) => void;
   'unsubscribe-sensor': (sensorId: string) => void;
   'subscribe-area': (bounds: { north: number; south: number; east: number; west: number }) => void;
-  'acknowledge-alert': (data: { alertId: string; acknowledgedBy: string }) => void;
+  'acknowledge-alert': (data: { alertId: string }) => void;
   'request-risk-assessment': (data: { sensorId: string; force?: boolean }) => void;
   ping: () => void;
 
   // Server to client
-  'authentication-success': (data: { message: string; role: string; serverTime: Date }) => void;
+  'authentication-success': (data: { message: string; role: UserRole; userId: string; name: string; serverTime: Date }) => void;
+  'authentication-error': (data: { message: string }) => void;
   'sensor-reading': (data: { sensorId: string; reading: SensorReading; sensor?: Sensor }) => void;
   'risk-update': (data: { sensorId: string; riskLevel: string; confidence: number; location: SensorLocation; timestamp: Date }) => void;
   'alert-trigger': (data: { alert: Alert; sensor: Sensor; sensorReading: SensorReading }) => void;
   'critical-alert': (data: { alert: Alert; sensor: Sensor; urgent: boolean }) => void;
+  'alert-updated': (data: AlertUpdate) => void;
+  'alert-suppression': (data: { action: 'created' | 'removed'; suppression: AlertSuppression }) => void;
   'alert-acknowledged': (data: { alertId: string; acknowledgedBy: string; acknowledgedAt: Date }) => void;
   'alert-resolved': (data: { alertId: string; resolvedBy: string; resolution: string; resolvedAt: Date }) => void;
-  'alert-escalated': (data: { alertId: string; escalationLevel: number; escalatedTo: string; priority: string }) => void;
-  'sensor-status': (data: { sensorId: string; status: string; previousStatus: string }) => void;
+  'alert-escalated': (data: { alertId: string; escalationLevel: number; escalatedTo: string; priority: string; channel?: string; targetRole?: UserRole | null; autoEscalated?: boolean }) => void;
+  'escalation-notice': (data: { alertId: string; escalationLevel: number; escalatedTo: string; priority: string; channel: string; targetRole: UserRole | null; alert: Alert }) => void;
+  'sensor-status': (data: { sensorId: string; status: string; previousStatus: string; healthStatus?: SensorHealthStatus['healthStatus']; issues?: string[]; changedBy?: string }) => void;
   'dashboard-data': (data: { activeAlerts: Alert[]; sensorStats: any; highRiskReadings: SensorReading[] }) => void;
   pong: (data: { serverTime: Date }) => void;
   error: (data: { message: string }) => void;
@@ -206,4 +473,5 @@ export interface SensorHealthStatus {
   lastReading?: Date;
   batteryLevel: number;
   status: string;
+  lastCheckedAt?: Date | null;
 }
\ No newline at end of file
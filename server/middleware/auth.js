@@ -0,0 +1,43 @@
+const { verifyAccessToken } = require('../services/authService');
+
+// Require a valid Bearer access token and attach the decoded user to req.user
+const authenticate = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const payload = verifyAccessToken(token);
+    req.user = {
+      id: payload.sub,
+      username: payload.username,
+      name: payload.name,
+      role: payload.role
+    };
+    next();
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token';
+    return res.status(401).json({ error: message });
+  }
+};
+
+// Restrict a route to the given roles (use after authenticate)
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      requiredRoles: roles
+    });
+  }
+
+  next();
+};
+
+module.exports = { authenticate, authorize };
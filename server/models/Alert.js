@@ -1,4 +1,28 @@
 const mongoose = require('mongoose');
+const AlertEvent = require('./AlertEvent');
+
+// Allowed status changes; RESOLVED/FALSE_POSITIVE go back to ACTIVE only through reopen()
+const STATUS_TRANSITIONS = {
+  ACTIVE: ['ACKNOWLEDGED'],
+  ACKNOWLEDGED: ['RESOLVED', 'FALSE_POSITIVE'],
+  RESOLVED: ['ACTIVE'],
+  FALSE_POSITIVE: ['ACTIVE']
+};
+const RESOLUTIONS = ['RESOLVED', 'FALSE_POSITIVE'];
+const OPEN_STATUSES = ['ACTIVE', 'ACKNOWLEDGED'];
+
+// Duplicate-key error from the one-open-alert-per-sensor-and-type index
+function isOpenAlertConflict(error) {
+  return error?.code === 11000 && Boolean(error.keyPattern?.sensorId && error.keyPattern?.alertType);
+}
+
+class AlertTransitionError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'AlertTransitionError';
+    this.status = status;
+  }
+}
 
 const alertSchema = new mongoose.Schema({
   alertId: {
@@ -11,10 +35,13 @@ const alertSchema = new mongoose.Schema({
     required: true,
     ref: 'Sensor'
   },
+  // Equipment failures (e.g. a silent sensor) are not tied to a reading
   sensorReadingId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'SensorReading',
-    required: true
+    required: function() {
+      return this.alertType !== 'EQUIPMENT_FAILURE';
+    }
   },
   riskLevel: {
     type: String,
@@ -32,6 +59,21 @@ const alertSchema = new mongoose.Schema({
     default: Date.now,
     required: true
   },
+  // Repeat detections of the same ongoing condition are folded into one alert
+  occurrenceCount: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSensorReadingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SensorReading',
+    default: null
+  },
   acknowledgedAt: {
     type: Date,
     default: null
@@ -115,18 +157,43 @@ const alertSchema = new mongoose.Schema({
   notifications: [{
     channel: {
       type: String,
-      enum: ['EMAIL', 'SMS', 'WEBSOCKET', 'DASHBOARD'],
+      enum: ['EMAIL', 'SMS', 'WEBSOCKET', 'DASHBOARD', 'WEBHOOK'],
       required: true
     },
     recipient: String,
+    reason: {
+      type: String,
+      enum: ['ALERT_CREATED', 'ESCALATION'],
+      default: 'ALERT_CREATED'
+    },
     sentAt: {
       type: Date,
       default: Date.now
     },
     status: {
       type: String,
-      enum: ['SENT', 'DELIVERED', 'FAILED'],
+      enum: ['PENDING', 'SENT', 'DELIVERED', 'FAILED'],
       default: 'SENT'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: null
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    providerId: {
+      type: String,
+      default: null
     }
   }],
   escalation: {
@@ -148,11 +215,26 @@ const alertSchema = new mongoose.Schema({
   metadata: {
     aiModelVersion: String,
     processingTime: Number, // milliseconds
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AlertRule',
+      default: null
+    },
+    ruleName: {
+      type: String,
+      default: null
+    },
+    healthIssues: [String],
     falsePositiveProbability: {
       type: Number,
       min: 0,
       max: 1,
       default: null
+    },
+    // Inverse-velocity projection behind a trend alert: { method, feature, failureTime, windowStart, windowEnd, hoursToFailure, r2 }
+    forecast: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
     }
   }
 }, {
@@ -165,48 +247,102 @@ alertSchema.index({ status: 1, riskLevel: 1 });
 alertSchema.index({ priority: 1, triggeredAt: -1 });
 alertSchema.index({ location: '2dsphere' });
 alertSchema.index({ alertId: 1 });
+alertSchema.index({ sensorId: 1, alertType: 1, status: 1 });
+// At most one open alert per sensor and alert type; repeat detections are folded into it
+alertSchema.index(
+  { sensorId: 1, alertType: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: OPEN_STATUSES } }, name: 'one_open_alert_per_sensor_type' }
+);
+alertSchema.index({ 'notifications.status': 1, 'notifications.nextAttemptAt': 1 });
 
-// TTL index for resolved alerts (keep for 1 year)
-alertSchema.index({ resolvedAt: 1 }, { expireAfterSeconds: 31536000, partialFilterExpression: { status: 'RESOLVED' } });
+// Closed alerts are archived to disk and removed by the retention policies (services/retentionService)
+alertSchema.index({ status: 1, resolvedAt: 1 });
 
 // Virtual for getting alert age in minutes
 alertSchema.virtual('ageInMinutes').get(function() {
   return Math.floor((new Date() - this.triggeredAt) / (1000 * 60));
 });
 
-// Virtual for checking if alert needs escalation
-alertSchema.virtual('needsEscalation').get(function() {
-  if (this.status !== 'ACTIVE') return false;
-  
-  const escalationThresholds = {
-    'HIGH': 5,     // 5 minutes for HIGH alerts
-    'CRITICAL': 2, // 2 minutes for CRITICAL alerts
-    'MEDIUM': 15,  // 15 minutes for MEDIUM alerts
-    'LOW': 30      // 30 minutes for LOW alerts
-  };
-  
-  const threshold = escalationThresholds[this.priority] || 30;
-  return this.ageInMinutes > threshold && this.escalation.level < 3;
-});
+// Reject a status change the lifecycle does not allow
+alertSchema.methods.assertTransition = function(toStatus, action) {
+  if (!(STATUS_TRANSITIONS[this.status] || []).includes(toStatus)) {
+    throw new AlertTransitionError(`Cannot ${action} alert ${this.alertId}: it is ${this.status}`);
+  }
+};
+
+// Save a lifecycle change only if the status is still what it was when loaded, then record the event
+alertSchema.methods.commitTransition = async function(fromStatus, event, actor, details = null) {
+  this.$where = { status: fromStatus };
+  try {
+    await this.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.DocumentNotFoundError) {
+      throw new AlertTransitionError(`Alert ${this.alertId} was changed by someone else; reload and try again`);
+    }
+    if (isOpenAlertConflict(error)) {
+      throw new AlertTransitionError(`Sensor ${this.sensorId} already has an open ${this.alertType} alert`);
+    }
+    throw error;
+  } finally {
+    this.$where = undefined;
+  }
+
+  await AlertEvent.record(this, event, actor, { fromStatus, toStatus: this.status, details });
+  return this;
+};
 
 // Instance method to acknowledge alert
-alertSchema.methods.acknowledge = function(acknowledgedBy) {
+alertSchema.methods.acknowledge = async function(acknowledgedBy) {
+  const fromStatus = this.status;
+  this.assertTransition('ACKNOWLEDGED', 'acknowledge');
+
   this.status = 'ACKNOWLEDGED';
   this.acknowledgedAt = new Date();
   this.acknowledgedBy = acknowledgedBy;
-  return this.save();
+  return this.commitTransition(fromStatus, 'ACKNOWLEDGED', acknowledgedBy);
 };
 
-// Instance method to resolve alert
-alertSchema.methods.resolve = function(resolvedBy, resolution = 'RESOLVED') {
+// Instance method to resolve alert (it must have been acknowledged)
+alertSchema.methods.resolve = async function(resolvedBy, resolution = 'RESOLVED', notes = null) {
+  if (!RESOLUTIONS.includes(resolution)) {
+    throw new AlertTransitionError(`Invalid resolution: ${resolution}`, 400);
+  }
+  const fromStatus = this.status;
+  this.assertTransition(resolution, 'resolve');
+
   this.status = resolution;
   this.resolvedAt = new Date();
   this.resolvedBy = resolvedBy;
-  return this.save();
+  return this.commitTransition(fromStatus, resolution, resolvedBy, notes ? { notes } : null);
+};
+
+// Instance method to reopen a resolved alert; the lifecycle starts again from ACTIVE
+alertSchema.methods.reopen = async function(reopenedBy, reason = null) {
+  const fromStatus = this.status;
+  this.assertTransition('ACTIVE', 'reopen');
+
+  const previous = {
+    resolvedAt: this.resolvedAt,
+    resolvedBy: this.resolvedBy,
+    acknowledgedAt: this.acknowledgedAt,
+    acknowledgedBy: this.acknowledgedBy
+  };
+  this.status = 'ACTIVE';
+  this.resolvedAt = null;
+  this.resolvedBy = null;
+  this.acknowledgedAt = null;
+  this.acknowledgedBy = null;
+  return this.commitTransition(fromStatus, 'REOPENED', reopenedBy, { reason, previous });
 };
 
-// Instance method to escalate alert
-alertSchema.methods.escalate = function(escalatedTo) {
+// Instance method to escalate alert (only while unacknowledged)
+alertSchema.methods.escalate = async function(escalatedTo, escalatedBy = null) {
+  if (this.status !== 'ACTIVE') {
+    throw new AlertTransitionError(`Cannot escalate alert ${this.alertId}: it is ${this.status}`);
+  }
+  const fromStatus = this.status;
+  const fromPriority = this.priority;
+
   this.escalation.level += 1;
   this.escalation.escalatedAt = new Date();
   this.escalation.escalatedTo = escalatedTo;
@@ -218,7 +354,11 @@ alertSchema.methods.escalate = function(escalatedTo) {
     this.priority = priorities[Math.min(currentIndex + 1, 3)];
   }
   
-  return this.save();
+  return this.commitTransition(fromStatus, 'ESCALATED', escalatedBy || 'system:escalation', {
+    level: this.escalation.level,
+    escalatedTo,
+    ...(this.priority !== fromPriority && { priority: { from: fromPriority, to: this.priority } })
+  });
 };
 
 // Static method to get active alerts by risk level
@@ -229,26 +369,13 @@ alertSchema.statics.getActiveByRiskLevel = function(riskLevel) {
   }).sort({ triggeredAt: -1 });
 };
 
-// Static method to get alerts needing escalation
-alertSchema.statics.getAlertsNeedingEscalation = function() {
-  const now = new Date();
-  const fiveMinutesAgo = new Date(now.getTime() - 5 * 60000);
-  const fifteenMinutesAgo = new Date(now.getTime() - 15 * 60000);
-  const thirtyMinutesAgo = new Date(now.getTime() - 30 * 60000);
-  
-  return this.find({
-    status: 'ACTIVE',
-    'escalation.level': { $lt: 3 },
-    $or: [
-      { priority: 'CRITICAL', triggeredAt: { $lte: new Date(now.getTime() - 2 * 60000) } },
-      { priority: 'HIGH', triggeredAt: { $lte: fiveMinutesAgo } },
-      { priority: 'MEDIUM', triggeredAt: { $lte: fifteenMinutesAgo } },
-      { priority: 'LOW', triggeredAt: { $lte: thirtyMinutesAgo } }
-    ]
-  });
-};
-
 // Ensure virtual fields are serialized
 alertSchema.set('toJSON', { virtuals: true });
 
-module.exports = mongoose.model('Alert', alertSchema);
\ No newline at end of file
+const Alert = mongoose.model('Alert', alertSchema);
+Alert.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+Alert.OPEN_STATUSES = OPEN_STATUSES;
+Alert.AlertTransitionError = AlertTransitionError;
+Alert.isOpenAlertConflict = isOpenAlertConflict;
+
+module.exports = Alert;
\ No newline at end of file
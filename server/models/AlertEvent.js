@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = ['CREATED', 'UPGRADED', 'ACKNOWLEDGED', 'ESCALATED', 'RESOLVED', 'FALSE_POSITIVE', 'REOPENED', 'ACTION'];
+
+// Append-only history of an alert's lifecycle; events are never updated or deleted
+const alertEventSchema = new mongoose.Schema({
+  alertId: {
+    type: String,
+    required: true,
+    ref: 'Alert'
+  },
+  event: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true
+  },
+  fromStatus: {
+    type: String,
+    default: null
+  },
+  toStatus: {
+    type: String,
+    default: null
+  },
+  // Username, or "system:<component>" for automatic changes
+  actor: {
+    type: String,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  // Event-specific data (escalation level and target, resolution notes, reopen reason, ...)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+});
+
+alertEventSchema.index({ alertId: 1, at: 1 });
+alertEventSchema.index({ actor: 1, at: -1 });
+
+// Reject edits to recorded events
+alertEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Alert events are append-only'));
+  }
+  next();
+});
+
+const blockChange = function(next) {
+  next(new Error('Alert events are append-only'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => alertEventSchema.pre(operation, blockChange));
+
+/**
+ * Record an event for an alert
+ * @param {Object} alert - Alert document (alertId is read from it)
+ * @param {string} event - One of EVENT_TYPES
+ * @param {string} actor - Who made the change
+ * @param {Object} fields - { fromStatus, toStatus, details, at }
+ * @returns {Promise<Object>} Saved event
+ */
+alertEventSchema.statics.record = function(alert, event, actor, fields = {}) {
+  return this.create({
+    alertId: alert.alertId,
+    event,
+    actor: actor || 'system',
+    ...fields
+  });
+};
+
+// Static method to get an alert's history, oldest first
+alertEventSchema.statics.getHistory = function(alertId) {
+  return this.find({ alertId }).sort({ at: 1, _id: 1 });
+};
+
+const AlertEvent = mongoose.model('AlertEvent', alertEventSchema);
+AlertEvent.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = AlertEvent;
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+const READING_FACTORS = ['Rainfall_mm', 'Slope_Angle', 'Soil_Saturation', 'Vegetation_Cover', 'Earthquake_Activity', 'Proximity_to_Water', 'Landslide'];
+const ALERT_TYPES = ['ROCKFALL_RISK', 'EQUIPMENT_FAILURE', 'WEATHER_WARNING', 'SEISMIC_EVENT'];
+const PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+const OPERATORS = ['GT', 'GTE', 'LT', 'LTE'];
+
+const conditionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['THRESHOLD', 'AI_RISK'],
+    required: true
+  },
+  // THRESHOLD: compare a reading factor against a fixed value or the sensor's alertThresholds
+  factor: {
+    type: String,
+    enum: READING_FACTORS
+  },
+  operator: {
+    type: String,
+    enum: OPERATORS,
+    default: 'GT'
+  },
+  threshold: {
+    type: Number,
+    default: null // null = use sensor.configuration.alertThresholds[factor]
+  },
+  // AI_RISK: match predictions at or above a risk level and confidence
+  minRiskLevel: {
+    type: String,
+    enum: RISK_LEVELS
+  },
+  minConfidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0
+  }
+}, { _id: false });
+
+// Each condition type needs its own fields
+conditionSchema.pre('validate', function(next) {
+  if (this.type === 'THRESHOLD' && !this.factor) {
+    this.invalidate('factor', 'THRESHOLD conditions need a factor');
+  }
+  if (this.type === 'AI_RISK' && !this.minRiskLevel) {
+    this.invalidate('minRiskLevel', 'AI_RISK conditions need a minRiskLevel');
+  }
+  next();
+});
+
+const alertRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  conditions: {
+    type: [conditionSchema],
+    validate: {
+      validator: (conditions) => conditions.length > 0,
+      message: 'A rule needs at least one condition'
+    }
+  },
+  combinator: {
+    type: String,
+    enum: ['AND', 'OR'],
+    default: 'AND'
+  },
+  // Number of consecutive readings from the same sensor that must match
+  consecutiveReadings: {
+    type: Number,
+    min: 1,
+    max: 20,
+    default: 1
+  },
+  // Empty lists apply the rule to every sensor
+  appliesTo: {
+    sensorIds: [{ type: String, uppercase: true, trim: true }],
+    sensorTypes: [{ type: String, enum: ['GEOLOGICAL', 'WEATHER', 'SEISMIC', 'COMBINED'] }],
+    zones: [{ type: String, trim: true }]
+  },
+  alertType: {
+    type: String,
+    enum: ALERT_TYPES,
+    required: true
+  },
+  priority: {
+    type: String,
+    enum: PRIORITIES,
+    required: true
+  },
+  riskLevel: {
+    type: String,
+    enum: RISK_LEVELS,
+    default: 'HIGH'
+  },
+  // Minutes to suppress this sensor/alert type after its alert is resolved (null = server default)
+  cooldownMinutes: {
+    type: Number,
+    min: 0,
+    max: 1440,
+    default: null
+  },
+  affectedArea: {
+    radius: {
+      type: Number, // meters
+      default: 200
+    },
+    riskZone: {
+      type: String,
+      enum: ['IMMEDIATE', 'NEARBY', 'EXTENDED'],
+      default: 'IMMEDIATE'
+    }
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+alertRuleSchema.index({ isActive: 1 });
+
+// Instance method to check whether the rule applies to a sensor
+alertRuleSchema.methods.appliesToSensor = function(sensor) {
+  const { sensorIds = [], sensorTypes = [], zones = [] } = this.appliesTo || {};
+  return (sensorIds.length === 0 || sensorIds.includes(sensor.sensorId)) &&
+         (sensorTypes.length === 0 || sensorTypes.includes(sensor.sensorType)) &&
+         (zones.length === 0 || zones.includes(sensor.mineGrid?.zone));
+};
+
+const AlertRule = mongoose.model('AlertRule', alertRuleSchema);
+AlertRule.READING_FACTORS = READING_FACTORS;
+AlertRule.ALERT_TYPES = ALERT_TYPES;
+AlertRule.PRIORITIES = PRIORITIES;
+AlertRule.RISK_LEVELS = RISK_LEVELS;
+AlertRule.OPERATORS = OPERATORS;
+
+module.exports = AlertRule;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const alertSuppressionSchema = new mongoose.Schema({
+  sensorId: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    ref: 'Sensor'
+  },
+  // null suppresses every alert type for the sensor
+  alertType: {
+    type: String,
+    enum: ['ROCKFALL_RISK', 'EQUIPMENT_FAILURE', 'WEATHER_WARNING', 'SEISMIC_EVENT', null],
+    default: null
+  },
+  kind: {
+    type: String,
+    enum: ['SNOOZE', 'COOLDOWN'],
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdBy: {
+    type: String,
+    default: null // null for system cooldowns
+  },
+  // Alert whose resolution started a cooldown
+  alertId: {
+    type: String,
+    default: null
+  },
+  suppressedCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+alertSuppressionSchema.index({ sensorId: 1, expiresAt: -1 });
+
+// TTL index removes suppressions once they expire
+alertSuppressionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for remaining suppression time in minutes
+alertSuppressionSchema.virtual('remainingMinutes').get(function() {
+  return Math.max(0, Math.ceil((this.expiresAt - new Date()) / (1000 * 60)));
+});
+
+// Static method to find the suppression currently covering a sensor and alert type
+alertSuppressionSchema.statics.findActive = function(sensorId, alertType, now = new Date()) {
+  return this.findOne({
+    sensorId,
+    alertType: { $in: [alertType, null] },
+    startsAt: { $lte: now },
+    expiresAt: { $gt: now }
+  }).sort({ expiresAt: -1 });
+};
+
+// Ensure virtual fields are serialized
+alertSuppressionSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('AlertSuppression', alertSuppressionSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const RetentionPolicy = require('./RetentionPolicy');
+
+// One gzipped NDJSON archive file: a sensor's documents from one month of one dataset
+const archiveCatalogSchema = new mongoose.Schema({
+  // "<dataset>.<sensorId>.<YYYY-MM>", with "-<part>" for documents archived after the month's first file
+  archiveId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  dataset: {
+    type: String,
+    enum: RetentionPolicy.DATASETS,
+    required: true
+  },
+  sensorId: {
+    type: String,
+    required: true
+  },
+  mineId: {
+    type: String,
+    default: null
+  },
+  period: {
+    type: String, // YYYY-MM (UTC)
+    required: true
+  },
+  part: {
+    type: Number,
+    default: 1
+  },
+  // Path relative to ARCHIVE_DIR
+  file: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    required: true
+  },
+  sizeBytes: Number,
+  sha256: String,
+  // Timestamps of the first and last document (readings: timestamp, alerts: triggeredAt)
+  from: Date,
+  to: Date,
+  archivedBy: {
+    type: String,
+    default: 'system:retention'
+  },
+  restore: {
+    restoredAt: { type: Date, default: null },
+    restoredBy: { type: String, default: null },
+    count: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+archiveCatalogSchema.index({ dataset: 1, sensorId: 1, period: 1, part: 1 });
+archiveCatalogSchema.index({ mineId: 1, period: 1 });
+
+module.exports = mongoose.model('ArchiveCatalog', archiveCatalogSchema);
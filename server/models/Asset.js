@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const ASSET_TYPES = ['HAUL_TRUCK', 'SHOVEL', 'DRILL', 'DOZER', 'LIGHT_VEHICLE', 'CREW', 'PERSON', 'OTHER'];
+
+const assetSchema = new mongoose.Schema({
+  assetId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  assetType: {
+    type: String,
+    enum: ASSET_TYPES,
+    required: true
+  },
+  // Crew size for CREW assets, 1 otherwise
+  headcount: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  // Unset until the first position update (no default type, or the 2dsphere index rejects it)
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
+    }
+  },
+  lastPositionAt: {
+    type: Date,
+    default: null
+  },
+  speed: {
+    type: Number, // km/h
+    default: null
+  },
+  heading: {
+    type: Number, // degrees from north
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'INACTIVE'],
+    default: 'ACTIVE'
+  },
+  // HIGH-risk alert areas the asset is currently inside
+  hazard: {
+    alertIds: [String],
+    since: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+assetSchema.index({ location: '2dsphere' });
+assetSchema.index({ assetType: 1, status: 1 });
+assetSchema.index({ 'hazard.alertIds': 1 });
+
+// Virtual for whether the asset is inside a hazard area
+assetSchema.virtual('inHazard').get(function() {
+  return (this.hazard?.alertIds || []).length > 0;
+});
+
+// Ensure virtual fields are serialized
+assetSchema.set('toJSON', { virtuals: true });
+
+const Asset = mongoose.model('Asset', assetSchema);
+Asset.ASSET_TYPES = ASSET_TYPES;
+
+module.exports = Asset;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const assetPositionSchema = new mongoose.Schema({
+  assetId: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    ref: 'Asset'
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  speed: Number,
+  heading: Number,
+  source: {
+    type: String,
+    enum: ['REST', 'SOCKET'],
+    default: 'REST'
+  },
+  // HIGH-risk alert areas the asset was inside at this position
+  hazardAlertIds: [String]
+});
+
+assetPositionSchema.index({ assetId: 1, timestamp: -1 });
+
+// TTL index for automatic cleanup (keep position history for 90 days)
+assetPositionSchema.index({ timestamp: 1 }, { expireAfterSeconds: 7776000 });
+
+module.exports = mongoose.model('AssetPosition', assetPositionSchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const User = require('./User');
+
+const PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const CHANNELS = ['EMAIL', 'SMS', 'WEBSOCKET', 'DASHBOARD'];
+const MAX_ESCALATION_LEVEL = 3; // Matches Alert.escalation.level max
+
+// Built-in first-response timeouts (minutes) used when a zone has no policy
+const DEFAULT_TIMEOUTS = {
+  CRITICAL: 2,
+  HIGH: 5,
+  MEDIUM: 15,
+  LOW: 30
+};
+
+const escalationLevelSchema = new mongoose.Schema({
+  timeoutMinutes: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Optional per-priority override of timeoutMinutes
+  timeoutByPriority: {
+    CRITICAL: { type: Number, min: 1 },
+    HIGH: { type: Number, min: 1 },
+    MEDIUM: { type: Number, min: 1 },
+    LOW: { type: Number, min: 1 }
+  },
+  targetRole: {
+    type: String,
+    enum: User.ROLES
+  },
+  contact: {
+    name: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    phone: { type: String, trim: true }
+  },
+  channel: {
+    type: String,
+    enum: CHANNELS,
+    default: 'WEBSOCKET'
+  }
+}, { _id: false });
+
+// Every level must reach someone: a role's users or a named contact
+escalationLevelSchema.pre('validate', function(next) {
+  if (!this.targetRole && !this.contact?.name) {
+    this.invalidate('targetRole', 'Each escalation level needs a targetRole or a named contact');
+  }
+  next();
+});
+
+const escalationPolicySchema = new mongoose.Schema({
+  zone: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  levels: {
+    type: [escalationLevelSchema],
+    validate: {
+      validator: (levels) => levels.length >= 1 && levels.length <= MAX_ESCALATION_LEVEL,
+      message: `A policy must define between 1 and ${MAX_ESCALATION_LEVEL} escalation levels`
+    }
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to get the timeout (minutes) for a level and alert priority
+escalationPolicySchema.methods.getTimeout = function(levelIndex, priority) {
+  const level = this.levels[levelIndex];
+  if (!level) return null;
+  return level.timeoutByPriority?.[priority] || level.timeoutMinutes;
+};
+
+// Static method to build the built-in policy used when neither the zone nor DEFAULT has one
+escalationPolicySchema.statics.buildDefault = function(zone) {
+  return new this({
+    zone,
+    name: 'Built-in escalation policy',
+    levels: [
+      { timeoutMinutes: DEFAULT_TIMEOUTS.LOW, timeoutByPriority: DEFAULT_TIMEOUTS, targetRole: 'supervisor' },
+      { timeoutMinutes: DEFAULT_TIMEOUTS.LOW, timeoutByPriority: DEFAULT_TIMEOUTS, targetRole: 'supervisor' },
+      { timeoutMinutes: DEFAULT_TIMEOUTS.LOW, timeoutByPriority: DEFAULT_TIMEOUTS, targetRole: 'admin' }
+    ]
+  });
+};
+
+// Static method to resolve the policy for a zone: zone policy, then DEFAULT policy, then built-in
+escalationPolicySchema.statics.getForZone = async function(zone) {
+  const policies = await this.find({
+    zone: { $in: [zone, 'DEFAULT'] },
+    isActive: true
+  });
+
+  return policies.find(p => p.zone === zone) ||
+         policies.find(p => p.zone === 'DEFAULT') ||
+         this.buildDefault(zone);
+};
+
+const EscalationPolicy = mongoose.model('EscalationPolicy', escalationPolicySchema);
+EscalationPolicy.PRIORITIES = PRIORITIES;
+EscalationPolicy.CHANNELS = CHANNELS;
+EscalationPolicy.MAX_ESCALATION_LEVEL = MAX_ESCALATION_LEVEL;
+
+module.exports = EscalationPolicy;
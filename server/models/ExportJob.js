@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const EXPORT_DATASETS = ['readings', 'alerts'];
+const EXPORT_FORMATS = ['csv', 'ndjson', 'parquet'];
+const JOB_STATUSES = ['QUEUED', 'RUNNING', 'COMPLETED', 'FAILED'];
+
+// A bulk export run in the background; the result file is removed when the job expires
+const exportJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  dataset: {
+    type: String,
+    enum: EXPORT_DATASETS,
+    required: true
+  },
+  format: {
+    type: String,
+    enum: EXPORT_FORMATS,
+    required: true
+  },
+  // Validated export filters: { sensorId, zone, startDate, endDate, riskLevel }
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'QUEUED'
+  },
+  // Matching documents when the job started, and rows written so far
+  totalRows: {
+    type: Number,
+    default: null
+  },
+  rowCount: {
+    type: Number,
+    default: 0
+  },
+  // Path relative to EXPORT_DIR
+  file: {
+    type: String,
+    default: null
+  },
+  sizeBytes: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  requestedBy: {
+    type: String,
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+exportJobSchema.index({ status: 1, createdAt: 1 });
+exportJobSchema.index({ requestedBy: 1, createdAt: -1 });
+exportJobSchema.index({ expiresAt: 1 });
+
+const ExportJob = mongoose.model('ExportJob', exportJobSchema);
+ExportJob.DATASETS = EXPORT_DATASETS;
+ExportJob.FORMATS = EXPORT_FORMATS;
+ExportJob.STATUSES = JOB_STATUSES;
+
+module.exports = ExportJob;
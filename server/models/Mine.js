@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const mineSchema = new mongoose.Schema({
+  mineId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  state: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+  // Lease/operating boundary
+  boundary: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      required: true
+    },
+    coordinates: {
+      type: Array,
+      required: true
+    }
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'INACTIVE'],
+    default: 'ACTIVE'
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+mineSchema.index({ location: '2dsphere' });
+mineSchema.index({ boundary: '2dsphere' });
+
+// Virtual for getting latitude/longitude in separate fields
+mineSchema.virtual('lat').get(function() {
+  return this.location.coordinates[1];
+});
+
+mineSchema.virtual('lng').get(function() {
+  return this.location.coordinates[0];
+});
+
+// Ensure virtual fields are serialized
+mineSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Mine', mineSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const MODEL_TYPES = ['http', 'rules'];
+// CHAMPION serves predictions, CHALLENGER runs in shadow; at most one of each
+const MODEL_ROLES = ['CHAMPION', 'CHALLENGER', 'AVAILABLE', 'RETIRED'];
+
+// Registered prediction model: an AI service endpoint or a local rule-engine configuration
+const modelVersionSchema = new mongoose.Schema({
+  modelId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  type: {
+    type: String,
+    enum: MODEL_TYPES,
+    required: true
+  },
+  // Base URL of an http model (POST /predict, GET /model/info)
+  endpoint: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Version reported by the model; for http models refreshed from /model/info
+  version: {
+    type: String,
+    default: null
+  },
+  // Weights and thresholds of a rules model (see the local rule engine)
+  config: {
+    weights: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    thresholds: { type: mongoose.Schema.Types.Mixed, default: undefined }
+  },
+  role: {
+    type: String,
+    enum: MODEL_ROLES,
+    default: 'AVAILABLE'
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Last /model/info response and reachability check
+  info: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  lastCheckedAt: {
+    type: Date,
+    default: null
+  },
+  reachable: {
+    type: Boolean,
+    default: null
+  },
+  registeredBy: {
+    type: String,
+    default: 'system'
+  },
+  // Role changes, newest last
+  roleHistory: [{
+    role: String,
+    changedBy: String,
+    changedAt: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+modelVersionSchema.index({ role: 1 });
+
+const ModelVersion = mongoose.model('ModelVersion', modelVersionSchema);
+ModelVersion.MODEL_TYPES = MODEL_TYPES;
+ModelVersion.MODEL_ROLES = MODEL_ROLES;
+
+module.exports = ModelVersion;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const GRANULARITIES = ['minute', 'hour', 'day'];
+const ROLLUP_FEATURES = ['Rainfall_mm', 'Slope_Angle', 'Soil_Saturation', 'Vegetation_Cover', 'Earthquake_Activity', 'Proximity_to_Water', 'Landslide'];
+
+// Sums rather than averages so readings can be added with $inc
+const featureStatsSchema = new mongoose.Schema({
+  min: Number,
+  max: Number,
+  sum: Number
+}, { _id: false });
+
+const readingRollupSchema = new mongoose.Schema({
+  sensorId: {
+    type: String,
+    required: true
+  },
+  granularity: {
+    type: String,
+    enum: GRANULARITIES,
+    required: true
+  },
+  // Start of the UTC minute, hour or day the bucket covers
+  bucketStart: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  features: Object.fromEntries(ROLLUP_FEATURES.map(feature => [feature, featureStatsSchema])),
+  riskLevels: {
+    LOW: { type: Number, default: 0 },
+    MEDIUM: { type: Number, default: 0 },
+    HIGH: { type: Number, default: 0 }
+  },
+  confidenceSum: {
+    type: Number,
+    default: 0
+  },
+  flaggedCount: {
+    type: Number,
+    default: 0
+  },
+  firstReading: Date,
+  lastReading: Date
+}, {
+  timestamps: true
+});
+
+readingRollupSchema.index({ granularity: 1, sensorId: 1, bucketStart: 1 }, { unique: true });
+readingRollupSchema.index({ granularity: 1, bucketStart: 1 });
+
+// Minute buckets only serve recent queries; hourly and daily buckets are kept
+readingRollupSchema.index({ bucketStart: 1 }, {
+  expireAfterSeconds: 14 * 24 * 60 * 60, // 14 days
+  partialFilterExpression: { granularity: 'minute' }
+});
+
+const ReadingRollup = mongoose.model('ReadingRollup', readingRollupSchema);
+
+ReadingRollup.GRANULARITIES = GRANULARITIES;
+ReadingRollup.FEATURES = ROLLUP_FEATURES;
+
+module.exports = ReadingRollup;
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+/**
+ * Collections archives are restored into, one per dataset
+ * Documents keep their original fields and _id, plus restoredFrom (the archiveId). They are kept apart
+ * from the live collections so restored history is not re-archived or mixed into live dashboards.
+ */
+function restoredModel(name, collection, timeField) {
+  const schema = new mongoose.Schema({
+    restoredFrom: {
+      type: String,
+      required: true
+    }
+  }, {
+    strict: false,
+    collection
+  });
+
+  schema.index({ restoredFrom: 1 });
+  schema.index({ sensorId: 1, [timeField]: -1 });
+
+  return mongoose.model(name, schema);
+}
+
+module.exports = {
+  sensorReadings: restoredModel('RestoredSensorReading', 'restored_sensorreadings', 'timestamp'),
+  alerts: restoredModel('RestoredAlert', 'restored_alerts', 'triggeredAt')
+};
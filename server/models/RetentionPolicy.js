@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Collections under retention: raw sensor readings, and closed (RESOLVED / FALSE_POSITIVE) alerts
+const DATASETS = ['sensorReadings', 'alerts'];
+
+// How long data stays in MongoDB before it is archived to disk and removed
+const retentionPolicySchema = new mongoose.Schema({
+  dataset: {
+    type: String,
+    enum: DATASETS,
+    required: true
+  },
+  // null is the default policy; a mine's policy overrides it for that mine's sensors
+  mineId: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null,
+    ref: 'Mine'
+  },
+  archiveAfterDays: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // A disabled policy keeps the data in MongoDB indefinitely
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  updatedBy: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: true
+});
+
+retentionPolicySchema.index({ dataset: 1, mineId: 1 }, { unique: true });
+
+const RetentionPolicy = mongoose.model('RetentionPolicy', retentionPolicySchema);
+RetentionPolicy.DATASETS = DATASETS;
+
+module.exports = RetentionPolicy;
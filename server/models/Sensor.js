@@ -35,7 +35,7 @@ const sensorSchema = new mongoose.Schema({
   mineGrid: {
     x: { type: Number, required: true },
     y: { type: Number, required: true },
-    zone: { type: String, required: true }
+    zone: { type: String, required: true, uppercase: true, trim: true } // Zone.zoneId
   },
   sensorType: {
     type: String,
@@ -76,6 +76,24 @@ const sensorSchema = new mongoose.Schema({
     min: 0,
     max: 100,
     default: 100
+  },
+  // Latest result of the background health monitor
+  health: {
+    status: {
+      type: String,
+      enum: ['HEALTHY', 'WARNING', 'CRITICAL'],
+      default: 'HEALTHY'
+    },
+    issues: [String],
+    checkedAt: {
+      type: Date,
+      default: null
+    },
+    // Set when the monitor (not an operator) moved the sensor to ERROR, so only it restores ACTIVE
+    errorSetByMonitor: {
+      type: Boolean,
+      default: false
+    }
   }
 }, {
   timestamps: true
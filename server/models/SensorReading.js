@@ -102,13 +102,28 @@ const sensorReadingSchema = new mongoose.Schema({
       default: 1
     },
     anomalies: [{
-      type: String,
+      // Wrapped so Mongoose reads `type` as a field, not as the element type
+      type: {
+        type: String,
+        enum: ['SPIKE', 'STUCK_VALUE', 'IMPOSSIBLE_JUMP', 'SOIL_TYPE_CONTRADICTION']
+      },
       field: String,
       severity: {
         type: String,
         enum: ['LOW', 'MEDIUM', 'HIGH']
-      }
-    }]
+      },
+      value: {
+        type: Number,
+        default: null
+      },
+      message: String,
+      _id: false
+    }],
+    // Set when any anomaly is HIGH; flagged readings cannot raise rockfall alerts on their own
+    flagged: {
+      type: Boolean,
+      default: false
+    }
   },
   metadata: {
     source: {
@@ -130,12 +145,12 @@ const sensorReadingSchema = new mongoose.Schema({
 });
 
 // Indexes for efficient queries
-sensorReadingSchema.index({ sensorId: 1, timestamp: -1 });
+// One reading per sensor and timestamp, so a retried or redelivered reading is never stored twice
+sensorReadingSchema.index({ sensorId: 1, timestamp: 1 }, { unique: true });
 sensorReadingSchema.index({ 'riskPrediction.level': 1, timestamp: -1 });
 sensorReadingSchema.index({ timestamp: -1 });
 
-// TTL index for automatic data cleanup (keep data for 6 months)
-sensorReadingSchema.index({ timestamp: 1 }, { expireAfterSeconds: 15552000 }); // 6 months
+// No TTL index: old readings are archived to disk and removed by the retention policies (services/retentionService)
 
 // Virtual for getting risk level as number for sorting
 sensorReadingSchema.virtual('riskLevelNumber').get(function() {
@@ -155,6 +170,15 @@ sensorReadingSchema.statics.getLatestForSensor = function(sensorId) {
   return this.findOne({ sensorId }).sort({ timestamp: -1 });
 };
 
+// Static method to get the latest reading's prediction for each of several sensors
+sensorReadingSchema.statics.getLatestForSensors = function(sensorIds) {
+  return this.aggregate([
+    { $match: { sensorId: { $in: sensorIds } } },
+    { $sort: { timestamp: -1 } },
+    { $group: { _id: '$sensorId', riskPrediction: { $first: '$riskPrediction' }, timestamp: { $first: '$timestamp' } } }
+  ]);
+};
+
 // Static method to get readings in time range
 sensorReadingSchema.statics.getReadingsInRange = function(sensorId, startTime, endTime) {
   return this.find({
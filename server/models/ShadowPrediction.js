@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const predictionSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    enum: ['LOW', 'MEDIUM', 'HIGH', null],
+    default: null
+  },
+  confidence: {
+    type: Number,
+    default: null
+  },
+  factors: [String],
+  latencyMs: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+// Champion and challenger predictions for the same reading; the challenger never affects alerts
+const shadowPredictionSchema = new mongoose.Schema({
+  sensorReadingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SensorReading',
+    required: true
+  },
+  sensorId: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  // aiModelVersion of the prediction stored on the reading (e.g. "remote:1.0")
+  championModel: {
+    type: String,
+    required: true
+  },
+  champion: predictionSchema,
+  challengerModelId: {
+    type: String,
+    required: true
+  },
+  challengerModel: {
+    type: String,
+    default: null
+  },
+  challenger: predictionSchema,
+  // Set when the challenger failed; such rows count as errors, not disagreements
+  challengerError: {
+    type: String,
+    default: null
+  },
+  agreed: {
+    type: Boolean,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+shadowPredictionSchema.index({ challengerModelId: 1, timestamp: -1 });
+shadowPredictionSchema.index({ sensorReadingId: 1 });
+
+// TTL index: shadow results are only needed while a challenger is evaluated (90 days)
+shadowPredictionSchema.index({ timestamp: 1 }, { expireAfterSeconds: 7776000 });
+
+module.exports = mongoose.model('ShadowPrediction', shadowPredictionSchema);
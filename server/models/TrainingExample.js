@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const LABELS = ['HAZARD', 'FALSE_POSITIVE'];
+
+// Operator-labelled outcome of an alert, kept as a training example for the risk model
+const trainingExampleSchema = new mongoose.Schema({
+  // One example per alert; relabelling after a reopen replaces it
+  alertId: {
+    type: String,
+    required: true,
+    unique: true,
+    ref: 'Alert'
+  },
+  sensorReadingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SensorReading',
+    required: true
+  },
+  sensorId: {
+    type: String,
+    required: true,
+    uppercase: true,
+    ref: 'Sensor'
+  },
+  alertType: {
+    type: String,
+    required: true
+  },
+  // HAZARD when the alert was resolved as real, FALSE_POSITIVE otherwise
+  label: {
+    type: String,
+    enum: LABELS,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  labeledBy: {
+    type: String,
+    required: true
+  },
+  labeledAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Copy of the reading's features, so examples outlive the readings' retention period
+  readingTimestamp: {
+    type: Date,
+    required: true
+  },
+  readings: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // What the model said about the reading
+  prediction: {
+    level: String,
+    confidence: Number,
+    factors: [String],
+    falsePositiveProbability: {
+      type: Number,
+      default: null
+    }
+  },
+  aiModelVersion: {
+    type: String,
+    default: 'unknown'
+  }
+}, {
+  timestamps: true
+});
+
+trainingExampleSchema.index({ aiModelVersion: 1, labeledAt: -1 });
+trainingExampleSchema.index({ label: 1, labeledAt: -1 });
+
+const TrainingExample = mongoose.model('TrainingExample', trainingExampleSchema);
+TrainingExample.LABELS = LABELS;
+
+module.exports = TrainingExample;
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const USER_ROLES = ['operator', 'supervisor', 'admin'];
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    minlength: 3,
+    maxlength: 50
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: 8,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: 'operator'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLogin: {
+    type: Date,
+    default: null
+  },
+  // Incremented on logout / password change to invalidate outstanding refresh tokens
+  tokenVersion: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+userSchema.index({ role: 1, isActive: 1 });
+
+// Hash password before saving
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    this.password = await bcrypt.hash(this.password, 12);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Instance method to compare a candidate password with the stored hash
+userSchema.methods.comparePassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Never serialize password hash or token version
+userSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.tokenVersion;
+    return ret;
+  }
+});
+
+const User = mongoose.model('User', userSchema);
+User.ROLES = USER_ROLES;
+
+module.exports = User;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const zoneSchema = new mongoose.Schema({
+  // Referenced by Sensor.mineGrid.zone and EscalationPolicy.zone
+  zoneId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mineId: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    ref: 'Mine'
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  boundary: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      required: true
+    },
+    coordinates: {
+      type: Array,
+      required: true
+    }
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+zoneSchema.index({ mineId: 1 });
+zoneSchema.index({ boundary: '2dsphere' });
+
+// Static method to find the zone containing a point
+zoneSchema.statics.findContaining = function(lng, lat) {
+  return this.findOne({
+    boundary: {
+      $geoIntersects: {
+        $geometry: { type: 'Point', coordinates: [lng, lat] }
+      }
+    }
+  });
+};
+
+module.exports = mongoose.model('Zone', zoneSchema);
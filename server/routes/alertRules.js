@@ -0,0 +1,253 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Joi = require('joi');
+const AlertRule = require('../models/AlertRule');
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const { authorize } = require('../middleware/auth');
+const alertRuleEngine = require('../services/alertRuleEngine');
+
+// Validation schema for alert rules
+const conditionValidationSchema = Joi.object({
+  type: Joi.string().valid('THRESHOLD', 'AI_RISK').required(),
+  factor: Joi.string().valid(...AlertRule.READING_FACTORS).when('type', { is: 'THRESHOLD', then: Joi.required() }),
+  operator: Joi.string().valid(...AlertRule.OPERATORS).default('GT'),
+  threshold: Joi.number().allow(null),
+  minRiskLevel: Joi.string().valid(...AlertRule.RISK_LEVELS).when('type', { is: 'AI_RISK', then: Joi.required() }),
+  minConfidence: Joi.number().min(0).max(1).default(0)
+});
+
+const ruleValidationSchema = Joi.object({
+  name: Joi.string().required().trim().max(100),
+  description: Joi.string().trim().max(500).allow(''),
+  isActive: Joi.boolean().default(true),
+  conditions: Joi.array().items(conditionValidationSchema).min(1).max(10).required(),
+  combinator: Joi.string().valid('AND', 'OR').default('AND'),
+  consecutiveReadings: Joi.number().integer().min(1).max(20).default(1),
+  appliesTo: Joi.object({
+    sensorIds: Joi.array().items(Joi.string().trim().uppercase()).default([]),
+    sensorTypes: Joi.array().items(Joi.string().valid('GEOLOGICAL', 'WEATHER', 'SEISMIC', 'COMBINED')).default([]),
+    zones: Joi.array().items(Joi.string().trim()).default([])
+  }).optional(),
+  alertType: Joi.string().valid(...AlertRule.ALERT_TYPES).required(),
+  priority: Joi.string().valid(...AlertRule.PRIORITIES).required(),
+  riskLevel: Joi.string().valid(...AlertRule.RISK_LEVELS).default('HIGH'),
+  cooldownMinutes: Joi.number().integer().min(0).max(1440).allow(null),
+  affectedArea: Joi.object({
+    radius: Joi.number().min(1).max(10000),
+    riskZone: Joi.string().valid('IMMEDIATE', 'NEARBY', 'EXTENDED')
+  }).optional()
+});
+
+// GET /api/alert-rules - List alert rules
+router.get('/', async (req, res) => {
+  try {
+    const { isActive, alertType } = req.query;
+
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (alertType) filter.alertType = alertType;
+
+    const rules = await AlertRule.find(filter).sort({ alertType: 1, name: 1 });
+
+    res.json({ rules });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch alert rules', details: error.message });
+  }
+});
+
+// GET /api/alert-rules/:ruleId - Get specific alert rule
+router.get('/:ruleId', async (req, res) => {
+  try {
+    // A malformed id cannot match a rule (and would fail the lookup with a CastError)
+    if (!mongoose.isValidObjectId(req.params.ruleId)) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    const rule = await AlertRule.findById(req.params.ruleId);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    res.json({ rule });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch alert rule', details: error.message });
+  }
+});
+
+// POST /api/alert-rules - Create alert rule
+router.post('/', authorize('admin'), async (req, res) => {
+  try {
+    const { error, value } = ruleValidationSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const existingRule = await AlertRule.findOne({ name: value.name });
+    if (existingRule) {
+      return res.status(409).json({ error: 'An alert rule with this name already exists' });
+    }
+
+    const rule = new AlertRule({ ...value, updatedBy: req.user.username });
+    await rule.save();
+    alertRuleEngine.invalidateRuleCache();
+
+    res.status(201).json({
+      message: 'Alert rule created successfully',
+      rule
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create alert rule', details: error.message });
+  }
+});
+
+// PUT /api/alert-rules/:ruleId - Replace alert rule
+router.put('/:ruleId', authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.ruleId)) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    const { error, value } = ruleValidationSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const rule = await AlertRule.findByIdAndUpdate(
+      req.params.ruleId,
+      { ...value, updatedBy: req.user.username },
+      { new: true, runValidators: true }
+    );
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    alertRuleEngine.invalidateRuleCache();
+
+    res.json({
+      message: 'Alert rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update alert rule', details: error.message });
+  }
+});
+
+// PATCH /api/alert-rules/:ruleId/status - Enable or disable alert rule
+router.patch('/:ruleId/status', authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.ruleId)) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({ error: 'isActive must be a boolean' });
+    }
+
+    const rule = await AlertRule.findByIdAndUpdate(
+      req.params.ruleId,
+      { isActive, updatedBy: req.user.username },
+      { new: true }
+    );
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    alertRuleEngine.invalidateRuleCache();
+
+    res.json({
+      message: `Alert rule ${isActive ? 'enabled' : 'disabled'}`,
+      rule
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update alert rule status', details: error.message });
+  }
+});
+
+// DELETE /api/alert-rules/:ruleId - Delete alert rule
+router.delete('/:ruleId', authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.ruleId)) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    const rule = await AlertRule.findByIdAndDelete(req.params.ruleId);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    alertRuleEngine.invalidateRuleCache();
+
+    res.json({
+      message: 'Alert rule deleted successfully',
+      deletedRule: rule
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete alert rule', details: error.message });
+  }
+});
+
+// POST /api/alert-rules/:ruleId/test - Evaluate a rule against a sensor's latest readings without creating alerts
+router.post('/:ruleId/test', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.ruleId)) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    const { sensorId } = req.body;
+
+    if (!sensorId) {
+      return res.status(400).json({ error: 'sensorId is required' });
+    }
+
+    const rule = await AlertRule.findById(req.params.ruleId);
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    const sensor = await Sensor.findOne({ sensorId: sensorId.toUpperCase() });
+    if (!sensor) {
+      return res.status(404).json({ error: 'Sensor not found' });
+    }
+
+    const [latest, ...history] = await SensorReading.find({ sensorId: sensor.sensorId })
+      .sort({ timestamp: -1 })
+      .limit(rule.consecutiveReadings || 1)
+      .lean();
+
+    if (!latest) {
+      return res.status(404).json({ error: 'No readings found for this sensor' });
+    }
+
+    const result = alertRuleEngine.evaluateRule(rule, sensor, latest, history);
+
+    res.json({
+      ruleId: rule._id,
+      sensorId: sensor.sensorId,
+      appliesToSensor: rule.appliesToSensor(sensor),
+      readingId: latest._id,
+      readingTimestamp: latest.timestamp,
+      matched: result.matched,
+      triggerFactors: result.triggerFactors
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to test alert rule', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,32 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Joi = require('joi');
 const Alert = require('../models/Alert');
+const AlertEvent = require('../models/AlertEvent');
 const Sensor = require('../models/Sensor');
 const SensorReading = require('../models/SensorReading');
+const AlertSuppression = require('../models/AlertSuppression');
+const { authorize } = require('../middleware/auth');
+const escalationService = require('../services/escalationService');
+const alertService = require('../services/alertService');
+const evacuationService = require('../services/evacuationService');
+const assetTracking = require('../services/assetTracking');
+const incidentReport = require('../services/incidentReport');
+const trainingFeedback = require('../services/trainingFeedback');
+
+// Validation schema for manual suppressions (snooze)
+const suppressionValidationSchema = Joi.object({
+  sensorId: Joi.string().required().trim().uppercase(),
+  alertType: Joi.string().valid('ROCKFALL_RISK', 'EQUIPMENT_FAILURE', 'WEATHER_WARNING', 'SEISMIC_EVENT').allow(null).default(null),
+  durationMinutes: Joi.number().integer().min(1).max(1440).default(30),
+  reason: Joi.string().trim().max(500).allow('')
+});
+
+// Validation schema for reopening a closed alert
+const reopenValidationSchema = Joi.object({
+  reason: Joi.string().trim().max(500).required()
+});
 
 // Validation schema for alerts
 const alertValidationSchema = Joi.object({
@@ -110,6 +133,104 @@ router.get('/active', async (req, res) => {
   }
 });
 
+// GET /api/alerts/suppressions - List current snoozes and cooldowns
+router.get('/suppressions', async (req, res) => {
+  try {
+    const { sensorId, kind } = req.query;
+    
+    const now = new Date();
+    const filter = { startsAt: { $lte: now }, expiresAt: { $gt: now } };
+    if (sensorId) filter.sensorId = sensorId.toUpperCase();
+    if (kind) filter.kind = kind;
+    
+    const suppressions = await AlertSuppression.find(filter).sort({ expiresAt: 1 });
+    
+    res.json({ suppressions });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch suppressions', details: error.message });
+  }
+});
+
+// POST /api/alerts/suppressions - Snooze alerts for a sensor
+router.post('/suppressions', authorize('supervisor', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = suppressionValidationSchema.validate(req.body);
+    
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message) 
+      });
+    }
+    
+    const sensor = await Sensor.findOne({ sensorId: value.sensorId });
+    if (!sensor) {
+      return res.status(404).json({ error: 'Sensor not found' });
+    }
+    
+    const suppression = await AlertSuppression.create({
+      sensorId: value.sensorId,
+      alertType: value.alertType,
+      kind: 'SNOOZE',
+      reason: value.reason || null,
+      expiresAt: new Date(Date.now() + value.durationMinutes * 60000),
+      createdBy: req.user.username
+    });
+    
+    const io = req.app.get('socketio');
+    if (io) {
+      io.to('operators').emit('alert-suppression', { action: 'created', suppression });
+    }
+    
+    res.status(201).json({ 
+      message: `Alerts for ${value.sensorId} snoozed for ${value.durationMinutes} minutes`, 
+      suppression 
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to snooze sensor', details: error.message });
+  }
+});
+
+// DELETE /api/alerts/suppressions/:suppressionId - Lift a snooze or cooldown early
+router.delete('/suppressions/:suppressionId', authorize('supervisor', 'admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.suppressionId)) {
+      return res.status(404).json({ error: 'Suppression not found' });
+    }
+    
+    const suppression = await AlertSuppression.findByIdAndDelete(req.params.suppressionId);
+    
+    if (!suppression) {
+      return res.status(404).json({ error: 'Suppression not found' });
+    }
+    
+    const io = req.app.get('socketio');
+    if (io) {
+      io.to('operators').emit('alert-suppression', { action: 'removed', suppression });
+    }
+    
+    res.json({ 
+      message: 'Suppression removed successfully', 
+      suppression 
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to remove suppression', details: error.message });
+  }
+});
+
+// GET /api/alerts/evacuation-zones - Evacuation polygons for open alerts (GeoJSON)
+router.get('/evacuation-zones', async (req, res) => {
+  try {
+    const { mineId } = req.query;
+    
+    const zones = await evacuationService.getEvacuationZones({ mineId });
+    
+    res.json(evacuationService.toFeatureCollection(zones));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to compute evacuation zones', details: error.message });
+  }
+});
+
 // GET /api/alerts/:alertId - Get specific alert
 router.get('/:alertId', async (req, res) => {
   try {
@@ -132,8 +253,77 @@ router.get('/:alertId', async (req, res) => {
   }
 });
 
+// GET /api/alerts/:alertId/evacuation - Evacuation zone and affected entities for an alert
+router.get('/:alertId/evacuation', async (req, res) => {
+  try {
+    const alert = await Alert.findOne({ alertId: req.params.alertId });
+    
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    
+    const zone = await evacuationService.getEvacuationForAlert(alert.alertId);
+    
+    res.json({
+      alertId: alert.alertId,
+      // null when the alert is closed or its type needs no evacuation
+      evacuation: zone
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to compute evacuation zone', details: error.message });
+  }
+});
+
+// GET /api/alerts/:alertId/report - Incident report as JSON, or a downloadable HTML document (format=html)
+router.get('/:alertId/report', async (req, res) => {
+  try {
+    const { format = 'json', contextReadings } = req.query;
+    
+    if (!['json', 'html'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or html' });
+    }
+    
+    const report = await incidentReport.buildIncidentReport(req.params.alertId, { contextReadings });
+    
+    if (!report) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    
+    if (format === 'html') {
+      const filename = `incident-${report.alert.alertId.replace(/[^\w.-]/g, '_')}.html`;
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.type('html').send(incidentReport.renderIncidentReportHtml(report));
+    }
+    
+    res.json({ report });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to build incident report', details: error.message });
+  }
+});
+
+// GET /api/alerts/:alertId/history - Lifecycle events for an alert, oldest first
+router.get('/:alertId/history', async (req, res) => {
+  try {
+    const alert = await Alert.findOne({ alertId: req.params.alertId }, 'alertId status');
+    
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    
+    const events = await AlertEvent.getHistory(alert.alertId);
+    
+    res.json({
+      alertId: alert.alertId,
+      status: alert.status,
+      events
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch alert history', details: error.message });
+  }
+});
+
 // POST /api/alerts - Create new alert
-router.post('/', async (req, res) => {
+router.post('/', authorize('supervisor', 'admin'), async (req, res) => {
   try {
     const { error, value } = alertValidationSchema.validate(req.body);
     
@@ -156,47 +346,28 @@ router.post('/', async (req, res) => {
       return res.status(404).json({ error: 'Sensor reading not found' });
     }
     
-    // Generate unique alert ID
-    const alertId = `ALERT_${Date.now()}_${value.sensorId}`;
-    
-    // Create alert with sensor location
-    const alertData = {
+    // Create, broadcast and notify with sensor location
+    const alert = await alertService.createAlert({
       ...value,
-      alertId,
-      location: sensor.location,
       metadata: {
         aiModelVersion: sensorReading.riskPrediction?.aiModelVersion,
         processingTime: sensorReading.riskPrediction?.processingTime
       }
-    };
-    
-    const alert = new Alert(alertData);
-    await alert.save();
-    
-    // Emit real-time alert via Socket.IO
-    const io = req.app.get('socketio');
-    if (io) {
-      io.emit('alert-trigger', {
-        alert,
-        sensor,
-        sensorReading
-      });
-      
-      // Emit to specific room for high priority alerts
-      if (alert.priority === 'CRITICAL' || alert.priority === 'HIGH') {
-        io.to('operators').emit('critical-alert', {
-          alert,
-          sensor,
-          urgent: true
-        });
-      }
-    }
+    }, {
+      sensor,
+      sensorReading,
+      io: req.app.get('socketio'),
+      createdBy: req.user.username
+    });
     
     res.status(201).json({ 
       message: 'Alert created successfully', 
       alert 
     });
   } catch (error) {
+    if (Alert.isOpenAlertConflict(error)) {
+      return res.status(409).json({ error: `Sensor ${req.body.sensorId} already has an open ${req.body.alertType} alert` });
+    }
     res.status(500).json({ error: 'Failed to create alert', details: error.message });
   }
 });
@@ -204,11 +375,8 @@ router.post('/', async (req, res) => {
 // PATCH /api/alerts/:alertId/acknowledge - Acknowledge alert
 router.patch('/:alertId/acknowledge', async (req, res) => {
   try {
-    const { acknowledgedBy } = req.body;
-    
-    if (!acknowledgedBy) {
-      return res.status(400).json({ error: 'acknowledgedBy is required' });
-    }
+    // Record the authenticated user rather than a client-supplied name
+    const acknowledgedBy = req.user.username;
     
     const alert = await Alert.findOne({ alertId: req.params.alertId });
     
@@ -216,10 +384,6 @@ router.patch('/:alertId/acknowledge', async (req, res) => {
       return res.status(404).json({ error: 'Alert not found' });
     }
     
-    if (alert.status !== 'ACTIVE') {
-      return res.status(400).json({ error: 'Only active alerts can be acknowledged' });
-    }
-    
     await alert.acknowledge(acknowledgedBy);
     
     // Emit real-time update
@@ -237,18 +401,18 @@ router.patch('/:alertId/acknowledge', async (req, res) => {
       alert 
     });
   } catch (error) {
+    if (error instanceof Alert.AlertTransitionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to acknowledge alert', details: error.message });
   }
 });
 
 // PATCH /api/alerts/:alertId/resolve - Resolve alert
-router.patch('/:alertId/resolve', async (req, res) => {
+router.patch('/:alertId/resolve', authorize('supervisor', 'admin'), async (req, res) => {
   try {
-    const { resolvedBy, resolution = 'RESOLVED' } = req.body;
-    
-    if (!resolvedBy) {
-      return res.status(400).json({ error: 'resolvedBy is required' });
-    }
+    const { resolution = 'RESOLVED', notes } = req.body;
+    const resolvedBy = req.user.username;
     
     if (!['RESOLVED', 'FALSE_POSITIVE'].includes(resolution)) {
       return res.status(400).json({ error: 'Invalid resolution type' });
@@ -260,11 +424,15 @@ router.patch('/:alertId/resolve', async (req, res) => {
       return res.status(404).json({ error: 'Alert not found' });
     }
     
-    if (alert.status === 'RESOLVED' || alert.status === 'FALSE_POSITIVE') {
-      return res.status(400).json({ error: 'Alert is already resolved' });
-    }
+    // Only acknowledged alerts can be closed; anything else is a 409
+    await alert.resolve(resolvedBy, resolution, notes || null);
+    
+    // Keep the same condition from immediately re-alerting
+    await alertService.startCooldown(alert);
     
-    await alert.resolve(resolvedBy, resolution);
+    // The operator's verdict becomes a labelled example for the risk model
+    trainingFeedback.recordResolution(alert, notes)
+      .catch(error => console.error(`❌ Error recording training example for ${alert.alertId}:`, error));
     
     // Emit real-time update
     const io = req.app.get('socketio');
@@ -277,24 +445,82 @@ router.patch('/:alertId/resolve', async (req, res) => {
       });
     }
     
+    // Assets inside the alert's area are no longer in that hazard
+    assetTracking.clearAlertHazard(alert.alertId, io)
+      .catch(error => console.error(`❌ Error clearing asset hazards for ${alert.alertId}:`, error));
+    
     res.json({ 
       message: 'Alert resolved successfully', 
       alert 
     });
   } catch (error) {
+    if (error instanceof Alert.AlertTransitionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to resolve alert', details: error.message });
   }
 });
 
+// PATCH /api/alerts/:alertId/reopen - Reopen a resolved or false-positive alert
+router.patch('/:alertId/reopen', authorize('supervisor', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = reopenValidationSchema.validate(req.body);
+    
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message) 
+      });
+    }
+    
+    const alert = await Alert.findOne({ alertId: req.params.alertId });
+    
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    
+    const reopenedBy = req.user.username;
+    await alert.reopen(reopenedBy, value.reason);
+    
+    // The resolution's cooldown would otherwise swallow new detections for the reopened condition
+    await alertService.endCooldown(alert);
+    
+    // The earlier verdict no longer stands; resolving again labels it afresh
+    await trainingFeedback.withdrawLabel(alert.alertId);
+    
+    // Emit real-time update
+    const io = req.app.get('socketio');
+    if (io) {
+      io.emit('alert-reopened', {
+        alertId: alert.alertId,
+        reopenedBy,
+        reason: value.reason,
+        alert
+      });
+    }
+    
+    // Assets inside the area are in the hazard again
+    assetTracking.checkAssetsForAlert(alert, io)
+      .catch(error => console.error(`❌ Error checking assets for ${alert.alertId}:`, error));
+    
+    res.json({ 
+      message: 'Alert reopened successfully', 
+      alert 
+    });
+  } catch (error) {
+    if (error instanceof Alert.AlertTransitionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to reopen alert', details: error.message });
+  }
+});
+
 // PATCH /api/alerts/:alertId/escalate - Escalate alert
+// Without escalatedTo, the alert moves to the next level of its zone's escalation policy
 router.patch('/:alertId/escalate', async (req, res) => {
   try {
     const { escalatedTo } = req.body;
     
-    if (!escalatedTo) {
-      return res.status(400).json({ error: 'escalatedTo is required' });
-    }
-    
     const alert = await Alert.findOne({ alertId: req.params.alertId });
     
     if (!alert) {
@@ -302,23 +528,44 @@ router.patch('/:alertId/escalate', async (req, res) => {
     }
     
     if (alert.status !== 'ACTIVE') {
-      return res.status(400).json({ error: 'Only active alerts can be escalated' });
+      return res.status(409).json({ error: `Cannot escalate alert ${alert.alertId}: it is ${alert.status}` });
     }
     
     if (alert.escalation.level >= 3) {
       return res.status(400).json({ error: 'Alert is already at maximum escalation level' });
     }
     
-    await alert.escalate(escalatedTo);
+    const io = req.app.get('socketio');
+    
+    if (!escalatedTo) {
+      const policy = await escalationService.getPolicyForAlert(alert);
+      const level = policy.levels[alert.escalation.level];
+      
+      if (!level) {
+        return res.status(400).json({ error: 'Escalation policy has no further levels for this alert' });
+      }
+      
+      const escalation = await escalationService.escalateToLevel(alert, level, io, {
+        escalatedBy: req.user.username
+      });
+      
+      return res.json({ 
+        message: 'Alert escalated successfully', 
+        alert,
+        escalation
+      });
+    }
+    
+    await alert.escalate(escalatedTo, req.user.username);
     
     // Emit real-time update
-    const io = req.app.get('socketio');
     if (io) {
       io.emit('alert-escalated', {
         alertId: alert.alertId,
         escalationLevel: alert.escalation.level,
         escalatedTo,
-        priority: alert.priority
+        priority: alert.priority,
+        escalatedBy: req.user.username
       });
     }
     
@@ -327,6 +574,9 @@ router.patch('/:alertId/escalate', async (req, res) => {
       alert 
     });
   } catch (error) {
+    if (error instanceof Alert.AlertTransitionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to escalate alert', details: error.message });
   }
 });
@@ -334,10 +584,11 @@ router.patch('/:alertId/escalate', async (req, res) => {
 // POST /api/alerts/:alertId/actions - Add action taken for alert
 router.post('/:alertId/actions', async (req, res) => {
   try {
-    const { action, takenBy, notes } = req.body;
+    const { action, notes } = req.body;
+    const takenBy = req.user.username;
     
-    if (!action || !takenBy) {
-      return res.status(400).json({ error: 'action and takenBy are required' });
+    if (!action) {
+      return res.status(400).json({ error: 'action is required' });
     }
     
     const alert = await Alert.findOne({ alertId: req.params.alertId });
@@ -354,6 +605,7 @@ router.post('/:alertId/actions', async (req, res) => {
     });
     
     await alert.save();
+    await AlertEvent.record(alert, 'ACTION', takenBy, { details: { action, notes: notes || null } });
     
     res.json({ 
       message: 'Action recorded successfully', 
@@ -389,7 +641,7 @@ router.get('/analytics/dashboard', async (req, res) => {
         startTime = new Date(now.getTime() - 24 * 60 * 60 * 1000);
     }
     
-    const [totalAlerts, activeAlerts, riskLevelStats, priorityStats, escalatedAlerts] = await Promise.all([
+    const [totalAlerts, activeAlerts, riskLevelStats, priorityStats, escalatedAlerts, modelPerformance] = await Promise.all([
       Alert.countDocuments({ triggeredAt: { $gte: startTime } }),
       Alert.countDocuments({ status: 'ACTIVE' }),
       Alert.aggregate([
@@ -403,11 +655,14 @@ router.get('/analytics/dashboard', async (req, res) => {
       Alert.countDocuments({ 
         status: 'ACTIVE', 
         'escalation.level': { $gt: 0 } 
-      })
+      }),
+      // All-time: a model version's labels accumulate over its whole deployment
+      trainingFeedback.getModelStats()
     ]);
     
-    // Get alerts that need escalation
-    const alertsNeedingEscalation = await Alert.getAlertsNeedingEscalation();
+    // Get alerts that need escalation under their zone policies
+    const alertsNeedingEscalation = (await escalationService.findAlertsDueForEscalation())
+      .map(({ alert }) => alert);
     
     res.json({
       timeframe,
@@ -428,6 +683,7 @@ router.get('/analytics/dashboard', async (req, res) => {
         HIGH: priorityStats.find(s => s._id === 'HIGH')?.count || 0,
         CRITICAL: priorityStats.find(s => s._id === 'CRITICAL')?.count || 0
       },
+      modelPerformance,
       alertsNeedingEscalation
     });
   } catch (error) {
@@ -0,0 +1,185 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const Asset = require('../models/Asset');
+const AssetPosition = require('../models/AssetPosition');
+const { authorize } = require('../middleware/auth');
+const assetTracking = require('../services/assetTracking');
+
+// Validation schema for assets (positions arrive through the position endpoint)
+const assetValidationSchema = Joi.object({
+  assetId: Joi.string().required().trim().uppercase().max(50),
+  name: Joi.string().required().trim().max(100),
+  assetType: Joi.string().valid(...Asset.ASSET_TYPES).required(),
+  headcount: Joi.number().integer().min(0).max(500),
+  status: Joi.string().valid('ACTIVE', 'INACTIVE')
+});
+
+// GET /api/assets - List assets
+router.get('/', async (req, res) => {
+  try {
+    const { assetType, status, inHazard } = req.query;
+
+    const filter = {};
+    if (assetType) filter.assetType = assetType.toUpperCase();
+    if (status) filter.status = status.toUpperCase();
+    if (inHazard === 'true') filter['hazard.alertIds.0'] = { $exists: true };
+
+    const assets = await Asset.find(filter).sort({ assetId: 1 });
+
+    res.json({ assets });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch assets', details: error.message });
+  }
+});
+
+// GET /api/assets/:assetId - Get asset
+router.get('/:assetId', async (req, res) => {
+  try {
+    const asset = await Asset.findOne({ assetId: req.params.assetId.toUpperCase() });
+
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+
+    res.json({ asset });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch asset', details: error.message });
+  }
+});
+
+// GET /api/assets/:assetId/history - Position history
+router.get('/:assetId/history', async (req, res) => {
+  try {
+    const { startDate, endDate, limit = 500 } = req.query;
+    const assetId = req.params.assetId.toUpperCase();
+
+    if (!(await Asset.exists({ assetId }))) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+
+    const filter = { assetId };
+    if (startDate || endDate) {
+      filter.timestamp = {};
+      if (startDate) filter.timestamp.$gte = new Date(startDate);
+      if (endDate) filter.timestamp.$lte = new Date(endDate);
+    }
+
+    const positions = await AssetPosition.find(filter)
+      .sort({ timestamp: -1 })
+      .limit(Math.min(parseInt(limit), 5000));
+
+    res.json({ assetId, positions });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch asset history', details: error.message });
+  }
+});
+
+// POST /api/assets - Register asset
+router.post('/', authorize('supervisor', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = assetValidationSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const existingAsset = await Asset.findOne({ assetId: value.assetId });
+    if (existingAsset) {
+      return res.status(409).json({ error: 'Asset with this ID already exists' });
+    }
+
+    const asset = new Asset(value);
+    await asset.save();
+
+    res.status(201).json({
+      message: 'Asset created successfully',
+      asset
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create asset', details: error.message });
+  }
+});
+
+// PUT /api/assets/:assetId - Update asset (the assetId itself cannot change; positions reference it)
+router.put('/:assetId', authorize('supervisor', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = assetValidationSchema.validate({ ...req.body, assetId: req.params.assetId });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const asset = await Asset.findOneAndUpdate(
+      { assetId: value.assetId },
+      value,
+      { new: true, runValidators: true }
+    );
+
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+
+    res.json({
+      message: 'Asset updated successfully',
+      asset
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update asset', details: error.message });
+  }
+});
+
+// DELETE /api/assets/:assetId - Delete asset and its position history
+router.delete('/:assetId', authorize('admin'), async (req, res) => {
+  try {
+    const asset = await Asset.findOneAndDelete({ assetId: req.params.assetId.toUpperCase() });
+
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+
+    await AssetPosition.deleteMany({ assetId: asset.assetId });
+
+    res.json({
+      message: 'Asset deleted successfully',
+      deletedAsset: asset
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete asset', details: error.message });
+  }
+});
+
+// POST /api/assets/:assetId/position - Report a position (checked against HIGH-risk alert areas)
+router.post('/:assetId/position', async (req, res) => {
+  try {
+    const { asset, position, hazards } = await assetTracking.updatePosition(req.params.assetId, req.body, {
+      io: req.app.get('socketio'),
+      source: 'REST'
+    });
+
+    res.status(201).json({
+      asset,
+      position,
+      hazards: hazards.map(({ alert, distance, radius }) => ({
+        alertId: alert.alertId,
+        sensorId: alert.sensorId,
+        priority: alert.priority,
+        distance,
+        radius
+      }))
+    });
+  } catch (error) {
+    if (error instanceof assetTracking.AssetTrackingError) {
+      return res.status(error.status).json({ error: error.message, ...(error.details && { details: error.details }) });
+    }
+    res.status(500).json({ error: 'Failed to record asset position', details: error.message });
+  }
+});
+
+module.exports = router;
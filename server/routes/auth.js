@@ -0,0 +1,206 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Joi = require('joi');
+const User = require('../models/User');
+const { generateTokens, verifyRefreshToken } = require('../services/authService');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// Validation schemas
+const loginValidationSchema = Joi.object({
+  username: Joi.string().required().trim().lowercase(),
+  password: Joi.string().required()
+});
+
+const userValidationSchema = Joi.object({
+  username: Joi.string().required().trim().lowercase().min(3).max(50),
+  name: Joi.string().required().trim().max(100),
+  email: Joi.string().email().trim().lowercase().optional(),
+  phone: Joi.string().trim().max(30).optional(),
+  password: Joi.string().required().min(8),
+  role: Joi.string().valid(...User.ROLES).default('operator')
+});
+
+const userUpdateValidationSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  email: Joi.string().email().trim().lowercase().allow(null),
+  phone: Joi.string().trim().max(30).allow(null),
+  password: Joi.string().min(8),
+  role: Joi.string().valid(...User.ROLES),
+  isActive: Joi.boolean()
+}).min(1);
+
+// POST /api/auth/login - Exchange credentials for an access/refresh token pair
+router.post('/login', async (req, res) => {
+  try {
+    const { error, value } = loginValidationSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const user = await User.findOne({ username: value.username }).select('+password');
+
+    if (!user || !user.isActive || !(await user.comparePassword(value.password))) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    res.json({
+      message: 'Login successful',
+      user,
+      ...generateTokens(user)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to log in', details: error.message });
+  }
+});
+
+// POST /api/auth/refresh - Issue a new token pair from a refresh token
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    let payload;
+    try {
+      payload = verifyRefreshToken(refreshToken);
+    } catch (tokenError) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(payload.sub);
+
+    if (!user || !user.isActive || user.tokenVersion !== payload.tokenVersion) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      user,
+      ...generateTokens(user)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to refresh token', details: error.message });
+  }
+});
+
+// POST /api/auth/logout - Revoke all outstanding refresh tokens for the current user
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, { $inc: { tokenVersion: 1 } });
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to log out', details: error.message });
+  }
+});
+
+// GET /api/auth/me - Get the current user
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch user', details: error.message });
+  }
+});
+
+// GET /api/auth/users - List users (admin only)
+router.get('/users', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { role, isActive } = req.query;
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const users = await User.find(filter).sort({ createdAt: -1 });
+
+    res.json({ users });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch users', details: error.message });
+  }
+});
+
+// POST /api/auth/users - Create user (admin only)
+router.post('/users', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { error, value } = userValidationSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const existingUser = await User.findOne({ username: value.username });
+    if (existingUser) {
+      return res.status(409).json({ error: 'User with this username already exists' });
+    }
+
+    const user = new User(value);
+    await user.save();
+
+    res.status(201).json({
+      message: 'User created successfully',
+      user
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create user', details: error.message });
+  }
+});
+
+// PATCH /api/auth/users/:userId - Update user role, status or password (admin only)
+router.patch('/users/:userId', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { error, value } = userUpdateValidationSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    Object.assign(user, value);
+
+    // Role, status or password changes invalidate existing sessions
+    if (value.role || value.isActive === false || value.password) {
+      user.tokenVersion += 1;
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'User updated successfully',
+      user
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update user', details: error.message });
+  }
+});
+
+module.exports = router;
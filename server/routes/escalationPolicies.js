@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const User = require('../models/User');
+const { authorize } = require('../middleware/auth');
+
+const timeoutSchema = Joi.number().integer().min(1).max(1440);
+
+// Validation schema for escalation policies
+const policyValidationSchema = Joi.object({
+  zone: Joi.string().required().trim(),
+  name: Joi.string().required().trim().max(100),
+  description: Joi.string().trim().max(500).allow(''),
+  isActive: Joi.boolean().default(true),
+  levels: Joi.array().items(Joi.object({
+    timeoutMinutes: timeoutSchema.required(),
+    timeoutByPriority: Joi.object({
+      CRITICAL: timeoutSchema,
+      HIGH: timeoutSchema,
+      MEDIUM: timeoutSchema,
+      LOW: timeoutSchema
+    }).optional(),
+    targetRole: Joi.string().valid(...User.ROLES),
+    contact: Joi.object({
+      name: Joi.string().required().trim(),
+      email: Joi.string().email().trim().lowercase(),
+      phone: Joi.string().trim().max(30)
+    }),
+    channel: Joi.string().valid(...EscalationPolicy.CHANNELS).default('WEBSOCKET')
+  }).or('targetRole', 'contact')).min(1).max(EscalationPolicy.MAX_ESCALATION_LEVEL).required()
+});
+
+// GET /api/escalation-policies - List escalation policies
+router.get('/', async (req, res) => {
+  try {
+    const { isActive } = req.query;
+
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const policies = await EscalationPolicy.find(filter).sort({ zone: 1 });
+
+    res.json({ policies });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch escalation policies', details: error.message });
+  }
+});
+
+// GET /api/escalation-policies/:zone - Get the policy that applies to a zone
+router.get('/:zone', async (req, res) => {
+  try {
+    const policy = await EscalationPolicy.getForZone(req.params.zone);
+
+    res.json({
+      policy,
+      // Tell the caller whether the zone has its own policy or inherits one
+      inherited: policy.zone !== req.params.zone,
+      builtIn: policy.isNew
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch escalation policy', details: error.message });
+  }
+});
+
+// POST /api/escalation-policies - Create escalation policy for a zone
+router.post('/', authorize('admin'), async (req, res) => {
+  try {
+    const { error, value } = policyValidationSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const existingPolicy = await EscalationPolicy.findOne({ zone: value.zone });
+    if (existingPolicy) {
+      return res.status(409).json({ error: 'An escalation policy already exists for this zone' });
+    }
+
+    const policy = new EscalationPolicy({ ...value, updatedBy: req.user.username });
+    await policy.save();
+
+    res.status(201).json({
+      message: 'Escalation policy created successfully',
+      policy
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create escalation policy', details: error.message });
+  }
+});
+
+// PUT /api/escalation-policies/:zone - Replace escalation policy for a zone
+router.put('/:zone', authorize('admin'), async (req, res) => {
+  try {
+    const { error, value } = policyValidationSchema.validate({ ...req.body, zone: req.params.zone });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const policy = await EscalationPolicy.findOneAndUpdate(
+      { zone: req.params.zone },
+      { ...value, updatedBy: req.user.username },
+      { new: true, runValidators: true }
+    );
+
+    if (!policy) {
+      return res.status(404).json({ error: 'Escalation policy not found' });
+    }
+
+    res.json({
+      message: 'Escalation policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update escalation policy', details: error.message });
+  }
+});
+
+// DELETE /api/escalation-policies/:zone - Delete escalation policy (zone falls back to DEFAULT)
+router.delete('/:zone', authorize('admin'), async (req, res) => {
+  try {
+    const policy = await EscalationPolicy.findOneAndDelete({ zone: req.params.zone });
+
+    if (!policy) {
+      return res.status(404).json({ error: 'Escalation policy not found' });
+    }
+
+    res.json({
+      message: 'Escalation policy deleted successfully',
+      deletedPolicy: policy
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete escalation policy', details: error.message });
+  }
+});
+
+module.exports = router;
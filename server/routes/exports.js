@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const ExportJob = require('../models/ExportJob');
+const { authorize } = require('../middleware/auth');
+const exportService = require('../services/exportService');
+
+// Respond with an export error's status, or a 500
+function handleExportError(res, error, message) {
+  if (error instanceof exportService.ExportError) {
+    return res.status(error.status).json({
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+  res.status(500).json({ error: message, details: error.message });
+}
+
+// POST /api/exports/jobs/:dataset - Queue a background export (filters and format in the body)
+router.post('/jobs/:dataset', authorize('supervisor', 'admin'), async (req, res) => {
+  try {
+    const job = await exportService.createJob(req.params.dataset, req.body, req.user.username);
+
+    res.status(202).json({
+      message: 'Export queued',
+      job
+    });
+  } catch (error) {
+    handleExportError(res, error, 'Failed to queue export');
+  }
+});
+
+// GET /api/exports/jobs - Export jobs, newest first
+router.get('/jobs', async (req, res) => {
+  try {
+    const { status, dataset, requestedBy, limit = 20, page = 1 } = req.query;
+
+    const filter = {};
+    if (dataset) filter.dataset = dataset;
+    if (requestedBy) filter.requestedBy = requestedBy;
+    if (status) filter.status = status.toUpperCase();
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [jobs, total] = await Promise.all([
+      ExportJob.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      ExportJob.countDocuments(filter)
+    ]);
+
+    res.json({
+      jobs,
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / parseInt(limit)),
+        count: jobs.length,
+        totalRecords: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch export jobs', details: error.message });
+  }
+});
+
+// GET /api/exports/jobs/:jobId - Job status and progress
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await ExportJob.findOne({ jobId: req.params.jobId });
+    if (!job) {
+      return res.status(404).json({ error: 'Export job not found' });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch export job', details: error.message });
+  }
+});
+
+// GET /api/exports/jobs/:jobId/download - A completed job's file
+router.get('/jobs/:jobId/download', authorize('supervisor', 'admin'), async (req, res) => {
+  try {
+    const { job, fullPath } = await exportService.jobFilePath(req.params.jobId);
+
+    res.type(exportService.FORMATS[job.format].contentType);
+    res.download(fullPath, exportService.exportFilename(job.dataset, job.format, job.jobId));
+  } catch (error) {
+    handleExportError(res, error, 'Failed to download export');
+  }
+});
+
+// DELETE /api/exports/jobs/:jobId - Cancel a queued job, or delete a finished one and its file
+router.delete('/jobs/:jobId', authorize('supervisor', 'admin'), async (req, res) => {
+  try {
+    const job = await exportService.deleteJob(req.params.jobId);
+
+    res.json({
+      message: 'Export job deleted',
+      job
+    });
+  } catch (error) {
+    handleExportError(res, error, 'Failed to delete export job');
+  }
+});
+
+// GET /api/exports/:dataset - Stream readings or alerts straight to the client (csv, ndjson or parquet)
+router.get('/:dataset', authorize('supervisor', 'admin'), async (req, res) => {
+  try {
+    const { format, filters } = exportService.validateExport(req.params.dataset, req.query);
+
+    const rows = await exportService.countRows(req.params.dataset, filters);
+    if (rows > exportService.MAX_SYNC_ROWS) {
+      return res.status(413).json({
+        error: `Export of ${rows} rows exceeds the ${exportService.MAX_SYNC_ROWS}-row limit for direct downloads`,
+        details: `Queue it with POST /api/exports/jobs/${req.params.dataset}`
+      });
+    }
+
+    res.set('Content-Type', exportService.FORMATS[format].contentType);
+    res.set('Content-Disposition', `attachment; filename="${exportService.exportFilename(req.params.dataset, format)}"`);
+    await exportService.writeExport({ dataset: req.params.dataset, format, filters, output: res });
+  } catch (error) {
+    // Once rows have been sent the status can no longer change; cut the download short instead
+    if (res.headersSent) {
+      console.error('❌ Export stream failed:', error.message);
+      return res.destroy();
+    }
+    handleExportError(res, error, 'Failed to export data');
+  }
+});
+
+module.exports = router;
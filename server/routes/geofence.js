@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const Zone = require('../models/Zone');
+const {
+  GeofenceError,
+  resolveArea,
+  findSensorsInArea,
+  findAlertsInArea,
+  findReadingsInArea,
+  getAreaRiskRollup
+} = require('../services/geofenceService');
+
+// An area is a GeoJSON polygon (geometry or Feature) or an existing zone
+const areaKeys = {
+  polygon: Joi.object({
+    type: Joi.string().valid('Polygon', 'MultiPolygon', 'Feature').required()
+  }).unknown(true),
+  zoneId: Joi.string().trim()
+};
+
+const sensorsQuerySchema = Joi.object({
+  ...areaKeys,
+  status: Joi.string().valid('ACTIVE', 'INACTIVE', 'MAINTENANCE', 'ERROR')
+}).xor('polygon', 'zoneId');
+
+const alertsQuerySchema = Joi.object({
+  ...areaKeys,
+  status: Joi.alternatives().try(
+    Joi.string().valid('ACTIVE', 'ACKNOWLEDGED', 'RESOLVED', 'FALSE_POSITIVE'),
+    Joi.array().items(Joi.string().valid('ACTIVE', 'ACKNOWLEDGED', 'RESOLVED', 'FALSE_POSITIVE'))
+  ),
+  limit: Joi.number().integer().min(1).max(500).default(100)
+}).xor('polygon', 'zoneId');
+
+const readingsQuerySchema = Joi.object({
+  ...areaKeys,
+  startDate: Joi.date(),
+  endDate: Joi.date(),
+  riskLevel: Joi.string().valid('LOW', 'MEDIUM', 'HIGH'),
+  limit: Joi.number().integer().min(1).max(5000).default(500)
+}).xor('polygon', 'zoneId');
+
+const rollupQuerySchema = Joi.object({
+  areas: Joi.array().items(Joi.object({
+    ...areaKeys,
+    id: Joi.string().trim(),
+    name: Joi.string().trim().max(100)
+  }).xor('polygon', 'zoneId')).min(1).max(50).required()
+});
+
+function validationError(res, error) {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.details.map(d => d.message)
+  });
+}
+
+function handleError(res, error, message) {
+  if (error instanceof GeofenceError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  res.status(500).json({ error: message, details: error.message });
+}
+
+// POST /api/geofence/sensors - Sensors inside a polygon or zone
+router.post('/sensors', async (req, res) => {
+  try {
+    const { error, value } = sensorsQuerySchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const geometry = await resolveArea(value);
+    const sensors = await findSensorsInArea(geometry, value.status ? { status: value.status } : {});
+
+    res.json({ sensors, count: sensors.length });
+  } catch (error) {
+    handleError(res, error, 'Failed to query sensors in area');
+  }
+});
+
+// POST /api/geofence/readings - Readings from sensors inside a polygon or zone
+router.post('/readings', async (req, res) => {
+  try {
+    const { error, value } = readingsQuerySchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const geometry = await resolveArea(value);
+    const { sensorIds, readings } = await findReadingsInArea(geometry, value);
+
+    res.json({ sensorIds, readings, count: readings.length });
+  } catch (error) {
+    handleError(res, error, 'Failed to query readings in area');
+  }
+});
+
+// POST /api/geofence/alerts - Alerts inside a polygon or zone
+router.post('/alerts', async (req, res) => {
+  try {
+    const { error, value } = alertsQuerySchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const filter = {};
+    if (value.status) filter.status = Array.isArray(value.status) ? { $in: value.status } : value.status;
+
+    const geometry = await resolveArea(value);
+    const alerts = await findAlertsInArea(geometry, filter, value.limit);
+
+    res.json({ alerts, count: alerts.length });
+  } catch (error) {
+    handleError(res, error, 'Failed to query alerts in area');
+  }
+});
+
+// POST /api/geofence/rollup - Current risk state for each polygon or zone
+router.post('/rollup', async (req, res) => {
+  try {
+    const { error, value } = rollupQuerySchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const rollups = [];
+    for (const [index, area] of value.areas.entries()) {
+      const geometry = await resolveArea(area);
+      rollups.push({
+        id: area.id || area.zoneId || String(index),
+        name: area.name || area.zoneId || null,
+        ...(await getAreaRiskRollup(geometry))
+      });
+    }
+
+    res.json({ rollups, generatedAt: new Date() });
+  } catch (error) {
+    handleError(res, error, 'Failed to roll up area risk');
+  }
+});
+
+// GET /api/geofence/zones/rollup - Current risk state for every zone
+router.get('/zones/rollup', async (req, res) => {
+  try {
+    const { mineId } = req.query;
+
+    const filter = {};
+    if (mineId) filter.mineId = mineId.toUpperCase();
+
+    const zones = await Zone.find(filter).sort({ zoneId: 1 });
+    const rollups = [];
+    for (const zone of zones) {
+      rollups.push({
+        id: zone.zoneId,
+        name: zone.name,
+        mineId: zone.mineId,
+        ...(await getAreaRiskRollup(zone.boundary))
+      });
+    }
+
+    res.json({ rollups, generatedAt: new Date() });
+  } catch (error) {
+    handleError(res, error, 'Failed to roll up zone risk');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,203 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const Mine = require('../models/Mine');
+const Zone = require('../models/Zone');
+const Sensor = require('../models/Sensor');
+const { authorize } = require('../middleware/auth');
+const { validatePolygon, boundaryCenter } = require('../services/geoUtils');
+const { RiskSurfaceError, buildMineRiskSurface } = require('../services/riskSurface');
+
+// Validation schema for mines
+const mineValidationSchema = Joi.object({
+  mineId: Joi.string().required().trim().uppercase().max(50),
+  name: Joi.string().required().trim().max(100),
+  state: Joi.string().trim().max(100).allow(''),
+  description: Joi.string().trim().max(500).allow(''),
+  location: Joi.object({
+    coordinates: Joi.array().items(Joi.number()).length(2).required()
+  }),
+  boundary: Joi.object({
+    type: Joi.string().valid('Polygon', 'MultiPolygon').required(),
+    coordinates: Joi.array().required()
+  }).required(),
+  status: Joi.string().valid('ACTIVE', 'INACTIVE')
+});
+
+const riskSurfaceQuerySchema = Joi.object({
+  cellSize: Joi.number().min(25).max(5000), // meters
+  power: Joi.number().min(0.5).max(5)
+});
+
+// Validate the request body, including the boundary geometry; returns the error response details or the value
+function validateMine(body) {
+  const { error, value } = mineValidationSchema.validate(body);
+  if (error) return { details: error.details.map(d => d.message) };
+
+  const boundaryError = validatePolygon(value.boundary);
+  if (boundaryError) return { details: [boundaryError] };
+
+  // Default the mine's marker to the center of its boundary
+  if (!value.location) {
+    const { lat, lng } = boundaryCenter(value.boundary);
+    value.location = { coordinates: [lng, lat] };
+  }
+  value.location.type = 'Point';
+
+  return { value };
+}
+
+// GET /api/mines - List mines with their zones
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+
+    const mines = await Mine.find(filter).sort({ name: 1 });
+    const zones = await Zone.find({ mineId: { $in: mines.map(m => m.mineId) } }).sort({ zoneId: 1 });
+
+    res.json({
+      mines: mines.map(mine => ({
+        ...mine.toJSON(),
+        zones: zones.filter(zone => zone.mineId === mine.mineId)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch mines', details: error.message });
+  }
+});
+
+// GET /api/mines/:mineId - Get mine with zones and sensor count
+router.get('/:mineId', async (req, res) => {
+  try {
+    const mine = await Mine.findOne({ mineId: req.params.mineId.toUpperCase() });
+
+    if (!mine) {
+      return res.status(404).json({ error: 'Mine not found' });
+    }
+
+    const zones = await Zone.find({ mineId: mine.mineId }).sort({ zoneId: 1 });
+    const sensorCount = await Sensor.countDocuments({ 'mineGrid.zone': { $in: zones.map(z => z.zoneId) } });
+
+    res.json({
+      mine,
+      zones,
+      sensorCount
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch mine', details: error.message });
+  }
+});
+
+// GET /api/mines/:mineId/risk-surface - Interpolated (IDW) risk grid over the mine boundary as GeoJSON
+router.get('/:mineId/risk-surface', async (req, res) => {
+  try {
+    const { error, value } = riskSurfaceQuerySchema.validate(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const mine = await Mine.findOne({ mineId: req.params.mineId.toUpperCase() });
+
+    if (!mine) {
+      return res.status(404).json({ error: 'Mine not found' });
+    }
+
+    const surface = await buildMineRiskSurface(mine, value);
+
+    res.set('Content-Type', 'application/geo+json');
+    res.send(JSON.stringify(surface));
+  } catch (error) {
+    if (error instanceof RiskSurfaceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to build risk surface', details: error.message });
+  }
+});
+
+// POST /api/mines - Create mine
+router.post('/', authorize('admin'), async (req, res) => {
+  try {
+    const { details, value } = validateMine(req.body);
+
+    if (details) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const existingMine = await Mine.findOne({ mineId: value.mineId });
+    if (existingMine) {
+      return res.status(409).json({ error: 'Mine with this ID already exists' });
+    }
+
+    const mine = new Mine({ ...value, updatedBy: req.user.username });
+    await mine.save();
+
+    res.status(201).json({
+      message: 'Mine created successfully',
+      mine
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create mine', details: error.message });
+  }
+});
+
+// PUT /api/mines/:mineId - Update mine
+router.put('/:mineId', authorize('admin'), async (req, res) => {
+  try {
+    const { details, value } = validateMine({ ...req.body, mineId: req.params.mineId });
+
+    if (details) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const mine = await Mine.findOneAndUpdate(
+      { mineId: value.mineId },
+      { ...value, updatedBy: req.user.username },
+      { new: true, runValidators: true }
+    );
+
+    if (!mine) {
+      return res.status(404).json({ error: 'Mine not found' });
+    }
+
+    res.json({
+      message: 'Mine updated successfully',
+      mine
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update mine', details: error.message });
+  }
+});
+
+// DELETE /api/mines/:mineId - Delete mine (only once it has no zones)
+router.delete('/:mineId', authorize('admin'), async (req, res) => {
+  try {
+    const mineId = req.params.mineId.toUpperCase();
+
+    const zoneCount = await Zone.countDocuments({ mineId });
+    if (zoneCount > 0) {
+      return res.status(409).json({ error: `Mine still has ${zoneCount} zones; delete or move them first` });
+    }
+
+    const mine = await Mine.findOneAndDelete({ mineId });
+
+    if (!mine) {
+      return res.status(404).json({ error: 'Mine not found' });
+    }
+
+    res.json({
+      message: 'Mine deleted successfully',
+      deletedMine: mine
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete mine', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const ModelVersion = require('../models/ModelVersion');
+const { authorize } = require('../middleware/auth');
+const aiService = require('../services/aiService');
+const modelRegistry = require('../services/modelRegistry');
+const shadowEvaluation = require('../services/shadowEvaluation');
+
+// Validation schema for comparison filters
+const compareQuerySchema = Joi.object({
+  challenger: Joi.string().trim().lowercase(),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso()
+});
+
+// Respond with a registry error's status, or a 500
+function handleRegistryError(res, error, message) {
+  if (error instanceof modelRegistry.ModelRegistryError) {
+    return res.status(error.status).json({
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+  res.status(500).json({ error: message, details: error.message });
+}
+
+// GET /api/models - Registered models and the prediction chain currently in use
+router.get('/', async (req, res) => {
+  try {
+    const { role, type } = req.query;
+
+    const filter = {};
+    if (role) filter.role = role.toUpperCase();
+    if (type) filter.type = type;
+
+    const models = await ModelVersion.find(filter).sort({ role: 1, modelId: 1 });
+
+    res.json({
+      models,
+      runtime: {
+        ...aiService.getStatus(),
+        shadow: shadowEvaluation.getChallenger()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch models', details: error.message });
+  }
+});
+
+// GET /api/models/compare - Challenger vs champion: agreement rate, level confusion matrix, latency
+router.get('/compare', async (req, res) => {
+  try {
+    const { error, value } = compareQuerySchema.validate(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const comparison = await shadowEvaluation.compareModels({
+      challengerModelId: value.challenger,
+      startDate: value.startDate,
+      endDate: value.endDate
+    });
+
+    if (!comparison) {
+      return res.status(404).json({ error: 'No challenger is running; pass challenger=<modelId> to compare an earlier one' });
+    }
+
+    res.json({ comparison });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to compare models', details: error.message });
+  }
+});
+
+// GET /api/models/:modelId - Get a registered model
+router.get('/:modelId', async (req, res) => {
+  try {
+    const model = await ModelVersion.findOne({ modelId: req.params.modelId.toLowerCase() });
+
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    res.json({ model });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch model', details: error.message });
+  }
+});
+
+// POST /api/models - Register an AI service endpoint or a rule-engine configuration
+router.post('/', authorize('admin'), async (req, res) => {
+  try {
+    const model = await modelRegistry.registerModel(req.body, req.user.username);
+
+    res.status(201).json({
+      message: 'Model registered successfully',
+      model
+    });
+  } catch (error) {
+    handleRegistryError(res, error, 'Failed to register model');
+  }
+});
+
+// POST /api/models/:modelId/refresh - Re-read the model's version from /model/info
+router.post('/:modelId/refresh', authorize('supervisor', 'admin'), async (req, res) => {
+  try {
+    const model = await ModelVersion.findOne({ modelId: req.params.modelId.toLowerCase() });
+
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    await modelRegistry.probeModel(model);
+
+    res.json({ model });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to refresh model', details: error.message });
+  }
+});
+
+// PATCH /api/models/:modelId/role - Promote to CHAMPION/CHALLENGER, or set AVAILABLE/RETIRED
+router.patch('/:modelId/role', authorize('admin'), async (req, res) => {
+  try {
+    const role = String(req.body.role || '').toUpperCase();
+
+    const model = await modelRegistry.setRole(req.params.modelId.toLowerCase(), role, req.user.username);
+
+    res.json({
+      message: `Model is now ${model.role}`,
+      model,
+      runtime: {
+        ...aiService.getStatus(),
+        shadow: shadowEvaluation.getChallenger()
+      }
+    });
+  } catch (error) {
+    handleRegistryError(res, error, 'Failed to change model role');
+  }
+});
+
+// DELETE /api/models/:modelId - Remove a model that is neither champion nor challenger
+router.delete('/:modelId', authorize('admin'), async (req, res) => {
+  try {
+    const model = await modelRegistry.removeModel(req.params.modelId.toLowerCase());
+
+    res.json({
+      message: 'Model removed successfully',
+      model
+    });
+  } catch (error) {
+    handleRegistryError(res, error, 'Failed to remove model');
+  }
+});
+
+module.exports = router;
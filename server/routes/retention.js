@@ -0,0 +1,196 @@
+const express = require('express');
+const router = express.Router();
+const RetentionPolicy = require('../models/RetentionPolicy');
+const ArchiveCatalog = require('../models/ArchiveCatalog');
+const RestoredArchive = require('../models/RestoredArchive');
+const { authorize } = require('../middleware/auth');
+const retentionService = require('../services/retentionService');
+
+// Respond with a retention error's status, or a 500
+function handleRetentionError(res, error, message) {
+  if (error instanceof retentionService.RetentionError) {
+    return res.status(error.status).json({
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+  res.status(500).json({ error: message, details: error.message });
+}
+
+// GET /api/retention/policies - Retention policies, defaults first, and the state of the retention job
+router.get('/policies', async (req, res) => {
+  try {
+    const policies = await RetentionPolicy.find().sort({ dataset: 1, mineId: 1 });
+
+    res.json({
+      policies,
+      status: retentionService.getStatus()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch retention policies', details: error.message });
+  }
+});
+
+// PUT /api/retention/policies/:dataset - Set a dataset's default policy
+// PUT /api/retention/policies/:dataset/:mineId - Set a mine's override
+router.put(['/policies/:dataset', '/policies/:dataset/:mineId'], authorize('admin'), async (req, res) => {
+  try {
+    const mineId = req.params.mineId ? req.params.mineId.toUpperCase() : null;
+
+    const policy = await retentionService.setPolicy(req.params.dataset, mineId, req.body, req.user.username);
+
+    res.json({
+      message: 'Retention policy saved',
+      policy
+    });
+  } catch (error) {
+    handleRetentionError(res, error, 'Failed to save retention policy');
+  }
+});
+
+// DELETE /api/retention/policies/:dataset/:mineId - Remove a mine's override
+router.delete('/policies/:dataset/:mineId', authorize('admin'), async (req, res) => {
+  try {
+    const policy = await retentionService.removePolicy(req.params.dataset, req.params.mineId.toUpperCase());
+
+    res.json({
+      message: 'Retention policy removed',
+      policy
+    });
+  } catch (error) {
+    handleRetentionError(res, error, 'Failed to remove retention policy');
+  }
+});
+
+// POST /api/retention/run - Archive everything past its policy now
+router.post('/run', authorize('admin'), async (req, res) => {
+  try {
+    const summary = await retentionService.runRetention({ archivedBy: req.user.username });
+
+    res.json({
+      message: 'Retention run completed',
+      summary
+    });
+  } catch (error) {
+    handleRetentionError(res, error, 'Failed to run retention');
+  }
+});
+
+// GET /api/retention/archives - Archive catalog
+router.get('/archives', async (req, res) => {
+  try {
+    const { dataset, sensorId, mineId, from, to, restored, limit = 50, page = 1 } = req.query;
+
+    const filter = {};
+    if (dataset) filter.dataset = dataset;
+    if (sensorId) filter.sensorId = sensorId.toUpperCase();
+    if (mineId) filter.mineId = mineId.toUpperCase();
+    if (from || to) {
+      filter.period = {};
+      if (from) filter.period.$gte = from; // YYYY-MM
+      if (to) filter.period.$lte = to;
+    }
+    if (restored !== undefined) {
+      filter['restore.restoredAt'] = restored === 'true' ? { $ne: null } : null;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [archives, total] = await Promise.all([
+      ArchiveCatalog.find(filter).sort({ period: -1, sensorId: 1, part: 1 }).skip(skip).limit(parseInt(limit)),
+      ArchiveCatalog.countDocuments(filter)
+    ]);
+
+    res.json({
+      archives,
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / parseInt(limit)),
+        count: archives.length,
+        totalRecords: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch archives', details: error.message });
+  }
+});
+
+// GET /api/retention/archives/:archiveId/download - The gzipped NDJSON file
+router.get('/archives/:archiveId/download', authorize('supervisor', 'admin'), async (req, res) => {
+  try {
+    const { entry, fullPath } = await retentionService.archiveFilePath(req.params.archiveId);
+
+    res.download(fullPath, `${entry.archiveId}.ndjson.gz`);
+  } catch (error) {
+    handleRetentionError(res, error, 'Failed to download archive');
+  }
+});
+
+// POST /api/retention/archives/:archiveId/restore - Load an archive into the restored collection
+router.post('/archives/:archiveId/restore', authorize('supervisor', 'admin'), async (req, res) => {
+  try {
+    const archive = await retentionService.restoreArchive(req.params.archiveId, req.user.username);
+
+    res.json({
+      message: `Restored ${archive.restore.count} documents`,
+      archive
+    });
+  } catch (error) {
+    handleRetentionError(res, error, 'Failed to restore archive');
+  }
+});
+
+// DELETE /api/retention/archives/:archiveId/restore - Unload a restored archive (the file is kept)
+router.delete('/archives/:archiveId/restore', authorize('supervisor', 'admin'), async (req, res) => {
+  try {
+    const archive = await retentionService.unloadArchive(req.params.archiveId);
+
+    res.json({
+      message: 'Restored documents removed',
+      archive
+    });
+  } catch (error) {
+    handleRetentionError(res, error, 'Failed to unload archive');
+  }
+});
+
+// GET /api/retention/restored/:dataset - Query restored readings or alerts
+router.get('/restored/:dataset', async (req, res) => {
+  try {
+    if (!Object.hasOwn(RestoredArchive, req.params.dataset)) {
+      return res.status(404).json({ error: `Unknown dataset ${req.params.dataset}` });
+    }
+    const model = RestoredArchive[req.params.dataset];
+
+    const { sensorId, archiveId, startDate, endDate, limit = 100, page = 1 } = req.query;
+    const timeField = retentionService.DATASETS[req.params.dataset].timeField;
+
+    const filter = {};
+    if (sensorId) filter.sensorId = sensorId.toUpperCase();
+    if (archiveId) filter.restoredFrom = archiveId;
+    if (startDate || endDate) {
+      filter[timeField] = {};
+      if (startDate) filter[timeField].$gte = new Date(startDate);
+      if (endDate) filter[timeField].$lte = new Date(endDate);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [documents, total] = await Promise.all([
+      model.find(filter).sort({ [timeField]: -1 }).skip(skip).limit(parseInt(limit)).lean(),
+      model.countDocuments(filter)
+    ]);
+
+    res.json({
+      documents,
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / parseInt(limit)),
+        count: documents.length,
+        totalRecords: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to query restored data', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const SensorReading = require('../models/SensorReading');
 const Sensor = require('../models/Sensor');
+const Alert = require('../models/Alert');
+const { SPEEDS } = require('../services/replayService');
+const trendAnalysis = require('../services/trendAnalysis');
+const readingRollups = require('../services/readingRollups');
 
 // Get historical sensor readings for analysis
 router.get('/readings/historical', async (req, res) => {
@@ -58,123 +62,26 @@ router.get('/readings/historical', async (req, res) => {
   }
 });
 
-// Get sensor readings aggregated by time periods (for trend analysis)
+// Get sensor readings aggregated by time periods (for trend analysis), from the rollups
 router.get('/readings/aggregated', async (req, res) => {
   try {
     const { 
       sensorId, 
       startDate, 
       endDate, 
-      interval = 'hour' // hour, day, week, month
+      interval = 'hour' // minute, hour, day, week, month
     } = req.query;
     
-    // Build match stage
-    const matchStage = {};
-    
-    if (sensorId) {
-      matchStage.sensorId = sensorId.toUpperCase();
-    }
-    
-    if (startDate || endDate) {
-      matchStage.timestamp = {};
-      if (startDate) matchStage.timestamp.$gte = new Date(startDate);
-      if (endDate) matchStage.timestamp.$lte = new Date(endDate);
-    }
-    
-    // Define date grouping based on interval
-    let dateGroup = {};
-    switch (interval) {
-      case 'hour':
-        dateGroup = {
-          year: { $year: '$timestamp' },
-          month: { $month: '$timestamp' },
-          day: { $dayOfMonth: '$timestamp' },
-          hour: { $hour: '$timestamp' }
-        };
-        break;
-      case 'day':
-        dateGroup = {
-          year: { $year: '$timestamp' },
-          month: { $month: '$timestamp' },
-          day: { $dayOfMonth: '$timestamp' }
-        };
-        break;
-      case 'week':
-        dateGroup = {
-          year: { $year: '$timestamp' },
-          week: { $week: '$timestamp' }
-        };
-        break;
-      case 'month':
-        dateGroup = {
-          year: { $year: '$timestamp' },
-          month: { $month: '$timestamp' }
-        };
-        break;
-      default:
-        dateGroup = {
-          year: { $year: '$timestamp' },
-          month: { $month: '$timestamp' },
-          day: { $dayOfMonth: '$timestamp' },
-          hour: { $hour: '$timestamp' }
-        };
-    }
-    
-    const aggregatedData = await SensorReading.aggregate([
-      { $match: matchStage },
-      {
-        $group: {
-          _id: dateGroup,
-          count: { $sum: 1 },
-          avgRainfall: { $avg: '$readings.Rainfall_mm' },
-          avgSlopeAngle: { $avg: '$readings.Slope_Angle' },
-          avgSoilSaturation: { $avg: '$readings.Soil_Saturation' },
-          avgVegetationCover: { $avg: '$readings.Vegetation_Cover' },
-          avgEarthquakeActivity: { $avg: '$readings.Earthquake_Activity' },
-          avgProximityToWater: { $avg: '$readings.Proximity_to_Water' },
-          avgLandslide: { $avg: '$readings.Landslide' },
-          riskLevels: {
-            $push: '$riskPrediction.level'
-          },
-          avgConfidence: { $avg: '$riskPrediction.confidence' }
-        }
-      },
-      {
-        $addFields: {
-          riskDistribution: {
-            LOW: {
-              $size: {
-                $filter: {
-                  input: '$riskLevels',
-                  cond: { $eq: ['$$this', 'LOW'] }
-                }
-              }
-            },
-            MEDIUM: {
-              $size: {
-                $filter: {
-                  input: '$riskLevels',
-                  cond: { $eq: ['$$this', 'MEDIUM'] }
-                }
-              }
-            },
-            HIGH: {
-              $size: {
-                $filter: {
-                  input: '$riskLevels',
-                  cond: { $eq: ['$$this', 'HIGH'] }
-                }
-              }
-            }
-          }
-        }
-      },
-      { $sort: { '_id.year': -1, '_id.month': -1, '_id.day': -1, '_id.hour': -1 } }
-    ]);
+    const data = await readingRollups.getAggregated({
+      sensorId: sensorId ? sensorId.toUpperCase() : null,
+      startDate,
+      endDate,
+      interval
+    });
     
     res.json({
       interval,
-      data: aggregatedData
+      data
     });
     
   } catch (error) {
@@ -268,74 +175,73 @@ router.get('/analysis/risk-patterns', async (req, res) => {
   }
 });
 
-// Get sensor data summary for dashboard
-router.get('/summary', async (req, res) => {
+// Get the replayable time range, with alert markers for the timeline scrubber
+router.get('/replay/bounds', async (req, res) => {
   try {
-    const { timeRange = 24 } = req.query; // hours
+    const { startDate, endDate } = req.query;
     
-    const startTime = new Date();
-    startTime.setHours(startTime.getHours() - parseInt(timeRange));
-    
-    const summary = await SensorReading.aggregate([
-      {
-        $match: {
-          timestamp: { $gte: startTime }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalReadings: { $sum: 1 },
-          uniqueSensors: { $addToSet: '$sensorId' },
-          riskLevels: {
-            $push: '$riskPrediction.level'
-          },
-          avgConfidence: { $avg: '$riskPrediction.confidence' },
-          lastReading: { $max: '$timestamp' }
-        }
-      },
-      {
-        $addFields: {
-          uniqueSensorCount: { $size: '$uniqueSensors' },
-          riskDistribution: {
-            LOW: {
-              $size: {
-                $filter: {
-                  input: '$riskLevels',
-                  cond: { $eq: ['$$this', 'LOW'] }
-                }
-              }
-            },
-            MEDIUM: {
-              $size: {
-                $filter: {
-                  input: '$riskLevels',
-                  cond: { $eq: ['$$this', 'MEDIUM'] }
-                }
-              }
-            },
-            HIGH: {
-              $size: {
-                $filter: {
-                  input: '$riskLevels',
-                  cond: { $eq: ['$$this', 'HIGH'] }
-                }
-              }
-            }
-          }
-        }
-      }
+    const [earliest, latest] = await Promise.all([
+      SensorReading.findOne().sort({ timestamp: 1 }).select('timestamp').lean(),
+      SensorReading.findOne().sort({ timestamp: -1 }).select('timestamp').lean()
     ]);
     
+    // Alert markers for the requested window (default: the last 24 hours of data)
+    const end = endDate ? new Date(endDate) : (latest?.timestamp || new Date());
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 24 * 60 * 60 * 1000);
+    
+    const alerts = await Alert.find({ triggeredAt: { $gte: start, $lte: end } })
+      .sort({ triggeredAt: 1 })
+      .limit(500)
+      .select('alertId sensorId triggeredAt priority riskLevel')
+      .lean();
+    
+    res.json({
+      earliest: earliest?.timestamp || null,
+      latest: latest?.timestamp || null,
+      speeds: SPEEDS,
+      window: { startDate: start, endDate: end },
+      alerts
+    });
+    
+  } catch (error) {
+    console.error('Error fetching replay bounds:', error);
+    res.status(500).json({ error: 'Failed to fetch replay bounds' });
+  }
+});
+
+// Get a sensor's rate of change, acceleration and inverse-velocity failure forecast
+router.get('/trends/:sensorId', async (req, res) => {
+  try {
+    const sensorId = req.params.sensorId.toUpperCase();
+    const { hours, bucketMinutes } = req.query;
+    
+    if (!await Sensor.exists({ sensorId })) {
+      return res.status(404).json({ error: 'Sensor not found' });
+    }
+    
+    const trend = await trendAnalysis.analyzeSensorTrend(sensorId, { hours, bucketMinutes });
+    
+    res.json(trend);
+    
+  } catch (error) {
+    console.error('Error analyzing sensor trend:', error);
+    res.status(500).json({ error: 'Failed to analyze sensor trend' });
+  }
+});
+
+// Get sensor data summary for dashboard, from the rollups
+router.get('/summary', async (req, res) => {
+  try {
+    const { timeRange = 24, sensorId } = req.query; // hours
+    
+    const summary = await readingRollups.getSummary({
+      hours: parseFloat(timeRange) || 24,
+      sensorId: sensorId ? sensorId.toUpperCase() : null
+    });
+    
     res.json({
       timeRange: `${timeRange} hours`,
-      summary: summary[0] || {
-        totalReadings: 0,
-        uniqueSensorCount: 0,
-        riskDistribution: { LOW: 0, MEDIUM: 0, HIGH: 0 },
-        avgConfidence: 0,
-        lastReading: null
-      }
+      summary
     });
     
   } catch (error) {
@@ -1,30 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const Joi = require('joi');
 const SensorReading = require('../models/SensorReading');
-const Sensor = require('../models/Sensor');
-const aiService = require('../services/aiService');
-
-// Validation schema for sensor readings
-const readingValidationSchema = Joi.object({
-  sensorId: Joi.string().required().trim().uppercase(),
-  timestamp: Joi.date().optional(),
-  readings: Joi.object({
-    Rainfall_mm: Joi.number().min(0).max(1000).required(),
-    Slope_Angle: Joi.number().min(0).max(90).required(),
-    Soil_Saturation: Joi.number().min(0).max(1).required(),
-    Vegetation_Cover: Joi.number().min(0).max(1).required(),
-    Earthquake_Activity: Joi.number().min(0).max(10).required(),
-    Proximity_to_Water: Joi.number().min(0).required(),
-    Landslide: Joi.number().min(0).max(1).required(),
-    Soil_Type_Gravel: Joi.boolean().required(),
-    Soil_Type_Sand: Joi.boolean().required(),
-    Soil_Type_Silt: Joi.boolean().required()
-  }).required(),
-  metadata: Joi.object({
-    source: Joi.string().valid('SENSOR', 'SIMULATION', 'MANUAL').default('SENSOR')
-  }).optional()
-});
+const { ingestReading, ReadingIngestionError } = require('../services/readingIngestion');
 
 // GET /api/readings - Get sensor readings with filtering
 router.get('/', async (req, res) => {
@@ -99,77 +76,20 @@ router.get('/:id', async (req, res) => {
 // POST /api/readings - Create new sensor reading (with AI prediction)
 router.post('/', async (req, res) => {
   try {
-    const { error, value } = readingValidationSchema.validate(req.body);
-    
-    if (error) {
-      return res.status(400).json({ 
-        error: 'Validation failed', 
-        details: error.details.map(d => d.message) 
-      });
-    }
-    
-    // Verify sensor exists
-    const sensor = await Sensor.findOne({ sensorId: value.sensorId });
-    if (!sensor) {
-      return res.status(404).json({ error: 'Sensor not found' });
-    }
-    
-    // Get AI prediction
-    let aiPrediction;
-    try {
-      aiPrediction = await aiService.getPrediction(value);
-    } catch (aiError) {
-      console.error('AI Service Error:', aiError.message);
-      // Fallback prediction based on simple rules
-      aiPrediction = generateFallbackPrediction(value.readings);
-    }
-    
-    // Create sensor reading with prediction
-    const readingData = {
-      ...value,
-      riskPrediction: aiPrediction,
-      metadata: {
-        ...value.metadata,
-        processed: true,
-        processedAt: new Date()
-      }
-    };
-    
-    const reading = new SensorReading(readingData);
-    await reading.save();
-    
-    // Update sensor's last reading timestamp
-    await Sensor.findOneAndUpdate(
-      { sensorId: value.sensorId },
-      { lastReading: reading.timestamp }
-    );
-    
-    // Emit real-time update via Socket.IO
-    const io = req.app.get('socketio');
-    if (io) {
-      io.emit('sensor-reading', {
-        sensorId: reading.sensorId,
-        reading: reading,
-        sensor: sensor
-      });
-      
-      // Emit risk update if high risk
-      if (aiPrediction.level === 'HIGH') {
-        io.emit('risk-update', {
-          sensorId: reading.sensorId,
-          riskLevel: aiPrediction.level,
-          confidence: aiPrediction.confidence,
-          location: sensor.location,
-          timestamp: reading.timestamp
-        });
-      }
-    }
+    const { reading, alerts } = await ingestReading(req.body, { io: req.app.get('socketio') });
     
     res.status(201).json({ 
       message: 'Reading created successfully', 
-      reading 
+      reading,
+      alerts
     });
   } catch (error) {
+    if (error instanceof ReadingIngestionError) {
+      return res.status(error.status).json({
+        error: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
     res.status(500).json({ error: 'Failed to create reading', details: error.message });
   }
 });
@@ -187,54 +107,18 @@ router.post('/batch', async (req, res) => {
       return res.status(400).json({ error: 'Maximum 100 readings per batch' });
     }
     
+    const io = req.app.get('socketio');
     const results = [];
+    const alerts = [];
     const errors = [];
     
     for (const [index, readingData] of readings.entries()) {
       try {
-        const { error, value } = readingValidationSchema.validate(readingData);
-        
-        if (error) {
-          errors.push({ index, error: error.details.map(d => d.message) });
-          continue;
-        }
-        
-        // Verify sensor exists
-        const sensor = await Sensor.findOne({ sensorId: value.sensorId });
-        if (!sensor) {
-          errors.push({ index, error: 'Sensor not found' });
-          continue;
-        }
-        
-        // Get AI prediction
-        let aiPrediction;
-        try {
-          aiPrediction = await aiService.getPrediction(value);
-        } catch (aiError) {
-          aiPrediction = generateFallbackPrediction(value.readings);
-        }
-        
-        const reading = new SensorReading({
-          ...value,
-          riskPrediction: aiPrediction,
-          metadata: {
-            ...value.metadata,
-            processed: true,
-            processedAt: new Date()
-          }
-        });
-        
-        await reading.save();
+        const { reading, alerts: readingAlerts } = await ingestReading(readingData, { io });
         results.push(reading);
-        
-        // Update sensor's last reading timestamp
-        await Sensor.findOneAndUpdate(
-          { sensorId: value.sensorId },
-          { lastReading: reading.timestamp }
-        );
-        
+        alerts.push(...readingAlerts);
       } catch (processError) {
-        errors.push({ index, error: processError.message });
+        errors.push({ index, error: processError.details || processError.message });
       }
     }
     
@@ -243,6 +127,7 @@ router.post('/batch', async (req, res) => {
       successful: results.length,
       failed: errors.length,
       results,
+      alerts,
       errors
     });
   } catch (error) {
@@ -362,78 +247,4 @@ router.get('/analytics/summary', async (req, res) => {
   }
 });
 
-// Fallback prediction function when AI service is unavailable
-function generateFallbackPrediction(readings) {
-  let riskScore = 0;
-  const factors = [];
-  
-  // Simple rule-based risk assessment using new attributes
-  if (readings.Slope_Angle > 50) {
-    riskScore += 30;
-    factors.push('Slope_Angle');
-  }
-  
-  if (readings.Rainfall_mm > 50) {
-    riskScore += 25;
-    factors.push('Rainfall_mm');
-  }
-  
-  if (readings.Earthquake_Activity > 2.0) {
-    riskScore += 20;
-    factors.push('Earthquake_Activity');
-  }
-  
-  if (readings.Soil_Saturation > 0.7) {
-    riskScore += 15;
-    factors.push('Soil_Saturation');
-  }
-  
-  if (readings.Vegetation_Cover < 0.3) {
-    riskScore += 10;
-    factors.push('Vegetation_Cover');
-  }
-  
-  if (readings.Proximity_to_Water < 50) { // Close to water
-    riskScore += 10;
-    factors.push('Proximity_to_Water');
-  }
-  
-  if (readings.Landslide > 0.5) {
-    riskScore += 25;
-    factors.push('Landslide');
-  }
-  
-  // Soil type considerations
-  if (readings.Soil_Type_Sand && readings.Soil_Saturation > 0.5) {
-    riskScore += 5;
-    factors.push('Soil_Type_Sand');
-  }
-  
-  if (readings.Soil_Type_Silt && readings.Rainfall_mm > 30) {
-    riskScore += 8;
-    factors.push('Soil_Type_Silt');
-  }
-  
-  let level, confidence;
-  
-  if (riskScore >= 60) {
-    level = 'HIGH';
-    confidence = 0.7;
-  } else if (riskScore >= 30) {
-    level = 'MEDIUM';
-    confidence = 0.6;
-  } else {
-    level = 'LOW';
-    confidence = 0.8;
-  }
-  
-  return {
-    level,
-    confidence,
-    factors,
-    aiModelVersion: 'fallback-2.0',
-    processingTime: 10
-  };
-}
-
 module.exports = router;
\ No newline at end of file
@@ -1,36 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const Joi = require('joi');
 const Sensor = require('../models/Sensor');
 const SensorReading = require('../models/SensorReading');
-
-// Validation schemas
-const sensorValidationSchema = Joi.object({
-  sensorId: Joi.string().required().trim().uppercase(),
-  name: Joi.string().required().trim().max(100),
-  location: Joi.object({
-    coordinates: Joi.array().items(Joi.number()).length(2).required()
-  }).required(),
-  mineGrid: Joi.object({
-    x: Joi.number().required(),
-    y: Joi.number().required(),
-    zone: Joi.string().required().trim()
-  }).required(),
-  sensorType: Joi.string().valid('GEOLOGICAL', 'WEATHER', 'SEISMIC', 'COMBINED'),
-  configuration: Joi.object({
-    readingInterval: Joi.number().min(60000).max(3600000), // 1 minute to 1 hour
-    alertThresholds: Joi.object({
-      Rainfall_mm: Joi.number().min(0).max(1000),
-      Slope_Angle: Joi.number().min(0).max(90),
-      Soil_Saturation: Joi.number().min(0).max(1),
-      Vegetation_Cover: Joi.number().min(0).max(1),
-      Earthquake_Activity: Joi.number().min(0).max(10),
-      Proximity_to_Water: Joi.number().min(0),
-      Landslide: Joi.number().min(0).max(1)
-    })
-  }),
-  batteryLevel: Joi.number().min(0).max(100)
-});
+const Zone = require('../models/Zone');
+const { authorize } = require('../middleware/auth');
+const { evaluateSensorHealth } = require('../services/sensorHealthMonitor');
+const {
+  sensorValidationSchema,
+  SensorImportError,
+  importSensors,
+  sensorsToCsv,
+  sensorsToGeoJson
+} = require('../services/sensorProvisioning');
 
 // GET /api/sensors - Get all sensors
 router.get('/', async (req, res) => {
@@ -80,6 +61,69 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/sensors/export - Export the sensor fleet as CSV or GeoJSON
+router.get('/export', async (req, res) => {
+  try {
+    const { format = 'csv', status, zone } = req.query;
+    
+    if (!['csv', 'geojson'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format. Must be csv or geojson' });
+    }
+    
+    const filter = {};
+    if (status) filter.status = status;
+    if (zone) filter['mineGrid.zone'] = zone;
+    
+    const sensors = await Sensor.find(filter).sort({ sensorId: 1 }).lean();
+    const date = new Date().toISOString().slice(0, 10);
+    
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="sensors-${date}.csv"`);
+      return res.send(sensorsToCsv(sensors));
+    }
+    
+    res.set('Content-Type', 'application/geo+json');
+    res.set('Content-Disposition', `attachment; filename="sensors-${date}.geojson"`);
+    res.send(JSON.stringify(sensorsToGeoJson(sensors)));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to export sensors', details: error.message });
+  }
+});
+
+// POST /api/sensors/import - Validate (dryRun, the default) or apply a CSV/GeoJSON sensor import
+router.post('/import', authorize('admin'), async (req, res) => {
+  try {
+    const { format, data, dryRun = true } = req.body;
+    
+    if (!data) {
+      return res.status(400).json({ error: 'Import data is required' });
+    }
+    
+    const report = await importSensors({ format, data, dryRun: dryRun !== false && dryRun !== 'false' });
+    
+    if (report.dryRun) {
+      return res.json({ message: 'Dry run completed', report });
+    }
+    
+    if (report.invalid > 0) {
+      return res.status(400).json({ error: 'Validation failed', report });
+    }
+    
+    console.log(`📥 ${req.user.username} imported ${report.created} sensors`);
+    
+    res.status(201).json({ 
+      message: `Imported ${report.created} sensors`, 
+      report 
+    });
+  } catch (error) {
+    if (error instanceof SensorImportError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to import sensors', details: error.message });
+  }
+});
+
 // GET /api/sensors/:sensorId - Get specific sensor
 router.get('/:sensorId', async (req, res) => {
   try {
@@ -102,7 +146,7 @@ router.get('/:sensorId', async (req, res) => {
 });
 
 // POST /api/sensors - Create new sensor
-router.post('/', async (req, res) => {
+router.post('/', authorize('admin'), async (req, res) => {
   try {
     const { error, value } = sensorValidationSchema.validate(req.body);
     
@@ -113,6 +157,13 @@ router.post('/', async (req, res) => {
       });
     }
     
+    if (!(await Zone.exists({ zoneId: value.mineGrid.zone }))) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: [`Unknown zone: ${value.mineGrid.zone}`] 
+      });
+    }
+    
     // Check if sensor with this ID already exists
     const existingSensor = await Sensor.findOne({ sensorId: value.sensorId });
     if (existingSensor) {
@@ -132,7 +183,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/sensors/:sensorId - Update sensor
-router.put('/:sensorId', async (req, res) => {
+router.put('/:sensorId', authorize('admin'), async (req, res) => {
   try {
     const { error, value } = sensorValidationSchema.validate(req.body);
     
@@ -143,6 +194,13 @@ router.put('/:sensorId', async (req, res) => {
       });
     }
     
+    if (!(await Zone.exists({ zoneId: value.mineGrid.zone }))) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: [`Unknown zone: ${value.mineGrid.zone}`] 
+      });
+    }
+    
     const sensor = await Sensor.findOneAndUpdate(
       { sensorId: req.params.sensorId.toUpperCase() },
       value,
@@ -163,7 +221,7 @@ router.put('/:sensorId', async (req, res) => {
 });
 
 // PATCH /api/sensors/:sensorId/status - Update sensor status
-router.patch('/:sensorId/status', async (req, res) => {
+router.patch('/:sensorId/status', authorize('supervisor', 'admin'), async (req, res) => {
   try {
     const { status } = req.body;
     
@@ -173,9 +231,16 @@ router.patch('/:sensorId/status', async (req, res) => {
       });
     }
     
+    const sensorId = req.params.sensorId.toUpperCase();
+    const previous = await Sensor.findOne({ sensorId }, 'status');
+    if (!previous) {
+      return res.status(404).json({ error: 'Sensor not found' });
+    }
+    
+    // An operator-set status is never reverted by the health monitor
     const sensor = await Sensor.findOneAndUpdate(
-      { sensorId: req.params.sensorId.toUpperCase() },
-      { status },
+      { sensorId },
+      { status, 'health.errorSetByMonitor': false },
       { new: true }
     );
     
@@ -183,6 +248,18 @@ router.patch('/:sensorId/status', async (req, res) => {
       return res.status(404).json({ error: 'Sensor not found' });
     }
     
+    const previousStatus = previous.status;
+    
+    const io = req.app.get('socketio');
+    if (io && previousStatus !== status) {
+      io.broadcastSensorStatus({
+        sensorId: sensor.sensorId,
+        status,
+        previousStatus,
+        changedBy: req.user.username
+      });
+    }
+    
     res.json({ 
       message: 'Sensor status updated successfully', 
       sensor 
@@ -193,7 +270,7 @@ router.patch('/:sensorId/status', async (req, res) => {
 });
 
 // DELETE /api/sensors/:sensorId - Delete sensor
-router.delete('/:sensorId', async (req, res) => {
+router.delete('/:sensorId', authorize('admin'), async (req, res) => {
   try {
     const sensor = await Sensor.findOneAndDelete({ sensorId: req.params.sensorId.toUpperCase() });
     
@@ -255,44 +332,7 @@ router.get('/:sensorId/health', async (req, res) => {
     }
     
     const latestReading = await SensorReading.getLatestForSensor(sensor.sensorId);
-    const now = new Date();
-    
-    let healthStatus = 'HEALTHY';
-    let issues = [];
-    
-    // Check battery level
-    if (sensor.batteryLevel < 20) {
-      healthStatus = 'WARNING';
-      issues.push(`Low battery: ${sensor.batteryLevel}%`);
-    }
-    
-    if (sensor.batteryLevel < 10) {
-      healthStatus = 'CRITICAL';
-    }
-    
-    // Check last reading time
-    if (latestReading) {
-      const timeSinceLastReading = now - latestReading.timestamp;
-      const expectedInterval = sensor.configuration?.readingInterval || 300000; // 5 minutes default
-      
-      if (timeSinceLastReading > expectedInterval * 2) {
-        healthStatus = healthStatus === 'CRITICAL' ? 'CRITICAL' : 'WARNING';
-        issues.push(`No recent readings (last: ${Math.floor(timeSinceLastReading / 60000)} minutes ago)`);
-      }
-      
-      if (timeSinceLastReading > expectedInterval * 5) {
-        healthStatus = 'CRITICAL';
-      }
-    } else {
-      healthStatus = 'CRITICAL';
-      issues.push('No readings available');
-    }
-    
-    // Check sensor status
-    if (sensor.status !== 'ACTIVE') {
-      healthStatus = 'WARNING';
-      issues.push(`Sensor status: ${sensor.status}`);
-    }
+    const { healthStatus, issues } = evaluateSensorHealth(sensor, latestReading?.timestamp);
     
     res.json({
       sensorId: sensor.sensorId,
@@ -300,7 +340,8 @@ router.get('/:sensorId/health', async (req, res) => {
       issues,
       lastReading: latestReading?.timestamp,
       batteryLevel: sensor.batteryLevel,
-      status: sensor.status
+      status: sensor.status,
+      lastCheckedAt: sensor.health?.checkedAt
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to get sensor health', details: error.message });
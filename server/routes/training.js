@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const TrainingExample = require('../models/TrainingExample');
+const { authorize } = require('../middleware/auth');
+const trainingFeedback = require('../services/trainingFeedback');
+
+// Validation schema for dataset filters
+const datasetQuerySchema = Joi.object({
+  format: Joi.string().valid('json', 'ndjson').default('json'),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso(),
+  modelVersion: Joi.string().trim(),
+  label: Joi.string().valid(...TrainingExample.LABELS),
+  limit: Joi.number().integer().min(1).max(trainingFeedback.MAX_EXPORT_LIMIT)
+});
+
+// GET /api/training/examples - List labelled examples, newest first
+router.get('/examples', async (req, res) => {
+  try {
+    const { modelVersion, label, sensorId, limit = 50, page = 1 } = req.query;
+
+    const filter = {};
+    if (modelVersion) filter.aiModelVersion = modelVersion;
+    if (label) filter.label = label;
+    if (sensorId) filter.sensorId = sensorId.toUpperCase();
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [examples, total] = await Promise.all([
+      TrainingExample.find(filter).sort({ labeledAt: -1 }).skip(skip).limit(parseInt(limit)),
+      TrainingExample.countDocuments(filter)
+    ]);
+
+    res.json({
+      examples,
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / parseInt(limit)),
+        count: examples.length,
+        totalRecords: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch training examples', details: error.message });
+  }
+});
+
+// GET /api/training/stats - Precision and false-positive rate per model version
+router.get('/stats', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const models = await trainingFeedback.getModelStats({ startDate, endDate });
+
+    res.json({ models });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to compute model statistics', details: error.message });
+  }
+});
+
+// GET /api/training/export - Labelled dataset in the AI service's feature naming (json or ndjson download)
+router.get('/export', authorize('supervisor', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = datasetQuerySchema.validate(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const { format, ...filters } = value;
+    const cursor = trainingFeedback.datasetCursor(filters);
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (format === 'ndjson') {
+      // Stream one example per line so large datasets never sit in memory
+      res.set('Content-Type', 'application/x-ndjson');
+      res.set('Content-Disposition', `attachment; filename="training-${date}.ndjson"`);
+      for await (const example of cursor) {
+        res.write(`${JSON.stringify(trainingFeedback.toDatasetRow(example))}\n`);
+      }
+      return res.end();
+    }
+
+    const examples = [];
+    for await (const example of cursor) {
+      examples.push(trainingFeedback.toDatasetRow(example));
+    }
+
+    res.set('Content-Disposition', `attachment; filename="training-${date}.json"`);
+    res.json({
+      generatedAt: new Date(),
+      filters,
+      count: examples.length,
+      examples
+    });
+  } catch (error) {
+    // Headers are already sent once an ndjson stream has started
+    if (res.headersSent) {
+      console.error('❌ Training export failed mid-stream:', error);
+      return res.end();
+    }
+    res.status(500).json({ error: 'Failed to export training data', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const Zone = require('../models/Zone');
+const Mine = require('../models/Mine');
+const Sensor = require('../models/Sensor');
+const { authorize } = require('../middleware/auth');
+const { validatePolygon, isPointInBoundary } = require('../services/geoUtils');
+
+// Validation schema for zones
+const zoneValidationSchema = Joi.object({
+  zoneId: Joi.string().required().trim().uppercase().max(50),
+  name: Joi.string().required().trim().max(100),
+  mineId: Joi.string().required().trim().uppercase(),
+  description: Joi.string().trim().max(500).allow(''),
+  boundary: Joi.object({
+    type: Joi.string().valid('Polygon', 'MultiPolygon').required(),
+    coordinates: Joi.array().required()
+  }).required()
+});
+
+// Validate the request body, including the boundary geometry and the parent mine
+async function validateZone(body) {
+  const { error, value } = zoneValidationSchema.validate(body);
+  if (error) return { details: error.details.map(d => d.message) };
+
+  const boundaryError = validatePolygon(value.boundary);
+  if (boundaryError) return { details: [boundaryError] };
+
+  if (!(await Mine.exists({ mineId: value.mineId }))) {
+    return { details: [`Unknown mine: ${value.mineId}`] };
+  }
+
+  return { value };
+}
+
+// GET /api/zones - List zones
+router.get('/', async (req, res) => {
+  try {
+    const { mineId } = req.query;
+
+    const filter = {};
+    if (mineId) filter.mineId = mineId.toUpperCase();
+
+    const zones = await Zone.find(filter).sort({ zoneId: 1 });
+
+    res.json({ zones });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch zones', details: error.message });
+  }
+});
+
+// GET /api/zones/:zoneId - Get zone with its sensors' placement
+router.get('/:zoneId', async (req, res) => {
+  try {
+    const zone = await Zone.findOne({ zoneId: req.params.zoneId.toUpperCase() });
+
+    if (!zone) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+
+    const sensors = await Sensor.find({ 'mineGrid.zone': zone.zoneId }).select('sensorId location');
+    const sensorsOutsideBoundary = sensors
+      .filter(sensor => !isPointInBoundary(sensor.location.coordinates, zone.boundary))
+      .map(sensor => sensor.sensorId);
+
+    res.json({
+      zone,
+      sensorCount: sensors.length,
+      sensorsOutsideBoundary
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch zone', details: error.message });
+  }
+});
+
+// POST /api/zones - Create zone
+router.post('/', authorize('admin'), async (req, res) => {
+  try {
+    const { details, value } = await validateZone(req.body);
+
+    if (details) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const existingZone = await Zone.findOne({ zoneId: value.zoneId });
+    if (existingZone) {
+      return res.status(409).json({ error: 'Zone with this ID already exists' });
+    }
+
+    const zone = new Zone({ ...value, updatedBy: req.user.username });
+    await zone.save();
+
+    res.status(201).json({
+      message: 'Zone created successfully',
+      zone
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create zone', details: error.message });
+  }
+});
+
+// PUT /api/zones/:zoneId - Update zone (the zoneId itself cannot change; sensors reference it)
+router.put('/:zoneId', authorize('admin'), async (req, res) => {
+  try {
+    const { details, value } = await validateZone({ ...req.body, zoneId: req.params.zoneId });
+
+    if (details) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const zone = await Zone.findOneAndUpdate(
+      { zoneId: value.zoneId },
+      { ...value, updatedBy: req.user.username },
+      { new: true, runValidators: true }
+    );
+
+    if (!zone) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+
+    res.json({
+      message: 'Zone updated successfully',
+      zone
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update zone', details: error.message });
+  }
+});
+
+// DELETE /api/zones/:zoneId - Delete zone (only once no sensors reference it)
+router.delete('/:zoneId', authorize('admin'), async (req, res) => {
+  try {
+    const zoneId = req.params.zoneId.toUpperCase();
+
+    const sensorCount = await Sensor.countDocuments({ 'mineGrid.zone': zoneId });
+    if (sensorCount > 0) {
+      return res.status(409).json({ error: `Zone still has ${sensorCount} sensors; move or delete them first` });
+    }
+
+    const zone = await Zone.findOneAndDelete({ zoneId });
+
+    if (!zone) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+
+    res.json({
+      message: 'Zone deleted successfully',
+      deletedZone: zone
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete zone', details: error.message });
+  }
+});
+
+module.exports = router;
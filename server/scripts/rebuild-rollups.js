@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const ReadingRollup = require('../models/ReadingRollup');
+const { rebuildRollups } = require('../services/readingRollups');
+
+// Usage: npm run rollups:rebuild -- [--sensor SENSOR_001] [--from 2025-01-01] [--to 2025-06-30]
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (!value) throw new Error(`Missing value for ${flag}`);
+    switch (flag) {
+      case '--sensor':
+        options.sensorId = value.toUpperCase();
+        break;
+      case '--from':
+      case '--to': {
+        const date = new Date(value);
+        if (isNaN(date)) throw new Error(`Invalid date for ${flag}: ${value}`);
+        options[flag.slice(2)] = date;
+        break;
+      }
+      default:
+        throw new Error(`Unknown option ${flag}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  let exitCode = 0;
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/geosafe-ai');
+    console.log('✅ Connected to MongoDB');
+
+    // $merge matches buckets on the unique rollup index, which a fresh database does not have yet
+    await ReadingRollup.init();
+
+    const { from, to, buckets } = await rebuildRollups(options);
+    if (!from) {
+      console.log('ℹ️ No readings to roll up');
+    } else {
+      console.log(`✅ Rollups rebuilt for ${options.sensorId || 'all sensors'} from ${from.toISOString()} to ${to.toISOString()}: ${buckets.minute} minute, ${buckets.hour} hour, ${buckets.day} day buckets`);
+    }
+  } catch (error) {
+    console.error('❌ Rollup rebuild failed:', error.message);
+    exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+  process.exit(exitCode);
+}
+
+main();
@@ -8,7 +8,18 @@ const rateLimit = require('express-rate-limit');
 
 const connectDB = require('./config/database');
 const { initializeSensors } = require('./services/sensorInitializer');
+const { initializeMines } = require('./services/mineInitializer');
+const { initializeAdminUser } = require('./services/userInitializer');
+const { initializeAlertRules } = require('./services/alertRuleInitializer');
+const { initializeModelRegistry } = require('./services/modelRegistry');
+const retentionService = require('./services/retentionService');
+const exportService = require('./services/exportService');
+const { authenticate } = require('./middleware/auth');
 const BackendSensorSimulator = require('./services/backendSensorSimulator');
+const notificationService = require('./services/notificationService');
+const { SensorHealthMonitor } = require('./services/sensorHealthMonitor');
+const MqttIngestion = require('./services/mqttIngestion');
+const aiService = require('./services/aiService');
 
 // Initialize Express app
 const app = express();
@@ -69,7 +80,7 @@ app.use(cors({
     if (process.env.NODE_ENV !== 'production') return callback(null, true);
     return callback(new Error('Not allowed by CORS'));
   },
-  methods: ["GET", "POST", "OPTIONS"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
   allowedHeaders: ["Content-Type", "Authorization"],
   credentials: true
 }));
@@ -84,18 +95,32 @@ app.get('/health', (req, res) => {
     status: 'OK',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    environment: process.env.NODE_ENV
+    environment: process.env.NODE_ENV,
+    mqtt: app.get('mqttIngestion')?.getStatus() || { enabled: false },
+    ai: aiService.getStatus()
   });
 });
 
 // API Routes
-app.use('/api/sensors', require('./routes/sensors'));
-app.use('/api/alerts', require('./routes/alerts'));
-app.use('/api/readings', require('./routes/sensorReadings'));
-app.use('/api/sensor-data', require('./routes/sensorData')); // New historical data route
+app.use('/api/auth', require('./routes/auth'));
+app.use('/api/sensors', authenticate, require('./routes/sensors'));
+app.use('/api/alerts', authenticate, require('./routes/alerts'));
+app.use('/api/readings', authenticate, require('./routes/sensorReadings'));
+app.use('/api/sensor-data', authenticate, require('./routes/sensorData')); // New historical data route
+app.use('/api/escalation-policies', authenticate, require('./routes/escalationPolicies'));
+app.use('/api/alert-rules', authenticate, require('./routes/alertRules'));
+app.use('/api/mines', authenticate, require('./routes/mines'));
+app.use('/api/zones', authenticate, require('./routes/zones'));
+app.use('/api/geofence', authenticate, require('./routes/geofence'));
+app.use('/api/assets', authenticate, require('./routes/assets'));
+app.use('/api/training', authenticate, require('./routes/training'));
+app.use('/api/models', authenticate, require('./routes/models'));
+app.use('/api/retention', authenticate, require('./routes/retention'));
+app.use('/api/exports', authenticate, require('./routes/exports'));
 
 // Socket.IO handlers
 require('./socket/socketHandlers')(io);
+require('./socket/replayHandlers')(io);
 
 // Make io available to routes
 app.set('socketio', io);
@@ -139,6 +164,53 @@ server.listen(PORT, async () => {
   console.log(`📊 Environment: ${process.env.NODE_ENV}`);
   console.log(`🌐 Frontend URL: ${process.env.FRONTEND_URL}`);
   
+  // Create initial admin account if needed
+  try {
+    await initializeAdminUser();
+  } catch (error) {
+    console.error('Failed to initialize admin user:', error);
+  }
+  
+  // Retry failed email/SMS/webhook notifications in the background
+  notificationService.startRetryLoop();
+  
+  // Seed default alert rules if needed
+  try {
+    await initializeAlertRules();
+  } catch (error) {
+    console.error('Failed to initialize alert rules:', error);
+  }
+  
+  // Load the champion and challenger models before readings start flowing
+  try {
+    await initializeModelRegistry();
+  } catch (error) {
+    console.error('Failed to initialize model registry:', error);
+  }
+  
+  // Seed retention policies and drop the TTL indexes they replace, then archive aged data periodically
+  try {
+    await retentionService.initializeRetention();
+    retentionService.startRetentionLoop();
+  } catch (error) {
+    console.error('Failed to initialize retention:', error);
+  }
+  
+  // Resume export jobs interrupted by a restart and remove expired export files periodically
+  try {
+    await exportService.initializeExports();
+    exportService.startExportCleanupLoop();
+  } catch (error) {
+    console.error('Failed to initialize exports:', error);
+  }
+  
+  // Seed mines and zones before the sensors that reference them
+  try {
+    await initializeMines();
+  } catch (error) {
+    console.error('Failed to initialize mines:', error);
+  }
+  
   // Initialize sensors in database if needed
   try {
     await initializeSensors();
@@ -158,6 +230,22 @@ server.listen(PORT, async () => {
   } catch (error) {
     console.error('❌ Failed to start sensor simulation:', error);
   }
+  
+  // Watch for silent and low-battery sensors
+  const sensorHealthMonitor = new SensorHealthMonitor(io);
+  sensorHealthMonitor.start();
+  app.set('sensorHealthMonitor', sensorHealthMonitor);
+  
+  // Ingest field sensor readings published over MQTT
+  if (process.env.MQTT_URL) {
+    const mqttIngestion = new MqttIngestion(io);
+    app.set('mqttIngestion', mqttIngestion);
+    try {
+      await mqttIngestion.start();
+    } catch (error) {
+      console.error('❌ Failed to start MQTT ingestion:', error);
+    }
+  }
 });
 
 // Export for testing
@@ -1,49 +1,103 @@
-const axios = require('axios');
+const { CircuitBreaker, CircuitOpenError } = require('./circuitBreaker');
+const HttpPredictionProvider = require('./predictionProviders/httpProvider');
+const RuleEnginePredictionProvider = require('./predictionProviders/ruleEngineProvider');
 
+/**
+ * Risk prediction through a chain of providers
+ * Providers are tried in PREDICTION_PROVIDERS order (default "remote,local"). A provider behind a
+ * circuit breaker is skipped while its circuit is open, so a dead AI service costs one fast failure
+ * instead of a timeout per reading. Predictions report the provider in aiModelVersion ("local:rules-1.0").
+ *
+ * Provider contract: { name, isConfigured(), predict(sensorData) -> { level, confidence, factors, modelVersion } }
+ * and optionally predictBatch(array), getModelInfo(), healthCheck(), getStatus().
+ */
 class AIService {
   constructor() {
-    this.baseURL = process.env.AI_SERVICE_URL || 'http://localhost:8000';
-    this.timeout = parseInt(process.env.AI_SERVICE_TIMEOUT) || 30000;
-    this.retryAttempts = 3;
-    this.retryDelay = 1000; // 1 second
-    
-    // Create axios instance with default configuration
-    this.client = axios.create({
-      baseURL: this.baseURL,
-      timeout: this.timeout,
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'GeoSafe-AI-Backend/1.0'
-      }
-    });
+    this.providers = new Map();
+    this.order = (process.env.PREDICTION_PROVIDERS || 'remote,local')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+    this.breakerOptions = {
+      failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 5,
+      resetTimeout: parseInt(process.env.AI_CIRCUIT_RESET_MS) || 30000
+    };
+  }
+  
+  /**
+   * Register a prediction provider (replaces any existing provider with that name)
+   * @param {Object} provider - Provider implementing the contract above
+   * @param {Object} options - { circuitBreaker } wrap calls in a circuit breaker (default true)
+   */
+  registerProvider(provider, { circuitBreaker = true } = {}) {
+    if (!provider.name || typeof provider.predict !== 'function') {
+      throw new Error('Prediction provider must define a name and a predict() method');
+    }
+    const breaker = circuitBreaker ? new CircuitBreaker(`ai:${provider.name}`, this.breakerOptions) : null;
+    this.providers.set(provider.name, { provider, breaker });
+  }
+  
+  /**
+   * Make a provider the first one tried (used when the model registry promotes a champion)
+   * @param {Object} provider - Provider implementing the contract above
+   * @param {Object} options - Passed to registerProvider
+   */
+  setPrimaryProvider(provider, options = {}) {
+    this.registerProvider(provider, options);
+    this.order = [provider.name, ...this.order.filter(name => name !== provider.name)];
+    console.log(`🧠 Primary prediction provider: ${provider.name} (${this.order.join(' → ')})`);
+  }
+  
+  // Configured providers in the order they are tried
+  getProviderChain() {
+    return this.order
+      .map(name => this.providers.get(name))
+      .filter(entry => entry && (!entry.provider.isConfigured || entry.provider.isConfigured()));
+  }
+  
+  /**
+   * Call each provider in turn until one succeeds
+   * @param {Function} call - (provider) => Promise
+   * @param {string} description - For log and error messages
+   * @returns {Promise<Object>} { provider, result }
+   */
+  async callChain(call, description) {
+    const errors = [];
+    let failed = false;
     
-    // Add request interceptor for logging
-    this.client.interceptors.request.use(
-      (config) => {
-        console.log(`AI Service Request: ${config.method?.toUpperCase()} ${config.url}`);
-        return config;
-      },
-      (error) => {
-        console.error('AI Service Request Error:', error.message);
-        return Promise.reject(error);
+    for (const { provider, breaker } of this.getProviderChain()) {
+      try {
+        const result = breaker ? await breaker.exec(() => call(provider)) : await call(provider);
+        if (failed) {
+          console.warn(`⚠️ ${description} served by ${provider.name} provider after: ${errors.join('; ')}`);
+        }
+        return { provider, result };
+      } catch (error) {
+        // An open circuit is expected while a provider is down; only real failures are logged
+        if (!(error instanceof CircuitOpenError)) {
+          failed = true;
+          console.error(`AI provider ${provider.name} failed (${description}):`, error.message);
+        }
+        errors.push(`${provider.name}: ${error.message}`);
       }
-    );
+    }
     
-    // Add response interceptor for logging and error handling
-    this.client.interceptors.response.use(
-      (response) => {
-        console.log(`AI Service Response: ${response.status} ${response.config.url}`);
-        return response;
-      },
-      (error) => {
-        console.error('AI Service Response Error:', error.message);
-        return Promise.reject(error);
-      }
-    );
+    throw new Error(errors.length > 0 ? errors.join('; ') : 'No prediction provider configured');
+  }
+  
+  // Tag a provider's prediction with its provider and timing
+  formatPrediction(provider, prediction, processingTime) {
+    const { modelVersion, ...rest } = prediction;
+    return {
+      ...rest,
+      aiModelVersion: `${provider.name}:${modelVersion}`,
+      provider: provider.name,
+      processingTime
+    };
   }
   
   /**
-   * Get risk prediction from AI service
+   * Get risk prediction
    * @param {Object} sensorData - Sensor reading data
    * @returns {Promise<Object>} Prediction result
    */
@@ -51,19 +105,10 @@ class AIService {
     const startTime = Date.now();
     
     try {
-      const payload = this.formatPredictionPayload(sensorData);
+      const { provider, result } = await this.callChain(p => p.predict(sensorData), `prediction for ${sensorData.sensorId}`);
+      const prediction = this.formatPrediction(provider, result, Date.now() - startTime);
       
-      const response = await this.retryRequest(async () => {
-        return await this.client.post('/predict', payload);
-      });
-      
-      const processingTime = Date.now() - startTime;
-      
-      // Validate and format the AI response
-      const prediction = this.validatePredictionResponse(response.data);
-      prediction.processingTime = processingTime;
-      
-      console.log(`AI Prediction completed in ${processingTime}ms: ${prediction.level} (${prediction.confidence})`);
+      console.log(`AI Prediction completed in ${prediction.processingTime}ms by ${provider.name}: ${prediction.level} (${prediction.confidence})`);
       
       return prediction;
       
@@ -90,24 +135,16 @@ class AIService {
     const startTime = Date.now();
     
     try {
-      const payload = {
-        readings: sensorDataArray.map(data => this.formatPredictionPayload(data))
-      };
-      
-      const response = await this.retryRequest(async () => {
-        return await this.client.post('/predict/batch', payload);
-      });
-      
+      const { provider, result } = await this.callChain(
+        p => (p.predictBatch ? p.predictBatch(sensorDataArray) : Promise.all(sensorDataArray.map(data => p.predict(data)))),
+        `batch of ${sensorDataArray.length}`
+      );
       const processingTime = Date.now() - startTime;
       
-      // Validate and format batch response
-      const predictions = response.data.predictions.map((pred, index) => {
-        const prediction = this.validatePredictionResponse(pred);
-        prediction.processingTime = processingTime / sensorDataArray.length; // Average per prediction
-        return prediction;
-      });
+      // Average per prediction
+      const predictions = result.map(prediction => this.formatPrediction(provider, prediction, processingTime / sensorDataArray.length));
       
-      console.log(`AI Batch prediction completed in ${processingTime}ms for ${predictions.length} readings`);
+      console.log(`AI Batch prediction completed in ${processingTime}ms by ${provider.name} for ${predictions.length} readings`);
       
       return predictions;
       
@@ -118,35 +155,38 @@ class AIService {
   }
   
   /**
-   * Get AI model information and health status
-   * @returns {Promise<Object>} Model info and health status
+   * Get model information from every configured provider
+   * @returns {Promise<Object>} Model info keyed by provider name
    */
   async getModelInfo() {
-    try {
-      const response = await this.client.get('/model/info');
-      return response.data;
-    } catch (error) {
-      console.error('Failed to get AI model info:', error.message);
-      throw new Error(`Failed to get model info: ${error.message}`);
+    const info = {};
+    for (const { provider } of this.getProviderChain()) {
+      try {
+        info[provider.name] = provider.getModelInfo ? await provider.getModelInfo() : null;
+      } catch (error) {
+        console.error(`Failed to get model info from ${provider.name}:`, error.message);
+        info[provider.name] = { error: error.message };
+      }
     }
+    return info;
   }
   
   /**
-   * Check AI service health
+   * Check whether any provider can serve predictions
    * @returns {Promise<boolean>} Service health status
    */
   async healthCheck() {
-    try {
-      const response = await this.client.get('/health', { timeout: 5000 });
-      return response.status === 200;
-    } catch (error) {
-      console.error('AI Service health check failed:', error.message);
-      return false;
+    for (const { provider } of this.getProviderChain()) {
+      if (!provider.healthCheck || await provider.healthCheck()) {
+        return true;
+      }
     }
+    return false;
   }
   
   /**
    * Format sensor data for AI service prediction endpoint
+   * This is also the feature naming of exported training data.
    * @param {Object} sensorData - Raw sensor data
    * @returns {Object} Formatted payload
    */
@@ -171,110 +211,35 @@ class AIService {
     };
   }
   
-  /**
-   * Validate and format AI service response
-   * @param {Object} response - Raw AI service response
-   * @returns {Object} Validated prediction object
-   */
-  validatePredictionResponse(response) {
-    if (!response) {
-      throw new Error('Empty response from AI service');
-    }
-    
-    const { risk_level, confidence, contributing_factors, model_version } = response;
-    
-    // Validate risk level
-    if (!['LOW', 'MEDIUM', 'HIGH'].includes(risk_level)) {
-      throw new Error(`Invalid risk level: ${risk_level}`);
-    }
-    
-    // Validate confidence score
-    if (typeof confidence !== 'number' || confidence < 0 || confidence > 1) {
-      throw new Error(`Invalid confidence score: ${confidence}`);
-    }
-    
-    // Map AI service factor names to our schema
-    const factorMapping = {
-      'rainfall_mm': 'Rainfall_mm',
-      'slope_angle': 'Slope_Angle',
-      'soil_saturation': 'Soil_Saturation',
-      'vegetation_cover': 'Vegetation_Cover',
-      'earthquake_activity': 'Earthquake_Activity',
-      'proximity_to_water': 'Proximity_to_Water',
-      'landslide': 'Landslide',
-      'soil_type_gravel': 'Soil_Type_Gravel',
-      'soil_type_sand': 'Soil_Type_Sand',
-      'soil_type_silt': 'Soil_Type_Silt'
-    };
-    
-    const factors = (contributing_factors || [])
-      .map(factor => factorMapping[factor] || factor)
-      .filter(factor => factor); // Remove undefined factors
-    
-    return {
-      level: risk_level,
-      confidence: Math.round(confidence * 1000) / 1000, // Round to 3 decimal places
-      factors,
-      aiModelVersion: model_version || '1.0'
-    };
-  }
-  
-  /**
-   * Retry mechanism for API requests
-   * @param {Function} requestFn - Function that makes the API request
-   * @returns {Promise} Request result
-   */
-  async retryRequest(requestFn) {
-    let lastError;
-    
-    for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
-      try {
-        return await requestFn();
-      } catch (error) {
-        lastError = error;
-        
-        // Don't retry on validation errors (4xx)
-        if (error.response && error.response.status >= 400 && error.response.status < 500) {
-          throw error;
-        }
-        
-        if (attempt < this.retryAttempts) {
-          const delay = this.retryDelay * Math.pow(2, attempt - 1); // Exponential backoff
-          console.log(`AI Service request failed (attempt ${attempt}/${this.retryAttempts}). Retrying in ${delay}ms...`);
-          await this.sleep(delay);
-        }
-      }
-    }
-    
-    throw lastError;
-  }
-  
-  /**
-   * Sleep utility for retry delays
-   * @param {number} ms - Milliseconds to sleep
-   * @returns {Promise} Promise that resolves after delay
-   */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-  
   /**
    * Get service status and configuration
    * @returns {Object} Service status information
    */
   getStatus() {
+    const chain = this.getProviderChain();
     return {
-      baseURL: this.baseURL,
-      timeout: this.timeout,
-      retryAttempts: this.retryAttempts,
-      retryDelay: this.retryDelay,
-      isConfigured: !!this.baseURL
+      order: this.order,
+      // First provider whose circuit lets calls through
+      activeProvider: chain.find(({ breaker }) => !breaker || breaker.state !== 'OPEN')?.provider.name || null,
+      providers: [...this.providers.values()].map(({ provider, breaker }) => ({
+        name: provider.name,
+        configured: !provider.isConfigured || provider.isConfigured(),
+        inChain: this.order.includes(provider.name),
+        circuit: breaker ? breaker.getStatus() : null,
+        ...(provider.getStatus ? provider.getStatus() : {})
+      })),
+      isConfigured: chain.length > 0
     };
   }
 }
 
-// Create singleton instance
+// Create singleton instance with the built-in providers
 const aiService = new AIService();
+aiService.registerProvider(new HttpPredictionProvider({
+  formatPayload: (sensorData) => aiService.formatPredictionPayload(sensorData)
+}));
+// In-process scoring cannot be "down", so it is never cut off
+aiService.registerProvider(new RuleEnginePredictionProvider(), { circuitBreaker: false });
 
 // Export functions for backward compatibility
 module.exports = {
@@ -286,4 +251,4 @@ module.exports = {
   
   // Export the service instance for advanced usage
   aiService
-};
\ No newline at end of file
+};
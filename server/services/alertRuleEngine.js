@@ -0,0 +1,216 @@
+const AlertRule = require('../models/AlertRule');
+const SensorReading = require('../models/SensorReading');
+const alertService = require('./alertService');
+
+const RULE_CACHE_TTL = 30000; // Reload active rules at most every 30 seconds
+const RISK_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3 };
+const PRIORITY_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+
+let cachedRules = null;
+let cacheLoadedAt = 0;
+
+/**
+ * Get active alert rules (cached)
+ * @returns {Promise<Array>} AlertRule documents
+ */
+async function getActiveRules() {
+  if (!cachedRules || Date.now() - cacheLoadedAt > RULE_CACHE_TTL) {
+    cachedRules = await AlertRule.find({ isActive: true });
+    cacheLoadedAt = Date.now();
+  }
+  return cachedRules;
+}
+
+// Drop cached rules so the next reading sees rule changes immediately
+function invalidateRuleCache() {
+  cachedRules = null;
+}
+
+function compare(value, operator, threshold) {
+  switch (operator) {
+    case 'GTE': return value >= threshold;
+    case 'LT': return value < threshold;
+    case 'LTE': return value <= threshold;
+    default: return value > threshold;
+  }
+}
+
+/**
+ * Evaluate a single condition against a reading
+ * @param {Object} condition - Rule condition
+ * @param {Object} sensor - Sensor document
+ * @param {Object} reading - SensorReading (with riskPrediction)
+ * @returns {Object} { matched, triggerFactors }
+ */
+function evaluateCondition(condition, sensor, reading) {
+  if (condition.type === 'AI_RISK') {
+    const prediction = reading.riskPrediction || {};
+    const matched = (RISK_RANK[prediction.level] || 0) >= RISK_RANK[condition.minRiskLevel] &&
+                    prediction.confidence >= (condition.minConfidence || 0);
+
+    return {
+      matched,
+      triggerFactors: matched
+        ? (prediction.factors || []).map(factor => ({
+            factor,
+            value: Number(reading.readings[factor]) || 0,
+            threshold: sensor.configuration?.alertThresholds?.[factor] || 0,
+            severity: prediction.level
+          }))
+        : []
+    };
+  }
+
+  const value = reading.readings[condition.factor];
+  const threshold = condition.threshold ?? sensor.configuration?.alertThresholds?.[condition.factor];
+
+  // A sensor without a threshold for this factor cannot satisfy the condition
+  if (value === undefined || threshold === undefined || threshold === null) {
+    return { matched: false, triggerFactors: [] };
+  }
+
+  const matched = compare(value, condition.operator, threshold);
+  return {
+    matched,
+    triggerFactors: matched ? [{ factor: condition.factor, value, threshold }] : []
+  };
+}
+
+/**
+ * Evaluate a rule's combined conditions against one reading
+ * @param {Object} rule - AlertRule document
+ * @param {Object} sensor - Sensor document
+ * @param {Object} reading - SensorReading
+ * @returns {Object} { matched, triggerFactors }
+ */
+function evaluateRuleOnReading(rule, sensor, reading) {
+  const results = rule.conditions.map(condition => evaluateCondition(condition, sensor, reading));
+  const matched = rule.combinator === 'OR'
+    ? results.some(r => r.matched)
+    : results.every(r => r.matched);
+
+  return {
+    matched,
+    triggerFactors: matched ? results.flatMap(r => r.triggerFactors) : []
+  };
+}
+
+/**
+ * Evaluate a rule against the current reading and the sensor's preceding readings
+ * @param {Object} rule - AlertRule document
+ * @param {Object} sensor - Sensor document
+ * @param {Object} reading - Current SensorReading
+ * @param {Array} history - Preceding readings, newest first
+ * @returns {Object} { matched, triggerFactors }
+ */
+function evaluateRule(rule, sensor, reading, history = []) {
+  const current = evaluateRuleOnReading(rule, sensor, reading);
+  if (!current.matched) return current;
+
+  const required = (rule.consecutiveReadings || 1) - 1;
+  if (required > 0) {
+    const previous = history.slice(0, required);
+    if (previous.length < required ||
+        !previous.every(r => evaluateRuleOnReading(rule, sensor, r).matched)) {
+      return { matched: false, triggerFactors: [] };
+    }
+  }
+
+  // Severity of threshold factors follows the rule's risk level
+  return {
+    matched: true,
+    triggerFactors: current.triggerFactors.map(f => ({ severity: rule.riskLevel, ...f }))
+  };
+}
+
+/**
+ * Find the rules a reading triggers, keeping the highest priority rule per alert type
+ * @param {Object} sensor - Sensor document
+ * @param {Object} reading - Saved SensorReading document
+ * @returns {Promise<Array>} Matches: { rule, triggerFactors }
+ */
+async function evaluateReading(sensor, reading) {
+  const rules = (await getActiveRules()).filter(rule => rule.appliesToSensor(sensor));
+  if (rules.length === 0) return [];
+
+  const historyNeeded = Math.max(...rules.map(rule => rule.consecutiveReadings || 1)) - 1;
+  const history = historyNeeded > 0
+    ? await SensorReading.find({
+        sensorId: reading.sensorId,
+        timestamp: { $lt: reading.timestamp }
+      }).sort({ timestamp: -1 }).limit(historyNeeded).lean()
+    : [];
+
+  const byAlertType = new Map();
+  for (const rule of rules) {
+    const { matched, triggerFactors } = evaluateRule(rule, sensor, reading, history);
+    if (!matched) continue;
+
+    const existing = byAlertType.get(rule.alertType);
+    if (!existing || PRIORITY_RANK[rule.priority] > PRIORITY_RANK[existing.rule.priority]) {
+      byAlertType.set(rule.alertType, { rule, triggerFactors });
+    }
+  }
+
+  return [...byAlertType.values()];
+}
+
+/**
+ * Evaluate a reading against the alert rules and raise an alert for each match
+ * @param {Object} sensor - Sensor document
+ * @param {Object} reading - Saved SensorReading document
+ * @param {Object} prediction - Risk prediction for the reading
+ * @param {Object} io - Socket.IO server
+ * @returns {Promise<Array>} Alerts created or updated (suppressed matches and rockfall matches on flagged readings are skipped)
+ */
+async function applyRules(sensor, reading, prediction, io) {
+  const matches = await evaluateReading(sensor, reading);
+  const alerts = [];
+
+  for (const { rule, triggerFactors } of matches) {
+    // A reading with a HIGH data-quality anomaly is not evidence of rockfall by itself
+    if (reading.dataQuality?.flagged && rule.alertType === 'ROCKFALL_RISK') {
+      console.log(`🚫 ${rule.name} match for ${sensor.sensorId} ignored: reading flagged as anomalous`);
+      continue;
+    }
+
+    const { alert } = await alertService.raiseAlert({
+      sensorId: sensor.sensorId,
+      sensorReadingId: reading._id,
+      riskLevel: rule.riskLevel,
+      confidence: prediction.confidence,
+      triggeredAt: reading.timestamp,
+      priority: rule.priority,
+      alertType: rule.alertType,
+      affectedArea: {
+        radius: rule.affectedArea?.radius,
+        riskZone: rule.affectedArea?.riskZone
+      },
+      triggerFactors,
+      metadata: {
+        aiModelVersion: prediction.aiModelVersion,
+        processingTime: prediction.processingTime,
+        ruleId: rule._id,
+        ruleName: rule.name
+      }
+    }, {
+      sensor,
+      sensorReading: reading,
+      io,
+      urgent: rule.priority === 'CRITICAL'
+    });
+
+    if (alert) alerts.push(alert);
+  }
+
+  return alerts;
+}
+
+module.exports = {
+  getActiveRules,
+  invalidateRuleCache,
+  evaluateCondition,
+  evaluateRule,
+  evaluateReading,
+  applyRules
+};
@@ -0,0 +1,71 @@
+const AlertRule = require('../models/AlertRule');
+
+// Rules seeded on first start; THRESHOLD conditions without a value use each sensor's alertThresholds
+const DEFAULT_ALERT_RULES = [
+  {
+    name: 'AI high rockfall risk',
+    description: 'AI model predicts HIGH risk with at least 50% confidence',
+    conditions: [{ type: 'AI_RISK', minRiskLevel: 'HIGH', minConfidence: 0.5 }],
+    alertType: 'ROCKFALL_RISK',
+    priority: 'CRITICAL',
+    riskLevel: 'HIGH',
+    affectedArea: { radius: 200, riskZone: 'IMMEDIATE' }
+  },
+  {
+    name: 'Unstable slope indicators',
+    description: 'Landslide probability and slope angle both above the sensor thresholds',
+    conditions: [
+      { type: 'THRESHOLD', factor: 'Landslide', operator: 'GT' },
+      { type: 'THRESHOLD', factor: 'Slope_Angle', operator: 'GT' }
+    ],
+    combinator: 'AND',
+    alertType: 'ROCKFALL_RISK',
+    priority: 'HIGH',
+    riskLevel: 'HIGH',
+    affectedArea: { radius: 150, riskZone: 'IMMEDIATE' }
+  },
+  {
+    name: 'Sustained rainfall saturation',
+    description: 'Rainfall and soil saturation above the sensor thresholds for 3 consecutive readings',
+    conditions: [
+      { type: 'THRESHOLD', factor: 'Rainfall_mm', operator: 'GT' },
+      { type: 'THRESHOLD', factor: 'Soil_Saturation', operator: 'GT' }
+    ],
+    combinator: 'AND',
+    consecutiveReadings: 3,
+    alertType: 'WEATHER_WARNING',
+    priority: 'HIGH',
+    riskLevel: 'MEDIUM',
+    affectedArea: { radius: 500, riskZone: 'NEARBY' }
+  },
+  {
+    name: 'Seismic activity',
+    description: 'Earthquake activity above the sensor threshold',
+    conditions: [{ type: 'THRESHOLD', factor: 'Earthquake_Activity', operator: 'GT' }],
+    alertType: 'SEISMIC_EVENT',
+    priority: 'HIGH',
+    riskLevel: 'HIGH',
+    affectedArea: { radius: 1000, riskZone: 'EXTENDED' }
+  }
+];
+
+// Seed the default alert rules when no rules exist
+async function initializeAlertRules() {
+  try {
+    const existingRuleCount = await AlertRule.countDocuments();
+
+    if (existingRuleCount > 0) {
+      console.log(`✅ Found ${existingRuleCount} alert rules in database`);
+      return;
+    }
+
+    const rules = await AlertRule.insertMany(DEFAULT_ALERT_RULES);
+    console.log(`📏 Created ${rules.length} default alert rules`);
+    return rules;
+  } catch (error) {
+    console.error('❌ Error initializing alert rules:', error);
+    throw error;
+  }
+}
+
+module.exports = { initializeAlertRules, DEFAULT_ALERT_RULES };
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const Alert = require('../models/Alert');
+const AlertEvent = require('../models/AlertEvent');
+const AlertRule = require('../models/AlertRule');
+const AlertSuppression = require('../models/AlertSuppression');
+const notificationService = require('./notificationService');
+const assetTracking = require('./assetTracking');
+
+// Default quiet period after an alert is resolved before the same sensor/type can alert again
+const DEFAULT_COOLDOWN_MINUTES = process.env.ALERT_COOLDOWN_MINUTES !== undefined
+  ? parseInt(process.env.ALERT_COOLDOWN_MINUTES) || 0
+  : 10;
+const PRIORITY_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+const RISK_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3 };
+
+/**
+ * Generate a unique alert ID for a sensor
+ * @param {string} sensorId - Sensor ID
+ * @returns {string} Alert ID
+ */
+function generateAlertId(sensorId) {
+  // Random suffix: two alerts for one sensor can be created in the same millisecond
+  return `ALERT_${Date.now()}_${sensorId}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Create an alert, broadcast it and send its notifications
+ * @param {Object} alertData - Alert fields (alertId and location are filled in when missing)
+ * @param {Object} options - { sensor, sensorReading, io, urgent, createdBy }
+ * @returns {Promise<Object>} Saved alert document
+ */
+async function createAlert(alertData, { sensor, sensorReading = null, io = null, urgent = false, createdBy = 'system' } = {}) {
+  const alert = new Alert({
+    ...alertData,
+    alertId: alertData.alertId || generateAlertId(alertData.sensorId),
+    location: alertData.location || sensor?.location
+  });
+
+  await alert.save();
+  console.log(`🚨 Alert created: ${alert.alertId} (${alert.priority} ${alert.alertType})`);
+
+  await AlertEvent.record(alert, 'CREATED', createdBy, {
+    toStatus: alert.status,
+    details: {
+      priority: alert.priority,
+      riskLevel: alert.riskLevel,
+      ruleName: alert.metadata?.ruleName || null
+    }
+  });
+
+  if (io) {
+    io.broadcastAlert({
+      alert,
+      sensor,
+      sensorReading,
+      urgent
+    });
+  }
+
+  // Email/SMS/webhook delivery happens in the background and is retried on failure
+  notificationService.notifyAlertCreated(alert, sensor)
+    .catch(error => console.error(`❌ Error sending notifications for ${alert.alertId}:`, error));
+
+  // Warn about tracked assets already inside a HIGH-risk area
+  assetTracking.checkAssetsForAlert(alert, io)
+    .catch(error => console.error(`❌ Error checking assets for ${alert.alertId}:`, error));
+
+  return alert;
+}
+
+/**
+ * Fold a repeat detection into the open alert for the same sensor and alert type
+ * @param {Object} alertData - Alert fields of the new detection
+ * @param {Object} io - Socket.IO server
+ * @returns {Promise<Object|null>} Updated alert, or null when no alert is open
+ */
+async function recordOccurrence(alertData, io) {
+  const now = new Date();
+  const alert = await Alert.findOneAndUpdate(
+    {
+      sensorId: alertData.sensorId,
+      alertType: alertData.alertType,
+      status: { $in: Alert.OPEN_STATUSES }
+    },
+    {
+      $inc: { occurrenceCount: 1 },
+      $set: {
+        lastSeenAt: alertData.triggeredAt || now,
+        lastSensorReadingId: alertData.sensorReadingId || null
+      },
+      $max: { confidence: alertData.confidence }
+    },
+    { new: true, sort: { triggeredAt: -1 } }
+  );
+
+  if (!alert) return null;
+
+  // A worse repeat raises the open alert's priority and risk level, never lowers them
+  const upgrades = {};
+  if (PRIORITY_RANK[alertData.priority] > PRIORITY_RANK[alert.priority]) upgrades.priority = alertData.priority;
+  if (RISK_RANK[alertData.riskLevel] > RISK_RANK[alert.riskLevel]) upgrades.riskLevel = alertData.riskLevel;
+  if (Object.keys(upgrades).length > 0) {
+    const previous = { priority: alert.priority, riskLevel: alert.riskLevel };
+    await Alert.updateOne({ _id: alert._id }, { $set: upgrades });
+    Object.assign(alert, upgrades);
+    await AlertEvent.record(alert, 'UPGRADED', 'system', { details: { from: previous, to: upgrades } });
+
+    if (upgrades.riskLevel) {
+      assetTracking.checkAssetsForAlert(alert, io)
+        .catch(error => console.error(`❌ Error checking assets for ${alert.alertId}:`, error));
+    }
+  }
+
+  if (io) {
+    const update = {
+      alertId: alert.alertId,
+      sensorId: alert.sensorId,
+      occurrenceCount: alert.occurrenceCount,
+      lastSeenAt: alert.lastSeenAt,
+      priority: alert.priority,
+      riskLevel: alert.riskLevel,
+      confidence: alert.confidence,
+      status: alert.status
+    };
+    io.to('operators').emit('alert-updated', update);
+    io.to(`sensor-${alert.sensorId}`).emit('alert-updated', update);
+  }
+
+  return alert;
+}
+
+/**
+ * Raise an alert for a detection, honouring suppressions and folding repeats into the open alert
+ * @param {Object} alertData - Alert fields
+ * @param {Object} options - { sensor, sensorReading, io, urgent, createdBy }
+ * @returns {Promise<Object>} { alert, created, suppression }
+ */
+async function raiseAlert(alertData, options = {}) {
+  const suppression = await AlertSuppression.findActive(alertData.sensorId, alertData.alertType);
+  if (suppression) {
+    await AlertSuppression.updateOne({ _id: suppression._id }, { $inc: { suppressedCount: 1 } });
+    console.log(`🔕 ${alertData.alertType} alert for ${alertData.sensorId} suppressed (${suppression.kind} until ${suppression.expiresAt.toISOString()})`);
+    return { alert: null, created: false, suppression };
+  }
+
+  // A concurrent detection can create the open alert between the two steps; the unique index
+  // rejects the second insert and the detection is folded into the winner on the next pass
+  for (let attempt = 1; ; attempt++) {
+    const existing = await recordOccurrence(alertData, options.io);
+    if (existing) {
+      return { alert: existing, created: false, suppression: null };
+    }
+
+    try {
+      const alert = await createAlert(alertData, options);
+      return { alert, created: true, suppression: null };
+    } catch (error) {
+      if (!Alert.isOpenAlertConflict(error) || attempt >= 2) throw error;
+    }
+  }
+}
+
+/**
+ * Start the post-resolution cooldown for an alert's sensor and alert type
+ * @param {Object} alert - Resolved alert document
+ * @returns {Promise<Object|null>} Cooldown suppression, or null when the cooldown is disabled
+ */
+async function startCooldown(alert) {
+  let minutes = DEFAULT_COOLDOWN_MINUTES;
+
+  if (alert.metadata?.ruleId) {
+    const rule = await AlertRule.findById(alert.metadata.ruleId, 'cooldownMinutes');
+    if (rule && rule.cooldownMinutes !== null && rule.cooldownMinutes !== undefined) {
+      minutes = rule.cooldownMinutes;
+    }
+  }
+
+  if (!minutes) return null;
+
+  return AlertSuppression.create({
+    sensorId: alert.sensorId,
+    alertType: alert.alertType,
+    kind: 'COOLDOWN',
+    reason: `Cooldown after ${alert.status === 'FALSE_POSITIVE' ? 'false positive' : 'resolution'} of ${alert.alertId}`,
+    expiresAt: new Date(Date.now() + minutes * 60000),
+    alertId: alert.alertId
+  });
+}
+
+/**
+ * End the cooldown started when an alert was resolved (used when the alert is reopened)
+ * @param {Object} alert - Reopened alert document
+ * @returns {Promise<number>} Number of cooldowns removed
+ */
+async function endCooldown(alert) {
+  const result = await AlertSuppression.deleteMany({ alertId: alert.alertId, kind: 'COOLDOWN' });
+  return result.deletedCount;
+}
+
+module.exports = {
+  generateAlertId,
+  createAlert,
+  recordOccurrence,
+  raiseAlert,
+  startCooldown,
+  endCooldown
+};
@@ -0,0 +1,76 @@
+const Alert = require('../models/Alert');
+const AlertEvent = require('../models/AlertEvent');
+const AlertSuppression = require('../models/AlertSuppression');
+const notificationService = require('./notificationService');
+const assetTracking = require('./assetTracking');
+const alertService = require('./alertService');
+
+const DETECTION = {
+  sensorId: 'SENSOR_001',
+  alertType: 'ROCKFALL_RISK',
+  riskLevel: 'HIGH',
+  priority: 'HIGH',
+  confidence: 0.9,
+  message: 'High rockfall risk'
+};
+
+// What MongoDB raises when the one-open-alert-per-sensor-and-type index rejects an insert
+function openAlertConflict() {
+  const error = new Error('E11000 duplicate key error collection: alerts index: one_open_alert_per_sensor_type');
+  error.code = 11000;
+  error.keyPattern = { sensorId: 1, alertType: 1 };
+  return error;
+}
+
+describe('alertService.raiseAlert', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(AlertSuppression, 'findActive').mockResolvedValue(null);
+    jest.spyOn(AlertEvent, 'record').mockResolvedValue(null);
+    jest.spyOn(notificationService, 'notifyAlertCreated').mockResolvedValue();
+    jest.spyOn(assetTracking, 'checkAssetsForAlert').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates an alert when none is open', async () => {
+    jest.spyOn(Alert, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Alert.prototype, 'save').mockImplementation(async function() { return this; });
+
+    const { alert, created } = await alertService.raiseAlert(DETECTION);
+
+    expect(created).toBe(true);
+    expect(alert.alertId).toMatch(/^ALERT_\d+_SENSOR_001_[0-9a-f]{8}$/);
+  });
+
+  it('folds the detection into an alert created concurrently', async () => {
+    const winner = { _id: 'winner', alertId: 'ALERT_1_SENSOR_001_00000000', ...DETECTION, occurrenceCount: 2 };
+    const findOneAndUpdate = jest.spyOn(Alert, 'findOneAndUpdate')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(winner);
+    jest.spyOn(Alert.prototype, 'save').mockRejectedValue(openAlertConflict());
+
+    const { alert, created } = await alertService.raiseAlert(DETECTION);
+
+    expect(created).toBe(false);
+    expect(alert).toBe(winner);
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(2);
+    expect(notificationService.notifyAlertCreated).not.toHaveBeenCalled();
+  });
+
+  it('rethrows errors other than an open-alert conflict', async () => {
+    jest.spyOn(Alert, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Alert.prototype, 'save').mockRejectedValue(new Error('connection lost'));
+
+    await expect(alertService.raiseAlert(DETECTION)).rejects.toThrow('connection lost');
+    expect(Alert.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives alerts for the same sensor in the same millisecond different ids', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1760000000000);
+
+    expect(alertService.generateAlertId('SENSOR_001')).not.toBe(alertService.generateAlertId('SENSOR_001'));
+  });
+});
@@ -0,0 +1,183 @@
+const SensorReading = require('../models/SensorReading');
+
+const ANOMALY_TYPES = ['SPIKE', 'STUCK_VALUE', 'IMPOSSIBLE_JUMP', 'SOIL_TYPE_CONTRADICTION'];
+
+/**
+ * Per-feature detection settings
+ *   maxChangePerHour - fastest physically plausible change; faster jumps are IMPOSSIBLE_JUMP (null: not checked)
+ *   dynamic          - the value normally fluctuates, so identical repeats mean a stuck sensor
+ *   impulsive        - sudden spikes are real events (earthquakes), so spikes are only LOW
+ */
+const FEATURES = {
+  Rainfall_mm: { maxChangePerHour: 200, dynamic: true },
+  Slope_Angle: { maxChangePerHour: 20, dynamic: true },
+  Soil_Saturation: { maxChangePerHour: 0.5, dynamic: true },
+  Vegetation_Cover: { maxChangePerHour: 0.1 },
+  Earthquake_Activity: { maxChangePerHour: null, dynamic: true, impulsive: true },
+  Proximity_to_Water: { maxChangePerHour: 50 },
+  Landslide: { maxChangePerHour: null }
+};
+const SOIL_TYPES = ['Soil_Type_Gravel', 'Soil_Type_Sand', 'Soil_Type_Silt'];
+const FIELD_COUNT = Object.keys(FEATURES).length + SOIL_TYPES.length;
+
+const HISTORY_SIZE = 30;
+const HISTORY_HOURS = 24;
+const MIN_BASELINE = 20; // Readings needed before spikes are scored; fewer give an unstable MAD
+const SPIKE_Z = 3.5; // Modified z-score (Iglewicz-Hoaglin) of a MEDIUM spike
+const HIGH_SPIKE_Z = 7;
+const STUCK_READINGS = 10; // Identical consecutive readings, including the current one
+const MIN_JUMP_HOURS = 5 / 60; // Readings closer together are compared as if 5 minutes apart
+
+const SEVERITY_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3 };
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Modified z-score of a value against a baseline, using the median absolute deviation
+ * Falls back to the mean absolute deviation when more than half the baseline is identical.
+ * @returns {number|null} Score, or null when the baseline has no spread at all
+ */
+function modifiedZScore(value, baseline) {
+  const center = median(baseline);
+  const deviations = baseline.map(v => Math.abs(v - center));
+  const mad = median(deviations);
+  if (mad > 0) {
+    return 0.6745 * (value - center) / mad;
+  }
+  const meanAbsDeviation = deviations.reduce((sum, d) => sum + d, 0) / deviations.length;
+  return meanAbsDeviation > 0 ? (value - center) / (1.253314 * meanAbsDeviation) : null;
+}
+
+/**
+ * Detect anomalies in a reading against its sensor's recent history
+ * @param {Object} readings - Reading values keyed by feature name
+ * @param {Date} timestamp - Reading time
+ * @param {Array<Object>} history - Earlier readings { timestamp, readings, dataQuality }, newest first
+ * @returns {Array<Object>} Anomalies { type, field, severity, value, message }
+ */
+function detectAnomalies(readings, timestamp, history = []) {
+  const anomalies = [];
+  const trusted = history.filter(r => !r.dataQuality?.flagged);
+  // A jump must be implausible from both the last reading and the last trusted one, so neither the
+  // return from a spike nor a genuine level shift after one is flagged
+  const previousReadings = [...new Set([history[0], trusted[0]])].filter(Boolean);
+
+  for (const [field, { maxChangePerHour, dynamic, impulsive }] of Object.entries(FEATURES)) {
+    const value = readings[field];
+    if (typeof value !== 'number') continue;
+
+    const baseline = trusted.map(r => r.readings?.[field]).filter(v => typeof v === 'number');
+
+    if (baseline.length >= MIN_BASELINE) {
+      const z = modifiedZScore(value, baseline);
+      if (z !== null && Math.abs(z) >= SPIKE_Z) {
+        // A deviation the previous reading shared is a sustained shift, not a one-off spike
+        const previousZ = typeof history[0]?.readings?.[field] === 'number' ? modifiedZScore(history[0].readings[field], baseline) : null;
+        const sustained = previousZ !== null && Math.abs(previousZ) >= SPIKE_Z && Math.sign(previousZ) === Math.sign(z);
+        anomalies.push({
+          type: 'SPIKE',
+          field,
+          severity: impulsive ? 'LOW' : Math.abs(z) >= HIGH_SPIKE_Z && !sustained ? 'HIGH' : 'MEDIUM',
+          value,
+          message: `${field} ${value} is ${round(Math.abs(z), 1)} robust deviations from the recent median ${round(median(baseline))}`
+        });
+      }
+    }
+
+    // A real sensor's noise makes exact repeats of a non-zero value implausible
+    if (dynamic && value !== 0 && baseline.length >= STUCK_READINGS - 1 &&
+        baseline.slice(0, STUCK_READINGS - 1).every(v => v === value)) {
+      anomalies.push({
+        type: 'STUCK_VALUE',
+        field,
+        severity: 'MEDIUM',
+        value,
+        message: `${field} has read exactly ${value} for ${STUCK_READINGS} consecutive readings`
+      });
+    }
+
+    const jumps = maxChangePerHour === null ? [] : previousReadings
+      .filter(r => typeof r.readings?.[field] === 'number')
+      .map(r => {
+        const hours = Math.max((new Date(timestamp) - new Date(r.timestamp)) / (60 * 60 * 1000), MIN_JUMP_HOURS);
+        return { from: r.readings[field], ratePerHour: Math.abs(value - r.readings[field]) / hours };
+      });
+    if (jumps.length > 0 && jumps.every(({ ratePerHour }) => ratePerHour > maxChangePerHour)) {
+      const { from, ratePerHour } = jumps[0];
+      anomalies.push({
+        type: 'IMPOSSIBLE_JUMP',
+        field,
+        severity: 'HIGH',
+        value,
+        message: `${field} changed from ${from} to ${value} (${round(ratePerHour, 2)}/h, limit ${maxChangePerHour}/h)`
+      });
+    }
+  }
+
+  // The soil-type flags are one-hot: a location cannot be gravel, sand and silt at once
+  if (SOIL_TYPES.every(field => readings[field] === true)) {
+    anomalies.push({
+      type: 'SOIL_TYPE_CONTRADICTION',
+      field: 'Soil_Type',
+      severity: 'HIGH',
+      value: null,
+      message: 'Soil_Type_Gravel, Soil_Type_Sand and Soil_Type_Silt are all set'
+    });
+  }
+
+  return anomalies;
+}
+
+/**
+ * Share of the reading's fields that are usable: fields with a MEDIUM or HIGH anomaly are not
+ * @param {Array<Object>} anomalies - Detected anomalies
+ * @returns {number} 0..1
+ */
+function completenessScore(anomalies) {
+  const unusable = new Set();
+  for (const { field, severity } of anomalies) {
+    if (SEVERITY_RANK[severity] < SEVERITY_RANK.MEDIUM) continue;
+    if (field === 'Soil_Type') {
+      SOIL_TYPES.forEach(soilType => unusable.add(soilType));
+    } else {
+      unusable.add(field);
+    }
+  }
+  return round(1 - unusable.size / FIELD_COUNT, 2);
+}
+
+/**
+ * Assess a reading's data quality against the sensor's recent readings
+ * Flagged readings are left out of the spike and stuck baselines so one bad value does not skew the next.
+ * @param {string} sensorId - Sensor ID
+ * @param {Object} readings - Reading values keyed by feature name
+ * @param {Date} timestamp - Reading time
+ * @returns {Promise<Object>} dataQuality { completeness, anomalies, flagged }
+ */
+async function assessReading(sensorId, readings, timestamp) {
+  const history = await SensorReading.find({
+    sensorId,
+    timestamp: { $lt: timestamp, $gte: new Date(new Date(timestamp).getTime() - HISTORY_HOURS * 60 * 60 * 1000) }
+  }, { timestamp: 1, readings: 1, 'dataQuality.flagged': 1 }).sort({ timestamp: -1 }).limit(HISTORY_SIZE).lean();
+
+  const anomalies = detectAnomalies(readings, timestamp, history);
+
+  return {
+    completeness: completenessScore(anomalies),
+    anomalies,
+    flagged: anomalies.some(({ severity }) => severity === 'HIGH')
+  };
+}
+
+module.exports = {
+  ANOMALY_TYPES,
+  FEATURES,
+  detectAnomalies,
+  completenessScore,
+  assessReading
+};
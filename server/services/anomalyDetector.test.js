@@ -0,0 +1,108 @@
+const BackendSensorSimulator = require('./backendSensorSimulator');
+const { detectAnomalies } = require('./anomalyDetector');
+
+const READING_INTERVAL_MS = 40 * 1000;
+
+// Deterministic Math.random (mulberry32) so a run is reproducible
+function seededRandom(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Feed simulated readings through the detector the way assessReading does, newest history first
+function simulate(simulator, sensor, count, start = Date.UTC(2026, 0, 1)) {
+  const history = [];
+  const results = [];
+  for (let i = 0; i < count; i++) {
+    const timestamp = new Date(start + (i + 1) * READING_INTERVAL_MS);
+    const readings = simulator.generateReadingData(sensor);
+    const anomalies = detectAnomalies(readings, timestamp, history.slice(0, 30));
+    const flagged = anomalies.some(({ severity }) => severity === 'HIGH');
+    history.unshift({ timestamp, readings, dataQuality: { flagged } });
+    results.push({ readings, anomalies, flagged, episode: simulator.sensorState.get(sensor.sensorId).episodeReadings > 0 });
+  }
+  return { history, results };
+}
+
+describe('anomalyDetector on simulator output', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(Math, 'random').mockImplementation(seededRandom(42));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('does not flag normal readings, including high-risk episodes', () => {
+    const simulator = new BackendSensorSimulator(null);
+    let episodeReadings = 0;
+
+    for (const sensorId of ['SENSOR_001', 'SENSOR_002', 'SENSOR_003', 'SENSOR_004', 'SENSOR_005']) {
+      const { results } = simulate(simulator, { sensorId }, 200);
+      episodeReadings += results.filter(r => r.episode).length;
+
+      expect(results.filter(r => r.flagged)).toHaveLength(0);
+      for (const { anomalies } of results) {
+        expect(anomalies.map(a => a.type)).not.toContain('IMPOSSIBLE_JUMP');
+        expect(anomalies.map(a => a.type)).not.toContain('SOIL_TYPE_CONTRADICTION');
+      }
+    }
+    expect(episodeReadings).toBeGreaterThan(0);
+  });
+
+  it('keeps each sensor to exactly one soil type', () => {
+    const simulator = new BackendSensorSimulator(null);
+    const { results } = simulate(simulator, { sensorId: 'SENSOR_001' }, 50);
+
+    const soilTypes = new Set();
+    for (const { readings } of results) {
+      const set = ['Soil_Type_Gravel', 'Soil_Type_Sand', 'Soil_Type_Silt'].filter(type => readings[type]);
+      expect(set).toHaveLength(1);
+      soilTypes.add(set[0]);
+    }
+    expect(soilTypes.size).toBe(1);
+  });
+
+  it('flags a real spike', () => {
+    const simulator = new BackendSensorSimulator(null);
+    const { history } = simulate(simulator, { sensorId: 'SENSOR_001' }, 60);
+    const last = history[0];
+    const timestamp = new Date(last.timestamp.getTime() + READING_INTERVAL_MS);
+
+    const anomalies = detectAnomalies({ ...last.readings, Rainfall_mm: last.readings.Rainfall_mm + 60 }, timestamp, history.slice(0, 30));
+
+    expect(anomalies).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'SPIKE', field: 'Rainfall_mm', severity: 'HIGH' })
+    ]));
+  });
+
+  it('flags an impossible jump', () => {
+    const simulator = new BackendSensorSimulator(null);
+    const { history } = simulate(simulator, { sensorId: 'SENSOR_001' }, 60);
+    const last = history[0];
+    const timestamp = new Date(last.timestamp.getTime() + READING_INTERVAL_MS);
+
+    const anomalies = detectAnomalies({ ...last.readings, Proximity_to_Water: last.readings.Proximity_to_Water + 150 }, timestamp, history.slice(0, 30));
+
+    expect(anomalies).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'IMPOSSIBLE_JUMP', field: 'Proximity_to_Water', severity: 'HIGH' })
+    ]));
+  });
+
+  it('flags a soil-type contradiction', () => {
+    const simulator = new BackendSensorSimulator(null);
+    const { history } = simulate(simulator, { sensorId: 'SENSOR_001' }, 5);
+    const readings = { ...history[0].readings, Soil_Type_Gravel: true, Soil_Type_Sand: true, Soil_Type_Silt: true };
+
+    const anomalies = detectAnomalies(readings, new Date(), history);
+
+    expect(anomalies).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'SOIL_TYPE_CONTRADICTION', severity: 'HIGH' })
+    ]));
+  });
+});
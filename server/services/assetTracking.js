@@ -0,0 +1,238 @@
+const Joi = require('joi');
+const Asset = require('../models/Asset');
+const AssetPosition = require('../models/AssetPosition');
+const Alert = require('../models/Alert');
+const AlertEvent = require('../models/AlertEvent');
+
+const TRACKING_USER = 'system:asset-tracking';
+const HAZARD_RISK_LEVEL = 'HIGH';
+const OPEN_ALERT_STATUSES = ['ACTIVE', 'ACKNOWLEDGED'];
+const DEFAULT_RADIUS = 100; // meters, Alert.affectedArea.radius default
+
+// Validation schema for position updates
+const positionValidationSchema = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required(),
+  timestamp: Joi.date().max('now').default(() => new Date()),
+  speed: Joi.number().min(0).max(500),
+  heading: Joi.number().min(0).max(360)
+});
+
+class AssetTrackingError extends Error {
+  constructor(message, status = 400, details = null) {
+    super(message);
+    this.name = 'AssetTrackingError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Find open HIGH-risk alerts whose affected area contains a point
+ * @param {Array<number>} coordinates - [longitude, latitude]
+ * @returns {Promise<Array>} { alert, distance, radius }, nearest first
+ */
+async function findHazardsAt(coordinates) {
+  const alerts = await Alert.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates },
+        distanceField: 'distance',
+        spherical: true,
+        query: { status: { $in: OPEN_ALERT_STATUSES }, riskLevel: HAZARD_RISK_LEVEL }
+      }
+    },
+    // Each alert has its own affectedArea circle
+    { $match: { $expr: { $lte: ['$distance', { $ifNull: ['$affectedArea.radius', DEFAULT_RADIUS] }] } } }
+  ]);
+
+  return alerts.map(alert => ({
+    alert,
+    distance: Math.round(alert.distance),
+    radius: alert.affectedArea?.radius ?? DEFAULT_RADIUS
+  }));
+}
+
+/**
+ * Record that an asset entered an alert's hazard area: alert action plus socket event
+ * @param {Object} asset - Asset document
+ * @param {Object} hazard - { alert, distance, radius }
+ * @param {Object} io - Socket.IO server
+ */
+async function raiseAssetInHazard(asset, hazard, io) {
+  const { alert, distance, radius } = hazard;
+  const action = {
+    action: `${asset.assetType} ${asset.assetId} inside hazard area`,
+    takenBy: TRACKING_USER,
+    takenAt: new Date(),
+    notes: `${asset.name} is ${distance} m from ${alert.sensorId} (affected radius ${radius} m)`
+  };
+
+  await Alert.updateOne({ alertId: alert.alertId }, { $push: { actionsTaken: action } });
+  await AlertEvent.record(alert, 'ACTION', TRACKING_USER, { details: { action: action.action, notes: action.notes } });
+
+  console.log(`🚷 ${asset.assetId} is inside the hazard area of ${alert.alertId} (${distance}/${radius} m)`);
+
+  // Everyone connected, not only operators: crews in the field need it too
+  io?.emit('asset-in-hazard', {
+    assetId: asset.assetId,
+    name: asset.name,
+    assetType: asset.assetType,
+    headcount: asset.headcount,
+    location: asset.location,
+    alertId: alert.alertId,
+    sensorId: alert.sensorId,
+    priority: alert.priority,
+    distance,
+    radius,
+    timestamp: new Date()
+  });
+}
+
+/**
+ * Compare an asset's hazard state with its current hazards, raising events for new ones
+ * @param {Object} asset - Asset document (with location)
+ * @param {Array<Object>} hazards - Result of findHazardsAt
+ * @param {Object} io - Socket.IO server
+ * @returns {Promise<Object>} { entered, left } alert ids
+ */
+async function applyHazardState(asset, hazards, io) {
+  const previous = new Set(asset.hazard?.alertIds || []);
+  const current = new Set(hazards.map(h => h.alert.alertId));
+
+  const entered = hazards.filter(h => !previous.has(h.alert.alertId));
+  const left = [...previous].filter(alertId => !current.has(alertId));
+
+  asset.hazard.alertIds = [...current];
+  if (current.size === 0) {
+    asset.hazard.since = null;
+  } else if (previous.size === 0) {
+    asset.hazard.since = new Date();
+  }
+
+  for (const hazard of entered) {
+    await raiseAssetInHazard(asset, hazard, io);
+  }
+
+  if (left.length > 0) {
+    io?.to('operators').emit('asset-hazard-cleared', {
+      assetId: asset.assetId,
+      alertIds: left,
+      stillInHazard: current.size > 0
+    });
+  }
+
+  return { entered: entered.map(h => h.alert.alertId), left };
+}
+
+/**
+ * Record a position update, check it against hazard areas and broadcast it
+ * @param {string} assetId - Asset ID
+ * @param {Object} data - { lat, lng, timestamp, speed, heading }
+ * @param {Object} options - { io, source: 'REST'|'SOCKET' }
+ * @returns {Promise<Object>} { asset, position, hazards }
+ */
+async function updatePosition(assetId, data, { io = null, source = 'REST' } = {}) {
+  const { error, value } = positionValidationSchema.validate(data);
+  if (error) {
+    throw new AssetTrackingError('Validation failed', 400, error.details.map(d => d.message));
+  }
+
+  const asset = await Asset.findOne({ assetId: String(assetId).toUpperCase() });
+  if (!asset) {
+    throw new AssetTrackingError('Asset not found', 404);
+  }
+
+  const coordinates = [value.lng, value.lat];
+  const hazards = await findHazardsAt(coordinates);
+
+  const position = new AssetPosition({
+    assetId: asset.assetId,
+    location: { type: 'Point', coordinates },
+    timestamp: value.timestamp,
+    speed: value.speed,
+    heading: value.heading,
+    source,
+    hazardAlertIds: hazards.map(h => h.alert.alertId)
+  });
+  await position.save();
+
+  // Late (out-of-order) positions go into the history but do not move the asset back
+  if (!asset.lastPositionAt || value.timestamp >= asset.lastPositionAt) {
+    asset.location = { type: 'Point', coordinates };
+    asset.lastPositionAt = value.timestamp;
+    asset.speed = value.speed ?? null;
+    asset.heading = value.heading ?? null;
+    await applyHazardState(asset, hazards, io);
+    await asset.save();
+
+    io?.to('operators').emit('asset-position', {
+      assetId: asset.assetId,
+      name: asset.name,
+      assetType: asset.assetType,
+      location: asset.location,
+      speed: asset.speed,
+      heading: asset.heading,
+      timestamp: asset.lastPositionAt,
+      hazardAlertIds: asset.hazard.alertIds
+    });
+  }
+
+  return { asset, position, hazards };
+}
+
+/**
+ * Check tracked assets against a newly raised or upgraded alert
+ * @param {Object} alert - Alert document
+ * @param {Object} io - Socket.IO server
+ * @returns {Promise<Array>} Assets newly inside the alert's hazard area
+ */
+async function checkAssetsForAlert(alert, io) {
+  if (alert.riskLevel !== HAZARD_RISK_LEVEL || !alert.location?.coordinates) {
+    return [];
+  }
+
+  const assets = await Asset.find({
+    status: 'ACTIVE',
+    'hazard.alertIds': { $ne: alert.alertId },
+    location: {
+      $nearSphere: {
+        $geometry: { type: 'Point', coordinates: alert.location.coordinates },
+        $maxDistance: alert.affectedArea?.radius ?? DEFAULT_RADIUS
+      }
+    }
+  });
+
+  for (const asset of assets) {
+    await applyHazardState(asset, await findHazardsAt(asset.location.coordinates), io);
+    await asset.save();
+  }
+
+  return assets;
+}
+
+/**
+ * Clear a closed alert from the assets inside its hazard area
+ * @param {string} alertId - Alert ID
+ * @param {Object} io - Socket.IO server
+ * @returns {Promise<number>} Number of assets updated
+ */
+async function clearAlertHazard(alertId, io) {
+  const assets = await Asset.find({ 'hazard.alertIds': alertId });
+
+  for (const asset of assets) {
+    await applyHazardState(asset, await findHazardsAt(asset.location.coordinates), io);
+    await asset.save();
+  }
+
+  return assets.length;
+}
+
+module.exports = {
+  positionValidationSchema,
+  AssetTrackingError,
+  findHazardsAt,
+  updatePosition,
+  checkAssetsForAlert,
+  clearAlertHazard
+};
@@ -0,0 +1,97 @@
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_SECRET = process.env.JWT_SECRET;
+const REFRESH_TOKEN_SECRET = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE = process.env.JWT_REFRESH_EXPIRE || '7d';
+
+function ensureSecret(secret) {
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return secret;
+}
+
+/**
+ * Issue a short-lived access token for API and socket authentication
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT
+ */
+function generateAccessToken(user) {
+  return jwt.sign(
+    {
+      sub: user._id.toString(),
+      username: user.username,
+      name: user.name,
+      role: user.role,
+      type: 'access'
+    },
+    ensureSecret(ACCESS_TOKEN_SECRET),
+    { expiresIn: ACCESS_TOKEN_EXPIRE }
+  );
+}
+
+/**
+ * Issue a long-lived refresh token bound to the user's current token version
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT
+ */
+function generateRefreshToken(user) {
+  return jwt.sign(
+    {
+      sub: user._id.toString(),
+      tokenVersion: user.tokenVersion,
+      type: 'refresh'
+    },
+    ensureSecret(REFRESH_TOKEN_SECRET),
+    { expiresIn: REFRESH_TOKEN_EXPIRE }
+  );
+}
+
+/**
+ * Issue an access/refresh token pair
+ * @param {Object} user - User document
+ * @returns {Object} Token pair with access token lifetime
+ */
+function generateTokens(user) {
+  return {
+    accessToken: generateAccessToken(user),
+    refreshToken: generateRefreshToken(user),
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_EXPIRE
+  };
+}
+
+/**
+ * Verify an access token
+ * @param {string} token - Raw JWT
+ * @returns {Object} Decoded payload
+ */
+function verifyAccessToken(token) {
+  const payload = jwt.verify(token, ensureSecret(ACCESS_TOKEN_SECRET));
+  if (payload.type !== 'access') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return payload;
+}
+
+/**
+ * Verify a refresh token
+ * @param {string} token - Raw JWT
+ * @returns {Object} Decoded payload
+ */
+function verifyRefreshToken(token) {
+  const payload = jwt.verify(token, ensureSecret(REFRESH_TOKEN_SECRET));
+  if (payload.type !== 'refresh') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return payload;
+}
+
+module.exports = {
+  generateAccessToken,
+  generateRefreshToken,
+  generateTokens,
+  verifyAccessToken,
+  verifyRefreshToken
+};
@@ -1,7 +1,22 @@
 const Sensor = require('../models/Sensor');
-const SensorReading = require('../models/SensorReading');
-const Alert = require('../models/Alert');
-const { getPrediction } = require('./aiService');
+const { ingestReading } = require('./readingIngestion');
+
+const SOIL_TYPES = ['Soil_Type_Gravel', 'Soil_Type_Sand', 'Soil_Type_Silt'];
+const HIGH_RISK_EPISODE_CHANCE = 0.01; // Per reading, when no episode is under way
+
+/**
+ * How each feature moves between readings
+ * maxStep keeps a reading within anomalyDetector's plausible change even at its 5-minute floor.
+ */
+const RANDOM_WALKS = {
+  Rainfall_mm: { min: 0, max: 150, noise: 3, reversion: 0.3, maxStep: 12 },
+  Slope_Angle: { min: 0, max: 90, noise: 0.5, reversion: 0.3, maxStep: 1.2 },
+  Soil_Saturation: { min: 0, max: 1, noise: 0.015, reversion: 0.3, maxStep: 0.03 },
+  Vegetation_Cover: { min: 0, max: 1, noise: 0.002, reversion: 0.3, maxStep: 0.006 },
+  Earthquake_Activity: { min: 0, max: 10, noise: 0.2, reversion: 0.3, maxStep: 1.5 },
+  Proximity_to_Water: { min: 0, max: 1000, noise: 0.8, reversion: 0.3, maxStep: 3 },
+  Landslide: { min: 0, max: 1, noise: 0.02, reversion: 0.3, maxStep: 0.06 }
+};
 
 class BackendSensorSimulator {
   constructor(io) {
@@ -10,6 +25,7 @@ class BackendSensorSimulator {
     this.intervalId = null;
     this.isRunning = false;
     this.simulationInterval = 8000; // 8 seconds
+    this.sensorState = new Map();
   }
 
   async initialize() {
@@ -112,56 +128,21 @@ class BackendSensorSimulator {
     try {
       // Generate realistic sensor reading based on sensor type and location
       const readings = this.generateReadingData(sensor);
-      
-      // Create sensor reading record
-      const sensorReading = {
-        sensorId: sensor.sensorId,
-        timestamp: new Date(),
-        readings,
-        metadata: {
-          source: 'BACKEND_SIMULATION',
-          processed: false,
-          processedAt: null
-        }
-      };
 
-      // Send to AI service for prediction
-      const aiPrediction = await getPrediction({
+      // Validate, predict, save, broadcast and alert through the shared pipeline
+      const { reading, prediction } = await ingestReading({
         sensorId: sensor.sensorId,
-        timestamp: sensorReading.timestamp,
-        readings: sensorReading.readings
-      });
-
-      // Update reading with AI prediction
-      sensorReading.riskPrediction = {
-        level: aiPrediction.level,
-        confidence: aiPrediction.confidence,
-        factors: aiPrediction.factors || ['Rainfall_mm', 'Slope_Angle', 'Soil_Saturation'],
-        aiModelVersion: '1.0',
-        processingTime: aiPrediction.processingTime || 30
-      };
-
-      sensorReading.metadata.processed = true;
-      sensorReading.metadata.processedAt = new Date();
-
-      // Save to database
-      const savedReading = await SensorReading.create(sensorReading);
-      console.log(`💾 Saved reading for ${sensor.sensorId}: ${aiPrediction.level} (${(aiPrediction.confidence * 100).toFixed(1)}%)`);
-
-      // Update sensor's last reading timestamp
-      await Sensor.findByIdAndUpdate(sensor._id, {
-        lastReading: sensorReading.timestamp
+        timestamp: new Date(),
+        readings
+      }, {
+        io: this.io,
+        sensor,
+        source: 'BACKEND_SIMULATION'
       });
 
-      // Broadcast to frontend via WebSocket
-      this.broadcastSensorUpdate(sensor, savedReading, aiPrediction);
-
-      // Generate alert if high risk
-      if (aiPrediction.level === 'HIGH' && aiPrediction.confidence > 0.5) {
-        await this.generateAlert(sensor, savedReading, aiPrediction);
-      }
+      console.log(`💾 Saved reading for ${sensor.sensorId}: ${prediction.level} (${(prediction.confidence * 100).toFixed(1)}%)`);
 
-      return savedReading;
+      return reading;
 
     } catch (error) {
       console.error(`❌ Error generating reading for ${sensor.sensorId}:`, error);
@@ -170,42 +151,85 @@ class BackendSensorSimulator {
   }
 
   generateReadingData(sensor) {
-    // Generate realistic readings based on sensor location and type
-    const baseReadings = {
-      Rainfall_mm: this.generateRainfall(sensor),
-      Slope_Angle: this.generateSlopeAngle(sensor),
-      Soil_Saturation: this.generateSoilSaturation(sensor),
-      Vegetation_Cover: this.generateVegetationCover(sensor),
-      Earthquake_Activity: this.generateEarthquakeActivity(sensor),
-      Proximity_to_Water: this.generateProximityToWater(sensor),
-      Landslide: this.generateLandslideRisk(sensor),
-      Soil_Type_Gravel: Math.random() > 0.7,
-      Soil_Type_Sand: Math.random() > 0.5,
-      Soil_Type_Silt: Math.random() > 0.6
-    };
+    // Each sensor's values wander from its previous reading, like a real instrument; redrawing them
+    // independently every reading looks like a faulty sensor to the anomaly detector
+    const state = this.getSensorState(sensor);
+
+    if (state.episodeReadings > 0) {
+      state.episodeReadings--;
+      if (state.episodeReadings === 0) {
+        state.targets = { ...state.baseTargets };
+      }
+    } else if (Math.random() < HIGH_RISK_EPISODE_CHANCE) {
+      // Periodically build up HIGH risk conditions for testing, over a few minutes rather than at once
+      console.log(`⚡ Generating HIGH risk conditions for sensor ${sensor.sensorId}`);
+      state.episodeReadings = 40 + Math.floor(Math.random() * 30);
+      state.targets = {
+        ...state.baseTargets,
+        Rainfall_mm: 85 + Math.random() * 35, // Very high rainfall (85-120mm)
+        Slope_Angle: 70 + Math.random() * 15, // Steep slope (70-85°)
+        Soil_Saturation: 0.85 + Math.random() * 0.13, // Very saturated (85-98%)
+        Landslide: 0.7 + Math.random() * 0.25, // High landslide risk (70-95%)
+        Earthquake_Activity: 3.5 + Math.random() * 2 // High seismic activity (3.5-5.5)
+      };
+    }
 
-    // Add some correlation between factors for realism
-    if (baseReadings.Rainfall_mm > 60) {
-      baseReadings.Soil_Saturation = Math.min(1, baseReadings.Soil_Saturation + 0.2);
-      baseReadings.Landslide = Math.min(1, baseReadings.Landslide + 0.1);
+    // Add some correlation between factors for realism: heavy rain saturates the soil
+    const targets = { ...state.targets };
+    if (state.values.Rainfall_mm > 60) {
+      targets.Soil_Saturation = Math.min(0.98, targets.Soil_Saturation + 0.2);
+      targets.Landslide = Math.min(0.95, targets.Landslide + 0.1);
     }
 
-    if (baseReadings.Slope_Angle > 65) {
-      baseReadings.Landslide = Math.min(1, baseReadings.Landslide + 0.15);
+    for (const [feature, walk] of Object.entries(RANDOM_WALKS)) {
+      state.values[feature] = this.walkValue(state.values[feature], targets[feature], walk);
     }
-    
-    // Periodically generate HIGH risk conditions for testing (every ~10 readings)
-    if (Math.random() < 0.15) { // 15% chance to create high risk conditions
-      console.log(`⚡ Generating HIGH risk conditions for sensor ${sensor.sensorId}`);
-      baseReadings.Rainfall_mm = 85 + Math.random() * 35; // Very high rainfall (85-120mm)
-      baseReadings.Slope_Angle = 70 + Math.random() * 15; // Steep slope (70-85°)
-      baseReadings.Soil_Saturation = 0.85 + Math.random() * 0.15; // Very saturated (85-100%)
-      baseReadings.Landslide = 0.7 + Math.random() * 0.3; // High landslide risk (70-100%)
-      baseReadings.Earthquake_Activity = 3.5 + Math.random() * 2; // High seismic activity (3.5-5.5)
-      baseReadings.Vegetation_Cover = 0.1 + Math.random() * 0.3; // Poor vegetation (10-40%)
+
+    return {
+      ...state.values,
+      ...state.soilType
+    };
+  }
+
+  // A sensor's current values, the levels they drift around, and its (fixed, one-hot) soil type
+  getSensorState(sensor) {
+    let state = this.sensorState.get(sensor.sensorId);
+    if (!state) {
+      const baseTargets = {
+        Rainfall_mm: this.generateRainfall(sensor),
+        Slope_Angle: this.generateSlopeAngle(sensor),
+        Soil_Saturation: this.generateSoilSaturation(sensor),
+        Vegetation_Cover: this.generateVegetationCover(sensor),
+        Earthquake_Activity: this.generateEarthquakeActivity(sensor),
+        Proximity_to_Water: this.generateProximityToWater(sensor),
+        Landslide: this.generateLandslideRisk(sensor)
+      };
+      const soilType = SOIL_TYPES[Math.floor(Math.random() * SOIL_TYPES.length)];
+
+      state = {
+        values: { ...baseTargets },
+        baseTargets,
+        targets: { ...baseTargets },
+        soilType: Object.fromEntries(SOIL_TYPES.map(type => [type, type === soilType])),
+        episodeReadings: 0
+      };
+      this.sensorState.set(sensor.sensorId, state);
     }
+    return state;
+  }
 
-    return baseReadings;
+  // Move part of the way toward the target plus some noise, never more than maxStep, and stay in range
+  // The drift is capped at half the noise so a new target is approached as a ramp, not a jump that reads as a spike
+  walkValue(value, target, { min, max, noise, reversion, maxStep }) {
+    const drift = Math.max(-noise / 2, Math.min(noise / 2, (target - value) * reversion));
+    let step = drift + (Math.random() - 0.5) * 2 * noise;
+    step = Math.max(-maxStep, Math.min(maxStep, step));
+
+    let next = value + step;
+    // Reflect off the bounds instead of clamping, which would repeat the bound exactly
+    if (next < min) next = min + (min - next);
+    if (next > max) next = max - (next - max);
+    return Math.max(min, Math.min(max, next));
   }
 
   generateRainfall(sensor) {
@@ -253,87 +277,6 @@ class BackendSensorSimulator {
     return Math.max(0, Math.min(1, base));
   }
 
-  broadcastSensorUpdate(sensor, reading, aiPrediction) {
-    try {
-      // Broadcast to all connected clients
-      this.io.emit('sensor-reading', {
-        sensorId: sensor.sensorId,
-        reading: {
-          _id: reading._id,
-          sensorId: reading.sensorId,
-          timestamp: reading.timestamp,
-          readings: reading.readings,
-          riskPrediction: reading.riskPrediction,
-          metadata: reading.metadata
-        },
-        sensor: {
-          sensorId: sensor.sensorId,
-          name: sensor.name,
-          location: sensor.location,
-          status: sensor.status,
-          riskLevel: aiPrediction.level
-        }
-      });
-
-      // Broadcast risk update
-      this.io.emit('risk-update', {
-        sensorId: sensor.sensorId,
-        riskLevel: aiPrediction.level,
-        confidence: aiPrediction.confidence,
-        location: sensor.location,
-        timestamp: reading.timestamp
-      });
-
-      console.log(`📡 Broadcasted update for ${sensor.sensorId}: ${aiPrediction.level}`);
-    } catch (error) {
-      console.error(`❌ Error broadcasting update for ${sensor.sensorId}:`, error);
-    }
-  }
-
-  async generateAlert(sensor, reading, aiPrediction) {
-    try {
-      const alertId = `ALERT_${Date.now()}_${sensor.sensorId}`;
-      
-      const alert = new Alert({
-        alertId: alertId,
-        sensorId: sensor.sensorId,
-        sensorReadingId: reading._id,
-        riskLevel: aiPrediction.level,
-        confidence: aiPrediction.confidence,
-        triggeredAt: new Date(),
-        status: 'ACTIVE',
-        priority: 'CRITICAL',
-        alertType: 'ROCKFALL_RISK',
-        location: sensor.location,
-        affectedArea: {
-          radius: 200,
-          riskZone: 'IMMEDIATE'
-        },
-        triggerFactors: aiPrediction.factors.map(factor => ({
-          factor,
-          value: reading.readings[factor] || 0,
-          threshold: sensor.configuration?.alertThresholds?.[factor] || 0,
-          severity: aiPrediction.level
-        }))
-      });
-
-      const savedAlert = await alert.save();
-      console.log(`🚨 Generated HIGH risk alert: ${savedAlert.alertId}`);
-
-      // Broadcast alert
-      this.io.emit('alert-trigger', {
-        alert: savedAlert,
-        sensor,
-        urgent: true
-      });
-
-      return savedAlert;
-    } catch (error) {
-      console.error(`❌ Error generating alert for ${sensor.sensorId}:`, error);
-      throw error;
-    }
-  }
-
   // Get simulation status
   getStatus() {
     return {
@@ -0,0 +1,122 @@
+const STATES = ['CLOSED', 'OPEN', 'HALF_OPEN'];
+
+/**
+ * Error thrown instead of calling a dependency while its circuit is open
+ */
+class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`Circuit ${name} is open until ${retryAt.toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Circuit breaker for a flaky dependency
+ * CLOSED: calls go through; failureThreshold consecutive failures open the circuit.
+ * OPEN: calls fail fast with CircuitOpenError until resetTimeout has passed.
+ * HALF_OPEN: one trial call goes through; success closes the circuit, failure opens it again.
+ */
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.onStateChange = options.onStateChange || null;
+
+    this.state = 'CLOSED';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+    this.stats = { calls: 0, failures: 0, rejected: 0, opened: 0 };
+  }
+
+  // Whether a call would be attempted now (moves OPEN to HALF_OPEN once the timeout has passed)
+  canAttempt(now = Date.now()) {
+    if (this.state === 'OPEN' && now - this.openedAt >= this.resetTimeout) {
+      this.transition('HALF_OPEN');
+    }
+    if (this.state === 'HALF_OPEN') {
+      return !this.trialInFlight;
+    }
+    return this.state === 'CLOSED';
+  }
+
+  /**
+   * Run a call through the breaker
+   * @param {Function} fn - Async function calling the dependency
+   * @returns {Promise} Result of fn
+   * @throws {CircuitOpenError} When the circuit is open
+   */
+  async exec(fn) {
+    if (!this.canAttempt()) {
+      this.stats.rejected++;
+      throw new CircuitOpenError(this.name, new Date((this.openedAt || Date.now()) + this.resetTimeout));
+    }
+
+    const trial = this.state === 'HALF_OPEN';
+    if (trial) this.trialInFlight = true;
+    this.stats.calls++;
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      this.recordFailure(error);
+      throw error;
+    } finally {
+      if (trial) this.trialInFlight = false;
+    }
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.lastError = null;
+    if (this.state !== 'CLOSED') {
+      this.transition('CLOSED');
+    }
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.stats.failures++;
+    this.lastError = error.message;
+
+    if (this.state === 'HALF_OPEN' || (this.state === 'CLOSED' && this.failures >= this.failureThreshold)) {
+      this.openedAt = Date.now();
+      this.stats.opened++;
+      this.transition('OPEN');
+    }
+  }
+
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+    console.log(`🔌 Circuit ${this.name}: ${previous} → ${state}${state === 'OPEN' ? ` (${this.lastError})` : ''}`);
+    if (this.onStateChange) {
+      this.onStateChange(state, previous);
+    }
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      resetTimeout: this.resetTimeout,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      lastError: this.lastError,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError
+};
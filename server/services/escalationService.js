@@ -0,0 +1,181 @@
+const Alert = require('../models/Alert');
+const Sensor = require('../models/Sensor');
+const User = require('../models/User');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const notificationService = require('./notificationService');
+
+/**
+ * Load the escalation policy for each sensor's zone
+ * @param {Array<string>} sensorIds - Sensor IDs referenced by alerts
+ * @returns {Promise<Map>} Map of sensorId -> { zone, policy }
+ */
+async function loadPoliciesForSensors(sensorIds) {
+  const sensors = await Sensor.find({ sensorId: { $in: sensorIds } }, 'sensorId mineGrid.zone');
+  const policyByZone = new Map();
+  const result = new Map();
+
+  for (const sensor of sensors) {
+    const zone = sensor.mineGrid?.zone;
+    if (!policyByZone.has(zone)) {
+      policyByZone.set(zone, await EscalationPolicy.getForZone(zone));
+    }
+    result.set(sensor.sensorId, { zone, policy: policyByZone.get(zone) });
+  }
+
+  return result;
+}
+
+/**
+ * Find active alerts whose current escalation level has timed out under their zone policy
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} Due escalations: { alert, zone, policy, levelIndex, level }
+ */
+async function findAlertsDueForEscalation(now = new Date()) {
+  const alerts = await Alert.find({
+    status: 'ACTIVE',
+    'escalation.level': { $lt: EscalationPolicy.MAX_ESCALATION_LEVEL }
+  });
+
+  if (alerts.length === 0) return [];
+
+  const policies = await loadPoliciesForSensors([...new Set(alerts.map(a => a.sensorId))]);
+  const due = [];
+
+  for (const alert of alerts) {
+    const { zone, policy } = policies.get(alert.sensorId) || {
+      zone: null,
+      policy: await EscalationPolicy.getForZone(null)
+    };
+
+    const levelIndex = alert.escalation.level;
+    const timeoutMinutes = policy.getTimeout(levelIndex, alert.priority);
+    if (!timeoutMinutes) continue; // Policy has no further levels
+
+    // Each level's timeout runs from the previous escalation (or from the trigger for level 0)
+    const since = alert.escalation.escalatedAt || alert.triggeredAt;
+    if (now - since >= timeoutMinutes * 60000) {
+      due.push({ alert, zone, policy, levelIndex, level: policy.levels[levelIndex] });
+    }
+  }
+
+  return due;
+}
+
+/**
+ * Get the escalation policy that applies to an alert's sensor zone
+ * @param {Object} alert - Alert document
+ * @returns {Promise<Object>} EscalationPolicy document
+ */
+async function getPolicyForAlert(alert) {
+  const sensor = await Sensor.findOne({ sensorId: alert.sensorId }, 'mineGrid.zone');
+  return EscalationPolicy.getForZone(sensor?.mineGrid?.zone);
+}
+
+/**
+ * Resolve the people an escalation level reaches
+ * @param {Object} level - Escalation policy level
+ * @returns {Promise<Array>} Recipients: { username, name, email, phone }
+ */
+async function resolveRecipients(level) {
+  if (level.contact?.name) {
+    return [{
+      username: null,
+      name: level.contact.name,
+      email: level.contact.email || null,
+      phone: level.contact.phone || null
+    }];
+  }
+
+  const users = await User.find({ role: level.targetRole, isActive: true }, 'username name email phone');
+  return users.map(user => ({
+    username: user.username,
+    name: user.name,
+    email: user.email,
+    phone: user.phone
+  }));
+}
+
+/**
+ * Escalate an alert to the given policy level and notify its recipients
+ * @param {Object} alert - Alert document
+ * @param {Object} level - Escalation policy level
+ * @param {Object} io - Socket.IO server
+ * @param {Object} options - { autoEscalated, escalatedBy }
+ * @returns {Promise<Object>} Escalation summary
+ */
+async function escalateToLevel(alert, level, io, { autoEscalated = false, escalatedBy = null } = {}) {
+  const recipients = await resolveRecipients(level);
+
+  // Fall back to the role itself when no active user holds it, so the escalation is still visible
+  const escalatedTo = recipients.length > 0
+    ? recipients.map(r => r.name).join(', ')
+    : `role:${level.targetRole}`;
+
+  for (const recipient of recipients.filter(r => r.username)) {
+    alert.notifications.push({
+      channel: 'WEBSOCKET',
+      recipient: recipient.username || recipient.name,
+      reason: 'ESCALATION',
+      sentAt: new Date(),
+      status: 'SENT'
+    });
+  }
+
+  await alert.escalate(escalatedTo, escalatedBy);
+
+  // External channels are delivered (and retried) by the notification dispatcher
+  if (level.channel === 'EMAIL' || level.channel === 'SMS') {
+    notificationService.notifyEscalation(alert, recipients, level.channel)
+      .catch(error => console.error(`Failed to send escalation notifications for ${alert.alertId}:`, error));
+  }
+
+  const payload = {
+    alertId: alert.alertId,
+    escalationLevel: alert.escalation.level,
+    escalatedTo,
+    priority: alert.priority,
+    channel: level.channel,
+    targetRole: level.targetRole || null,
+    autoEscalated,
+    escalatedBy
+  };
+
+  if (io) {
+    io.to('operators').emit('alert-escalated', payload);
+
+    // Reach the escalation target's dashboards directly
+    if (level.targetRole) {
+      io.to(level.targetRole).emit('escalation-notice', { ...payload, alert });
+    }
+  }
+
+  return { ...payload, recipients };
+}
+
+/**
+ * Escalate every alert that is due under its zone policy
+ * @param {Object} io - Socket.IO server
+ * @returns {Promise<number>} Number of alerts escalated
+ */
+async function processEscalations(io) {
+  const due = await findAlertsDueForEscalation();
+
+  for (const { alert, zone, level } of due) {
+    try {
+      await escalateToLevel(alert, level, io, { autoEscalated: true });
+      console.log(`Auto-escalated alert: ${alert.alertId} (zone ${zone}) to level ${alert.escalation.level}`);
+    } catch (error) {
+      console.error(`Failed to escalate alert ${alert.alertId}:`, error);
+    }
+  }
+
+  return due.length;
+}
+
+module.exports = {
+  findAlertsDueForEscalation,
+  getPolicyForAlert,
+  resolveRecipients,
+  escalateToLevel,
+  processEscalations
+};
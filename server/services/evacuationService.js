@@ -0,0 +1,213 @@
+const turf = require('@turf/turf');
+const Alert = require('../models/Alert');
+const Sensor = require('../models/Sensor');
+const Asset = require('../models/Asset');
+const SensorReading = require('../models/SensorReading');
+const Zone = require('../models/Zone');
+const { circlePolygon, boundaryArea } = require('./geoUtils');
+
+// Alert types that call for clearing people from the area (EQUIPMENT_FAILURE does not)
+const EVACUATION_ALERT_TYPES = ['ROCKFALL_RISK', 'SEISMIC_EVENT', 'WEATHER_WARNING'];
+const OPEN_ALERT_STATUSES = ['ACTIVE', 'ACKNOWLEDGED'];
+
+const LEVEL_FACTOR = { LOW: 1, MEDIUM: 1.5, HIGH: 2.5 };
+const RISK_ZONE_FACTOR = { IMMEDIATE: 1, NEARBY: 1.5, EXTENDED: 2.5 };
+const RISK_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3 };
+const PRIORITY_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+const DEFAULT_RADIUS = 100; // meters, Alert.affectedArea.radius default
+const MIN_RADIUS = 50; // meters
+const MAX_RADIUS = 5000; // meters
+const SLOPE_REFERENCE = 30; // degrees; steeper slopes lengthen the rockfall runout
+
+/**
+ * Evacuation radius for an alert
+ * @param {Object} alert - Alert document
+ * @param {number|null} slopeAngle - Slope angle at the sensor (degrees)
+ * @returns {number} Radius in meters
+ */
+function computeEvacuationRadius(alert, slopeAngle = null) {
+  const base = alert.affectedArea?.radius || DEFAULT_RADIUS;
+  const levelFactor = LEVEL_FACTOR[alert.riskLevel] || 1;
+  const zoneFactor = RISK_ZONE_FACTOR[alert.affectedArea?.riskZone] || 1;
+  const confidenceFactor = 0.5 + Math.min(Math.max(alert.confidence || 0, 0), 1); // 0.5 - 1.5
+  const slopeFactor = slopeAngle === null || slopeAngle === undefined
+    ? 1
+    : 1 + Math.min(Math.max(slopeAngle - SLOPE_REFERENCE, 0), 60) / 60; // 1 - 2
+
+  const radius = base * levelFactor * zoneFactor * confidenceFactor * slopeFactor;
+  return Math.round(Math.min(Math.max(radius, MIN_RADIUS), MAX_RADIUS));
+}
+
+// Slope angle from the alert's trigger factors, falling back to its reading
+function slopeForAlert(alert, readingsById) {
+  const factor = (alert.triggerFactors || []).find(f => f.factor === 'Slope_Angle');
+  if (factor && typeof factor.value === 'number') return factor.value;
+
+  const reading = alert.sensorReadingId && readingsById.get(String(alert.sensorReadingId));
+  return reading?.readings?.Slope_Angle ?? null;
+}
+
+/**
+ * Merge overlapping circles into evacuation zones
+ * @param {Array<Object>} circles - { alert, radius, geometry }
+ * @returns {Array<Object>} Groups of circles whose areas overlap (transitively)
+ */
+function groupOverlapping(circles) {
+  const parent = circles.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < circles.length; i++) {
+    for (let j = i + 1; j < circles.length; j++) {
+      if (find(i) !== find(j) && turf.booleanIntersects(circles[i].geometry, circles[j].geometry)) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  circles.forEach((circle, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(circle);
+  });
+
+  return [...groups.values()];
+}
+
+function unionGeometry(circles) {
+  if (circles.length === 1) return circles[0].geometry;
+  return turf.union(turf.featureCollection(circles.map(c => turf.feature(c.geometry)))).geometry;
+}
+
+/**
+ * Build evacuation zones for a set of alerts
+ * @param {Array<Object>} alerts - Alert documents (with location)
+ * @param {Map} readingsById - Triggering readings by id, for slope angles
+ * @returns {Array<Object>} Zones: { geometry, alerts, sourceSensorIds, riskLevel, priority, area }
+ */
+function buildEvacuationZones(alerts, readingsById = new Map()) {
+  const circles = alerts
+    .filter(alert => alert.location?.coordinates?.length === 2)
+    .map(alert => {
+      const [lng, lat] = alert.location.coordinates;
+      const radius = computeEvacuationRadius(alert, slopeForAlert(alert, readingsById));
+      return { alert, radius, geometry: circlePolygon({ lat, lng }, radius) };
+    });
+
+  return groupOverlapping(circles).map(group => {
+    const geometry = unionGeometry(group);
+    const riskLevel = group.reduce((worst, { alert }) =>
+      (RISK_RANK[alert.riskLevel] > RISK_RANK[worst] ? alert.riskLevel : worst), 'LOW');
+    const priority = group.reduce((worst, { alert }) =>
+      (PRIORITY_RANK[alert.priority] > PRIORITY_RANK[worst] ? alert.priority : worst), 'LOW');
+
+    return {
+      geometry,
+      alerts: group.map(({ alert, radius }) => ({
+        alertId: alert.alertId,
+        sensorId: alert.sensorId,
+        alertType: alert.alertType,
+        riskLevel: alert.riskLevel,
+        priority: alert.priority,
+        radius
+      })),
+      sourceSensorIds: [...new Set(group.map(({ alert }) => alert.sensorId))],
+      riskLevel,
+      priority,
+      area: Math.round(boundaryArea(geometry))
+    };
+  });
+}
+
+/**
+ * Sensors (other than the ones that raised its alerts) and tracked assets inside an evacuation zone
+ * @param {Object} zone - Evacuation zone from buildEvacuationZones
+ * @returns {Promise<Object>} { sensors, assets, headcount }
+ */
+async function findAffectedEntities(zone) {
+  const sensors = await Sensor.find({
+    sensorId: { $nin: zone.sourceSensorIds },
+    location: { $geoWithin: { $geometry: zone.geometry } }
+  }).select('sensorId name status mineGrid.zone location').sort({ sensorId: 1 }).lean();
+
+  const assets = await Asset.find({
+    status: 'ACTIVE',
+    location: { $geoWithin: { $geometry: zone.geometry } }
+  }).select('assetId name assetType headcount location lastPositionAt').sort({ assetId: 1 }).lean();
+
+  return {
+    sensors: sensors.map(sensor => ({
+      sensorId: sensor.sensorId,
+      name: sensor.name,
+      status: sensor.status,
+      zone: sensor.mineGrid?.zone,
+      location: sensor.location
+    })),
+    assets: assets.map(asset => ({
+      assetId: asset.assetId,
+      name: asset.name,
+      assetType: asset.assetType,
+      headcount: asset.headcount,
+      location: asset.location,
+      lastPositionAt: asset.lastPositionAt
+    })),
+    headcount: assets.reduce((sum, asset) => sum + (asset.headcount || 0), 0)
+  };
+}
+
+/**
+ * Compute evacuation zones for every open alert
+ * @param {Object} options - { mineId } to limit to one mine's zones
+ * @returns {Promise<Array>} Zones with affected entities
+ */
+async function getEvacuationZones({ mineId } = {}) {
+  const filter = {
+    status: { $in: OPEN_ALERT_STATUSES },
+    alertType: { $in: EVACUATION_ALERT_TYPES }
+  };
+
+  if (mineId) {
+    const zoneIds = await Zone.distinct('zoneId', { mineId: mineId.toUpperCase() });
+    filter.sensorId = { $in: await Sensor.distinct('sensorId', { 'mineGrid.zone': { $in: zoneIds } }) };
+  }
+
+  const alerts = await Alert.find(filter).sort({ triggeredAt: 1 });
+  const readingIds = alerts.map(a => a.sensorReadingId).filter(Boolean);
+  const readings = readingIds.length > 0
+    ? await SensorReading.find({ _id: { $in: readingIds } }).select('readings.Slope_Angle').lean()
+    : [];
+  const readingsById = new Map(readings.map(r => [String(r._id), r]));
+
+  const zones = buildEvacuationZones(alerts, readingsById);
+  for (const [index, zone] of zones.entries()) {
+    zone.evacuationId = `EVAC-${index + 1}`;
+    zone.affected = await findAffectedEntities(zone);
+  }
+
+  return zones;
+}
+
+/**
+ * Evacuation zone containing an alert (merged with any overlapping alerts)
+ * @param {string} alertId - Alert ID
+ * @returns {Promise<Object|null>} Zone, or null when the alert needs no evacuation
+ */
+async function getEvacuationForAlert(alertId) {
+  const zones = await getEvacuationZones();
+  return zones.find(zone => zone.alerts.some(a => a.alertId === alertId)) || null;
+}
+
+// GeoJSON FeatureCollection for map display
+function toFeatureCollection(zones) {
+  return turf.featureCollection(zones.map(({ geometry, ...properties }) => turf.feature(geometry, properties)));
+}
+
+module.exports = {
+  EVACUATION_ALERT_TYPES,
+  computeEvacuationRadius,
+  buildEvacuationZones,
+  findAffectedEntities,
+  getEvacuationZones,
+  getEvacuationForAlert,
+  toFeatureCollection
+};
@@ -0,0 +1,472 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const Joi = require('joi');
+const { ParquetSchema, ParquetWriter } = require('@dsnp/parquetjs');
+const SensorReading = require('../models/SensorReading');
+const Alert = require('../models/Alert');
+const Sensor = require('../models/Sensor');
+const ExportJob = require('../models/ExportJob');
+
+const EXPORT_DIR = path.resolve(process.env.EXPORT_DIR || path.join(__dirname, '..', 'exports'));
+// Larger exports must go through a background job instead of a single request
+const MAX_SYNC_ROWS = parseInt(process.env.EXPORT_MAX_SYNC_ROWS) || 100000;
+const JOB_TTL_HOURS = parseInt(process.env.EXPORT_JOB_TTL_HOURS) || 24;
+const CLEANUP_INTERVAL_MS = parseInt(process.env.EXPORT_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000;
+const MAX_ACTIVE_JOBS_PER_USER = 3;
+const CURSOR_BATCH_SIZE = 1000;
+const PARQUET_ROW_GROUP_SIZE = 5000;
+const PROGRESS_EVERY_ROWS = 10000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const READING_FEATURES = [
+  'Rainfall_mm', 'Slope_Angle', 'Soil_Saturation', 'Vegetation_Cover', 'Earthquake_Activity',
+  'Proximity_to_Water', 'Landslide', 'Soil_Type_Gravel', 'Soil_Type_Sand', 'Soil_Type_Silt'
+];
+
+/**
+ * Flat columns of each dataset, in output order
+ * type is the Parquet type; list-valued fields are joined with "|" so every format has the same columns.
+ */
+const DATASETS = {
+  readings: {
+    model: SensorReading,
+    timeField: 'timestamp',
+    riskField: 'riskPrediction.level',
+    columns: [
+      { name: 'id', type: 'UTF8', get: r => String(r._id) },
+      { name: 'sensorId', type: 'UTF8', get: r => r.sensorId },
+      { name: 'timestamp', type: 'TIMESTAMP_MILLIS', get: r => r.timestamp },
+      ...READING_FEATURES.map(feature => ({
+        name: feature,
+        type: feature.startsWith('Soil_Type_') ? 'BOOLEAN' : 'DOUBLE',
+        get: r => r.readings?.[feature]
+      })),
+      { name: 'riskLevel', type: 'UTF8', get: r => r.riskPrediction?.level },
+      { name: 'riskConfidence', type: 'DOUBLE', get: r => r.riskPrediction?.confidence },
+      { name: 'riskFactors', type: 'UTF8', get: r => r.riskPrediction?.factors?.join('|') },
+      { name: 'aiModelVersion', type: 'UTF8', get: r => r.riskPrediction?.aiModelVersion },
+      { name: 'processingTimeMs', type: 'DOUBLE', get: r => r.riskPrediction?.processingTime },
+      { name: 'completeness', type: 'DOUBLE', get: r => r.dataQuality?.completeness },
+      { name: 'flagged', type: 'BOOLEAN', get: r => r.dataQuality?.flagged },
+      { name: 'anomalies', type: 'UTF8', get: r => r.dataQuality?.anomalies?.map(a => `${a.type}:${a.field}:${a.severity}`).join('|') },
+      { name: 'source', type: 'UTF8', get: r => r.metadata?.source }
+    ]
+  },
+  alerts: {
+    model: Alert,
+    timeField: 'triggeredAt',
+    riskField: 'riskLevel',
+    columns: [
+      { name: 'alertId', type: 'UTF8', get: a => a.alertId },
+      { name: 'sensorId', type: 'UTF8', get: a => a.sensorId },
+      { name: 'sensorReadingId', type: 'UTF8', get: a => a.sensorReadingId && String(a.sensorReadingId) },
+      { name: 'alertType', type: 'UTF8', get: a => a.alertType },
+      { name: 'status', type: 'UTF8', get: a => a.status },
+      { name: 'riskLevel', type: 'UTF8', get: a => a.riskLevel },
+      { name: 'priority', type: 'UTF8', get: a => a.priority },
+      { name: 'confidence', type: 'DOUBLE', get: a => a.confidence },
+      { name: 'triggeredAt', type: 'TIMESTAMP_MILLIS', get: a => a.triggeredAt },
+      { name: 'occurrenceCount', type: 'INT64', get: a => a.occurrenceCount },
+      { name: 'acknowledgedAt', type: 'TIMESTAMP_MILLIS', get: a => a.acknowledgedAt },
+      { name: 'acknowledgedBy', type: 'UTF8', get: a => a.acknowledgedBy },
+      { name: 'resolvedAt', type: 'TIMESTAMP_MILLIS', get: a => a.resolvedAt },
+      { name: 'resolvedBy', type: 'UTF8', get: a => a.resolvedBy },
+      { name: 'longitude', type: 'DOUBLE', get: a => a.location?.coordinates?.[0] },
+      { name: 'latitude', type: 'DOUBLE', get: a => a.location?.coordinates?.[1] },
+      { name: 'radius', type: 'DOUBLE', get: a => a.affectedArea?.radius },
+      { name: 'riskZone', type: 'UTF8', get: a => a.affectedArea?.riskZone },
+      { name: 'triggerFactors', type: 'UTF8', get: a => a.triggerFactors?.map(f => `${f.factor}:${f.severity}`).join('|') },
+      { name: 'escalationLevel', type: 'INT64', get: a => a.escalation?.level },
+      { name: 'ruleName', type: 'UTF8', get: a => a.metadata?.ruleName },
+      { name: 'aiModelVersion', type: 'UTF8', get: a => a.metadata?.aiModelVersion }
+    ]
+  }
+};
+
+const FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' }
+};
+
+// Validation schema for export filters
+const exportValidationSchema = Joi.object({
+  format: Joi.string().valid(...ExportJob.FORMATS).default('csv'),
+  sensorId: Joi.string().trim().uppercase(),
+  zone: Joi.string().trim().uppercase(),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().when('startDate', { is: Joi.exist(), then: Joi.date().min(Joi.ref('startDate')) }),
+  riskLevel: Joi.string().valid('LOW', 'MEDIUM', 'HIGH')
+});
+
+/**
+ * Error raised for exports that cannot be carried out
+ * status mirrors the HTTP status the routes respond with
+ */
+class ExportError extends Error {
+  constructor(message, status, details = null) {
+    super(message);
+    this.name = 'ExportError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+let working = false;
+let intervalId = null;
+
+/**
+ * Validate a dataset and its export options
+ * @returns {{ format: string, filters: Object }}
+ * @throws {ExportError} Unknown dataset (404) or invalid options (400)
+ */
+function validateExport(dataset, options) {
+  if (!Object.hasOwn(DATASETS, dataset)) {
+    throw new ExportError(`Unknown dataset ${dataset}`, 404);
+  }
+
+  const { error, value } = exportValidationSchema.validate(options);
+  if (error) {
+    throw new ExportError('Validation failed', 400, error.details.map(d => d.message));
+  }
+
+  const { format, ...filters } = value;
+  return { format, filters };
+}
+
+// Build the query for a dataset's filters; a zone matches every sensor placed in it
+async function buildQuery(dataset, { sensorId, zone, startDate, endDate, riskLevel }) {
+  const { timeField, riskField } = DATASETS[dataset];
+  const query = {};
+
+  if (zone) {
+    const sensorIds = await Sensor.distinct('sensorId', { 'mineGrid.zone': zone });
+    query.sensorId = sensorId
+      ? (sensorIds.includes(sensorId) ? sensorId : { $in: [] })
+      : { $in: sensorIds };
+  } else if (sensorId) {
+    query.sensorId = sensorId;
+  }
+
+  if (startDate || endDate) {
+    query[timeField] = {};
+    if (startDate) query[timeField].$gte = new Date(startDate);
+    if (endDate) query[timeField].$lte = new Date(endDate);
+  }
+  if (riskLevel) query[riskField] = riskLevel;
+
+  return query;
+}
+
+async function countRows(dataset, filters) {
+  return DATASETS[dataset].model.countDocuments(await buildQuery(dataset, filters));
+}
+
+function flatten(columns, doc) {
+  const row = {};
+  for (const { name, get } of columns) {
+    const value = get(doc);
+    row[name] = value === undefined ? null : value;
+  }
+  return row;
+}
+
+// RFC 4180: quote fields containing separators, quotes or line breaks
+function csvField(value) {
+  if (value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parquetSchema(columns) {
+  const fields = {};
+  for (const { name, type } of columns) {
+    fields[name] = { type, optional: true };
+  }
+  return new ParquetSchema(fields);
+}
+
+/**
+ * Stream a dataset's matching rows to a writable stream, oldest first
+ * Documents come from a cursor and rows are written as they are read, so memory stays flat however
+ * many rows match. The output is ended when the export finishes.
+ * @param {Object} options - { dataset, format, filters, output, onProgress(rowCount) }
+ * @returns {Promise<number>} Rows written
+ */
+async function writeExport({ dataset, format, filters, output, onProgress = null }) {
+  const { model, timeField, columns } = DATASETS[dataset];
+  const query = await buildQuery(dataset, filters);
+  const cursor = model.find(query).sort({ [timeField]: 1 }).lean().cursor({ batchSize: CURSOR_BATCH_SIZE });
+
+  let rowCount = 0;
+  async function* rows() {
+    for await (const doc of cursor) {
+      yield flatten(columns, doc);
+      rowCount++;
+      if (onProgress && rowCount % PROGRESS_EVERY_ROWS === 0) {
+        await onProgress(rowCount);
+      }
+    }
+  }
+
+  if (format === 'parquet') {
+    // Rows are buffered one row group at a time, and the footer is written on close
+    const writer = await ParquetWriter.openStream(parquetSchema(columns), output, { rowGroupSize: PARQUET_ROW_GROUP_SIZE });
+    try {
+      for await (const row of rows()) {
+        for (const { name, type } of columns) {
+          if (type === 'INT64' && row[name] !== null) row[name] = BigInt(Math.round(row[name]));
+          if (row[name] === null) delete row[name];
+        }
+        await writer.appendRow(row);
+      }
+      await writer.close();
+    } catch (error) {
+      output.destroy();
+      throw error;
+    } finally {
+      await cursor.close();
+    }
+    return rowCount;
+  }
+
+  async function* lines() {
+    if (format === 'csv') {
+      yield `${columns.map(c => c.name).join(',')}\r\n`;
+    }
+    for await (const row of rows()) {
+      yield format === 'csv'
+        ? `${columns.map(c => csvField(row[c.name])).join(',')}\r\n`
+        : `${JSON.stringify(row)}\n`;
+    }
+  }
+
+  try {
+    await pipeline(Readable.from(lines()), output);
+  } finally {
+    await cursor.close();
+  }
+  return rowCount;
+}
+
+function exportFilename(dataset, format, suffix = new Date().toISOString().slice(0, 10)) {
+  return `${dataset}-${suffix}.${FORMATS[format].extension}`;
+}
+
+/**
+ * Queue a background export
+ * @throws {ExportError} Invalid options, or too many of the user's exports already queued or running (429)
+ */
+async function createJob(dataset, options, requestedBy) {
+  const { format, filters } = validateExport(dataset, options);
+
+  const active = await ExportJob.countDocuments({ requestedBy, status: { $in: ['QUEUED', 'RUNNING'] } });
+  if (active >= MAX_ACTIVE_JOBS_PER_USER) {
+    throw new ExportError(`At most ${MAX_ACTIVE_JOBS_PER_USER} exports can be queued or running per user`, 429);
+  }
+
+  const job = await ExportJob.create({
+    jobId: `EXPORT_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    dataset,
+    format,
+    filters,
+    requestedBy
+  });
+
+  processQueue().catch(error => console.error('❌ Error processing export queue:', error.message));
+  return job;
+}
+
+// Run one claimed job to a temporary file, then publish it under its final name
+async function runJob(job) {
+  const file = `${job.jobId}.${FORMATS[job.format].extension}`;
+  const fullPath = path.join(EXPORT_DIR, file);
+  const tempPath = `${fullPath}.tmp`;
+
+  try {
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const totalRows = await countRows(job.dataset, job.filters);
+    await ExportJob.updateOne({ _id: job._id }, { $set: { totalRows } });
+
+    const rowCount = await writeExport({
+      dataset: job.dataset,
+      format: job.format,
+      filters: job.filters,
+      output: fs.createWriteStream(tempPath),
+      onProgress: count => ExportJob.updateOne({ _id: job._id }, { $set: { rowCount: count } })
+    });
+
+    await fs.promises.rename(tempPath, fullPath);
+    const { size } = await fs.promises.stat(fullPath);
+    const completedAt = new Date();
+
+    await ExportJob.updateOne({ _id: job._id }, {
+      $set: {
+        status: 'COMPLETED',
+        rowCount,
+        file,
+        sizeBytes: size,
+        completedAt,
+        expiresAt: new Date(completedAt.getTime() + JOB_TTL_HOURS * HOUR_MS)
+      }
+    });
+    console.log(`📦 Export ${job.jobId} completed: ${rowCount} ${job.dataset} as ${job.format}`);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    const completedAt = new Date();
+    await ExportJob.updateOne({ _id: job._id }, {
+      $set: {
+        status: 'FAILED',
+        error: error.message,
+        completedAt,
+        expiresAt: new Date(completedAt.getTime() + JOB_TTL_HOURS * HOUR_MS)
+      }
+    });
+    console.error(`❌ Export ${job.jobId} failed:`, error.message);
+  }
+}
+
+/**
+ * Run queued jobs one at a time, oldest first
+ * A single worker keeps exports from competing with ingestion for the database.
+ */
+async function processQueue() {
+  if (working) return;
+  working = true;
+
+  try {
+    let job;
+    while ((job = await ExportJob.findOneAndUpdate(
+      { status: 'QUEUED' },
+      { $set: { status: 'RUNNING', startedAt: new Date(), rowCount: 0 } },
+      { sort: { createdAt: 1 }, new: true }
+    ))) {
+      await runJob(job);
+    }
+  } finally {
+    working = false;
+  }
+}
+
+async function findJob(jobId) {
+  const job = await ExportJob.findOne({ jobId });
+  if (!job) {
+    throw new ExportError(`Export job ${jobId} not found`, 404);
+  }
+  return job;
+}
+
+/**
+ * Resolve a completed job's file
+ * @throws {ExportError} Unknown job (404), not completed yet (409) or file gone (410)
+ */
+async function jobFilePath(jobId) {
+  const job = await findJob(jobId);
+  if (job.status !== 'COMPLETED') {
+    throw new ExportError(`Export job ${jobId} is ${job.status}`, 409);
+  }
+
+  const fullPath = path.join(EXPORT_DIR, job.file);
+  try {
+    await fs.promises.access(fullPath);
+  } catch (error) {
+    throw new ExportError(`Export file for ${jobId} is no longer available`, 410);
+  }
+
+  return { job, fullPath };
+}
+
+/**
+ * Delete a job and its file
+ * @throws {ExportError} Unknown job (404), or still running (409)
+ */
+async function deleteJob(jobId) {
+  const job = await findJob(jobId);
+  if (job.status === 'RUNNING') {
+    throw new ExportError(`Export job ${jobId} is running`, 409);
+  }
+
+  if (job.file) {
+    await fs.promises.rm(path.join(EXPORT_DIR, job.file), { force: true });
+  }
+  await ExportJob.deleteOne({ _id: job._id });
+  return job;
+}
+
+// Remove expired jobs and their files
+async function cleanupExpiredJobs(now = new Date()) {
+  const expired = await ExportJob.find({ expiresAt: { $lt: now } });
+
+  for (const job of expired) {
+    if (job.file) {
+      await fs.promises.rm(path.join(EXPORT_DIR, job.file), { force: true });
+    }
+    await ExportJob.deleteOne({ _id: job._id });
+  }
+
+  if (expired.length > 0) {
+    console.log(`🧹 Removed ${expired.length} expired export jobs`);
+  }
+  return expired.length;
+}
+
+/**
+ * Requeue jobs interrupted by a restart and resume the queue
+ * Their partial files are discarded; the job starts over.
+ */
+async function initializeExports() {
+  const interrupted = await ExportJob.find({ status: 'RUNNING' }, 'jobId format');
+  for (const job of interrupted) {
+    await fs.promises.rm(path.join(EXPORT_DIR, `${job.jobId}.${FORMATS[job.format].extension}.tmp`), { force: true });
+  }
+  if (interrupted.length > 0) {
+    await ExportJob.updateMany({ status: 'RUNNING' }, { $set: { status: 'QUEUED', startedAt: null, rowCount: 0 } });
+    console.log(`📦 Requeued ${interrupted.length} interrupted export jobs`);
+  }
+
+  processQueue().catch(error => console.error('❌ Error processing export queue:', error.message));
+}
+
+function startExportCleanupLoop(intervalMs = CLEANUP_INTERVAL_MS) {
+  if (intervalId) return;
+
+  intervalId = setInterval(async () => {
+    try {
+      await cleanupExpiredJobs();
+    } catch (error) {
+      console.error('❌ Error cleaning up export jobs:', error);
+    }
+  }, intervalMs);
+
+  console.log(`📦 Export cleanup started (every ${intervalMs / 60000} min, files in ${EXPORT_DIR})`);
+}
+
+function stopExportCleanupLoop() {
+  if (intervalId) {
+    clearInterval(intervalId);
+    intervalId = null;
+  }
+}
+
+module.exports = {
+  EXPORT_DIR,
+  MAX_SYNC_ROWS,
+  DATASETS,
+  FORMATS,
+  ExportError,
+  validateExport,
+  countRows,
+  writeExport,
+  exportFilename,
+  createJob,
+  processQueue,
+  jobFilePath,
+  deleteJob,
+  cleanupExpiredJobs,
+  initializeExports,
+  startExportCleanupLoop,
+  stopExportCleanupLoop
+};
@@ -0,0 +1,83 @@
+const turf = require('@turf/turf');
+
+/**
+ * Build a polygon approximating a circle
+ * @param {Object} center - { lat, lng }
+ * @param {number} radius - Radius in meters
+ * @param {number} steps - Number of vertices
+ * @returns {Object} GeoJSON Polygon geometry
+ */
+function circlePolygon(center, radius, steps = 32) {
+  return turf.circle([center.lng, center.lat], radius / 1000, { steps, units: 'kilometers' }).geometry;
+}
+
+/**
+ * Check that a GeoJSON geometry is a usable boundary (closed, non-self-intersecting Polygon)
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validatePolygon(geometry) {
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return 'Boundary must be a GeoJSON Polygon or MultiPolygon';
+  }
+
+  try {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    for (const rings of polygons) {
+      for (const ring of rings) {
+        const [first, last] = [ring[0], ring[ring.length - 1]];
+        if (ring.length < 4 || first[0] !== last[0] || first[1] !== last[1]) {
+          return 'Boundary rings must be closed and have at least 4 positions';
+        }
+        if (ring.some(([lng, lat]) => lng < -180 || lng > 180 || lat < -90 || lat > 90)) {
+          return 'Boundary coordinates must be [longitude, latitude] within valid ranges';
+        }
+      }
+    }
+
+    if (turf.kinks(turf.feature(geometry)).features.length > 0) {
+      return 'Boundary must not self-intersect';
+    }
+  } catch (error) {
+    return `Invalid boundary: ${error.message}`;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a point lies inside a boundary
+ * @param {Array<number>} coordinates - [longitude, latitude]
+ * @param {Object} boundary - GeoJSON Polygon or MultiPolygon geometry
+ * @returns {boolean} Whether the point is inside (or on the edge)
+ */
+function isPointInBoundary(coordinates, boundary) {
+  return turf.booleanPointInPolygon(turf.point(coordinates), boundary);
+}
+
+/**
+ * Center point of a boundary
+ * @param {Object} boundary - GeoJSON Polygon or MultiPolygon geometry
+ * @returns {Object} { lat, lng }
+ */
+function boundaryCenter(boundary) {
+  const [lng, lat] = turf.centroid(boundary).geometry.coordinates;
+  return { lat, lng };
+}
+
+/**
+ * Area of a boundary
+ * @param {Object} boundary - GeoJSON geometry
+ * @returns {number} Area in square meters
+ */
+function boundaryArea(boundary) {
+  return turf.area(boundary);
+}
+
+module.exports = {
+  circlePolygon,
+  validatePolygon,
+  isPointInBoundary,
+  boundaryCenter,
+  boundaryArea
+};
@@ -0,0 +1,139 @@
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const Alert = require('../models/Alert');
+const Zone = require('../models/Zone');
+const { validatePolygon } = require('./geoUtils');
+
+const RISK_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3 };
+const OPEN_ALERT_STATUSES = ['ACTIVE', 'ACKNOWLEDGED'];
+
+class GeofenceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GeofenceError';
+    this.status = status;
+  }
+}
+
+/**
+ * Resolve an area to a polygon geometry
+ * @param {Object} area - { polygon } (GeoJSON geometry or Feature) or { zoneId }
+ * @returns {Promise<Object>} GeoJSON Polygon or MultiPolygon geometry
+ */
+async function resolveArea(area = {}) {
+  if (area.zoneId) {
+    const zone = await Zone.findOne({ zoneId: String(area.zoneId).toUpperCase() });
+    if (!zone) throw new GeofenceError(`Zone not found: ${area.zoneId}`, 404);
+    return zone.boundary;
+  }
+
+  const geometry = area.polygon?.type === 'Feature' ? area.polygon.geometry : area.polygon;
+  const problem = validatePolygon(geometry);
+  if (problem) throw new GeofenceError(problem);
+
+  return { type: geometry.type, coordinates: geometry.coordinates };
+}
+
+function withinQuery(geometry) {
+  return { $geoWithin: { $geometry: geometry } };
+}
+
+/**
+ * Sensors located inside a polygon
+ * @param {Object} geometry - GeoJSON polygon
+ * @param {Object} filter - Extra Sensor filter (e.g. status)
+ * @returns {Promise<Array>} Sensor documents
+ */
+function findSensorsInArea(geometry, filter = {}) {
+  return Sensor.find({ ...filter, location: withinQuery(geometry) }).sort({ sensorId: 1 });
+}
+
+/**
+ * Alerts located inside a polygon
+ * @param {Object} geometry - GeoJSON polygon
+ * @param {Object} filter - Extra Alert filter (e.g. status)
+ * @param {number} limit - Maximum alerts returned
+ * @returns {Promise<Array>} Alert documents, newest first
+ */
+function findAlertsInArea(geometry, filter = {}, limit = 100) {
+  return Alert.find({ ...filter, location: withinQuery(geometry) })
+    .sort({ triggeredAt: -1 })
+    .limit(limit);
+}
+
+/**
+ * Readings from sensors inside a polygon (readings are not geo-indexed, so match by sensor)
+ * @param {Object} geometry - GeoJSON polygon
+ * @param {Object} options - { startDate, endDate, riskLevel, limit }
+ * @returns {Promise<Object>} { sensorIds, readings }
+ */
+async function findReadingsInArea(geometry, { startDate, endDate, riskLevel, limit = 500 } = {}) {
+  const sensorIds = await Sensor.distinct('sensorId', { location: withinQuery(geometry) });
+
+  const filter = { sensorId: { $in: sensorIds } };
+  if (startDate || endDate) {
+    filter.timestamp = {};
+    if (startDate) filter.timestamp.$gte = new Date(startDate);
+    if (endDate) filter.timestamp.$lte = new Date(endDate);
+  }
+  if (riskLevel) filter['riskPrediction.level'] = riskLevel;
+
+  const readings = sensorIds.length > 0
+    ? await SensorReading.find(filter).sort({ timestamp: -1 }).limit(limit)
+    : [];
+
+  return { sensorIds, readings };
+}
+
+/**
+ * Roll up the current risk state of a polygon
+ * @param {Object} geometry - GeoJSON polygon
+ * @returns {Promise<Object>} { worstRiskLevel, sensorCount, sensorsByRiskLevel, highRiskSensors, openAlerts, openAlertsByPriority }
+ */
+async function getAreaRiskRollup(geometry) {
+  const sensors = await Sensor.find({ location: withinQuery(geometry) }).select('sensorId status').lean();
+  const sensorIds = sensors.map(s => s.sensorId);
+
+  // Latest reading per sensor decides its current risk level
+  const latest = sensorIds.length > 0
+    ? (await SensorReading.getLatestForSensors(sensorIds)).map(r => ({ _id: r._id, level: r.riskPrediction?.level }))
+    : [];
+
+  const sensorsByRiskLevel = { LOW: 0, MEDIUM: 0, HIGH: 0, UNKNOWN: sensorIds.length - latest.length };
+  let worstRiskLevel = null;
+  for (const { level } of latest) {
+    if (RISK_RANK[level]) {
+      sensorsByRiskLevel[level]++;
+      if (!worstRiskLevel || RISK_RANK[level] > RISK_RANK[worstRiskLevel]) worstRiskLevel = level;
+    } else {
+      sensorsByRiskLevel.UNKNOWN++;
+    }
+  }
+
+  const alertCounts = await Alert.aggregate([
+    { $match: { status: { $in: OPEN_ALERT_STATUSES }, location: withinQuery(geometry) } },
+    { $group: { _id: '$priority', count: { $sum: 1 } } }
+  ]);
+
+  const openAlertsByPriority = { LOW: 0, MEDIUM: 0, HIGH: 0, CRITICAL: 0 };
+  alertCounts.forEach(({ _id, count }) => { openAlertsByPriority[_id] = count; });
+
+  return {
+    worstRiskLevel: worstRiskLevel || 'LOW',
+    sensorCount: sensorIds.length,
+    activeSensorCount: sensors.filter(s => s.status === 'ACTIVE').length,
+    sensorsByRiskLevel,
+    highRiskSensors: latest.filter(r => r.level === 'HIGH').map(r => r._id).sort(),
+    openAlerts: alertCounts.reduce((sum, { count }) => sum + count, 0),
+    openAlertsByPriority
+  };
+}
+
+module.exports = {
+  GeofenceError,
+  resolveArea,
+  findSensorsInArea,
+  findAlertsInArea,
+  findReadingsInArea,
+  getAreaRiskRollup
+};
@@ -0,0 +1,315 @@
+const Alert = require('../models/Alert');
+const AlertEvent = require('../models/AlertEvent');
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+
+const DEFAULT_CONTEXT_READINGS = 10;
+const MAX_CONTEXT_READINGS = 50;
+const CLOSED_STATUSES = ['RESOLVED', 'FALSE_POSITIVE'];
+
+function minutesBetween(from, to) {
+  if (!from || !to) return null;
+  return Math.round((new Date(to) - new Date(from)) / 600) / 100;
+}
+
+/**
+ * Compare an alert's trigger factors with the reading and the sensor's configured thresholds
+ * @param {Object} alert - Alert document
+ * @param {Object|null} reading - Triggering reading
+ * @param {Object|null} sensor - Sensor document
+ * @returns {Array<Object>} { factor, value, threshold, configuredThreshold, readingValue, exceededBy, exceededPercent, severity }
+ */
+function compareTriggerFactors(alert, reading, sensor) {
+  const configured = sensor?.configuration?.alertThresholds || {};
+
+  return (alert.triggerFactors || []).map(({ factor, value, threshold, severity }) => {
+    const exceededBy = typeof value === 'number' && typeof threshold === 'number' ? value - threshold : null;
+    return {
+      factor,
+      value,
+      threshold,
+      configuredThreshold: configured[factor] ?? null,
+      readingValue: reading?.readings?.[factor] ?? null,
+      exceededBy: exceededBy === null ? null : Math.round(exceededBy * 1000) / 1000,
+      exceededPercent: exceededBy === null || !threshold ? null : Math.round((exceededBy / Math.abs(threshold)) * 1000) / 10,
+      severity
+    };
+  });
+}
+
+/**
+ * Lifecycle of an alert in time order: trigger, escalations, acknowledgement, actions, resolution
+ * @param {Object} alert - Alert document
+ * @returns {Array<Object>} { at, event, by, details }
+ */
+function buildTimeline(alert) {
+  const timeline = [{
+    at: alert.triggeredAt,
+    event: 'TRIGGERED',
+    by: alert.metadata?.ruleName ? `rule:${alert.metadata.ruleName}` : 'system',
+    details: `${alert.priority} ${alert.alertType} (${alert.riskLevel}, ${Math.round(alert.confidence * 100)}% confidence)`
+  }];
+
+  // Each escalation notifies its recipients at the same moment; one entry per escalation
+  const escalationTimes = new Map();
+  for (const notification of alert.notifications || []) {
+    if (notification.reason !== 'ESCALATION' || !notification.sentAt) continue;
+    const key = new Date(notification.sentAt).getTime();
+    if (!escalationTimes.has(key)) escalationTimes.set(key, []);
+    escalationTimes.get(key).push(notification.recipient);
+  }
+  for (const [time, recipients] of escalationTimes) {
+    timeline.push({ at: new Date(time), event: 'ESCALATION_NOTICE', by: 'system', details: `Notified ${recipients.join(', ')}` });
+  }
+
+  // Only the latest escalation is stored on the alert itself
+  if (alert.escalation?.escalatedAt) {
+    timeline.push({
+      at: alert.escalation.escalatedAt,
+      event: 'ESCALATED',
+      by: null,
+      details: `Level ${alert.escalation.level} to ${alert.escalation.escalatedTo}`
+    });
+  }
+
+  if (alert.acknowledgedAt) {
+    timeline.push({ at: alert.acknowledgedAt, event: 'ACKNOWLEDGED', by: alert.acknowledgedBy, details: null });
+  }
+
+  for (const action of alert.actionsTaken || []) {
+    timeline.push({ at: action.takenAt, event: 'ACTION', by: action.takenBy, details: action.notes ? `${action.action}: ${action.notes}` : action.action });
+  }
+
+  if (alert.resolvedAt) {
+    timeline.push({ at: alert.resolvedAt, event: alert.status, by: alert.resolvedBy, details: null });
+  }
+
+  return timeline.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+// One-line summary of a recorded lifecycle event's details
+function describeEvent(event, alert) {
+  const details = event.details || {};
+  switch (event.event) {
+    case 'CREATED':
+      return `${details.priority || alert.priority} ${alert.alertType} (${details.riskLevel || alert.riskLevel}, ${Math.round(alert.confidence * 100)}% confidence)`;
+    case 'UPGRADED':
+      return Object.entries(details.to || {})
+        .map(([field, value]) => `${field} ${details.from?.[field]} → ${value}`)
+        .join(', ');
+    case 'ESCALATED':
+      return `Level ${details.level} to ${details.escalatedTo}`;
+    case 'REOPENED':
+      return details.reason || null;
+    case 'ACTION':
+      return details.notes ? `${details.action}: ${details.notes}` : details.action;
+    default:
+      return details.notes || null;
+  }
+}
+
+/**
+ * Timeline from the alert's recorded AlertEvent history
+ * @param {Object} alert - Alert document
+ * @param {Array<Object>} events - AlertEvent documents, oldest first
+ * @returns {Array<Object>} { at, event, by, details }
+ */
+function timelineFromEvents(alert, events) {
+  return events.map(event => ({
+    at: event.at,
+    event: event.event === 'CREATED' ? 'TRIGGERED' : event.event,
+    by: event.actor,
+    details: describeEvent(event, alert)
+  }));
+}
+
+/**
+ * Build the incident report for an alert
+ * @param {string} alertId - Alert ID
+ * @param {Object} options - { contextReadings } readings before and after the trigger (max 50)
+ * @returns {Promise<Object|null>} Report, or null when the alert does not exist
+ */
+async function buildIncidentReport(alertId, { contextReadings = DEFAULT_CONTEXT_READINGS } = {}) {
+  const alert = await Alert.findOne({ alertId });
+  if (!alert) return null;
+
+  const count = Math.min(Math.max(parseInt(contextReadings) || 0, 0), MAX_CONTEXT_READINGS);
+  const sensor = await Sensor.findOne({ sensorId: alert.sensorId }).lean();
+  const triggeringReading = alert.sensorReadingId
+    ? await SensorReading.findById(alert.sensorReadingId).lean()
+    : null;
+
+  // Equipment failures have no reading; the trigger time is the pivot instead
+  const pivot = triggeringReading?.timestamp || alert.triggeredAt;
+  const [before, after] = count === 0
+    ? [[], []]
+    : await Promise.all([
+      SensorReading.find({ sensorId: alert.sensorId, timestamp: { $lt: pivot } }).sort({ timestamp: -1 }).limit(count).lean(),
+      SensorReading.find({ sensorId: alert.sensorId, timestamp: { $gt: pivot } }).sort({ timestamp: 1 }).limit(count).lean()
+    ]);
+
+  const closedAt = alert.resolvedAt || null;
+
+  // Alerts raised before the audit trail existed have no CREATED event; rebuild theirs from the alert fields
+  const events = await AlertEvent.getHistory(alert.alertId).lean();
+  const timeline = events.some(event => event.event === 'CREATED')
+    ? timelineFromEvents(alert, events)
+    : buildTimeline(alert);
+
+  return {
+    reportGeneratedAt: new Date(),
+    final: CLOSED_STATUSES.includes(alert.status),
+    alert: {
+      alertId: alert.alertId,
+      alertType: alert.alertType,
+      status: alert.status,
+      priority: alert.priority,
+      riskLevel: alert.riskLevel,
+      confidence: alert.confidence,
+      occurrenceCount: alert.occurrenceCount,
+      triggeredAt: alert.triggeredAt,
+      lastSeenAt: alert.lastSeenAt,
+      acknowledgedAt: alert.acknowledgedAt,
+      acknowledgedBy: alert.acknowledgedBy,
+      resolvedAt: alert.resolvedAt,
+      resolvedBy: alert.resolvedBy,
+      escalation: alert.escalation,
+      affectedArea: alert.affectedArea,
+      location: alert.location,
+      ruleName: alert.metadata?.ruleName || null,
+      aiModelVersion: alert.metadata?.aiModelVersion || null
+    },
+    sensor: sensor && {
+      sensorId: sensor.sensorId,
+      name: sensor.name,
+      sensorType: sensor.sensorType,
+      zone: sensor.mineGrid?.zone,
+      location: sensor.location,
+      alertThresholds: sensor.configuration?.alertThresholds
+    },
+    responseTimes: {
+      minutesToAcknowledge: minutesBetween(alert.triggeredAt, alert.acknowledgedAt),
+      minutesToResolve: minutesBetween(alert.triggeredAt, closedAt),
+      minutesOpen: minutesBetween(alert.triggeredAt, closedAt || new Date())
+    },
+    triggeringReading,
+    triggerFactors: compareTriggerFactors(alert, triggeringReading, sensor),
+    readingsBefore: before.reverse(),
+    readingsAfter: after,
+    timeline,
+    actionsTaken: (alert.actionsTaken || []).map(({ action, takenBy, takenAt, notes }) => ({ action, takenBy, takenAt, notes }))
+  };
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : '—';
+}
+
+function table(headers, rows) {
+  if (rows.length === 0) return '<p class="empty">None recorded</p>';
+  return `<table><thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>` +
+    `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+function readingRows(readings, factors) {
+  return readings.map(reading => [
+    formatDate(reading.timestamp),
+    reading.riskPrediction?.level,
+    reading.riskPrediction?.confidence === undefined ? '' : `${Math.round(reading.riskPrediction.confidence * 100)}%`,
+    ...factors.map(factor => reading.readings?.[factor])
+  ]);
+}
+
+/**
+ * Render an incident report as a standalone, printable HTML document
+ * @param {Object} report - Report from buildIncidentReport
+ * @returns {string} HTML
+ */
+function renderIncidentReportHtml(report) {
+  const { alert, sensor, responseTimes } = report;
+  const factors = report.triggerFactors.length > 0
+    ? report.triggerFactors.map(f => f.factor)
+    : ['Rainfall_mm', 'Slope_Angle', 'Soil_Saturation', 'Earthquake_Activity'];
+  const readingHeaders = ['Time', 'Risk', 'Confidence', ...factors];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Incident Report ${escapeHtml(alert.alertId)}</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #2c3e50; margin: 32px; font-size: 13px; }
+  h1 { font-size: 20px; margin-bottom: 4px; }
+  h2 { font-size: 15px; border-bottom: 2px solid #e74c3c; padding-bottom: 4px; margin-top: 24px; }
+  table { border-collapse: collapse; width: 100%; margin-top: 8px; }
+  th, td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; }
+  th { background: #f8f9fa; }
+  .meta { color: #666; }
+  .draft { background: #fff3cd; border: 1px solid #f39c12; padding: 8px; margin: 12px 0; }
+  .empty { color: #999; }
+  .trigger td { font-weight: bold; }
+  @media print { body { margin: 0; } .draft { border-width: 2px; } }
+</style>
+</head>
+<body>
+<h1>Incident Report — ${escapeHtml(alert.alertId)}</h1>
+<div class="meta">Generated ${formatDate(report.reportGeneratedAt)}</div>
+${report.final ? '' : `<div class="draft">Draft: the alert is still ${escapeHtml(alert.status)}; this report will change until it is resolved.</div>`}
+
+<h2>Summary</h2>
+${table(['Field', 'Value'], [
+    ['Alert type', alert.alertType],
+    ['Outcome', alert.status],
+    ['Priority', alert.priority],
+    ['Risk level', `${alert.riskLevel} (${Math.round(alert.confidence * 100)}% confidence)`],
+    ['Sensor', sensor ? `${sensor.sensorId} — ${sensor.name} (${sensor.zone || 'no zone'})` : '—'],
+    ['Location', alert.location?.coordinates ? `${alert.location.coordinates[1]}, ${alert.location.coordinates[0]}` : '—'],
+    ['Affected area', alert.affectedArea ? `${alert.affectedArea.radius} m (${alert.affectedArea.riskZone})` : '—'],
+    ['Detections', alert.occurrenceCount],
+    ['Triggered', formatDate(alert.triggeredAt)],
+    ['Time to acknowledge', responseTimes.minutesToAcknowledge === null ? '—' : `${responseTimes.minutesToAcknowledge} min`],
+    ['Time to resolve', responseTimes.minutesToResolve === null ? '—' : `${responseTimes.minutesToResolve} min`],
+    ['Rule', alert.ruleName || '—'],
+    ['AI model', alert.aiModelVersion || '—']
+  ])}
+
+<h2>Trigger Factors</h2>
+${table(['Factor', 'Value', 'Alert threshold', 'Sensor threshold', 'Reading value', 'Exceeded by', 'Severity'],
+    report.triggerFactors.map(f => [
+      f.factor, f.value, f.threshold, f.configuredThreshold, f.readingValue,
+      f.exceededBy === null ? '' : `${f.exceededBy}${f.exceededPercent === null ? '' : ` (${f.exceededPercent}%)`}`,
+      f.severity
+    ]))}
+
+<h2>Timeline</h2>
+${table(['Time', 'Event', 'By', 'Details'], report.timeline.map(e => [formatDate(e.at), e.event, e.by || '', e.details || '']))}
+
+<h2>Actions Taken</h2>
+${table(['Time', 'Action', 'By', 'Notes'], report.actionsTaken.map(a => [formatDate(a.takenAt), a.action, a.takenBy, a.notes || '']))}
+
+<h2>Sensor Readings</h2>
+<table><thead><tr>${readingHeaders.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead><tbody>
+${readingRows(report.readingsBefore, factors).map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n')}
+${report.triggeringReading ? readingRows([report.triggeringReading], factors).map(row => `<tr class="trigger">${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('') : ''}
+${readingRows(report.readingsAfter, factors).map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n')}
+</tbody></table>
+<p class="meta">${report.readingsBefore.length} readings before and ${report.readingsAfter.length} after the ${report.triggeringReading ? 'triggering reading (bold)' : 'trigger time'}.</p>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  compareTriggerFactors,
+  buildTimeline,
+  timelineFromEvents,
+  buildIncidentReport,
+  renderIncidentReportHtml
+};
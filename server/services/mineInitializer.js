@@ -0,0 +1,54 @@
+const Mine = require('../models/Mine');
+const Zone = require('../models/Zone');
+const Sensor = require('../models/Sensor');
+const { MINE_LOCATIONS } = require('./mineLocations');
+const { circlePolygon } = require('./geoUtils');
+
+const MINE_BOUNDARY_RADIUS = 3000; // meters
+const ZONE_BOUNDARY_RADIUS = 2000; // meters; covers the seeded sensors (±0.01 degrees)
+
+// 'HUTTI_ZONE' -> 'HUTTI'
+function mineIdForZone(zone) {
+  return zone.replace(/_ZONE$/, '');
+}
+
+// Seed mines and zones from MINE_LOCATIONS when none exist
+async function initializeMines() {
+  try {
+    const existingMineCount = await Mine.countDocuments();
+
+    if (existingMineCount > 0) {
+      console.log(`✅ Found ${existingMineCount} mines in database`);
+    } else {
+      const mines = await Mine.insertMany(MINE_LOCATIONS.map(mine => ({
+        mineId: mineIdForZone(mine.zone),
+        name: mine.name,
+        state: mine.state,
+        description: mine.description,
+        location: { type: 'Point', coordinates: [mine.location.lng, mine.location.lat] },
+        boundary: circlePolygon(mine.location, MINE_BOUNDARY_RADIUS)
+      })));
+
+      const zones = await Zone.insertMany(MINE_LOCATIONS.map(mine => ({
+        zoneId: mine.zone,
+        name: `${mine.name} Pit`,
+        mineId: mineIdForZone(mine.zone),
+        boundary: circlePolygon(mine.location, ZONE_BOUNDARY_RADIUS)
+      })));
+
+      console.log(`⛏️ Created ${mines.length} mines and ${zones.length} zones`);
+    }
+
+    // Sensors from before zones were tracked may reference zones that were never created
+    const knownZones = await Zone.distinct('zoneId');
+    const orphanZones = await Sensor.distinct('mineGrid.zone', { 'mineGrid.zone': { $nin: knownZones } });
+    if (orphanZones.length > 0) {
+      console.warn(`⚠️ Sensors reference unknown zones: ${orphanZones.join(', ')}`);
+    }
+  } catch (error) {
+    console.error('❌ Error initializing mines:', error);
+    throw error;
+  }
+}
+
+module.exports = { initializeMines };
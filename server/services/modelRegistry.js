@@ -0,0 +1,266 @@
+const Joi = require('joi');
+const ModelVersion = require('../models/ModelVersion');
+const { aiService } = require('./aiService');
+const shadowEvaluation = require('./shadowEvaluation');
+const HttpPredictionProvider = require('./predictionProviders/httpProvider');
+const RuleEnginePredictionProvider = require('./predictionProviders/ruleEngineProvider');
+
+const FEATURES = Object.keys(RuleEnginePredictionProvider.DEFAULT_FEATURES);
+const MODEL_INFO_TIMEOUT = 5000;
+
+// Validation schema for registering a model
+const modelValidationSchema = Joi.object({
+  modelId: Joi.string().required().trim().lowercase().pattern(/^[a-z0-9][a-z0-9._-]*$/).max(60),
+  type: Joi.string().valid(...ModelVersion.MODEL_TYPES).required(),
+  endpoint: Joi.string().uri({ scheme: ['http', 'https'] }).when('type', {
+    is: 'http',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  version: Joi.string().trim().max(60),
+  description: Joi.string().trim().max(500).allow(''),
+  config: Joi.object({
+    weights: Joi.object().pattern(
+      Joi.string().valid(...FEATURES),
+      Joi.alternatives().try(
+        Joi.number().min(0),
+        Joi.object({
+          weight: Joi.number().min(0),
+          start: Joi.number(),
+          full: Joi.number()
+        })
+      )
+    ),
+    thresholds: Joi.object({
+      medium: Joi.number().min(0).max(1),
+      high: Joi.number().min(0).max(1)
+    })
+  }).when('type', { is: 'rules', otherwise: Joi.forbidden() })
+});
+
+/**
+ * Error raised for registry operations the current roles do not allow
+ * status mirrors the HTTP status the routes respond with
+ */
+class ModelRegistryError extends Error {
+  constructor(message, status, details = null) {
+    super(message);
+    this.name = 'ModelRegistryError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Build the prediction provider for a registered model
+ * @param {Object} model - ModelVersion document
+ * @param {Object} options - Extra provider options (e.g. retryAttempts)
+ * @returns {Object} Prediction provider
+ */
+function buildProvider(model, options = {}) {
+  if (model.type === 'http') {
+    return new HttpPredictionProvider({
+      baseURL: model.endpoint,
+      version: model.version || undefined,
+      formatPayload: (sensorData) => aiService.formatPredictionPayload(sensorData),
+      ...options
+    });
+  }
+  return new RuleEnginePredictionProvider({
+    weights: model.config?.weights || {},
+    thresholds: model.config?.thresholds || {}
+  });
+}
+
+/**
+ * Ask a model for its info and record its version and reachability
+ * @param {Object} model - ModelVersion document (saved)
+ * @returns {Promise<Object>} Updated model
+ */
+async function probeModel(model) {
+  const provider = buildProvider(model, { timeout: MODEL_INFO_TIMEOUT });
+
+  try {
+    const info = await provider.getModelInfo();
+    model.info = info;
+    model.version = info?.model_version || info?.modelVersion || info?.version || model.version;
+    model.reachable = true;
+  } catch (error) {
+    console.error(`❌ Model ${model.modelId} did not answer /model/info:`, error.message);
+    model.reachable = false;
+  }
+
+  model.lastCheckedAt = new Date();
+  return model.save();
+}
+
+/**
+ * Point the prediction chain at the champion and the shadow runner at the challenger
+ * @returns {Promise<Object>} { champion, challenger } model documents (either may be null)
+ */
+async function applyRoles() {
+  const [champion, challenger] = await Promise.all([
+    ModelVersion.findOne({ role: 'CHAMPION' }),
+    ModelVersion.findOne({ role: 'CHALLENGER' })
+  ]);
+
+  if (champion) {
+    if (champion.type === 'http') {
+      aiService.setPrimaryProvider(buildProvider(champion));
+      // The built-in rules stay the fallback behind an http champion
+      aiService.registerProvider(new RuleEnginePredictionProvider(), { circuitBreaker: false });
+    } else {
+      aiService.setPrimaryProvider(buildProvider(champion), { circuitBreaker: false });
+    }
+  }
+
+  // Shadow calls are extra work per reading, so a failing challenger is not retried
+  shadowEvaluation.setChallenger(challenger ? { model: challenger, provider: buildProvider(challenger, { retryAttempts: 1 }) } : null);
+
+  return { champion, challenger };
+}
+
+/**
+ * Seed the registry with the built-in providers on first start, then apply the stored roles
+ */
+async function initializeModelRegistry() {
+  if (await ModelVersion.countDocuments() === 0) {
+    const primary = aiService.order[0];
+    const local = new RuleEnginePredictionProvider();
+
+    await ModelVersion.create([
+      {
+        modelId: 'remote-default',
+        type: 'http',
+        endpoint: process.env.AI_SERVICE_URL || 'http://localhost:8000',
+        description: 'AI service at AI_SERVICE_URL',
+        role: primary === 'remote' ? 'CHAMPION' : 'AVAILABLE'
+      },
+      {
+        modelId: 'local-rules',
+        type: 'rules',
+        version: local.modelVersion,
+        config: { weights: local.features, thresholds: local.thresholds },
+        description: 'Built-in rule engine',
+        role: primary === 'local' ? 'CHAMPION' : 'AVAILABLE'
+      }
+    ]);
+    console.log('🧠 Seeded model registry with the built-in providers');
+  }
+
+  const { champion, challenger } = await applyRoles();
+  console.log(`🧠 Model registry: champion ${champion?.modelId || 'none'}, challenger ${challenger?.modelId || 'none'}`);
+
+  // Refresh versions in the background; an unreachable service must not hold up startup
+  ModelVersion.find({ type: 'http', role: { $ne: 'RETIRED' } })
+    .then(models => Promise.all(models.map(probeModel)))
+    .catch(error => console.error('❌ Failed to refresh model versions:', error));
+}
+
+/**
+ * Register a model
+ * @param {Object} data - Model fields (see modelValidationSchema)
+ * @param {string} registeredBy - Username
+ * @returns {Promise<Object>} Saved model, probed for its version
+ * @throws {ModelRegistryError} On validation failure (400) or duplicate modelId (409)
+ */
+async function registerModel(data, registeredBy) {
+  const { error, value } = modelValidationSchema.validate(data);
+
+  if (error) {
+    throw new ModelRegistryError('Validation failed', 400, error.details.map(d => d.message));
+  }
+
+  if (await ModelVersion.exists({ modelId: value.modelId })) {
+    throw new ModelRegistryError(`Model ${value.modelId} is already registered`, 409);
+  }
+
+  const model = new ModelVersion({ ...value, registeredBy, role: 'AVAILABLE' });
+  if (model.type === 'rules') {
+    model.version = buildProvider(model).modelVersion;
+  }
+  await model.save();
+
+  return probeModel(model);
+}
+
+/**
+ * Change a model's role; promoting a champion or challenger demotes the previous one to AVAILABLE
+ * @param {string} modelId - Model ID
+ * @param {string} role - CHAMPION, CHALLENGER, AVAILABLE or RETIRED
+ * @param {string} changedBy - Username
+ * @returns {Promise<Object>} Updated model
+ * @throws {ModelRegistryError} Unknown model (404), invalid role (400) or a change the roles do not allow (409)
+ */
+async function setRole(modelId, role, changedBy) {
+  if (!ModelVersion.MODEL_ROLES.includes(role)) {
+    throw new ModelRegistryError(`role must be one of ${ModelVersion.MODEL_ROLES.join(', ')}`, 400);
+  }
+
+  const model = await ModelVersion.findOne({ modelId });
+  if (!model) {
+    throw new ModelRegistryError('Model not found', 404);
+  }
+  if (model.role === role) {
+    return model;
+  }
+
+  // Something must always serve predictions
+  if (model.role === 'CHAMPION') {
+    throw new ModelRegistryError('The champion can only be replaced by promoting another model', 409);
+  }
+
+  if (role === 'CHAMPION' || role === 'CHALLENGER') {
+    if (model.role === 'RETIRED') {
+      throw new ModelRegistryError(`Model ${modelId} is retired`, 409);
+    }
+    await probeModel(model);
+    if (role === 'CHAMPION' && !model.reachable) {
+      throw new ModelRegistryError(`Model ${modelId} is not reachable and cannot serve predictions`, 409);
+    }
+
+    await ModelVersion.updateMany(
+      { role, modelId: { $ne: modelId } },
+      { $set: { role: 'AVAILABLE' }, $push: { roleHistory: { role: 'AVAILABLE', changedBy, changedAt: new Date() } } }
+    );
+  }
+
+  model.role = role;
+  model.roleHistory.push({ role, changedBy, changedAt: new Date() });
+  await model.save();
+
+  console.log(`🧠 Model ${modelId} is now ${role} (by ${changedBy})`);
+  await applyRoles();
+
+  return model;
+}
+
+/**
+ * Remove a model that is neither champion nor challenger (its shadow results stay until they expire)
+ * @param {string} modelId - Model ID
+ * @returns {Promise<Object>} Removed model
+ */
+async function removeModel(modelId) {
+  const model = await ModelVersion.findOne({ modelId });
+  if (!model) {
+    throw new ModelRegistryError('Model not found', 404);
+  }
+  if (model.role === 'CHAMPION' || model.role === 'CHALLENGER') {
+    throw new ModelRegistryError(`Model ${modelId} is the ${model.role.toLowerCase()}; change its role first`, 409);
+  }
+
+  await ModelVersion.deleteOne({ _id: model._id });
+  return model;
+}
+
+module.exports = {
+  modelValidationSchema,
+  ModelRegistryError,
+  buildProvider,
+  probeModel,
+  applyRoles,
+  initializeModelRegistry,
+  registerModel,
+  setRole,
+  removeModel
+};
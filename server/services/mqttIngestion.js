@@ -0,0 +1,268 @@
+const mqtt = require('mqtt');
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const { readingValidationSchema, ReadingIngestionError, storeReading, processReading } = require('./readingIngestion');
+
+const DEDUP_TTL = 10 * 60 * 1000; // Remember delivered readings for 10 minutes
+const DEDUP_MAX_ENTRIES = 10000;
+const CONNECT_TIMEOUT_MS = parseInt(process.env.MQTT_CONNECT_TIMEOUT_MS) || 30000;
+const INGEST_ATTEMPTS = 5;
+const INGEST_RETRY_DELAY_MS = 1000; // Doubled after each failed attempt
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Subscribes to device readings published over MQTT and feeds them into the ingestion pipeline
+ * Topic scheme: {prefix}/{zone}/{sensorId}/reading, payload: { timestamp, readings }
+ */
+class MqttIngestion {
+  constructor(io, options = {}) {
+    this.io = io;
+    this.url = options.url || process.env.MQTT_URL;
+    this.topicPrefix = options.topicPrefix || process.env.MQTT_TOPIC_PREFIX || 'geosafe';
+    this.connectTimeout = options.connectTimeout || CONNECT_TIMEOUT_MS;
+    this.retryDelay = options.retryDelay ?? INGEST_RETRY_DELAY_MS;
+    this.clientOptions = {
+      // Stable across restarts so the persistent session is resumed; give each server instance its own
+      clientId: options.clientId || process.env.MQTT_CLIENT_ID || 'geosafe-server',
+      username: options.username || process.env.MQTT_USERNAME,
+      password: options.password || process.env.MQTT_PASSWORD,
+      // Persistent session so QoS 1 messages published while we were offline are still delivered
+      clean: false,
+      reconnectPeriod: 5000
+    };
+    this.client = null;
+    this.recentReadings = new Map(); // `${sensorId}|${timestamp}` -> receivedAt
+    this.stats = { received: 0, ingested: 0, duplicates: 0, rejected: 0, retried: 0, failed: 0 };
+  }
+
+  get subscription() {
+    return `${this.topicPrefix}/+/+/reading`;
+  }
+
+  isConfigured() {
+    return !!this.url;
+  }
+
+  /**
+   * Connect to the broker and subscribe to device readings
+   * Once subscribed, the client reconnects on its own after a lost connection.
+   * @returns {Promise<void>} Resolves once subscribed
+   * @throws {Error} When the first connection or the subscription fails, or connecting times out
+   */
+  start() {
+    if (this.client) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const client = mqtt.connect(this.url, this.clientOptions);
+      this.client = client;
+      let started = false;
+
+      const fail = (error) => {
+        if (started) return;
+        started = true;
+        clearTimeout(timeout);
+        client.end(true);
+        this.client = null;
+        reject(error);
+      };
+      const timeout = setTimeout(() => fail(new Error(`Timed out connecting to ${this.url} after ${this.connectTimeout}ms`)), this.connectTimeout);
+
+      client.once('connect', () => {
+        client.subscribe(this.subscription, { qos: 1 }, (error) => {
+          if (error) return fail(error);
+          started = true;
+          clearTimeout(timeout);
+          console.log(`📶 MQTT ingestion subscribed to ${this.subscription} on ${this.url}`);
+          resolve();
+        });
+      });
+
+      client.on('message', (topic, payload, packet) => {
+        this.handleMessage(topic, payload, packet).catch(error => {
+          this.stats.failed++;
+          console.error(`❌ Failed to ingest MQTT reading from ${topic}:`, error);
+        });
+      });
+
+      client.on('reconnect', () => console.log('📶 MQTT reconnecting...'));
+      client.on('error', (error) => {
+        // Until the first subscription succeeds an error (unreachable broker, bad credentials) fails start()
+        if (!started) return fail(error);
+        console.error('❌ MQTT error:', error.message);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.client) return resolve();
+      this.client.end(false, {}, () => {
+        this.client = null;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Parse a reading topic
+   * @param {string} topic - MQTT topic
+   * @returns {Object|null} { zone, sensorId } or null when the topic does not match the scheme
+   */
+  parseTopic(topic) {
+    const parts = topic.split('/');
+    if (parts.length !== 4 || parts[0] !== this.topicPrefix || parts[3] !== 'reading') {
+      return null;
+    }
+    return { zone: parts[1].toUpperCase(), sensorId: parts[2].toUpperCase() };
+  }
+
+  /**
+   * Validate and ingest one MQTT message
+   * @param {string} topic - MQTT topic
+   * @param {Buffer} payload - Message payload (JSON)
+   * @param {Object} packet - MQTT packet (dup flag is informational; duplicates are detected by content)
+   * @returns {Promise<Object>} { status, reason?, reading? }
+   */
+  async handleMessage(topic, payload, packet = {}) {
+    this.stats.received++;
+
+    const route = this.parseTopic(topic);
+    if (!route) {
+      return this.reject(topic, 'Topic does not match {prefix}/{zone}/{sensorId}/reading');
+    }
+
+    let data;
+    try {
+      data = JSON.parse(payload.toString());
+    } catch (error) {
+      return this.reject(topic, 'Payload is not valid JSON');
+    }
+
+    // The topic identifies the sensor; a payload sensorId must agree with it
+    if (data.sensorId && String(data.sensorId).toUpperCase() !== route.sensorId) {
+      return this.reject(topic, `Payload sensorId ${data.sensorId} does not match topic`);
+    }
+
+    // Device timestamps are required: they identify redelivered messages
+    if (!data.timestamp) {
+      return this.reject(topic, 'timestamp is required');
+    }
+
+    const { error, value } = readingValidationSchema.validate({ ...data, sensorId: route.sensorId });
+    if (error) {
+      return this.reject(topic, error.details.map(d => d.message).join('; '));
+    }
+
+    const key = `${value.sensorId}|${value.timestamp.getTime()}`;
+    const seenAt = this.recentReadings.get(key);
+    if (seenAt && Date.now() - seenAt < DEDUP_TTL) {
+      return this.skipDuplicate(key, packet);
+    }
+
+    // Mark before the first await so a concurrent redelivery is also caught
+    this.rememberReading(key);
+
+    try {
+      // Older deliveries are only in the database
+      if (await SensorReading.exists({ sensorId: value.sensorId, timestamp: value.timestamp })) {
+        return this.skipDuplicate(key, packet);
+      }
+
+      const sensor = await Sensor.findOne({ sensorId: value.sensorId });
+      if (!sensor) {
+        this.recentReadings.delete(key);
+        return this.reject(topic, 'Sensor not found');
+      }
+
+      if (sensor.mineGrid?.zone !== route.zone) {
+        this.recentReadings.delete(key);
+        return this.reject(topic, `Sensor belongs to zone ${sensor.mineGrid?.zone}, not ${route.zone}`);
+      }
+
+      let stored;
+      try {
+        stored = await this.withRetry(value, () => storeReading(value, { sensor, source: 'SENSOR' }));
+      } catch (error) {
+        // Stored by an earlier attempt or another delivery; storing it again would count it twice
+        if (error instanceof ReadingIngestionError && error.status === 409) {
+          return this.skipDuplicate(key, packet);
+        }
+        throw error;
+      }
+      const { reading, prediction } = stored;
+
+      // Only the steps after the save are retried from here, so a failure cannot store the reading twice
+      await this.withRetry(value, () => processReading(reading, prediction, { io: this.io, sensor }));
+      this.stats.ingested++;
+
+      return { status: 'ingested', reading };
+    } catch (error) {
+      // Forget the reading so a device that republishes it is not skipped as a duplicate
+      this.recentReadings.delete(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Run an ingestion step, retrying failures such as a database outage with exponential backoff
+   * mqtt.js acknowledges a QoS 1 message as soon as it arrives, so the broker never redelivers one that
+   * failed to store; retrying here is the only second chance it gets.
+   * @param {Object} value - Validated reading (for logging)
+   * @param {Function} step - Async step to run
+   * @returns {Promise<*>} The step's result
+   * @throws {Error} The last error once every attempt failed, or a ReadingIngestionError at once
+   */
+  async withRetry(value, step) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await step();
+      } catch (error) {
+        // A reading the pipeline refuses will be refused again
+        if (error instanceof ReadingIngestionError || attempt >= INGEST_ATTEMPTS) throw error;
+
+        const delay = this.retryDelay * 2 ** (attempt - 1);
+        this.stats.retried++;
+        console.warn(`⚠️ Retrying MQTT reading ${value.sensorId} in ${delay}ms (attempt ${attempt} failed: ${error.message})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  skipDuplicate(key, packet) {
+    this.stats.duplicates++;
+    console.log(`📶 Skipped duplicate MQTT reading ${key}${packet.dup ? ' (redelivery)' : ''}`);
+    return { status: 'duplicate' };
+  }
+
+  rememberReading(key) {
+    this.recentReadings.set(key, Date.now());
+
+    // Maps iterate in insertion order, so the oldest entries are evicted first
+    if (this.recentReadings.size > DEDUP_MAX_ENTRIES) {
+      const cutoff = Date.now() - DEDUP_TTL;
+      for (const [existingKey, seenAt] of this.recentReadings) {
+        if (seenAt >= cutoff && this.recentReadings.size <= DEDUP_MAX_ENTRIES) break;
+        this.recentReadings.delete(existingKey);
+      }
+    }
+  }
+
+  reject(topic, reason) {
+    this.stats.rejected++;
+    console.warn(`⚠️ Rejected MQTT reading on ${topic}: ${reason}`);
+    return { status: 'rejected', reason };
+  }
+
+  // Get ingestion status
+  getStatus() {
+    return {
+      enabled: this.isConfigured(),
+      connected: !!this.client?.connected,
+      subscription: this.subscription,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+module.exports = MqttIngestion;
@@ -0,0 +1,201 @@
+const net = require('net');
+const mqtt = require('mqtt');
+const Aedes = require('aedes');
+
+jest.mock('../models/Sensor', () => ({ findOne: jest.fn() }));
+jest.mock('../models/SensorReading', () => ({ exists: jest.fn() }));
+jest.mock('./readingIngestion', () => ({
+  ...jest.requireActual('./readingIngestion'),
+  storeReading: jest.fn(),
+  processReading: jest.fn()
+}));
+
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const { storeReading, processReading, ReadingIngestionError } = require('./readingIngestion');
+const MqttIngestion = require('./mqttIngestion');
+
+const TOPIC = 'geosafe/Z1/SENSOR_001/reading';
+const READING = {
+  timestamp: '2026-01-15T10:30:00Z',
+  readings: {
+    Rainfall_mm: 12.5, Slope_Angle: 34, Soil_Saturation: 0.42, Vegetation_Cover: 0.6,
+    Earthquake_Activity: 1.2, Proximity_to_Water: 180, Landslide: 0.2,
+    Soil_Type_Gravel: false, Soil_Type_Sand: true, Soil_Type_Silt: false
+  }
+};
+
+// Poll until a condition holds; messages are handled asynchronously after the broker delivers them
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+// In-process Aedes broker on a free port
+async function startBroker(options = {}) {
+  const broker = new Aedes(options);
+  const server = net.createServer(broker.handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `mqtt://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(() => broker.close(resolve)))
+  };
+}
+
+describe('MqttIngestion against a local Aedes broker', () => {
+  let broker;
+  let ingestion;
+  let publisher;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    Sensor.findOne.mockResolvedValue({ sensorId: 'SENSOR_001', mineGrid: { zone: 'Z1' } });
+    SensorReading.exists.mockResolvedValue(null);
+    storeReading.mockImplementation(async (value) => ({ reading: { ...value }, prediction: { level: 'LOW' } }));
+    processReading.mockResolvedValue([]);
+
+    broker = await startBroker();
+    ingestion = new MqttIngestion(null, { url: broker.url, clientId: 'geosafe-server-test', retryDelay: 10 });
+    await ingestion.start();
+    publisher = await mqtt.connectAsync(broker.url, { clientId: 'device-test' });
+  });
+
+  afterEach(async () => {
+    await publisher?.endAsync();
+    await ingestion?.stop();
+    await broker?.close();
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  it('ingests a valid reading, rejects an invalid one and skips a duplicate', async () => {
+    await publisher.publishAsync(TOPIC, JSON.stringify(READING), { qos: 1 });
+    await publisher.publishAsync(TOPIC, JSON.stringify({ timestamp: READING.timestamp, readings: { Rainfall_mm: 12.5 } }), { qos: 1 });
+    await publisher.publishAsync(TOPIC, JSON.stringify(READING), { qos: 1 });
+
+    await waitFor(() => ingestion.stats.received === 3 && ingestion.stats.ingested + ingestion.stats.duplicates === 2);
+
+    expect(ingestion.stats).toMatchObject({ received: 3, ingested: 1, rejected: 1, duplicates: 1, failed: 0 });
+    expect(storeReading).toHaveBeenCalledTimes(1);
+    expect(processReading).toHaveBeenCalledTimes(1);
+    expect(storeReading.mock.calls[0][0]).toMatchObject({ sensorId: 'SENSOR_001', timestamp: new Date(READING.timestamp) });
+  });
+
+  it('skips a reading that is already stored', async () => {
+    SensorReading.exists.mockResolvedValue({ _id: 'existing' });
+
+    await publisher.publishAsync(TOPIC, JSON.stringify(READING), { qos: 1 });
+    await waitFor(() => ingestion.stats.duplicates === 1);
+
+    expect(storeReading).not.toHaveBeenCalled();
+  });
+
+  it('rejects a reading published under the wrong zone', async () => {
+    await publisher.publishAsync('geosafe/Z2/SENSOR_001/reading', JSON.stringify(READING), { qos: 1 });
+    await waitFor(() => ingestion.stats.rejected === 1);
+
+    expect(storeReading).not.toHaveBeenCalled();
+  });
+
+  it('accepts a topic whose zone is in lowercase', async () => {
+    await publisher.publishAsync('geosafe/z1/SENSOR_001/reading', JSON.stringify(READING), { qos: 1 });
+    await waitFor(() => ingestion.stats.ingested === 1);
+
+    expect(ingestion.stats).toMatchObject({ rejected: 0 });
+  });
+
+  it('retries a reading that failed to store', async () => {
+    storeReading.mockRejectedValueOnce(new Error('connection lost'));
+
+    await publisher.publishAsync(TOPIC, JSON.stringify(READING), { qos: 1 });
+    await waitFor(() => ingestion.stats.ingested === 1);
+
+    expect(ingestion.stats).toMatchObject({ retried: 1, failed: 0 });
+    expect(storeReading).toHaveBeenCalledTimes(2);
+    expect(processReading).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries only the steps after the save when they fail', async () => {
+    processReading.mockRejectedValueOnce(new Error('connection lost'));
+
+    await publisher.publishAsync(TOPIC, JSON.stringify(READING), { qos: 1 });
+    await waitFor(() => ingestion.stats.ingested === 1);
+
+    expect(ingestion.stats).toMatchObject({ retried: 1, failed: 0 });
+    expect(storeReading).toHaveBeenCalledTimes(1);
+    expect(processReading).toHaveBeenCalledTimes(2);
+  });
+
+  it('skips a reading the unique index reports as already stored', async () => {
+    storeReading.mockRejectedValueOnce(new ReadingIngestionError('Reading already stored', 409));
+
+    await publisher.publishAsync(TOPIC, JSON.stringify(READING), { qos: 1 });
+    await waitFor(() => ingestion.stats.duplicates === 1);
+
+    expect(ingestion.stats).toMatchObject({ ingested: 0, retried: 0 });
+    expect(processReading).not.toHaveBeenCalled();
+  });
+});
+
+describe('MqttIngestion start()', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects when the broker is unreachable', async () => {
+    // Reserve a port, then close it so nothing is listening there
+    const server = net.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+
+    const ingestion = new MqttIngestion(null, { url: `mqtt://127.0.0.1:${port}` });
+
+    await expect(ingestion.start()).rejects.toThrow();
+    expect(ingestion.client).toBeNull();
+  });
+
+  it('rejects when the broker refuses the credentials', async () => {
+    const broker = await startBroker({
+      authenticate: (client, username, password, callback) => {
+        const error = new Error('Bad credentials');
+        error.returnCode = 4;
+        callback(error, false);
+      }
+    });
+
+    try {
+      const ingestion = new MqttIngestion(null, { url: broker.url, username: 'device', password: 'wrong' });
+
+      await expect(ingestion.start()).rejects.toThrow();
+      expect(ingestion.client).toBeNull();
+    } finally {
+      await broker.close();
+    }
+  });
+
+  it('rejects when connecting times out', async () => {
+    // Accepts TCP connections but never answers CONNECT
+    const sockets = new Set();
+    const server = net.createServer(socket => sockets.add(socket));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const ingestion = new MqttIngestion(null, { url: `mqtt://127.0.0.1:${server.address().port}`, connectTimeout: 200 });
+
+      await expect(ingestion.start()).rejects.toThrow(/Timed out/);
+      expect(ingestion.client).toBeNull();
+    } finally {
+      sockets.forEach(socket => socket.destroy());
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,298 @@
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const SmtpTransport = require('./transports/smtpTransport');
+const SmsTransport = require('./transports/smsTransport');
+const WebhookTransport = require('./transports/webhookTransport');
+
+// Which roles are notified on which external channels when an alert is created
+const ALERT_ROUTING = {
+  CRITICAL: { roles: ['operator', 'supervisor', 'admin'], channels: ['EMAIL', 'SMS'] },
+  HIGH: { roles: ['supervisor'], channels: ['EMAIL'] },
+  MEDIUM: { roles: [], channels: [] },
+  LOW: { roles: [], channels: [] }
+};
+
+// User field holding the address for each person-addressed channel
+const ADDRESS_FIELDS = {
+  EMAIL: 'email',
+  SMS: 'phone'
+};
+
+class NotificationService {
+  constructor() {
+    this.transports = new Map();
+    this.maxAttempts = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+    this.retryDelay = parseInt(process.env.NOTIFICATION_RETRY_DELAY_MS) || 30000;
+    // How long a delivery in progress is reserved; after that a crashed attempt is retried
+    this.deliveryLease = parseInt(process.env.NOTIFICATION_DELIVERY_LEASE_MS) || 5 * 60 * 1000;
+    this.retryIntervalId = null;
+  }
+
+  /**
+   * Register a transport for its channel (replaces any existing transport for that channel)
+   * @param {Object} transport - Object with channel, isConfigured() and send(message)
+   */
+  registerTransport(transport) {
+    if (!transport.channel || typeof transport.send !== 'function') {
+      throw new Error('Transport must define a channel and a send() method');
+    }
+    this.transports.set(transport.channel, transport);
+  }
+
+  getTransport(channel) {
+    const transport = this.transports.get(channel);
+    return transport && (!transport.isConfigured || transport.isConfigured()) ? transport : null;
+  }
+
+  /**
+   * Notify the people and endpoints routed for a newly created alert
+   * @param {Object} alert - Alert document
+   * @param {Object} sensor - Sensor document
+   * @returns {Promise<Array>} Notification entries created
+   */
+  async notifyAlertCreated(alert, sensor) {
+    const routing = ALERT_ROUTING[alert.priority] || ALERT_ROUTING.LOW;
+    const users = routing.roles.length > 0
+      ? await User.find({ role: { $in: routing.roles }, isActive: true }, 'username name email phone')
+      : [];
+
+    const targets = [];
+    for (const channel of routing.channels) {
+      for (const user of users) {
+        const address = user[ADDRESS_FIELDS[channel]];
+        if (address) targets.push({ channel, recipient: address });
+      }
+    }
+
+    // Webhooks receive every alert
+    const webhook = this.getTransport('WEBHOOK');
+    if (webhook) {
+      targets.push({ channel: 'WEBHOOK', recipient: webhook.getDefaultRecipient() });
+    }
+
+    return this.dispatch(alert, targets, 'ALERT_CREATED', { sensor });
+  }
+
+  /**
+   * Notify escalation recipients on the escalation level's channel
+   * @param {Object} alert - Alert document
+   * @param {Array} recipients - { name, email, phone }
+   * @param {string} channel - EMAIL or SMS
+   * @returns {Promise<Array>} Notification entries created
+   */
+  async notifyEscalation(alert, recipients, channel) {
+    const field = ADDRESS_FIELDS[channel];
+    if (!field) return [];
+
+    const targets = recipients
+      .filter(r => r[field])
+      .map(r => ({ channel, recipient: r[field] }));
+
+    return this.dispatch(alert, targets, 'ESCALATION');
+  }
+
+  /**
+   * Record notifications on the alert as PENDING, then attempt delivery of each
+   * Entries are recorded leased (nextAttemptAt in the future) so the retry loop leaves them to this
+   * delivery while it is in progress.
+   * @param {Object} alert - Alert document
+   * @param {Array} targets - { channel, recipient }
+   * @param {string} reason - ALERT_CREATED or ESCALATION
+   * @param {Object} context - Extra message context
+   * @returns {Promise<Array>} Notification entries created
+   */
+  async dispatch(alert, targets, reason, context = {}) {
+    // Skip channels without a configured transport rather than recording guaranteed failures
+    const deliverable = targets.filter(t => this.getTransport(t.channel));
+    if (deliverable.length === 0) return [];
+
+    const now = new Date();
+    const entries = deliverable.map(t => alert.notifications.create({
+      channel: t.channel,
+      recipient: t.recipient,
+      reason,
+      sentAt: now,
+      status: 'PENDING',
+      attempts: 0,
+      nextAttemptAt: new Date(now.getTime() + this.deliveryLease)
+    }));
+
+    // Atomic push so concurrent alert updates are not overwritten
+    await Alert.updateOne({ _id: alert._id }, { $push: { notifications: { $each: entries } } });
+
+    await Promise.all(entries.map(entry => this.attemptDelivery(alert, entry, context)));
+
+    return entries;
+  }
+
+  /**
+   * Attempt one delivery of a notification and persist the outcome
+   * @param {Object} alert - Alert document (or lean object)
+   * @param {Object} entry - Notification subdocument
+   * @param {Object} context - Extra message context
+   */
+  async attemptDelivery(alert, entry, context = {}) {
+    const transport = this.getTransport(entry.channel);
+    const attempts = (entry.attempts || 0) + 1;
+    const update = {
+      'notifications.$.attempts': attempts,
+      'notifications.$.lastAttemptAt': new Date()
+    };
+
+    try {
+      if (!transport) {
+        throw new Error(`No transport configured for ${entry.channel}`);
+      }
+
+      const result = await transport.send({
+        recipient: entry.recipient,
+        ...this.formatMessage(alert, entry.reason, context)
+      });
+
+      update['notifications.$.status'] = result.status || 'SENT';
+      update['notifications.$.sentAt'] = new Date();
+      update['notifications.$.providerId'] = result.providerId || null;
+      update['notifications.$.nextAttemptAt'] = null;
+      update['notifications.$.error'] = null;
+
+      console.log(`📨 ${entry.channel} notification for ${alert.alertId} sent to ${entry.recipient}`);
+    } catch (error) {
+      const exhausted = attempts >= this.maxAttempts;
+
+      // Exponential backoff between retries; FAILED is terminal
+      update['notifications.$.status'] = exhausted ? 'FAILED' : 'PENDING';
+      update['notifications.$.nextAttemptAt'] = exhausted
+        ? null
+        : new Date(Date.now() + this.retryDelay * Math.pow(2, attempts - 1));
+      update['notifications.$.error'] = error.message;
+
+      console.error(`❌ ${entry.channel} notification for ${alert.alertId} to ${entry.recipient} failed (attempt ${attempts}/${this.maxAttempts}):`, error.message);
+    }
+
+    await Alert.updateOne(
+      { _id: alert._id, 'notifications._id': entry._id },
+      { $set: update }
+    );
+  }
+
+  /**
+   * Reserve a due notification for one delivery attempt
+   * Conditional on it still being due, so concurrent retry passes (or server instances) never both send it.
+   * @returns {Promise<boolean>} Whether this caller got the entry
+   */
+  async claimDelivery(alert, entry, now) {
+    const result = await Alert.updateOne(
+      {
+        _id: alert._id,
+        notifications: { $elemMatch: { _id: entry._id, status: 'PENDING', nextAttemptAt: { $lte: now } } }
+      },
+      { $set: { 'notifications.$.nextAttemptAt': new Date(now.getTime() + this.deliveryLease) } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Retry every pending notification whose backoff has elapsed
+   * @returns {Promise<number>} Number of deliveries attempted
+   */
+  async processRetries() {
+    const now = new Date();
+    const alerts = await Alert.find({
+      notifications: {
+        $elemMatch: { status: 'PENDING', nextAttemptAt: { $lte: now } }
+      }
+    }).lean();
+
+    let attempted = 0;
+    for (const alert of alerts) {
+      const due = alert.notifications.filter(n =>
+        n.status === 'PENDING' && n.nextAttemptAt && n.nextAttemptAt <= now
+      );
+      for (const entry of due) {
+        if (!(await this.claimDelivery(alert, entry, now))) continue;
+        await this.attemptDelivery(alert, entry);
+        attempted++;
+      }
+    }
+
+    return attempted;
+  }
+
+  startRetryLoop(intervalMs = parseInt(process.env.NOTIFICATION_RETRY_INTERVAL_MS) || 30000) {
+    if (this.retryIntervalId) return;
+
+    this.retryIntervalId = setInterval(async () => {
+      try {
+        await this.processRetries();
+      } catch (error) {
+        console.error('❌ Error retrying notifications:', error);
+      }
+    }, intervalMs);
+
+    const channels = [...this.transports.keys()].filter(channel => this.getTransport(channel));
+    console.log(`📨 Notification dispatcher started (channels: ${channels.join(', ') || 'none configured'})`);
+  }
+
+  stopRetryLoop() {
+    if (this.retryIntervalId) {
+      clearInterval(this.retryIntervalId);
+      this.retryIntervalId = null;
+    }
+  }
+
+  /**
+   * Build the message for an alert notification
+   * @param {Object} alert - Alert document
+   * @param {string} reason - ALERT_CREATED or ESCALATION
+   * @param {Object} context - { sensor }
+   * @returns {Object} { subject, text, reference, payload }
+   */
+  formatMessage(alert, reason, context = {}) {
+    const prefix = reason === 'ESCALATION'
+      ? `ESCALATED (level ${alert.escalation?.level || 0})`
+      : 'NEW';
+    const subject = `[GeoSafe AI] ${prefix} ${alert.priority} ${alert.alertType} alert - ${alert.sensorId}`;
+    const [lng, lat] = alert.location?.coordinates || [];
+    const factors = (alert.triggerFactors || [])
+      .map(f => `${f.factor}=${f.value} (threshold ${f.threshold})`)
+      .join(', ');
+
+    const text = [
+      `${alert.alertType} alert ${alert.alertId}`,
+      `Sensor: ${context.sensor?.name || alert.sensorId}`,
+      `Risk: ${alert.riskLevel} (${Math.round(alert.confidence * 100)}% confidence), priority ${alert.priority}`,
+      lat !== undefined ? `Location: ${lat.toFixed(5)}, ${lng.toFixed(5)}` : null,
+      factors ? `Factors: ${factors}` : null,
+      `Triggered: ${new Date(alert.triggeredAt).toISOString()}`
+    ].filter(Boolean).join('\n');
+
+    return {
+      subject,
+      text,
+      reference: alert.alertId,
+      payload: {
+        event: reason === 'ESCALATION' ? 'alert.escalated' : 'alert.created',
+        alert: {
+          alertId: alert.alertId,
+          sensorId: alert.sensorId,
+          riskLevel: alert.riskLevel,
+          confidence: alert.confidence,
+          priority: alert.priority,
+          alertType: alert.alertType,
+          status: alert.status,
+          location: alert.location,
+          triggeredAt: alert.triggeredAt,
+          escalationLevel: alert.escalation?.level || 0
+        }
+      }
+    };
+  }
+}
+
+// Create singleton instance with the built-in transports
+const notificationService = new NotificationService();
+notificationService.registerTransport(new SmtpTransport());
+notificationService.registerTransport(new SmsTransport());
+notificationService.registerTransport(new WebhookTransport());
+
+module.exports = notificationService;
@@ -0,0 +1,278 @@
+const http = require('http');
+const { SMTPServer } = require('smtp-server');
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const SmtpTransport = require('./transports/smtpTransport');
+const SmsTransport = require('./transports/smsTransport');
+const WebhookTransport = require('./transports/webhookTransport');
+
+// Fake SMTP server that keeps every accepted message; recipients at @rejected.test are refused
+async function startSmtpServer() {
+  const messages = [];
+  const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['STARTTLS'],
+    logger: false,
+    onRcptTo(address, session, callback) {
+      if (address.address.endsWith('@rejected.test')) {
+        return callback(new Error('Mailbox unavailable'));
+      }
+      callback();
+    },
+    onData(stream, session, callback) {
+      let raw = '';
+      stream.on('data', chunk => { raw += chunk; });
+      stream.on('end', () => {
+        messages.push({ to: session.envelope.rcptTo.map(r => r.address), raw });
+        callback();
+      });
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    port: server.server.address().port,
+    messages,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Mock HTTP endpoint answering each request with the next queued response (the last one repeats)
+async function startHttpEndpoint(responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: JSON.parse(body || '{}') });
+      const { status = 200, json = {} } = responses.length > 1 ? responses.shift() : responses[0];
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(json));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function buildAlert(overrides = {}) {
+  return new Alert({
+    alertId: 'ALERT_TEST_1',
+    sensorId: 'SENSOR_001',
+    riskLevel: 'HIGH',
+    confidence: 0.91,
+    priority: 'CRITICAL',
+    alertType: 'ROCKFALL_RISK',
+    location: { type: 'Point', coordinates: [76.54321, 15.12345] },
+    triggeredAt: new Date('2026-01-15T10:30:00Z'),
+    ...overrides
+  });
+}
+
+// The $set each notification update applied, in order
+const notificationUpdates = () => Alert.updateOne.mock.calls
+  .filter(([filter]) => filter['notifications._id'])
+  .map(([, update]) => update.$set);
+
+describe('notification transports', () => {
+  let smtp;
+  let endpoint;
+
+  afterEach(async () => {
+    await smtp?.close();
+    await endpoint?.close();
+    smtp = null;
+    endpoint = null;
+  });
+
+  it('sends email through an SMTP server', async () => {
+    smtp = await startSmtpServer();
+    const transport = new SmtpTransport({ host: '127.0.0.1', port: smtp.port, from: 'alerts@geosafe.test' });
+
+    const result = await transport.send({ recipient: 'ops@mine.test', subject: 'Rockfall risk', text: 'Slope failing' });
+
+    expect(result).toMatchObject({ status: 'SENT', providerId: expect.any(String) });
+    expect(smtp.messages).toHaveLength(1);
+    expect(smtp.messages[0].to).toEqual(['ops@mine.test']);
+    expect(smtp.messages[0].raw).toContain('Subject: Rockfall risk');
+  });
+
+  it('fails when the SMTP server rejects the recipient', async () => {
+    smtp = await startSmtpServer();
+    const transport = new SmtpTransport({ host: '127.0.0.1', port: smtp.port });
+
+    await expect(transport.send({ recipient: 'ops@rejected.test', subject: 'x', text: 'x' })).rejects.toThrow();
+    expect(smtp.messages).toHaveLength(0);
+  });
+
+  it('posts SMS to the gateway, truncated to one segment', async () => {
+    endpoint = await startHttpEndpoint([{ json: { id: 'sms-1', status: 'delivered' } }]);
+    const transport = new SmsTransport({ url: endpoint.url, apiKey: 'key-1' });
+
+    const result = await transport.send({ recipient: '+910000000001', text: 'x'.repeat(200), reference: 'ALERT_1' });
+
+    expect(result).toEqual({ status: 'DELIVERED', providerId: 'sms-1' });
+    expect(endpoint.requests[0].headers.authorization).toBe('Bearer key-1');
+    expect(endpoint.requests[0].body).toMatchObject({ to: '+910000000001', reference: 'ALERT_1' });
+    expect(endpoint.requests[0].body.message).toHaveLength(160);
+  });
+
+  it('fails when the SMS gateway reports a failure or errors', async () => {
+    endpoint = await startHttpEndpoint([
+      { json: { status: 'FAILED', error: 'Invalid number' } },
+      { status: 500, json: { error: 'Gateway down' } }
+    ]);
+    const transport = new SmsTransport({ url: endpoint.url });
+
+    await expect(transport.send({ recipient: '+91', text: 'x', reference: 'A' })).rejects.toThrow('Invalid number');
+    await expect(transport.send({ recipient: '+91', text: 'x', reference: 'A' })).rejects.toThrow(/500/);
+  });
+
+  it('posts the alert event to the webhook with its secret', async () => {
+    endpoint = await startHttpEndpoint([{ status: 204 }]);
+    const transport = new WebhookTransport({ url: endpoint.url, secret: 's3cret' });
+
+    const result = await transport.send({ subject: 'New alert', text: 'x', payload: { event: 'alert.created', alert: { alertId: 'A1' } } });
+
+    expect(result.status).toBe('DELIVERED');
+    expect(endpoint.requests[0].headers['x-geosafe-secret']).toBe('s3cret');
+    expect(endpoint.requests[0].body).toMatchObject({ subject: 'New alert', event: 'alert.created', alert: { alertId: 'A1' } });
+  });
+});
+
+describe('notification dispatcher', () => {
+  let endpoint;
+  const originalTransports = new Map(notificationService.transports);
+  const { maxAttempts, retryDelay } = notificationService;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Alert, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(User, 'find').mockResolvedValue([]);
+    notificationService.transports.clear();
+    notificationService.maxAttempts = 3;
+    notificationService.retryDelay = 1000;
+  });
+
+  afterEach(async () => {
+    await endpoint?.close();
+    endpoint = null;
+    notificationService.transports = new Map(originalTransports);
+    notificationService.maxAttempts = maxAttempts;
+    notificationService.retryDelay = retryDelay;
+    jest.restoreAllMocks();
+  });
+
+  // Retry pass over the given lean alert, as Alert.find would return it
+  function mockPendingAlert(alert) {
+    jest.spyOn(Alert, 'find').mockReturnValue({ lean: () => Promise.resolve([alert]) });
+  }
+
+  it('records entries leased while their first delivery is in flight', async () => {
+    endpoint = await startHttpEndpoint([{ status: 200 }]);
+    notificationService.registerTransport(new WebhookTransport({ url: endpoint.url }));
+    const alert = buildAlert();
+    const before = Date.now();
+
+    const [entry] = await notificationService.notifyAlertCreated(alert, { name: 'North wall' });
+
+    // The pushed entry is not due for the retry loop until its lease runs out
+    const [, push] = Alert.updateOne.mock.calls[0];
+    const pushed = push.$push.notifications.$each[0];
+    expect(pushed.status).toBe('PENDING');
+    expect(pushed.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + notificationService.deliveryLease);
+
+    expect(endpoint.requests).toHaveLength(1);
+    expect(endpoint.requests[0].body).toMatchObject({ event: 'alert.created', alert: { alertId: 'ALERT_TEST_1' } });
+    expect(notificationUpdates()[0]).toMatchObject({
+      'notifications.$.status': 'DELIVERED',
+      'notifications.$.attempts': 1,
+      'notifications.$.nextAttemptAt': null
+    });
+    expect(entry.channel).toBe('WEBHOOK');
+  });
+
+  it('backs off exponentially after a failed delivery, then delivers on retry', async () => {
+    endpoint = await startHttpEndpoint([{ status: 503 }, { status: 503 }, { status: 200 }]);
+    notificationService.registerTransport(new WebhookTransport({ url: endpoint.url }));
+    const alert = buildAlert();
+
+    const before = Date.now();
+    const [entry] = await notificationService.notifyAlertCreated(alert);
+
+    let [update] = notificationUpdates();
+    expect(update['notifications.$.status']).toBe('PENDING');
+    expect(update['notifications.$.attempts']).toBe(1);
+    expect(update['notifications.$.error']).toMatch(/503/);
+    expect(update['notifications.$.nextAttemptAt'].getTime() - before).toBeGreaterThanOrEqual(1000);
+    expect(update['notifications.$.nextAttemptAt'].getTime() - before).toBeLessThan(2000);
+
+    // Second attempt fails again: the delay doubles
+    Alert.updateOne.mockClear();
+    mockPendingAlert({ ...alert.toObject(), notifications: [{ ...entry.toObject(), attempts: 1, nextAttemptAt: new Date(0) }] });
+    const retryStart = Date.now();
+    expect(await notificationService.processRetries()).toBe(1);
+
+    [update] = notificationUpdates();
+    expect(update['notifications.$.attempts']).toBe(2);
+    expect(update['notifications.$.nextAttemptAt'].getTime() - retryStart).toBeGreaterThanOrEqual(2000);
+    expect(update['notifications.$.nextAttemptAt'].getTime() - retryStart).toBeLessThan(3000);
+
+    // Third attempt succeeds
+    Alert.updateOne.mockClear();
+    mockPendingAlert({ ...alert.toObject(), notifications: [{ ...entry.toObject(), attempts: 2, nextAttemptAt: new Date(0) }] });
+    expect(await notificationService.processRetries()).toBe(1);
+
+    [update] = notificationUpdates();
+    expect(update).toMatchObject({ 'notifications.$.status': 'DELIVERED', 'notifications.$.attempts': 3, 'notifications.$.error': null });
+    expect(endpoint.requests).toHaveLength(3);
+  });
+
+  it('marks a notification FAILED after the maximum attempts', async () => {
+    endpoint = await startHttpEndpoint([{ status: 500 }]);
+    notificationService.registerTransport(new SmsTransport({ url: endpoint.url }));
+    const alert = buildAlert();
+    const entry = alert.notifications.create({ channel: 'SMS', recipient: '+910000000001', status: 'PENDING', attempts: 2, nextAttemptAt: new Date(0) });
+    mockPendingAlert({ ...alert.toObject(), notifications: [entry.toObject()] });
+
+    expect(await notificationService.processRetries()).toBe(1);
+
+    expect(notificationUpdates()[0]).toMatchObject({
+      'notifications.$.status': 'FAILED',
+      'notifications.$.attempts': 3,
+      'notifications.$.nextAttemptAt': null
+    });
+  });
+
+  it('emails the routed recipients through the SMTP transport', async () => {
+    const smtp = await startSmtpServer();
+    try {
+      notificationService.registerTransport(new SmtpTransport({ host: '127.0.0.1', port: smtp.port }));
+      User.find.mockResolvedValue([{ username: 'sup', email: 'sup@mine.test' }]);
+
+      await notificationService.notifyAlertCreated(buildAlert({ priority: 'HIGH' }));
+
+      expect(smtp.messages.map(m => m.to)).toEqual([['sup@mine.test']]);
+      expect(smtp.messages[0].raw).toContain('NEW HIGH ROCKFALL_RISK alert - SENSOR_001');
+      expect(notificationUpdates()[0]['notifications.$.status']).toBe('SENT');
+    } finally {
+      await smtp.close();
+    }
+  });
+
+  it('skips a due notification another retry pass has already claimed', async () => {
+    endpoint = await startHttpEndpoint([{ status: 200 }]);
+    notificationService.registerTransport(new WebhookTransport({ url: endpoint.url }));
+    const alert = buildAlert();
+    const entry = alert.notifications.create({ channel: 'WEBHOOK', recipient: endpoint.url, status: 'PENDING', attempts: 1, nextAttemptAt: new Date(0) });
+    mockPendingAlert({ ...alert.toObject(), notifications: [entry.toObject()] });
+    Alert.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    expect(await notificationService.processRetries()).toBe(0);
+    expect(endpoint.requests).toHaveLength(0);
+  });
+});
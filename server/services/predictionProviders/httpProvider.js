@@ -0,0 +1,191 @@
+const axios = require('axios');
+
+// AI service factor names mapped to the reading schema
+const FACTOR_MAPPING = {
+  'rainfall_mm': 'Rainfall_mm',
+  'slope_angle': 'Slope_Angle',
+  'soil_saturation': 'Soil_Saturation',
+  'vegetation_cover': 'Vegetation_Cover',
+  'earthquake_activity': 'Earthquake_Activity',
+  'proximity_to_water': 'Proximity_to_Water',
+  'landslide': 'Landslide',
+  'soil_type_gravel': 'Soil_Type_Gravel',
+  'soil_type_sand': 'Soil_Type_Sand',
+  'soil_type_silt': 'Soil_Type_Silt'
+};
+
+/**
+ * Prediction provider backed by the Python AI microservice
+ * Contract: POST /predict { sensor_id, timestamp, features } -> { risk_level, confidence, contributing_factors, model_version }
+ */
+class HttpPredictionProvider {
+  constructor(options = {}) {
+    this.name = 'remote';
+    this.baseURL = options.baseURL || process.env.AI_SERVICE_URL || 'http://localhost:8000';
+    this.timeout = parseInt(options.timeout || process.env.AI_SERVICE_TIMEOUT) || 30000;
+    this.retryAttempts = options.retryAttempts || 3;
+    this.retryDelay = options.retryDelay || 1000; // 1 second
+    // Reported when the service's response has no model_version (e.g. the registered version)
+    this.defaultVersion = options.version || '1.0';
+    this.formatPayload = options.formatPayload;
+
+    // Create axios instance with default configuration
+    this.client = axios.create({
+      baseURL: this.baseURL,
+      timeout: this.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'GeoSafe-AI-Backend/1.0'
+      }
+    });
+
+    // Add request interceptor for logging
+    this.client.interceptors.request.use(
+      (config) => {
+        console.log(`AI Service Request: ${config.method?.toUpperCase()} ${config.url}`);
+        return config;
+      },
+      (error) => {
+        console.error('AI Service Request Error:', error.message);
+        return Promise.reject(error);
+      }
+    );
+
+    // Add response interceptor for logging and error handling
+    this.client.interceptors.response.use(
+      (response) => {
+        console.log(`AI Service Response: ${response.status} ${response.config.url}`);
+        return response;
+      },
+      (error) => {
+        console.error('AI Service Response Error:', error.message);
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  isConfigured() {
+    return !!this.baseURL;
+  }
+
+  /**
+   * Get a risk prediction for one reading
+   * @param {Object} sensorData - { sensorId, timestamp, readings }
+   * @returns {Promise<Object>} { level, confidence, factors, modelVersion }
+   */
+  async predict(sensorData) {
+    const response = await this.retryRequest(() => this.client.post('/predict', this.formatPayload(sensorData)));
+    return this.validatePredictionResponse(response.data);
+  }
+
+  /**
+   * Get predictions for several readings in one request
+   * @param {Array} sensorDataArray - Readings
+   * @returns {Promise<Array>} Predictions in the same order
+   */
+  async predictBatch(sensorDataArray) {
+    const response = await this.retryRequest(() => this.client.post('/predict/batch', {
+      readings: sensorDataArray.map(data => this.formatPayload(data))
+    }));
+    return response.data.predictions.map(pred => this.validatePredictionResponse(pred));
+  }
+
+  /**
+   * Get AI model information
+   * @returns {Promise<Object>} Model info reported by the service
+   */
+  async getModelInfo() {
+    const response = await this.client.get('/model/info');
+    return response.data;
+  }
+
+  /**
+   * Check AI service health
+   * @returns {Promise<boolean>} Service health status
+   */
+  async healthCheck() {
+    try {
+      const response = await this.client.get('/health', { timeout: 5000 });
+      return response.status === 200;
+    } catch (error) {
+      console.error('AI Service health check failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Validate and format AI service response
+   * @param {Object} response - Raw AI service response
+   * @returns {Object} Validated prediction object
+   */
+  validatePredictionResponse(response) {
+    if (!response) {
+      throw new Error('Empty response from AI service');
+    }
+
+    const { risk_level, confidence, contributing_factors, model_version } = response;
+
+    // Validate risk level
+    if (!['LOW', 'MEDIUM', 'HIGH'].includes(risk_level)) {
+      throw new Error(`Invalid risk level: ${risk_level}`);
+    }
+
+    // Validate confidence score
+    if (typeof confidence !== 'number' || confidence < 0 || confidence > 1) {
+      throw new Error(`Invalid confidence score: ${confidence}`);
+    }
+
+    const factors = (contributing_factors || [])
+      .map(factor => FACTOR_MAPPING[factor] || factor)
+      .filter(factor => factor); // Remove undefined factors
+
+    return {
+      level: risk_level,
+      confidence: Math.round(confidence * 1000) / 1000, // Round to 3 decimal places
+      factors,
+      modelVersion: model_version || this.defaultVersion
+    };
+  }
+
+  /**
+   * Retry mechanism for API requests
+   * @param {Function} requestFn - Function that makes the API request
+   * @returns {Promise} Request result
+   */
+  async retryRequest(requestFn) {
+    let lastError;
+
+    for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+      try {
+        return await requestFn();
+      } catch (error) {
+        lastError = error;
+
+        // Don't retry on validation errors (4xx)
+        if (error.response && error.response.status >= 400 && error.response.status < 500) {
+          throw error;
+        }
+
+        if (attempt < this.retryAttempts) {
+          const delay = this.retryDelay * Math.pow(2, attempt - 1); // Exponential backoff
+          console.log(`AI Service request failed (attempt ${attempt}/${this.retryAttempts}). Retrying in ${delay}ms...`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  getStatus() {
+    return {
+      baseURL: this.baseURL,
+      defaultVersion: this.defaultVersion,
+      timeout: this.timeout,
+      retryAttempts: this.retryAttempts,
+      retryDelay: this.retryDelay
+    };
+  }
+}
+
+module.exports = HttpPredictionProvider;
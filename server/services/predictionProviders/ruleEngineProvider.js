@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+
+const MODEL_VERSION = 'rules-1.0';
+
+/**
+ * Scoring model
+ *
+ * Each feature has a ramp [start, full]: its activation is 0 at `start`, rises linearly and is 1 at
+ * `full`. A ramp with start > full activates as the value falls (sparse vegetation, nearby water).
+ * Soil-type features are interactions: they only activate when the soil type is present, by the ramp
+ * of their `on` feature (wet sand, silt under rain).
+ *
+ *   score = Σ weight × activation / Σ weight         (0..1)
+ *   level = HIGH if score ≥ high, MEDIUM if score ≥ medium, else LOW
+ *   confidence = 0.55 + 2 × distance from the nearest level threshold, capped at 0.95
+ *   factors = features with activation ≥ 0.5, largest weighted contribution first
+ */
+const DEFAULT_FEATURES = {
+  Slope_Angle: { weight: 30, start: 35, full: 60 },
+  Rainfall_mm: { weight: 25, start: 20, full: 80 },
+  Landslide: { weight: 25, start: 0.2, full: 0.8 },
+  Earthquake_Activity: { weight: 20, start: 1, full: 4 },
+  Soil_Saturation: { weight: 15, start: 0.5, full: 0.9 },
+  Vegetation_Cover: { weight: 10, start: 0.5, full: 0.1 },
+  Proximity_to_Water: { weight: 10, start: 200, full: 20 },
+  Soil_Type_Sand: { weight: 5, on: 'Soil_Saturation', start: 0.3, full: 0.7 },
+  Soil_Type_Silt: { weight: 8, on: 'Rainfall_mm', start: 10, full: 50 },
+  Soil_Type_Gravel: { weight: 0, on: 'Rainfall_mm', start: 50, full: 150 }
+};
+
+const DEFAULT_THRESHOLDS = { medium: 0.2, high: 0.4 };
+
+function parseJsonEnv(name) {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`❌ Ignoring invalid ${name}: ${error.message}`);
+    return {};
+  }
+}
+
+function ramp(value, start, full) {
+  if (typeof value !== 'number' || start === full) return 0;
+  return Math.min(Math.max((value - start) / (full - start), 0), 1);
+}
+
+/**
+ * In-process prediction provider scoring readings with a weighted rule model
+ * Weights and ramps can be overridden per feature (LOCAL_MODEL_WEIGHTS, e.g. {"Slope_Angle":40} or
+ * {"Rainfall_mm":{"weight":30,"full":100}}) and the level thresholds with LOCAL_MODEL_THRESHOLDS
+ * ({"medium":0.2,"high":0.4}). Overridden models report a version suffixed with a hash of the config.
+ */
+class RuleEnginePredictionProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+
+    const overrides = options.weights || parseJsonEnv('LOCAL_MODEL_WEIGHTS');
+    this.features = {};
+    for (const [feature, config] of Object.entries(DEFAULT_FEATURES)) {
+      const override = overrides[feature];
+      this.features[feature] = typeof override === 'number'
+        ? { ...config, weight: override }
+        : { ...config, ...(override || {}) };
+    }
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...(options.thresholds || parseJsonEnv('LOCAL_MODEL_THRESHOLDS')) };
+    this.totalWeight = Object.values(this.features).reduce((sum, { weight }) => sum + weight, 0);
+
+    // Compared as resolved values, so an explicit copy of the defaults is still the default model
+    const customized = JSON.stringify(this.features) !== JSON.stringify(DEFAULT_FEATURES) ||
+      JSON.stringify(this.thresholds) !== JSON.stringify(DEFAULT_THRESHOLDS);
+    this.modelVersion = customized
+      ? `${MODEL_VERSION}+${crypto.createHash('sha1').update(JSON.stringify([this.features, this.thresholds])).digest('hex').slice(0, 8)}`
+      : MODEL_VERSION;
+  }
+
+  isConfigured() {
+    return this.totalWeight > 0;
+  }
+
+  /**
+   * Score a reading's features
+   * @param {Object} readings - Reading values keyed by feature name
+   * @returns {Object} { score, contributions } with each feature's weighted contribution (0..1 of the total)
+   */
+  score(readings) {
+    const contributions = {};
+    let weighted = 0;
+
+    for (const [feature, { weight, on, start, full }] of Object.entries(this.features)) {
+      const activation = on
+        ? (readings[feature] ? ramp(readings[on], start, full) : 0)
+        : ramp(readings[feature], start, full);
+      contributions[feature] = { activation, weighted: weight * activation };
+      weighted += weight * activation;
+    }
+
+    return { score: this.totalWeight > 0 ? weighted / this.totalWeight : 0, contributions };
+  }
+
+  /**
+   * Get a risk prediction for one reading
+   * @param {Object} sensorData - { sensorId, timestamp, readings }
+   * @returns {Promise<Object>} { level, confidence, factors, modelVersion, score }
+   */
+  async predict({ readings }) {
+    const { score, contributions } = this.score(readings || {});
+    const { medium, high } = this.thresholds;
+
+    const level = score >= high ? 'HIGH' : score >= medium ? 'MEDIUM' : 'LOW';
+    const margin = Math.min(Math.abs(score - medium), Math.abs(score - high));
+    const confidence = Math.min(0.55 + 2 * margin, 0.95);
+
+    const factors = Object.entries(contributions)
+      .filter(([, { activation }]) => activation >= 0.5)
+      .sort((a, b) => b[1].weighted - a[1].weighted)
+      .map(([feature]) => feature);
+
+    return {
+      level,
+      confidence: Math.round(confidence * 1000) / 1000,
+      factors,
+      modelVersion: this.modelVersion,
+      score: Math.round(score * 1000) / 1000
+    };
+  }
+
+  async predictBatch(sensorDataArray) {
+    return Promise.all(sensorDataArray.map(data => this.predict(data)));
+  }
+
+  async getModelInfo() {
+    return {
+      modelVersion: this.modelVersion,
+      features: this.features,
+      thresholds: this.thresholds
+    };
+  }
+
+  async healthCheck() {
+    return this.isConfigured();
+  }
+
+  getStatus() {
+    return {
+      modelVersion: this.modelVersion,
+      thresholds: this.thresholds
+    };
+  }
+}
+
+RuleEnginePredictionProvider.DEFAULT_FEATURES = DEFAULT_FEATURES;
+RuleEnginePredictionProvider.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
+
+module.exports = RuleEnginePredictionProvider;
@@ -0,0 +1,207 @@
+const Joi = require('joi');
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const aiService = require('./aiService');
+const alertRuleEngine = require('./alertRuleEngine');
+const shadowEvaluation = require('./shadowEvaluation');
+const trendAnalysis = require('./trendAnalysis');
+const anomalyDetector = require('./anomalyDetector');
+const readingRollups = require('./readingRollups');
+
+// Validation schema for sensor readings
+const readingValidationSchema = Joi.object({
+  sensorId: Joi.string().required().trim().uppercase(),
+  timestamp: Joi.date().optional(),
+  readings: Joi.object({
+    Rainfall_mm: Joi.number().min(0).max(1000).required(),
+    Slope_Angle: Joi.number().min(0).max(90).required(),
+    Soil_Saturation: Joi.number().min(0).max(1).required(),
+    Vegetation_Cover: Joi.number().min(0).max(1).required(),
+    Earthquake_Activity: Joi.number().min(0).max(10).required(),
+    Proximity_to_Water: Joi.number().min(0).required(),
+    Landslide: Joi.number().min(0).max(1).required(),
+    Soil_Type_Gravel: Joi.boolean().required(),
+    Soil_Type_Sand: Joi.boolean().required(),
+    Soil_Type_Silt: Joi.boolean().required()
+  }).required(),
+  metadata: Joi.object({
+    source: Joi.string().valid('SENSOR', 'SIMULATION', 'MANUAL', 'BACKEND_SIMULATION').default('SENSOR')
+  }).optional()
+});
+
+/**
+ * Error raised when a reading cannot be ingested
+ * status mirrors the HTTP status the REST routes respond with
+ */
+class ReadingIngestionError extends Error {
+  constructor(message, status, details = null) {
+    super(message);
+    this.name = 'ReadingIngestionError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Get a risk prediction from the first available provider (the AI service, else the local rule engine)
+ * @param {Object} reading - Validated reading { sensorId, timestamp, readings }
+ * @returns {Promise<Object>} Prediction; aiModelVersion names the provider
+ */
+function predictRisk(reading) {
+  return aiService.getPrediction(reading);
+}
+
+/**
+ * Broadcast a saved reading and its risk to connected clients
+ * @param {Object} io - Socket.IO server
+ * @param {Object} sensor - Sensor document
+ * @param {Object} reading - Saved SensorReading document
+ */
+function broadcastReading(io, sensor, reading) {
+  io.emit('sensor-reading', {
+    sensorId: sensor.sensorId,
+    reading: {
+      _id: reading._id,
+      sensorId: reading.sensorId,
+      timestamp: reading.timestamp,
+      readings: reading.readings,
+      riskPrediction: reading.riskPrediction,
+      dataQuality: reading.dataQuality,
+      metadata: reading.metadata
+    },
+    sensor: {
+      sensorId: sensor.sensorId,
+      name: sensor.name,
+      location: sensor.location,
+      status: sensor.status,
+      riskLevel: reading.riskPrediction.level
+    }
+  });
+
+  io.broadcastRiskUpdate({
+    sensorId: sensor.sensorId,
+    riskLevel: reading.riskPrediction.level,
+    confidence: reading.riskPrediction.confidence,
+    location: sensor.location,
+    timestamp: reading.timestamp
+  });
+}
+
+/**
+ * Validate, predict and store a sensor reading (steps that must run once per reading)
+ * @param {Object} data - Raw reading { sensorId, timestamp, readings, metadata }
+ * @param {Object} options - { sensor (skips the lookup), source (overrides metadata.source) }
+ * @returns {Promise<Object>} { reading, prediction, sensor }
+ * @throws {ReadingIngestionError} On validation failure (400), unknown sensor (404) or a reading already stored (409)
+ */
+async function storeReading(data, { sensor = null, source = null } = {}) {
+  const { error, value } = readingValidationSchema.validate(data);
+
+  if (error) {
+    throw new ReadingIngestionError('Validation failed', 400, error.details.map(d => d.message));
+  }
+
+  if (!sensor) {
+    sensor = await Sensor.findOne({ sensorId: value.sensorId });
+    if (!sensor) {
+      throw new ReadingIngestionError('Sensor not found', 404);
+    }
+  }
+
+  const timestamp = value.timestamp || new Date();
+  const [prediction, dataQuality] = await Promise.all([
+    predictRisk({ ...value, timestamp }),
+    anomalyDetector.assessReading(value.sensorId, value.readings, timestamp)
+  ]);
+
+  const reading = new SensorReading({
+    sensorId: value.sensorId,
+    timestamp,
+    readings: value.readings,
+    riskPrediction: {
+      level: prediction.level,
+      confidence: prediction.confidence,
+      factors: prediction.factors,
+      aiModelVersion: prediction.aiModelVersion,
+      processingTime: prediction.processingTime
+    },
+    dataQuality,
+    metadata: {
+      source: source || value.metadata?.source || 'SENSOR',
+      processed: true,
+      processedAt: new Date()
+    }
+  });
+
+  try {
+    await reading.save();
+  } catch (saveError) {
+    // The unique { sensorId, timestamp } index: this reading was stored before
+    if (saveError.code === 11000) {
+      throw new ReadingIngestionError(`Reading for ${value.sensorId} at ${timestamp.toISOString()} already stored`, 409);
+    }
+    throw saveError;
+  }
+
+  if (dataQuality.flagged) {
+    console.warn(`⚠️ Reading from ${sensor.sensorId} flagged: ${dataQuality.anomalies.filter(a => a.severity === 'HIGH').map(a => a.message).join('; ')}`);
+  }
+
+  // Keep the minute/hour/day rollups behind the historical endpoints current
+  readingRollups.recordReading(reading)
+    .catch(error => console.error(`❌ Failed to roll up reading for ${reading.sensorId}:`, error.message));
+
+  return { reading, prediction, sensor };
+}
+
+/**
+ * Update the sensor, broadcast a stored reading and apply the alert rules to it
+ * Safe to repeat after a failure: the sensor update is idempotent and repeat detections fold into the open alert.
+ * @param {Object} reading - Stored reading document
+ * @param {Object} prediction - Risk prediction for the reading
+ * @param {Object} options - { io, sensor }
+ * @returns {Promise<Array>} Alerts raised by the rules
+ */
+async function processReading(reading, prediction, { io = null, sensor }) {
+  // Update sensor's last reading timestamp
+  await Sensor.updateOne({ _id: sensor._id }, { lastReading: reading.timestamp });
+
+  if (io) {
+    broadcastReading(io, sensor, reading);
+  }
+
+  const alerts = await alertRuleEngine.applyRules(sensor, reading, prediction, io);
+
+  // Score the reading with the challenger model too; its result is only stored for comparison
+  shadowEvaluation.runShadow(reading, prediction)
+    .catch(error => console.error(`❌ Shadow prediction failed for ${reading.sensorId}:`, error.message));
+
+  // Project a failure window from the sensor's recent trend (throttled per sensor)
+  trendAnalysis.checkSensorTrend(sensor, reading, io)
+    .catch(error => console.error(`❌ Trend check failed for ${reading.sensorId}:`, error.message));
+
+  return alerts;
+}
+
+/**
+ * Validate, predict, store and broadcast a sensor reading, then apply the alert rules
+ * @param {Object} data - Raw reading { sensorId, timestamp, readings, metadata }
+ * @param {Object} options - { io, sensor (skips the lookup), source (overrides metadata.source) }
+ * @returns {Promise<Object>} { reading, prediction, alerts }
+ * @throws {ReadingIngestionError} On validation failure (400), unknown sensor (404) or a reading already stored (409)
+ */
+async function ingestReading(data, { io = null, sensor = null, source = null } = {}) {
+  const stored = await storeReading(data, { sensor, source });
+  const alerts = await processReading(stored.reading, stored.prediction, { io, sensor: stored.sensor });
+
+  return { reading: stored.reading, prediction: stored.prediction, alerts };
+}
+
+module.exports = {
+  readingValidationSchema,
+  ReadingIngestionError,
+  predictRisk,
+  storeReading,
+  processReading,
+  ingestReading
+};
@@ -0,0 +1,323 @@
+const SensorReading = require('../models/SensorReading');
+const ReadingRollup = require('../models/ReadingRollup');
+
+const { GRANULARITIES, FEATURES } = ReadingRollup;
+const BUCKET_MS = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+const MINUTE_RETENTION_MS = 14 * BUCKET_MS.day; // Matches the minute rollups' TTL index
+const MAX_BUCKETS = 5000;
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+
+// Field names of the averages the aggregated endpoint has always returned
+const LEGACY_AVERAGES = {
+  Rainfall_mm: 'avgRainfall',
+  Slope_Angle: 'avgSlopeAngle',
+  Soil_Saturation: 'avgSoilSaturation',
+  Vegetation_Cover: 'avgVegetationCover',
+  Earthquake_Activity: 'avgEarthquakeActivity',
+  Proximity_to_Water: 'avgProximityToWater',
+  Landslide: 'avgLandslide'
+};
+
+const floorTo = (date, granularity) => new Date(new Date(date).getTime() - new Date(date).getTime() % BUCKET_MS[granularity]);
+const ceilTo = (date, granularity) => {
+  const floored = floorTo(date, granularity);
+  return floored.getTime() === new Date(date).getTime() ? floored : new Date(floored.getTime() + BUCKET_MS[granularity]);
+};
+
+/**
+ * Add a saved reading to its minute, hour and day buckets
+ * Each bucket is one atomic upsert, so concurrent readings for a sensor never lose counts.
+ * @param {Object} reading - Saved SensorReading document
+ * @returns {Promise<Object>} Bulk write result
+ */
+function recordReading(reading) {
+  const timestamp = new Date(reading.timestamp);
+  const update = {
+    $inc: {
+      count: 1,
+      confidenceSum: reading.riskPrediction?.confidence || 0,
+      flaggedCount: reading.dataQuality?.flagged ? 1 : 0
+    },
+    $min: { firstReading: timestamp },
+    $max: { lastReading: timestamp }
+  };
+  if (RISK_LEVELS.includes(reading.riskPrediction?.level)) {
+    update.$inc[`riskLevels.${reading.riskPrediction.level}`] = 1;
+  }
+  for (const feature of FEATURES) {
+    const value = reading.readings?.[feature];
+    if (typeof value !== 'number') continue;
+    update.$inc[`features.${feature}.sum`] = value;
+    update.$min[`features.${feature}.min`] = value;
+    update.$max[`features.${feature}.max`] = value;
+  }
+
+  return ReadingRollup.bulkWrite(GRANULARITIES.map(granularity => ({
+    updateOne: {
+      filter: { granularity, sensorId: reading.sensorId, bucketStart: floorTo(timestamp, granularity) },
+      update,
+      upsert: true
+    }
+  })), { ordered: false });
+}
+
+// $group accumulators merging rollup buckets
+function mergeAccumulators() {
+  const accumulators = {
+    count: { $sum: '$count' },
+    confidenceSum: { $sum: '$confidenceSum' },
+    flaggedCount: { $sum: '$flaggedCount' },
+    sensors: { $addToSet: '$sensorId' },
+    bucketStart: { $min: '$bucketStart' },
+    firstReading: { $min: '$firstReading' },
+    lastReading: { $max: '$lastReading' }
+  };
+  for (const level of RISK_LEVELS) {
+    accumulators[level] = { $sum: `$riskLevels.${level}` };
+  }
+  for (const feature of FEATURES) {
+    accumulators[`${feature}_min`] = { $min: `$features.${feature}.min` };
+    accumulators[`${feature}_max`] = { $max: `$features.${feature}.max` };
+    accumulators[`${feature}_sum`] = { $sum: `$features.${feature}.sum` };
+  }
+  return accumulators;
+}
+
+const average = (sum, count) => (count > 0 && sum != null ? sum / count : null);
+
+// Shape a merged group into min/max/avg per feature and a risk distribution
+function formatMerged(row) {
+  const features = {};
+  const legacy = {};
+  for (const feature of FEATURES) {
+    const avg = average(row[`${feature}_sum`], row.count);
+    features[feature] = { min: row[`${feature}_min`] ?? null, max: row[`${feature}_max`] ?? null, avg };
+    legacy[LEGACY_AVERAGES[feature]] = avg;
+  }
+
+  return {
+    bucketStart: row.bucketStart,
+    count: row.count,
+    features,
+    ...legacy,
+    riskDistribution: Object.fromEntries(RISK_LEVELS.map(level => [level, row[level]])),
+    avgConfidence: average(row.confidenceSum, row.count),
+    flaggedCount: row.flaggedCount,
+    sensorCount: row.sensors.length,
+    firstReading: row.firstReading,
+    lastReading: row.lastReading
+  };
+}
+
+/**
+ * Readings per time bucket, merged across sensors unless one is given
+ * minute, hour and day read their own rollups; week and month merge daily rollups.
+ * Buckets overlapping the start or end of the range are included whole.
+ * @param {Object} options - { sensorId, startDate, endDate, interval: minute|hour|day|week|month }
+ * @returns {Promise<Array>} Buckets, newest first (at most 5000)
+ */
+async function getAggregated({ sensorId, startDate, endDate, interval = 'hour' }) {
+  const granularity = GRANULARITIES.includes(interval) ? interval : 'day';
+
+  const match = { granularity };
+  if (sensorId) match.sensorId = sensorId;
+  if (startDate || endDate) {
+    match.bucketStart = {};
+    if (startDate) match.bucketStart.$gte = floorTo(startDate, granularity);
+    if (endDate) match.bucketStart.$lte = new Date(endDate);
+  }
+
+  // Date parts of the bucket (UTC), as the endpoint has always keyed its rows
+  const groupKey = {
+    week: { year: { $year: '$bucketStart' }, week: { $week: '$bucketStart' } },
+    month: { year: { $year: '$bucketStart' }, month: { $month: '$bucketStart' } }
+  }[interval] || '$bucketStart';
+
+  const rows = await ReadingRollup.aggregate([
+    { $match: match },
+    { $group: { _id: groupKey, ...mergeAccumulators() } },
+    { $sort: { bucketStart: -1 } },
+    { $limit: MAX_BUCKETS }
+  ]);
+
+  return rows.map(row => {
+    const start = new Date(row.bucketStart);
+    const key = typeof row._id === 'object' && !(row._id instanceof Date)
+      ? row._id
+      : {
+          year: start.getUTCFullYear(),
+          month: start.getUTCMonth() + 1,
+          day: start.getUTCDate(),
+          ...(granularity !== 'day' && { hour: start.getUTCHours() }),
+          ...(granularity === 'minute' && { minute: start.getUTCMinutes() })
+        };
+    return { _id: key, ...formatMerged(row) };
+  });
+}
+
+/**
+ * Totals over a trailing window, from hourly rollups with minute rollups for the partial hours at each end
+ * @param {Object} options - { hours, sensorId, now }
+ * @returns {Promise<Object>} { totalReadings, uniqueSensors, uniqueSensorCount, riskDistribution, avgConfidence, lastReading, ... }
+ */
+async function getSummary({ hours = 24, sensorId = null, now = new Date() } = {}) {
+  const end = new Date(now);
+  const start = new Date(end.getTime() - hours * BUCKET_MS.hour);
+
+  // Older minute buckets have expired, so the window then starts at the hour containing `start`
+  const minutesKept = start.getTime() >= end.getTime() - MINUTE_RETENTION_MS;
+  const hourStart = minutesKept ? ceilTo(start, 'hour') : floorTo(start, 'hour');
+  const hourEnd = floorTo(end, 'hour');
+
+  const segments = hourStart < hourEnd
+    ? [
+        { granularity: 'minute', from: floorTo(start, 'minute'), to: hourStart },
+        { granularity: 'hour', from: hourStart, to: hourEnd },
+        { granularity: 'minute', from: hourEnd, to: new Date(end.getTime() + 1) }
+      ]
+    : [{ granularity: 'minute', from: floorTo(start, 'minute'), to: new Date(end.getTime() + 1) }];
+
+  const match = {
+    $or: segments
+      .filter(({ from, to }) => from < to)
+      .map(({ granularity, from, to }) => ({ granularity, bucketStart: { $gte: from, $lt: to } }))
+  };
+  if (sensorId) match.sensorId = sensorId;
+
+  const [row] = await ReadingRollup.aggregate([
+    { $match: match },
+    { $group: { _id: null, ...mergeAccumulators() } }
+  ]);
+
+  if (!row) {
+    return {
+      totalReadings: 0,
+      uniqueSensors: [],
+      uniqueSensorCount: 0,
+      riskDistribution: { LOW: 0, MEDIUM: 0, HIGH: 0 },
+      avgConfidence: 0,
+      flaggedCount: 0,
+      lastReading: null
+    };
+  }
+
+  const { count, features, riskDistribution, avgConfidence, flaggedCount, lastReading } = formatMerged(row);
+  return {
+    totalReadings: count,
+    uniqueSensors: row.sensors,
+    uniqueSensorCount: row.sensors.length,
+    riskDistribution,
+    avgConfidence,
+    flaggedCount,
+    features,
+    lastReading
+  };
+}
+
+// Pipeline regrouping raw readings into one granularity's buckets and merging them into the rollups
+function rebuildPipeline(match, granularity) {
+  const bucketMs = BUCKET_MS[granularity];
+  const group = {
+    _id: {
+      sensorId: '$sensorId',
+      bucketStart: { $toDate: { $subtract: [{ $toLong: '$timestamp' }, { $mod: [{ $toLong: '$timestamp' }, bucketMs] }] } }
+    },
+    count: { $sum: 1 },
+    confidenceSum: { $sum: '$riskPrediction.confidence' },
+    flaggedCount: { $sum: { $cond: ['$dataQuality.flagged', 1, 0] } },
+    firstReading: { $min: '$timestamp' },
+    lastReading: { $max: '$timestamp' }
+  };
+  for (const level of RISK_LEVELS) {
+    group[level] = { $sum: { $cond: [{ $eq: ['$riskPrediction.level', level] }, 1, 0] } };
+  }
+  for (const feature of FEATURES) {
+    group[`${feature}_min`] = { $min: `$readings.${feature}` };
+    group[`${feature}_max`] = { $max: `$readings.${feature}` };
+    group[`${feature}_sum`] = { $sum: `$readings.${feature}` };
+  }
+
+  return [
+    { $match: match },
+    { $group: group },
+    {
+      $project: {
+        _id: 0,
+        sensorId: '$_id.sensorId',
+        granularity: { $literal: granularity },
+        bucketStart: '$_id.bucketStart',
+        count: 1,
+        features: Object.fromEntries(FEATURES.map(feature => [feature, {
+          min: `$${feature}_min`,
+          max: `$${feature}_max`,
+          sum: `$${feature}_sum`
+        }])),
+        riskLevels: Object.fromEntries(RISK_LEVELS.map(level => [level, `$${level}`])),
+        confidenceSum: 1,
+        flaggedCount: 1,
+        firstReading: 1,
+        lastReading: 1,
+        createdAt: '$$NOW',
+        updatedAt: '$$NOW'
+      }
+    },
+    {
+      $merge: {
+        into: ReadingRollup.collection.collectionName,
+        on: ['granularity', 'sensorId', 'bucketStart'],
+        whenMatched: 'replace',
+        whenNotMatched: 'insert'
+      }
+    }
+  ];
+}
+
+/**
+ * Recompute rollups from the raw readings, in whole UTC days
+ * Readings ingested for the range while it is rebuilding can be counted twice or missed; rebuild past
+ * ranges, or pause ingestion first.
+ * @param {Object} options - { sensorId, from, to } (default: all readings)
+ * @returns {Promise<Object>} { from, to, buckets: { minute, hour, day } }
+ */
+async function rebuildRollups({ sensorId = null, from = null, to = null } = {}) {
+  const filter = sensorId ? { sensorId } : {};
+  const [earliest, latest] = await Promise.all([
+    from ? null : SensorReading.findOne(filter).sort({ timestamp: 1 }).select('timestamp').lean(),
+    to ? null : SensorReading.findOne(filter).sort({ timestamp: -1 }).select('timestamp').lean()
+  ]);
+
+  const rangeFrom = from || earliest?.timestamp;
+  const rangeTo = to || latest?.timestamp;
+  if (!rangeFrom || !rangeTo) {
+    return { from: null, to: null, buckets: { minute: 0, hour: 0, day: 0 } };
+  }
+
+  const start = floorTo(rangeFrom, 'day');
+  const end = new Date(floorTo(rangeTo, 'day').getTime() + BUCKET_MS.day);
+  const minuteStart = new Date(Math.max(start.getTime(), floorTo(Date.now() - MINUTE_RETENTION_MS, 'day').getTime()));
+  const buckets = {};
+
+  for (const granularity of GRANULARITIES) {
+    // Minute buckets past their retention would expire straight away
+    const bucketsFrom = granularity === 'minute' ? minuteStart : start;
+    const range = { $gte: bucketsFrom, $lt: end };
+
+    await ReadingRollup.deleteMany({ ...filter, granularity, bucketStart: { $gte: start, $lt: end } });
+    if (bucketsFrom < end) {
+      await SensorReading.aggregate(rebuildPipeline({ ...filter, timestamp: range }, granularity)).allowDiskUse(true);
+    }
+    buckets[granularity] = await ReadingRollup.countDocuments({ ...filter, granularity, bucketStart: range });
+    console.log(`📦 Rebuilt ${buckets[granularity]} ${granularity} rollups from ${bucketsFrom.toISOString()} to ${end.toISOString()}`);
+  }
+
+  return { from: start, to: end, buckets };
+}
+
+module.exports = {
+  BUCKET_MS,
+  floorTo,
+  recordReading,
+  getAggregated,
+  getSummary,
+  rebuildRollups
+};
@@ -0,0 +1,320 @@
+const Joi = require('joi');
+const SensorReading = require('../models/SensorReading');
+const Alert = require('../models/Alert');
+const Sensor = require('../models/Sensor');
+const Zone = require('../models/Zone');
+
+const SPEEDS = [1, 10, 60];
+const TICK_MS = 250; // real time between clock updates
+const CHUNK_MS = 15 * 60 * 1000; // replay time loaded per query
+const MAX_CHUNK_READINGS = 2000;
+const SNAPSHOT_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+const SNAPSHOT_ALERT_LIMIT = 50;
+
+// Validation schema for starting a replay
+const replayOptionsSchema = Joi.object({
+  startTime: Joi.date().required(),
+  endTime: Joi.date().greater(Joi.ref('startTime')).max('now').required(),
+  speed: Joi.number().valid(...SPEEDS).default(1),
+  mineId: Joi.string().trim().uppercase(),
+  sensorIds: Joi.array().items(Joi.string().trim().uppercase()).min(1)
+}).oxor('mineId', 'sensorIds');
+
+/**
+ * Sensor IDs a replay is limited to
+ * @param {Object} options - { mineId, sensorIds }
+ * @returns {Promise<Array|null>} Sensor IDs, or null for every sensor
+ */
+async function resolveSensorIds({ mineId, sensorIds }) {
+  if (sensorIds) return sensorIds;
+  if (!mineId) return null;
+
+  const zoneIds = await Zone.distinct('zoneId', { mineId });
+  return Sensor.distinct('sensorId', { 'mineGrid.zone': { $in: zoneIds } });
+}
+
+/**
+ * An alert as it stood at a point in time (later acknowledgement/resolution removed)
+ * @param {Object} alert - Lean alert document
+ * @param {Date} time - Replay time
+ * @returns {Object} Alert with status and timestamps as of `time`
+ */
+function alertAsOf(alert, time) {
+  const view = { ...alert };
+
+  if (alert.resolvedAt && alert.resolvedAt <= time) {
+    return view;
+  }
+  delete view.resolvedAt;
+  delete view.resolvedBy;
+
+  if (alert.acknowledgedAt && alert.acknowledgedAt <= time) {
+    view.status = 'ACKNOWLEDGED';
+    return view;
+  }
+  delete view.acknowledgedAt;
+  delete view.acknowledgedBy;
+  view.status = 'ACTIVE';
+  return view;
+}
+
+/**
+ * Alert lifecycle events (trigger, acknowledge, resolve) falling in (from, to]
+ * @param {Array<Object>} alerts - Lean alert documents
+ * @param {Date} from - Exclusive start
+ * @param {Date} to - Inclusive end
+ * @returns {Array<Object>} { type, time, data } events
+ */
+function alertEvents(alerts, from, to) {
+  const inRange = (date) => date && date > from && date <= to;
+  const events = [];
+
+  for (const alert of alerts) {
+    if (inRange(alert.triggeredAt)) {
+      events.push({ type: 'alert-trigger', time: alert.triggeredAt, data: { alert: alertAsOf(alert, alert.triggeredAt) } });
+    }
+    if (inRange(alert.acknowledgedAt)) {
+      events.push({
+        type: 'alert-acknowledged',
+        time: alert.acknowledgedAt,
+        data: { alertId: alert.alertId, acknowledgedBy: alert.acknowledgedBy, acknowledgedAt: alert.acknowledgedAt }
+      });
+    }
+    if (inRange(alert.resolvedAt)) {
+      events.push({
+        type: 'alert-resolved',
+        time: alert.resolvedAt,
+        data: { alertId: alert.alertId, resolvedBy: alert.resolvedBy, resolution: alert.status, resolvedAt: alert.resolvedAt }
+      });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Replays historical readings and alerts to one socket at 1x/10x/60x speed.
+ * Events are loaded in chunks of replay time ahead of the clock, so long windows never sit in memory.
+ */
+class ReplaySession {
+  constructor(socket, options) {
+    this.socket = socket;
+    this.startTime = options.startTime;
+    this.endTime = options.endTime;
+    this.speed = options.speed;
+    this.sensorIds = options.sensorIds || null;
+
+    this.clock = this.startTime; // current replay time
+    this.loadedUntil = this.startTime; // events up to here are in the buffer
+    this.buffer = [];
+    this.playing = false;
+    this.timer = null;
+    this.loading = null;
+    this.lastTickAt = null;
+  }
+
+  /**
+   * Validate options and create a session
+   * @param {Object} socket - Socket in the /replay namespace
+   * @param {Object} data - { startTime, endTime, speed, mineId | sensorIds }
+   * @returns {Promise<ReplaySession>} Session (not yet playing)
+   */
+  static async create(socket, data) {
+    const { error, value } = replayOptionsSchema.validate(data || {});
+    if (error) {
+      const err = new Error('Invalid replay request');
+      err.details = error.details.map(d => d.message);
+      throw err;
+    }
+
+    const sensorIds = await resolveSensorIds(value);
+    return new ReplaySession(socket, { ...value, sensorIds });
+  }
+
+  sensorFilter() {
+    return this.sensorIds ? { sensorId: { $in: this.sensorIds } } : {};
+  }
+
+  /**
+   * Load the next chunk of events into the buffer
+   */
+  async loadChunk() {
+    const from = this.loadedUntil;
+    let to = new Date(Math.min(from.getTime() + CHUNK_MS, this.endTime.getTime()));
+
+    let readings = await SensorReading.find({ ...this.sensorFilter(), timestamp: { $gt: from, $lte: to } })
+      .sort({ timestamp: 1 })
+      .limit(MAX_CHUNK_READINGS)
+      .lean();
+
+    // A full chunk stops just before its last timestamp, so readings sharing it land in the next chunk
+    if (readings.length === MAX_CHUNK_READINGS) {
+      const last = readings[readings.length - 1].timestamp;
+      const trimmed = readings.filter(reading => reading.timestamp < last);
+
+      if (trimmed.length > 0) {
+        to = new Date(last.getTime() - 1);
+        readings = trimmed;
+      } else {
+        // Every reading shares one timestamp: take all of them (past the limit) so the replay moves on
+        to = last;
+        readings = await SensorReading.find({ ...this.sensorFilter(), timestamp: last }).lean();
+      }
+    }
+
+    const alerts = await Alert.find({
+      ...this.sensorFilter(),
+      $or: [
+        { triggeredAt: { $gt: from, $lte: to } },
+        { acknowledgedAt: { $gt: from, $lte: to } },
+        { resolvedAt: { $gt: from, $lte: to } }
+      ]
+    }).lean();
+
+    const events = [
+      ...readings.map(reading => ({ type: 'sensor-reading', time: reading.timestamp, data: { sensorId: reading.sensorId, reading } })),
+      ...alertEvents(alerts, from, to)
+    ].sort((a, b) => a.time - b.time);
+
+    this.buffer.push(...events);
+    this.loadedUntil = to;
+  }
+
+  // Load ahead of the clock; at most one load runs at a time
+  ensureLoaded(until) {
+    if (this.loading || this.loadedUntil >= this.endTime || this.loadedUntil >= until) {
+      return this.loading;
+    }
+
+    this.loading = this.loadChunk()
+      .catch(error => {
+        console.error('❌ Replay load failed:', error.message);
+        this.socket.emit('replay-error', { message: 'Failed to load historical data' });
+        this.pause();
+      })
+      .finally(() => { this.loading = null; });
+    return this.loading;
+  }
+
+  /**
+   * State at the current replay time: each sensor's latest reading and the alerts of the preceding day
+   */
+  async sendSnapshot() {
+    const time = this.clock;
+    const since = new Date(time.getTime() - SNAPSHOT_LOOKBACK_MS);
+
+    const readings = await SensorReading.aggregate([
+      { $match: { ...this.sensorFilter(), timestamp: { $gt: since, $lte: time } } },
+      { $sort: { timestamp: -1 } },
+      { $group: { _id: '$sensorId', reading: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$reading' } }
+    ]);
+
+    const alerts = await Alert.find({ ...this.sensorFilter(), triggeredAt: { $gt: since, $lte: time } })
+      .sort({ triggeredAt: -1 })
+      .limit(SNAPSHOT_ALERT_LIMIT)
+      .lean();
+
+    this.socket.emit('replay-snapshot', {
+      time,
+      readings,
+      alerts: alerts.map(alert => alertAsOf(alert, time))
+    });
+  }
+
+  state() {
+    return {
+      startTime: this.startTime,
+      endTime: this.endTime,
+      time: this.clock,
+      speed: this.speed,
+      playing: this.playing
+    };
+  }
+
+  async play() {
+    if (this.playing || this.clock >= this.endTime) return;
+
+    this.playing = true;
+    this.lastTickAt = Date.now();
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    this.socket.emit('replay-state', this.state());
+  }
+
+  pause() {
+    if (!this.playing) return;
+
+    this.playing = false;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.socket.emit('replay-state', this.state());
+  }
+
+  setSpeed(speed) {
+    if (!SPEEDS.includes(speed)) {
+      throw new Error(`Speed must be one of ${SPEEDS.join(', ')}`);
+    }
+
+    this.speed = speed;
+    this.socket.emit('replay-state', this.state());
+  }
+
+  /**
+   * Jump to a time in the window and resend the state there
+   * @param {Date|string} time - Replay time
+   */
+  async seek(time) {
+    const target = new Date(time);
+    if (isNaN(target.getTime())) {
+      throw new Error('Invalid seek time');
+    }
+
+    const clamped = new Date(Math.min(Math.max(target.getTime(), this.startTime.getTime()), this.endTime.getTime()));
+    await this.loading;
+
+    this.clock = clamped;
+    this.loadedUntil = clamped;
+    this.buffer = [];
+    this.lastTickAt = Date.now();
+
+    await this.sendSnapshot();
+    this.socket.emit('replay-state', this.state());
+  }
+
+  tick() {
+    const now = Date.now();
+    const elapsed = (now - this.lastTickAt) * this.speed;
+    this.lastTickAt = now;
+
+    // Don't run the clock past data that hasn't loaded yet
+    const target = new Date(Math.min(this.clock.getTime() + elapsed, this.endTime.getTime()));
+    this.clock = target <= this.loadedUntil || this.loadedUntil >= this.endTime ? target : new Date(this.loadedUntil);
+
+    let count = 0;
+    while (count < this.buffer.length && this.buffer[count].time <= this.clock) count++;
+    const events = this.buffer.splice(0, count);
+
+    this.socket.emit('replay-tick', { time: this.clock, events });
+
+    if (this.clock >= this.endTime && this.buffer.length === 0) {
+      this.pause();
+      this.socket.emit('replay-ended', this.state());
+      return;
+    }
+
+    // Keep a few seconds of playback loaded ahead
+    this.ensureLoaded(new Date(this.clock.getTime() + TICK_MS * this.speed * 20));
+  }
+
+  stop() {
+    this.pause();
+    this.buffer = [];
+  }
+}
+
+module.exports = {
+  SPEEDS,
+  ReplaySession,
+  alertAsOf,
+  alertEvents
+};
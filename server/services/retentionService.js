@@ -0,0 +1,465 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const SensorReading = require('../models/SensorReading');
+const Alert = require('../models/Alert');
+const AlertEvent = require('../models/AlertEvent');
+const Sensor = require('../models/Sensor');
+const Zone = require('../models/Zone');
+const Mine = require('../models/Mine');
+const RetentionPolicy = require('../models/RetentionPolicy');
+const ArchiveCatalog = require('../models/ArchiveCatalog');
+const RestoredArchive = require('../models/RestoredArchive');
+
+// Archives are MongoDB Extended JSON (relaxed), the format of mongoexport, so dates and ids round-trip
+const { EJSON } = mongoose.mongo.BSON;
+
+const ARCHIVE_DIR = path.resolve(process.env.ARCHIVE_DIR || path.join(__dirname, '..', 'archives'));
+const CHECK_INTERVAL_MS = parseInt(process.env.RETENTION_CHECK_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+const DEFAULT_ARCHIVE_AFTER_DAYS = {
+  sensorReadings: parseInt(process.env.RETENTION_READINGS_DAYS) || 180,
+  alerts: parseInt(process.env.RETENTION_ALERTS_DAYS) || 365
+};
+const DELETE_BATCH_SIZE = 1000;
+const RESTORE_BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What each dataset archives; `due` selects documents older than the cutoff
+const DATASETS = {
+  sensorReadings: {
+    model: SensorReading,
+    timeField: 'timestamp',
+    due: cutoff => ({ timestamp: { $lt: cutoff } })
+  },
+  alerts: {
+    model: Alert,
+    timeField: 'triggeredAt',
+    // Only closed alerts, by when they were closed; open alerts are never archived
+    due: cutoff => ({ status: { $in: ['RESOLVED', 'FALSE_POSITIVE'] }, resolvedAt: { $lt: cutoff } })
+  }
+};
+
+// Validation schema for creating or updating a policy
+const policyValidationSchema = Joi.object({
+  archiveAfterDays: Joi.number().integer().min(1).max(36500).required(),
+  enabled: Joi.boolean().default(true),
+  description: Joi.string().trim().max(500).allow('', null)
+});
+
+/**
+ * Error raised for retention operations that cannot be carried out
+ * status mirrors the HTTP status the routes respond with
+ */
+class RetentionError extends Error {
+  constructor(message, status, details = null) {
+    super(message);
+    this.name = 'RetentionError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+let running = false;
+let intervalId = null;
+let lastRun = null;
+
+const monthStart = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+/**
+ * Create the default policy of each dataset if missing, and drop the TTL indexes retention replaces
+ * Existing databases still carry those indexes; MongoDB would otherwise keep deleting unarchived data.
+ */
+async function initializeRetention() {
+  for (const dataset of RetentionPolicy.DATASETS) {
+    await RetentionPolicy.updateOne(
+      { dataset, mineId: null },
+      { $setOnInsert: { archiveAfterDays: DEFAULT_ARCHIVE_AFTER_DAYS[dataset], description: 'Default policy' } },
+      { upsert: true }
+    );
+  }
+
+  for (const model of [SensorReading, Alert]) {
+    let indexes = [];
+    try {
+      indexes = await model.collection.indexes();
+    } catch (error) {
+      if (error.codeName !== 'NamespaceNotFound') throw error;
+    }
+    for (const index of indexes.filter(index => index.expireAfterSeconds !== undefined)) {
+      await model.collection.dropIndex(index.name);
+      console.log(`🗄️ Dropped TTL index ${model.collection.collectionName}.${index.name}; retention policies archive this data instead`);
+    }
+  }
+}
+
+/**
+ * Validate and save a policy
+ * @param {string} dataset - sensorReadings or alerts
+ * @param {string|null} mineId - Mine ID, or null for the default policy
+ * @param {Object} data - { archiveAfterDays, enabled, description }
+ * @param {string} updatedBy - Username
+ * @returns {Promise<Object>} Saved policy
+ * @throws {RetentionError} Unknown dataset or mine (404), validation failure (400)
+ */
+async function setPolicy(dataset, mineId, data, updatedBy) {
+  if (!Object.hasOwn(DATASETS, dataset)) {
+    throw new RetentionError(`Unknown dataset ${dataset}`, 404);
+  }
+
+  const { error, value } = policyValidationSchema.validate(data);
+  if (error) {
+    throw new RetentionError('Validation failed', 400, error.details.map(d => d.message));
+  }
+
+  if (mineId && !await Mine.exists({ mineId })) {
+    throw new RetentionError('Mine not found', 404);
+  }
+
+  return RetentionPolicy.findOneAndUpdate(
+    { dataset, mineId: mineId || null },
+    { ...value, updatedBy },
+    { new: true, upsert: true, runValidators: true }
+  );
+}
+
+/**
+ * Remove a mine's policy; its sensors fall back to the default policy
+ * @throws {RetentionError} Unknown policy (404); the default policy cannot be removed (409)
+ */
+async function removePolicy(dataset, mineId) {
+  if (!mineId) {
+    throw new RetentionError('The default policy cannot be removed; disable it instead', 409);
+  }
+  const policy = await RetentionPolicy.findOneAndDelete({ dataset, mineId });
+  if (!policy) {
+    throw new RetentionError('Policy not found', 404);
+  }
+  return policy;
+}
+
+// Map of sensorId -> mineId, through the sensor's zone
+async function sensorMines() {
+  const [zones, sensors] = await Promise.all([
+    Zone.find({}, { zoneId: 1, mineId: 1 }).lean(),
+    Sensor.find({}, { sensorId: 1, 'mineGrid.zone': 1 }).lean()
+  ]);
+  const zoneMines = new Map(zones.map(zone => [zone.zoneId, zone.mineId]));
+  return new Map(sensors.map(sensor => [sensor.sensorId, zoneMines.get(sensor.mineGrid?.zone) || null]));
+}
+
+/**
+ * The archive cutoff of each sensor scope of a dataset
+ * Cutoffs are rounded down to the start of a UTC month so every archive file holds a whole month.
+ * @returns {Promise<Array>} { policy, sensorFilter, cutoff }; disabled policies are left out
+ */
+async function resolveScopes(dataset, mines, now) {
+  const policies = await RetentionPolicy.find({ dataset }).lean();
+  const mineSensors = (mineId) => [...mines.entries()].filter(([, mine]) => mine === mineId).map(([sensorId]) => sensorId);
+  const cutoff = (policy) => monthStart(new Date(now.getTime() - policy.archiveAfterDays * DAY_MS));
+
+  const scopes = [];
+  const covered = [];
+  for (const policy of policies.filter(p => p.mineId)) {
+    const sensorIds = mineSensors(policy.mineId);
+    covered.push(...sensorIds);
+    if (policy.enabled) {
+      scopes.push({ policy, sensorFilter: { $in: sensorIds }, cutoff: cutoff(policy) });
+    }
+  }
+
+  // The default policy covers everything else, including readings of sensors that no longer exist
+  const defaultPolicy = policies.find(p => !p.mineId);
+  if (defaultPolicy?.enabled) {
+    scopes.push({ policy: defaultPolicy, sensorFilter: { $nin: covered }, cutoff: cutoff(defaultPolicy) });
+  }
+
+  return scopes;
+}
+
+// Update a running SHA-256 with everything written through the stream
+function hashing(hash) {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+}
+
+/**
+ * Write one sensor-month of due documents to a gzipped NDJSON file, catalog it, then delete exactly
+ * the documents written. Alerts carry a copy of their event history (the events themselves stay).
+ * @returns {Promise<Object|null>} Catalog entry, or null when nothing was due
+ */
+async function archiveUnit({ dataset, sensorId, mineId, period, due, archivedBy }) {
+  const { model, timeField } = DATASETS[dataset];
+  const [year, month] = period.split('-').map(Number);
+  const query = {
+    ...due,
+    sensorId,
+    [timeField]: { $gte: new Date(Date.UTC(year, month - 1, 1)), $lt: new Date(Date.UTC(year, month, 1)) }
+  };
+
+  // Documents that arrive for an archived month later (late or replayed readings) go to further parts
+  const part = await ArchiveCatalog.countDocuments({ dataset, sensorId, period }) + 1;
+  const archiveId = `${dataset}.${sensorId}.${period}${part > 1 ? `-${part}` : ''}`;
+  const file = `${dataset}/${sensorId.replace(/[^A-Za-z0-9_.-]/g, '_')}/${period}${part > 1 ? `-${part}` : ''}.ndjson.gz`;
+  const fullPath = path.join(ARCHIVE_DIR, file);
+  const tempPath = `${fullPath}.tmp`;
+  await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+
+  const ids = [];
+  let from = null;
+  let to = null;
+  async function* lines() {
+    for await (const doc of model.find(query).sort({ [timeField]: 1 }).lean().cursor()) {
+      ids.push(doc._id);
+      from = from || doc[timeField];
+      to = doc[timeField];
+      if (dataset === 'alerts') {
+        doc.events = await AlertEvent.find({ alertId: doc.alertId }).sort({ at: 1 }).lean();
+      }
+      yield `${EJSON.stringify(doc, { relaxed: true })}\n`;
+    }
+  }
+
+  const hash = crypto.createHash('sha256');
+  try {
+    await pipeline(Readable.from(lines()), zlib.createGzip(), hashing(hash), fs.createWriteStream(tempPath));
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+
+  if (ids.length === 0) {
+    await fs.promises.rm(tempPath, { force: true });
+    return null;
+  }
+
+  await fs.promises.rename(tempPath, fullPath);
+  const { size } = await fs.promises.stat(fullPath);
+
+  const entry = await ArchiveCatalog.create({
+    archiveId,
+    dataset,
+    sensorId,
+    mineId,
+    period,
+    part,
+    file,
+    count: ids.length,
+    sizeBytes: size,
+    sha256: hash.digest('hex'),
+    from,
+    to,
+    archivedBy
+  });
+
+  // Only what was written, and only if still due (an alert reopened meanwhile stays live)
+  for (let i = 0; i < ids.length; i += DELETE_BATCH_SIZE) {
+    await model.deleteMany({ ...due, _id: { $in: ids.slice(i, i + DELETE_BATCH_SIZE) } });
+  }
+
+  return entry;
+}
+
+/**
+ * Archive and remove everything past its policy's cutoff
+ * @param {Object} options - { now, archivedBy }
+ * @returns {Promise<Object>} Per dataset: { archives, documents }
+ * @throws {RetentionError} When a run is already in progress (409)
+ */
+async function runRetention({ now = new Date(), archivedBy = 'system:retention' } = {}) {
+  if (running) {
+    throw new RetentionError('A retention run is already in progress', 409);
+  }
+  running = true;
+
+  const startedAt = new Date();
+  const summary = {};
+  try {
+    const mines = await sensorMines();
+
+    for (const [dataset, { model, timeField }] of Object.entries(DATASETS)) {
+      summary[dataset] = { archives: 0, documents: 0 };
+
+      for (const { sensorFilter, cutoff } of await resolveScopes(dataset, mines, now)) {
+        const due = DATASETS[dataset].due(cutoff);
+        const units = await model.aggregate([
+          { $match: { ...due, sensorId: sensorFilter } },
+          { $group: { _id: { sensorId: '$sensorId', period: { $dateToString: { format: '%Y-%m', date: `$${timeField}` } } } } },
+          { $sort: { '_id.period': 1, '_id.sensorId': 1 } }
+        ]).allowDiskUse(true);
+
+        for (const { _id: { sensorId, period } } of units) {
+          const entry = await archiveUnit({ dataset, sensorId, mineId: mines.get(sensorId) || null, period, due, archivedBy });
+          if (entry) {
+            summary[dataset].archives++;
+            summary[dataset].documents += entry.count;
+          }
+        }
+      }
+    }
+
+    lastRun = { startedAt, finishedAt: new Date(), archivedBy, summary, error: null };
+    const archived = Object.entries(summary).map(([dataset, { documents }]) => `${documents} ${dataset}`).join(', ');
+    console.log(`🗄️ Retention run archived ${archived}`);
+    return summary;
+  } catch (error) {
+    lastRun = { startedAt, finishedAt: new Date(), archivedBy, summary, error: error.message };
+    throw error;
+  } finally {
+    running = false;
+  }
+}
+
+// Resolve a catalog entry's file, checking it is still there and unchanged
+async function verifiedArchivePath(entry) {
+  const fullPath = path.join(ARCHIVE_DIR, entry.file);
+  const hash = crypto.createHash('sha256');
+  try {
+    for await (const chunk of fs.createReadStream(fullPath)) {
+      hash.update(chunk);
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new RetentionError(`Archive file ${entry.file} is missing from ${ARCHIVE_DIR}`, 410);
+    }
+    throw error;
+  }
+  if (entry.sha256 && hash.digest('hex') !== entry.sha256) {
+    throw new RetentionError(`Archive file ${entry.file} does not match its checksum`, 409);
+  }
+  return fullPath;
+}
+
+/**
+ * Load an archive into its dataset's restored collection (idempotent: documents are upserted by _id)
+ * @param {string} archiveId - Archive ID
+ * @param {string} restoredBy - Username
+ * @returns {Promise<Object>} Updated catalog entry
+ * @throws {RetentionError} Unknown archive (404), missing file (410) or checksum mismatch (409)
+ */
+async function restoreArchive(archiveId, restoredBy) {
+  const entry = await ArchiveCatalog.findOne({ archiveId });
+  if (!entry) {
+    throw new RetentionError('Archive not found', 404);
+  }
+
+  const fullPath = await verifiedArchivePath(entry);
+  const collection = RestoredArchive[entry.dataset].collection;
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(fullPath).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity
+  });
+
+  let count = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await collection.bulkWrite(batch, { ordered: false });
+    count += batch.length;
+    batch = [];
+  };
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const doc = { ...EJSON.parse(line, { relaxed: true }), restoredFrom: archiveId };
+    batch.push({ replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true } });
+    if (batch.length >= RESTORE_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  entry.restore = { restoredAt: new Date(), restoredBy, count };
+  await entry.save();
+
+  console.log(`🗄️ Restored ${count} documents from ${archiveId} (by ${restoredBy})`);
+  return entry;
+}
+
+/**
+ * Remove an archive's documents from the restored collection (the archive file is kept)
+ * @param {string} archiveId - Archive ID
+ * @returns {Promise<Object>} Updated catalog entry
+ */
+async function unloadArchive(archiveId) {
+  const entry = await ArchiveCatalog.findOne({ archiveId });
+  if (!entry) {
+    throw new RetentionError('Archive not found', 404);
+  }
+
+  await RestoredArchive[entry.dataset].deleteMany({ restoredFrom: archiveId });
+  entry.restore = { restoredAt: null, restoredBy: null, count: 0 };
+  return entry.save();
+}
+
+/**
+ * Absolute path of an archive's file, for download
+ * @throws {RetentionError} Unknown archive (404) or missing file (410)
+ */
+async function archiveFilePath(archiveId) {
+  const entry = await ArchiveCatalog.findOne({ archiveId });
+  if (!entry) {
+    throw new RetentionError('Archive not found', 404);
+  }
+  const fullPath = path.join(ARCHIVE_DIR, entry.file);
+  if (!fs.existsSync(fullPath)) {
+    throw new RetentionError(`Archive file ${entry.file} is missing from ${ARCHIVE_DIR}`, 410);
+  }
+  return { entry, fullPath };
+}
+
+function getStatus() {
+  return {
+    archiveDir: ARCHIVE_DIR,
+    checkIntervalMs: CHECK_INTERVAL_MS,
+    running,
+    lastRun
+  };
+}
+
+function startRetentionLoop(intervalMs = CHECK_INTERVAL_MS) {
+  if (intervalId) return;
+
+  intervalId = setInterval(async () => {
+    try {
+      await runRetention();
+    } catch (error) {
+      if (error instanceof RetentionError) return;
+      console.error('❌ Error in retention run:', error);
+    }
+  }, intervalMs);
+
+  console.log(`🗄️ Retention started (every ${intervalMs / 60000} min, archives in ${ARCHIVE_DIR})`);
+}
+
+function stopRetentionLoop() {
+  if (intervalId) {
+    clearInterval(intervalId);
+    intervalId = null;
+  }
+}
+
+module.exports = {
+  ARCHIVE_DIR,
+  DATASETS,
+  RetentionError,
+  initializeRetention,
+  setPolicy,
+  removePolicy,
+  runRetention,
+  archiveUnit,
+  restoreArchive,
+  unloadArchive,
+  archiveFilePath,
+  getStatus,
+  startRetentionLoop,
+  stopRetentionLoop
+};
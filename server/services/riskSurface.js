@@ -0,0 +1,147 @@
+const turf = require('@turf/turf');
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const Zone = require('../models/Zone');
+
+const RISK_SCORE = { LOW: 0.15, MEDIUM: 0.5, HIGH: 0.9 };
+const DEFAULT_CELL_SIZE = 250; // meters
+const DEFAULT_POWER = 2;
+const MAX_CELLS = 2500;
+
+class RiskSurfaceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RiskSurfaceError';
+    this.status = status;
+  }
+}
+
+// Map a 0-1 risk score back to a level
+function scoreToLevel(score) {
+  if (score >= 0.7) return 'HIGH';
+  if (score >= 0.35) return 'MEDIUM';
+  return 'LOW';
+}
+
+/**
+ * Inverse-distance-weighted risk at a point. Each sensor's weight is scaled by its prediction confidence,
+ * so uncertain predictions pull the surface less.
+ * @param {Array<number>} target - [longitude, latitude]
+ * @param {Array<Object>} points - { coordinates, score, confidence }
+ * @param {number} power - Distance exponent
+ * @returns {Object} { risk, nearestDistance } (risk is null when no point has any weight)
+ */
+function idwAt(target, points, power = DEFAULT_POWER) {
+  let weightedSum = 0;
+  let totalWeight = 0;
+  let nearestDistance = Infinity;
+
+  for (const point of points) {
+    const distance = turf.distance(target, point.coordinates, { units: 'meters' });
+    nearestDistance = Math.min(nearestDistance, distance);
+
+    const confidence = Math.max(point.confidence || 0, 0.05);
+    if (distance < 1) {
+      // On top of a sensor: use its value directly
+      return { risk: point.score, nearestDistance: distance };
+    }
+
+    const weight = confidence / Math.pow(distance, power);
+    weightedSum += weight * point.score;
+    totalWeight += weight;
+  }
+
+  return {
+    risk: totalWeight > 0 ? weightedSum / totalWeight : null,
+    nearestDistance
+  };
+}
+
+/**
+ * Interpolate a risk grid over a boundary
+ * @param {Array<Object>} points - { sensorId, coordinates, score, confidence }
+ * @param {Object} boundary - GeoJSON Polygon or MultiPolygon geometry
+ * @param {Object} options - { cellSize (meters), power }
+ * @returns {Object} GeoJSON FeatureCollection of grid cells with risk, level and nearestSensorDistance
+ */
+function interpolateRiskGrid(points, boundary, { cellSize = DEFAULT_CELL_SIZE, power = DEFAULT_POWER } = {}) {
+  const bbox = turf.bbox(boundary);
+  const width = turf.distance([bbox[0], bbox[1]], [bbox[2], bbox[1]], { units: 'meters' });
+  const height = turf.distance([bbox[0], bbox[1]], [bbox[0], bbox[3]], { units: 'meters' });
+  const estimatedCells = Math.ceil(width / cellSize) * Math.ceil(height / cellSize);
+
+  if (estimatedCells > MAX_CELLS) {
+    throw new RiskSurfaceError(`Grid would have ~${estimatedCells} cells; use a cellSize of at least ${Math.ceil(Math.sqrt(width * height / MAX_CELLS))} meters`);
+  }
+
+  const grid = turf.squareGrid(bbox, cellSize / 1000, { units: 'kilometers', mask: turf.feature(boundary) });
+
+  grid.features.forEach(cell => {
+    const center = turf.centroid(cell).geometry.coordinates;
+    const { risk, nearestDistance } = points.length > 0
+      ? idwAt(center, points, power)
+      : { risk: null, nearestDistance: null };
+
+    cell.properties = {
+      risk: risk === null ? null : Math.round(risk * 1000) / 1000,
+      level: risk === null ? null : scoreToLevel(risk),
+      nearestSensorDistance: nearestDistance === null ? null : Math.round(nearestDistance)
+    };
+  });
+
+  return grid;
+}
+
+/**
+ * Build the interpolated risk surface for a mine from its sensors' latest predictions
+ * @param {Object} mine - Mine document
+ * @param {Object} options - { cellSize, power }
+ * @returns {Promise<Object>} GeoJSON FeatureCollection with surface metadata in `properties`
+ */
+async function buildMineRiskSurface(mine, options = {}) {
+  const zoneIds = await Zone.distinct('zoneId', { mineId: mine.mineId });
+  const sensors = await Sensor.find({
+    'mineGrid.zone': { $in: zoneIds },
+    status: { $in: ['ACTIVE', 'ERROR'] }
+  }).select('sensorId location').lean();
+
+  const latest = sensors.length > 0
+    ? await SensorReading.getLatestForSensors(sensors.map(s => s.sensorId))
+    : [];
+  const predictions = new Map(latest.map(r => [r._id, r]));
+
+  const points = sensors
+    .filter(sensor => RISK_SCORE[predictions.get(sensor.sensorId)?.riskPrediction?.level] !== undefined)
+    .map(sensor => {
+      const { riskPrediction, timestamp } = predictions.get(sensor.sensorId);
+      return {
+        sensorId: sensor.sensorId,
+        coordinates: sensor.location.coordinates,
+        score: RISK_SCORE[riskPrediction.level],
+        confidence: riskPrediction.confidence,
+        timestamp
+      };
+    });
+
+  const surface = interpolateRiskGrid(points, mine.boundary, options);
+  surface.properties = {
+    mineId: mine.mineId,
+    cellSize: options.cellSize || DEFAULT_CELL_SIZE,
+    power: options.power || DEFAULT_POWER,
+    method: 'IDW',
+    sensorCount: points.length,
+    sensors: points.map(({ sensorId, score, confidence, timestamp }) => ({ sensorId, score, confidence, timestamp })),
+    generatedAt: new Date()
+  };
+
+  return surface;
+}
+
+module.exports = {
+  RISK_SCORE,
+  RiskSurfaceError,
+  scoreToLevel,
+  idwAt,
+  interpolateRiskGrid,
+  buildMineRiskSurface
+};
@@ -0,0 +1,226 @@
+const Sensor = require('../models/Sensor');
+const Alert = require('../models/Alert');
+const alertService = require('./alertService');
+const assetTracking = require('./assetTracking');
+
+const LOW_BATTERY_WARNING = 20; // percent
+const LOW_BATTERY_CRITICAL = 10; // percent
+const MISSED_INTERVALS_WARNING = 2;
+const MISSED_INTERVALS_CRITICAL = 5; // Sensor is considered silent after this many missed intervals
+const MONITOR_USER = 'system:health-monitor';
+
+/**
+ * Evaluate a sensor's health from its battery level and reading recency
+ * @param {Object} sensor - Sensor document
+ * @param {Date|null} lastReadingAt - Timestamp of the sensor's latest reading
+ * @param {Date} now - Reference time
+ * @returns {Object} { healthStatus, issues, silent, lowBattery, minutesSinceReading }
+ */
+function evaluateSensorHealth(sensor, lastReadingAt, now = new Date()) {
+  let healthStatus = 'HEALTHY';
+  const issues = [];
+  const expectedInterval = sensor.configuration?.readingInterval || 300000; // 5 minutes default
+
+  // Check battery level
+  const lowBattery = sensor.batteryLevel < LOW_BATTERY_WARNING;
+  if (lowBattery) {
+    healthStatus = sensor.batteryLevel < LOW_BATTERY_CRITICAL ? 'CRITICAL' : 'WARNING';
+    issues.push(`Low battery: ${sensor.batteryLevel}%`);
+  }
+
+  // Check last reading time
+  let silent = false;
+  let minutesSinceReading = null;
+  if (lastReadingAt) {
+    const timeSinceLastReading = now - lastReadingAt;
+    minutesSinceReading = Math.floor(timeSinceLastReading / 60000);
+
+    if (timeSinceLastReading > expectedInterval * MISSED_INTERVALS_WARNING) {
+      healthStatus = healthStatus === 'CRITICAL' ? 'CRITICAL' : 'WARNING';
+      issues.push(`No recent readings (last: ${minutesSinceReading} minutes ago)`);
+    }
+
+    if (timeSinceLastReading > expectedInterval * MISSED_INTERVALS_CRITICAL) {
+      healthStatus = 'CRITICAL';
+      silent = true;
+    }
+  } else {
+    healthStatus = 'CRITICAL';
+    issues.push('No readings available');
+
+    // Give newly installed sensors the same grace period before calling them silent
+    const installedAt = sensor.installationDate || sensor.createdAt;
+    silent = !installedAt || now - installedAt > expectedInterval * MISSED_INTERVALS_CRITICAL;
+  }
+
+  // Check sensor status
+  if (sensor.status !== 'ACTIVE') {
+    healthStatus = healthStatus === 'CRITICAL' ? 'CRITICAL' : 'WARNING';
+    issues.push(`Sensor status: ${sensor.status}`);
+  }
+
+  return { healthStatus, issues, silent, lowBattery, minutesSinceReading };
+}
+
+class SensorHealthMonitor {
+  constructor(io) {
+    this.io = io;
+    this.intervalId = null;
+    this.checkInterval = parseInt(process.env.SENSOR_HEALTH_CHECK_INTERVAL_MS) || 60000;
+  }
+
+  start() {
+    if (this.intervalId) return;
+
+    this.intervalId = setInterval(async () => {
+      try {
+        await this.checkAllSensors();
+      } catch (error) {
+        console.error('❌ Error in sensor health check:', error);
+      }
+    }, this.checkInterval);
+
+    console.log(`🩺 Sensor health monitor started (every ${this.checkInterval / 1000}s)`);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * Evaluate every monitored sensor (INACTIVE and MAINTENANCE sensors are expected to be quiet)
+   * @returns {Promise<Object>} Summary counts
+   */
+  async checkAllSensors() {
+    const sensors = await Sensor.find({ status: { $in: ['ACTIVE', 'ERROR'] } });
+    const summary = { checked: sensors.length, failed: 0, recovered: 0, alerts: 0 };
+
+    for (const sensor of sensors) {
+      try {
+        const result = await this.checkSensor(sensor);
+        if (result.failed) summary.failed++;
+        if (result.recovered) summary.recovered++;
+        if (result.alert) summary.alerts++;
+      } catch (error) {
+        console.error(`❌ Health check failed for ${sensor.sensorId}:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Apply health transitions for one sensor
+   * @param {Object} sensor - Sensor document
+   * @returns {Promise<Object>} { health, failed, recovered, alert }
+   */
+  async checkSensor(sensor, now = new Date()) {
+    const health = evaluateSensorHealth(sensor, sensor.lastReading, now);
+    const result = { health, failed: false, recovered: false, alert: null };
+    const previousStatus = sensor.status;
+
+    // Only move sensors the monitor itself put into ERROR back to ACTIVE
+    if (health.silent && sensor.status === 'ACTIVE') {
+      sensor.status = 'ERROR';
+      sensor.health.errorSetByMonitor = true;
+      result.failed = true;
+    } else if (!health.silent && sensor.status === 'ERROR' && sensor.health?.errorSetByMonitor) {
+      sensor.status = 'ACTIVE';
+      sensor.health.errorSetByMonitor = false;
+      result.recovered = true;
+    }
+
+    sensor.health.status = health.healthStatus;
+    sensor.health.issues = health.issues;
+    sensor.health.checkedAt = now;
+    await sensor.save();
+
+    if (sensor.status !== previousStatus) {
+      console.log(`🩺 Sensor ${sensor.sensorId} ${previousStatus} -> ${sensor.status}: ${health.issues.join('; ') || 'healthy'}`);
+      this.io?.broadcastSensorStatus({
+        sensorId: sensor.sensorId,
+        status: sensor.status,
+        previousStatus,
+        healthStatus: health.healthStatus,
+        issues: health.issues,
+        changedBy: MONITOR_USER
+      });
+    }
+
+    if (health.silent || health.lowBattery) {
+      result.alert = await this.raiseEquipmentAlert(sensor, health);
+    } else {
+      await this.resolveEquipmentAlerts(sensor);
+    }
+
+    return result;
+  }
+
+  /**
+   * Raise (or update) the sensor's EQUIPMENT_FAILURE alert
+   * @param {Object} sensor - Sensor document
+   * @param {Object} health - Result of evaluateSensorHealth
+   * @returns {Promise<Object|null>} Alert, or null when suppressed
+   */
+  async raiseEquipmentAlert(sensor, health) {
+    const critical = health.silent || sensor.batteryLevel < LOW_BATTERY_CRITICAL;
+
+    const { alert } = await alertService.raiseAlert({
+      sensorId: sensor.sensorId,
+      riskLevel: critical ? 'HIGH' : 'MEDIUM',
+      confidence: 1,
+      priority: critical ? 'HIGH' : 'MEDIUM',
+      alertType: 'EQUIPMENT_FAILURE',
+      affectedArea: {
+        radius: 50,
+        riskZone: 'IMMEDIATE'
+      },
+      metadata: {
+        healthIssues: health.issues
+      }
+    }, { sensor, io: this.io, createdBy: MONITOR_USER });
+
+    return alert;
+  }
+
+  /**
+   * Resolve open EQUIPMENT_FAILURE alerts once the sensor is healthy again
+   * @param {Object} sensor - Sensor document
+   * @returns {Promise<number>} Number of alerts resolved
+   */
+  async resolveEquipmentAlerts(sensor) {
+    const alerts = await Alert.find({
+      sensorId: sensor.sensorId,
+      alertType: 'EQUIPMENT_FAILURE',
+      status: { $in: ['ACTIVE', 'ACKNOWLEDGED'] }
+    });
+
+    for (const alert of alerts) {
+      // Alerts are acknowledged before they can be resolved
+      if (alert.status === 'ACTIVE') {
+        await alert.acknowledge(MONITOR_USER);
+      }
+      await alert.resolve(MONITOR_USER, 'RESOLVED', 'Sensor recovered');
+      console.log(`✅ Auto-resolved ${alert.alertId}: ${sensor.sensorId} recovered`);
+
+      this.io?.emit('alert-resolved', {
+        alertId: alert.alertId,
+        resolvedBy: MONITOR_USER,
+        resolution: 'RESOLVED',
+        resolvedAt: alert.resolvedAt
+      });
+
+      await assetTracking.clearAlertHazard(alert.alertId, this.io);
+    }
+
+    return alerts.length;
+  }
+}
+
+module.exports = {
+  SensorHealthMonitor,
+  evaluateSensorHealth
+};
@@ -0,0 +1,387 @@
+const Joi = require('joi');
+const Sensor = require('../models/Sensor');
+const Zone = require('../models/Zone');
+
+const SENSOR_TYPES = ['GEOLOGICAL', 'WEATHER', 'SEISMIC', 'COMBINED'];
+const CSV_COLUMNS = ['sensorId', 'name', 'lat', 'lng', 'zone', 'gridX', 'gridY', 'sensorType', 'readingInterval', 'batteryLevel', 'status'];
+const MAX_IMPORT_SIZE = 5000;
+
+// Validation schemas
+const sensorValidationSchema = Joi.object({
+  sensorId: Joi.string().required().trim().uppercase(),
+  name: Joi.string().required().trim().max(100),
+  location: Joi.object({
+    coordinates: Joi.array().items(Joi.number()).length(2).required()
+  }).required(),
+  mineGrid: Joi.object({
+    x: Joi.number().required(),
+    y: Joi.number().required(),
+    zone: Joi.string().required().trim().uppercase()
+  }).required(),
+  sensorType: Joi.string().valid(...SENSOR_TYPES),
+  configuration: Joi.object({
+    readingInterval: Joi.number().min(60000).max(3600000), // 1 minute to 1 hour
+    alertThresholds: Joi.object({
+      Rainfall_mm: Joi.number().min(0).max(1000),
+      Slope_Angle: Joi.number().min(0).max(90),
+      Soil_Saturation: Joi.number().min(0).max(1),
+      Vegetation_Cover: Joi.number().min(0).max(1),
+      Earthquake_Activity: Joi.number().min(0).max(10),
+      Proximity_to_Water: Joi.number().min(0),
+      Landslide: Joi.number().min(0).max(1)
+    })
+  }),
+  batteryLevel: Joi.number().min(0).max(100)
+});
+
+// Imports may also set the initial status
+const importValidationSchema = sensorValidationSchema.keys({
+  status: Joi.string().valid('ACTIVE', 'INACTIVE', 'MAINTENANCE', 'ERROR')
+});
+
+class SensorImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SensorImportError';
+    this.status = status;
+  }
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF) into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function isBlankRow(row) {
+  return row.every(value => value.trim() === '');
+}
+
+function toCsvField(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isNaN(number) ? value : number; // Leave non-numbers for validation to report
+}
+
+// Drop undefined keys so optional columns fall back to model defaults
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+/**
+ * Convert flat sensor fields (CSV row or GeoJSON properties) into a sensor document
+ * @param {Object} fields - Flat fields
+ * @param {Array<number>} coordinates - [longitude, latitude]
+ * @returns {Object} Sensor data
+ */
+function buildSensor(fields, coordinates) {
+  const sensor = compact({
+    sensorId: fields.sensorId,
+    name: fields.name,
+    location: { coordinates },
+    mineGrid: {
+      x: toNumber(fields.gridX ?? fields.mineGrid?.x),
+      y: toNumber(fields.gridY ?? fields.mineGrid?.y),
+      zone: fields.zone ?? fields.mineGrid?.zone
+    },
+    sensorType: fields.sensorType,
+    batteryLevel: toNumber(fields.batteryLevel),
+    status: fields.status
+  });
+
+  const configuration = compact({
+    readingInterval: toNumber(fields.readingInterval ?? fields.configuration?.readingInterval),
+    alertThresholds: fields.configuration?.alertThresholds
+  });
+  if (Object.keys(configuration).length > 0) sensor.configuration = configuration;
+
+  return sensor;
+}
+
+/**
+ * Parse a surveyor CSV (header row required, see CSV_COLUMNS) into sensor entries
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Entries: { row, sensor }
+ */
+function parseSensorCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header || isBlankRow(header)) throw new SensorImportError('CSV is empty');
+
+  const columns = header.map(column => column.trim());
+  const missing = ['sensorId', 'name', 'lat', 'lng', 'zone'].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new SensorImportError(`CSV is missing required columns: ${missing.join(', ')}`);
+  }
+
+  return rows
+    .map((values, index) => ({ values, row: index + 2 })) // Row numbers as a spreadsheet shows them
+    .filter(({ values }) => !isBlankRow(values))
+    .map(({ values, row }) => {
+      const fields = Object.fromEntries(columns.map((column, i) => [column, values[i]?.trim()]));
+      return {
+        row,
+        sensor: buildSensor(fields, [toNumber(fields.lng), toNumber(fields.lat)])
+      };
+    });
+}
+
+/**
+ * Parse a GeoJSON FeatureCollection of Point features into sensor entries
+ * @param {Object|string} geojson - FeatureCollection
+ * @returns {Array<Object>} Entries: { row, sensor, error? }
+ */
+function parseSensorGeoJson(geojson) {
+  let collection = geojson;
+  if (typeof collection === 'string') {
+    try {
+      collection = JSON.parse(collection);
+    } catch (error) {
+      throw new SensorImportError('GeoJSON is not valid JSON');
+    }
+  }
+
+  if (collection?.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    throw new SensorImportError('GeoJSON must be a FeatureCollection');
+  }
+
+  return collection.features.map((feature, index) => {
+    const entry = { row: index + 1 };
+    if (feature?.geometry?.type !== 'Point') {
+      entry.sensor = { sensorId: feature?.properties?.sensorId };
+      entry.error = 'Feature geometry must be a Point';
+      return entry;
+    }
+
+    entry.sensor = buildSensor(feature.properties || {}, feature.geometry.coordinates);
+    return entry;
+  });
+}
+
+/**
+ * Validate parsed entries and build the import report
+ * @param {Array<Object>} entries - Parsed entries
+ * @returns {Promise<Object>} Report: { total, valid, invalid, errors, sensors }
+ */
+async function validateEntries(entries) {
+  if (entries.length === 0) throw new SensorImportError('Import contains no sensors');
+  if (entries.length > MAX_IMPORT_SIZE) {
+    throw new SensorImportError(`Import is limited to ${MAX_IMPORT_SIZE} sensors`);
+  }
+
+  const knownZones = new Set(await Zone.distinct('zoneId'));
+  const ids = entries.map(entry => String(entry.sensor.sensorId || '').trim().toUpperCase()).filter(Boolean);
+  const existingIds = new Set(
+    (await Sensor.find({ sensorId: { $in: ids } }).select('sensorId').lean()).map(s => s.sensorId)
+  );
+
+  const seen = new Map(); // sensorId -> first row
+  const errors = [];
+  const sensors = [];
+
+  for (const entry of entries) {
+    const problems = entry.error ? [entry.error] : [];
+    let value = null;
+
+    if (!entry.error) {
+      const result = importValidationSchema.validate(entry.sensor, { abortEarly: false });
+      if (result.error) {
+        problems.push(...result.error.details.map(d => d.message));
+      } else {
+        value = result.value;
+
+        // Run the model's own validators (coordinate ranges, enums)
+        const validationError = new Sensor(value).validateSync();
+        if (validationError) {
+          problems.push(...Object.values(validationError.errors).map(e => e.message));
+        }
+
+        if (!knownZones.has(value.mineGrid.zone)) {
+          problems.push(`Unknown zone: ${value.mineGrid.zone}`);
+        }
+      }
+    }
+
+    const sensorId = value?.sensorId || String(entry.sensor.sensorId || '').trim().toUpperCase();
+    if (sensorId) {
+      if (seen.has(sensorId)) {
+        problems.push(`Duplicate sensorId ${sensorId} (also on row ${seen.get(sensorId)})`);
+      } else {
+        seen.set(sensorId, entry.row);
+      }
+      if (existingIds.has(sensorId)) {
+        problems.push(`Sensor ${sensorId} already exists`);
+      }
+    }
+
+    if (problems.length > 0) {
+      errors.push({ row: entry.row, sensorId: sensorId || null, errors: problems });
+    } else {
+      sensors.push(value);
+    }
+  }
+
+  return {
+    total: entries.length,
+    valid: sensors.length,
+    invalid: errors.length,
+    errors,
+    sensors
+  };
+}
+
+/**
+ * Import sensors from CSV or GeoJSON. Nothing is written unless every entry is valid.
+ * @param {Object} options - { format: 'csv'|'geojson', data, dryRun }
+ * @returns {Promise<Object>} Report (plus created count when applied)
+ */
+async function importSensors({ format, data, dryRun = true }) {
+  let entries;
+  if (format === 'csv') {
+    if (typeof data !== 'string') throw new SensorImportError('CSV data must be a string');
+    entries = parseSensorCsv(data);
+  } else if (format === 'geojson') {
+    entries = parseSensorGeoJson(data);
+  } else {
+    throw new SensorImportError('Format must be csv or geojson');
+  }
+
+  const { sensors, ...report } = await validateEntries(entries);
+  report.dryRun = dryRun;
+  report.created = 0;
+
+  if (dryRun || report.invalid > 0) {
+    report.sensorIds = sensors.map(s => s.sensorId);
+    return report;
+  }
+
+  // Transactions need a replica set, so undo a partial insert by deleting what this import created
+  const documents = sensors.map(sensor => new Sensor(sensor));
+  try {
+    await Sensor.insertMany(documents, { ordered: true });
+  } catch (error) {
+    await Sensor.deleteMany({ _id: { $in: documents.map(d => d._id) } });
+    throw new SensorImportError(`Import rolled back: ${error.message}`, error.code === 11000 ? 409 : 500);
+  }
+
+  report.created = documents.length;
+  report.sensorIds = documents.map(d => d.sensorId);
+  return report;
+}
+
+// Flatten a sensor into CSV_COLUMNS / GeoJSON properties
+function flattenSensor(sensor) {
+  return {
+    sensorId: sensor.sensorId,
+    name: sensor.name,
+    lat: sensor.location.coordinates[1],
+    lng: sensor.location.coordinates[0],
+    zone: sensor.mineGrid?.zone,
+    gridX: sensor.mineGrid?.x,
+    gridY: sensor.mineGrid?.y,
+    sensorType: sensor.sensorType,
+    readingInterval: sensor.configuration?.readingInterval,
+    batteryLevel: sensor.batteryLevel,
+    status: sensor.status
+  };
+}
+
+/**
+ * Export sensors as CSV (same columns the importer reads)
+ * @param {Array<Object>} sensors - Sensor documents
+ * @returns {string} CSV text
+ */
+function sensorsToCsv(sensors) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const sensor of sensors) {
+    const fields = flattenSensor(sensor);
+    lines.push(CSV_COLUMNS.map(column => toCsvField(fields[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Export sensors as a GeoJSON FeatureCollection (importable as-is)
+ * @param {Array<Object>} sensors - Sensor documents
+ * @returns {Object} FeatureCollection
+ */
+function sensorsToGeoJson(sensors) {
+  return {
+    type: 'FeatureCollection',
+    features: sensors.map(sensor => {
+      const { lat, lng, ...properties } = flattenSensor(sensor);
+      return {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [lng, lat] },
+        properties: {
+          ...properties,
+          configuration: {
+            readingInterval: sensor.configuration?.readingInterval,
+            alertThresholds: sensor.configuration?.alertThresholds
+          },
+          lastReading: sensor.lastReading,
+          healthStatus: sensor.health?.status
+        }
+      };
+    })
+  };
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  sensorValidationSchema,
+  SensorImportError,
+  parseCsv,
+  parseSensorCsv,
+  parseSensorGeoJson,
+  validateEntries,
+  importSensors,
+  sensorsToCsv,
+  sensorsToGeoJson
+};
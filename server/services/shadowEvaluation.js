@@ -0,0 +1,211 @@
+const ShadowPrediction = require('../models/ShadowPrediction');
+const { CircuitBreaker, CircuitOpenError } = require('./circuitBreaker');
+
+const LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+const RECENT_DISAGREEMENTS = 10;
+
+// Challenger currently run in shadow: { model, provider, breaker }
+let challenger = null;
+
+/**
+ * Set (or clear, with null) the model run in shadow on every reading
+ * @param {Object|null} entry - { model (ModelVersion document), provider }
+ */
+function setChallenger(entry) {
+  challenger = entry
+    ? { ...entry, breaker: new CircuitBreaker(`shadow:${entry.model.modelId}`) }
+    : null;
+  console.log(entry ? `🧪 Shadow challenger: ${entry.model.modelId}` : '🧪 No shadow challenger');
+}
+
+function getChallenger() {
+  return challenger && {
+    modelId: challenger.model.modelId,
+    circuit: challenger.breaker.getStatus()
+  };
+}
+
+/**
+ * Run the challenger on a reading the champion has already scored and store both predictions
+ * Never throws into ingestion and never touches alerts; callers fire and forget.
+ * @param {Object} reading - Saved SensorReading document
+ * @param {Object} prediction - Champion prediction used for the reading
+ * @returns {Promise<Object|null>} ShadowPrediction, or null without a challenger or while its circuit is open
+ */
+async function runShadow(reading, prediction) {
+  if (!challenger) return null;
+  const { model, provider, breaker } = challenger;
+
+  const startTime = Date.now();
+  let result = null;
+  let challengerError = null;
+  try {
+    result = await breaker.exec(() => provider.predict({
+      sensorId: reading.sensorId,
+      timestamp: reading.timestamp,
+      readings: reading.readings
+    }));
+  } catch (error) {
+    // Skipped readings are not counted as challenger errors
+    if (error instanceof CircuitOpenError) return null;
+    challengerError = error.message;
+  }
+
+  // The challenger may have been swapped while it was predicting
+  if (challenger?.model.modelId !== model.modelId) return null;
+
+  return ShadowPrediction.create({
+    sensorReadingId: reading._id,
+    sensorId: reading.sensorId,
+    timestamp: reading.timestamp,
+    championModel: prediction.aiModelVersion,
+    champion: {
+      level: prediction.level,
+      confidence: prediction.confidence,
+      factors: prediction.factors,
+      latencyMs: prediction.processingTime ?? null
+    },
+    challengerModelId: model.modelId,
+    challengerModel: result ? `${provider.name}:${result.modelVersion}` : null,
+    challenger: {
+      level: result?.level || null,
+      confidence: result?.confidence ?? null,
+      factors: result?.factors || [],
+      latencyMs: Date.now() - startTime
+    },
+    challengerError,
+    agreed: result ? result.level === prediction.level : null
+  });
+}
+
+// Latency percentile by sorting on the field (count is the number of rows with the field set)
+async function latencyPercentile(filter, field, percentile, count) {
+  if (count === 0) return null;
+  const [row] = await ShadowPrediction.find({ ...filter, [field]: { $ne: null } }, { [field]: 1 })
+    .sort({ [field]: 1 })
+    .skip(Math.floor(percentile * (count - 1)))
+    .limit(1)
+    .lean();
+  return row ? field.split('.').reduce((value, key) => value?.[key], row) : null;
+}
+
+async function latencyStats(filter, field) {
+  const count = await ShadowPrediction.countDocuments({ ...filter, [field]: { $ne: null } });
+  const [stats] = await ShadowPrediction.aggregate([
+    { $match: { ...filter, [field]: { $ne: null } } },
+    { $group: { _id: null, avg: { $avg: `$${field}` }, max: { $max: `$${field}` } } }
+  ]);
+  return {
+    avg: stats ? Math.round(stats.avg * 10) / 10 : null,
+    p50: await latencyPercentile(filter, field, 0.5, count),
+    p95: await latencyPercentile(filter, field, 0.95, count),
+    max: stats?.max ?? null
+  };
+}
+
+/**
+ * Compare a challenger with the champion predictions it shadowed
+ * @param {Object} options - { challengerModelId (default: current challenger), startDate, endDate }
+ * @returns {Promise<Object|null>} Comparison, or null when there is no challenger to compare
+ */
+async function compareModels({ challengerModelId, startDate, endDate } = {}) {
+  const modelId = challengerModelId || challenger?.model.modelId;
+  if (!modelId) return null;
+
+  const filter = { challengerModelId: modelId };
+  if (startDate || endDate) {
+    filter.timestamp = {};
+    if (startDate) filter.timestamp.$gte = new Date(startDate);
+    if (endDate) filter.timestamp.$lte = new Date(endDate);
+  }
+
+  const [[summary], cells, championLatency, challengerLatency, recentDisagreements] = await Promise.all([
+    ShadowPrediction.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          errors: { $sum: { $cond: [{ $ne: ['$challengerError', null] }, 1, 0] } },
+          agreed: { $sum: { $cond: ['$agreed', 1, 0] } },
+          from: { $min: '$timestamp' },
+          to: { $max: '$timestamp' },
+          championModels: { $addToSet: '$championModel' },
+          challengerModels: { $addToSet: '$challengerModel' }
+        }
+      }
+    ]),
+    ShadowPrediction.aggregate([
+      { $match: { ...filter, challengerError: null } },
+      { $group: { _id: { champion: '$champion.level', challenger: '$challenger.level' }, count: { $sum: 1 } } }
+    ]),
+    latencyStats(filter, 'champion.latencyMs'),
+    latencyStats({ ...filter, challengerError: null }, 'challenger.latencyMs'),
+    ShadowPrediction.find({ ...filter, agreed: false }).sort({ timestamp: -1 }).limit(RECENT_DISAGREEMENTS).lean()
+  ]);
+
+  // Rows are the champion's level, columns the challenger's
+  const confusionMatrix = {};
+  for (const row of LEVELS) {
+    confusionMatrix[row] = Object.fromEntries(LEVELS.map(column => [column, 0]));
+  }
+  for (const { _id, count } of cells) {
+    if (confusionMatrix[_id.champion] && _id.challenger in confusionMatrix[_id.champion]) {
+      confusionMatrix[_id.champion][_id.challenger] = count;
+    }
+  }
+
+  let higher = 0;
+  let lower = 0;
+  for (const [row, columns] of Object.entries(confusionMatrix)) {
+    for (const [column, count] of Object.entries(columns)) {
+      if (LEVELS.indexOf(column) > LEVELS.indexOf(row)) higher += count;
+      if (LEVELS.indexOf(column) < LEVELS.indexOf(row)) lower += count;
+    }
+  }
+
+  const total = summary?.total || 0;
+  const errors = summary?.errors || 0;
+  const compared = total - errors;
+  const rate = (count, of) => (of > 0 ? Math.round((count / of) * 1000) / 1000 : null);
+
+  return {
+    challengerModelId: modelId,
+    isCurrentChallenger: challenger?.model.modelId === modelId,
+    window: { from: summary?.from || null, to: summary?.to || null },
+    championModels: summary?.championModels || [],
+    challengerModels: (summary?.challengerModels || []).filter(Boolean),
+    total,
+    compared,
+    errors,
+    errorRate: rate(errors, total),
+    agreementRate: rate(summary?.agreed || 0, compared),
+    confusionMatrix,
+    challengerHigher: higher,
+    challengerLower: lower,
+    // HIGH is what raises AI alerts, so these are the disagreements that would change alerting
+    high: {
+      championOnly: confusionMatrix.HIGH.LOW + confusionMatrix.HIGH.MEDIUM,
+      challengerOnly: confusionMatrix.LOW.HIGH + confusionMatrix.MEDIUM.HIGH,
+      both: confusionMatrix.HIGH.HIGH
+    },
+    latency: {
+      champion: championLatency,
+      challenger: challengerLatency
+    },
+    recentDisagreements: recentDisagreements.map(row => ({
+      sensorReadingId: row.sensorReadingId,
+      sensorId: row.sensorId,
+      timestamp: row.timestamp,
+      champion: row.champion,
+      challenger: row.challenger
+    }))
+  };
+}
+
+module.exports = {
+  setChallenger,
+  getChallenger,
+  runShadow,
+  compareModels
+};
@@ -0,0 +1,164 @@
+const TrainingExample = require('../models/TrainingExample');
+const SensorReading = require('../models/SensorReading');
+const { aiService } = require('./aiService');
+
+const DEFAULT_EXPORT_LIMIT = 10000;
+const MAX_EXPORT_LIMIT = 100000;
+
+/**
+ * Record an operator's resolution of an alert as a labelled training example
+ * Alerts without a triggering reading (equipment failures) and automatic resolutions are skipped.
+ * @param {Object} alert - Resolved alert document
+ * @param {string|null} notes - Resolution notes
+ * @returns {Promise<Object|null>} Saved example, or null when the alert is not usable for training
+ */
+async function recordResolution(alert, notes = null) {
+  if (!alert.sensorReadingId || !alert.resolvedBy || alert.resolvedBy.startsWith('system:')) {
+    return null;
+  }
+
+  const reading = await SensorReading.findById(alert.sensorReadingId).lean();
+  if (!reading) {
+    console.warn(`⚠️ Reading for ${alert.alertId} no longer exists; no training example recorded`);
+    return null;
+  }
+
+  const example = {
+    sensorReadingId: reading._id,
+    sensorId: alert.sensorId,
+    alertType: alert.alertType,
+    label: alert.status === 'FALSE_POSITIVE' ? 'FALSE_POSITIVE' : 'HAZARD',
+    notes: notes || null,
+    labeledBy: alert.resolvedBy,
+    labeledAt: alert.resolvedAt || new Date(),
+    readingTimestamp: reading.timestamp,
+    readings: reading.readings,
+    prediction: {
+      level: reading.riskPrediction?.level,
+      confidence: reading.riskPrediction?.confidence,
+      factors: reading.riskPrediction?.factors || [],
+      falsePositiveProbability: alert.metadata?.falsePositiveProbability ?? null
+    },
+    aiModelVersion: alert.metadata?.aiModelVersion || reading.riskPrediction?.aiModelVersion || 'unknown'
+  };
+
+  const saved = await TrainingExample.findOneAndUpdate(
+    { alertId: alert.alertId },
+    { $set: example },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  console.log(`🏷️ Training example for ${alert.alertId}: ${example.label} (model ${example.aiModelVersion})`);
+  return saved;
+}
+
+/**
+ * Remove an alert's label while it is reopened; resolving it again records a new one
+ * @param {string} alertId - Alert ID
+ * @returns {Promise<boolean>} Whether a label was removed
+ */
+async function withdrawLabel(alertId) {
+  const result = await TrainingExample.deleteOne({ alertId });
+  return result.deletedCount > 0;
+}
+
+// Filter for examples by labelling time, model version and label
+function buildFilter({ startDate, endDate, modelVersion, label } = {}) {
+  const filter = {};
+  if (startDate || endDate) {
+    filter.labeledAt = {};
+    if (startDate) filter.labeledAt.$gte = new Date(startDate);
+    if (endDate) filter.labeledAt.$lte = new Date(endDate);
+  }
+  if (modelVersion) filter.aiModelVersion = modelVersion;
+  if (label) filter.label = label;
+  return filter;
+}
+
+/**
+ * Training dataset row in the AI service's request format plus the label
+ * @param {Object} example - TrainingExample document
+ * @returns {Object} { sensor_id, timestamp, features, label, ... }
+ */
+function toDatasetRow(example) {
+  return {
+    ...aiService.formatPredictionPayload({
+      sensorId: example.sensorId,
+      readings: example.readings,
+      timestamp: new Date(example.readingTimestamp).toISOString()
+    }),
+    label: example.label,
+    is_hazard: example.label === 'HAZARD' ? 1 : 0,
+    alert_id: example.alertId,
+    alert_type: example.alertType,
+    model_version: example.aiModelVersion,
+    predicted_level: example.prediction?.level || null,
+    predicted_confidence: example.prediction?.confidence ?? null,
+    labeled_by: example.labeledBy,
+    labeled_at: new Date(example.labeledAt).toISOString(),
+    notes: example.notes
+  };
+}
+
+/**
+ * Cursor over dataset rows, oldest reading first
+ * @param {Object} options - { startDate, endDate, modelVersion, label, limit }
+ * @returns {Object} Mongoose query cursor; map rows with toDatasetRow
+ */
+function datasetCursor({ limit = DEFAULT_EXPORT_LIMIT, ...filters } = {}) {
+  const max = Math.min(Math.max(parseInt(limit) || DEFAULT_EXPORT_LIMIT, 1), MAX_EXPORT_LIMIT);
+  return TrainingExample.find(buildFilter(filters))
+    .sort({ readingTimestamp: 1 })
+    .limit(max)
+    .lean()
+    .cursor();
+}
+
+/**
+ * Precision and false-positive rate per model version
+ * Only alerted readings are labelled, so both rates are over alerts the model raised:
+ * precision = hazards / labelled, falsePositiveRate = false positives / labelled.
+ * @param {Object} filters - { startDate, endDate }
+ * @returns {Promise<Array<Object>>} { modelVersion, labeled, hazards, falsePositives, precision, falsePositiveRate, ... }
+ */
+async function getModelStats(filters = {}) {
+  const stats = await TrainingExample.aggregate([
+    { $match: buildFilter(filters) },
+    {
+      $group: {
+        _id: '$aiModelVersion',
+        labeled: { $sum: 1 },
+        hazards: { $sum: { $cond: [{ $eq: ['$label', 'HAZARD'] }, 1, 0] } },
+        falsePositives: { $sum: { $cond: [{ $eq: ['$label', 'FALSE_POSITIVE'] }, 1, 0] } },
+        avgConfidenceHazard: { $avg: { $cond: [{ $eq: ['$label', 'HAZARD'] }, '$prediction.confidence', null] } },
+        avgConfidenceFalsePositive: { $avg: { $cond: [{ $eq: ['$label', 'FALSE_POSITIVE'] }, '$prediction.confidence', null] } },
+        firstLabeledAt: { $min: '$labeledAt' },
+        lastLabeledAt: { $max: '$labeledAt' }
+      }
+    },
+    { $sort: { lastLabeledAt: -1 } }
+  ]);
+
+  const round = (value) => (value === null || value === undefined ? null : Math.round(value * 1000) / 1000);
+
+  return stats.map(({ _id, labeled, hazards, falsePositives, avgConfidenceHazard, avgConfidenceFalsePositive, firstLabeledAt, lastLabeledAt }) => ({
+    modelVersion: _id,
+    labeled,
+    hazards,
+    falsePositives,
+    precision: round(hazards / labeled),
+    falsePositiveRate: round(falsePositives / labeled),
+    avgConfidenceHazard: round(avgConfidenceHazard),
+    avgConfidenceFalsePositive: round(avgConfidenceFalsePositive),
+    firstLabeledAt,
+    lastLabeledAt
+  }));
+}
+
+module.exports = {
+  recordResolution,
+  withdrawLabel,
+  toDatasetRow,
+  datasetCursor,
+  getModelStats,
+  MAX_EXPORT_LIMIT
+};
@@ -0,0 +1,51 @@
+const axios = require('axios');
+
+/**
+ * SMS transport that posts messages to an HTTP SMS gateway
+ * Gateway contract: POST { to, message, reference } -> { id, status }
+ */
+class SmsTransport {
+  constructor(options = {}) {
+    this.channel = 'SMS';
+    this.url = options.url || process.env.SMS_GATEWAY_URL;
+    this.apiKey = options.apiKey || process.env.SMS_GATEWAY_API_KEY;
+    this.client = axios.create({
+      timeout: parseInt(options.timeout || process.env.SMS_GATEWAY_TIMEOUT) || 10000,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      }
+    });
+  }
+
+  isConfigured() {
+    return !!this.url;
+  }
+
+  /**
+   * Send an SMS
+   * @param {Object} message - { recipient, text, reference }
+   * @returns {Promise<Object>} Delivery result
+   */
+  async send({ recipient, text, reference }) {
+    const response = await this.client.post(this.url, {
+      to: recipient,
+      // Keep to a single 160-character segment
+      message: text.length > 160 ? `${text.substring(0, 157)}...` : text,
+      reference
+    });
+
+    const gatewayStatus = String(response.data?.status || '').toUpperCase();
+
+    if (gatewayStatus === 'FAILED') {
+      throw new Error(response.data?.error || 'SMS gateway reported failure');
+    }
+
+    return {
+      status: gatewayStatus === 'DELIVERED' ? 'DELIVERED' : 'SENT',
+      providerId: response.data?.id || null
+    };
+  }
+}
+
+module.exports = SmsTransport;
@@ -0,0 +1,55 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * EMAIL transport backed by an SMTP server (works against any SMTP relay or a local fake SMTP server)
+ */
+class SmtpTransport {
+  constructor(options = {}) {
+    this.channel = 'EMAIL';
+    this.host = options.host || process.env.SMTP_HOST;
+    this.port = parseInt(options.port || process.env.SMTP_PORT) || 587;
+    this.secure = options.secure !== undefined ? !!options.secure : process.env.SMTP_SECURE === 'true';
+    this.user = options.user || process.env.SMTP_USER;
+    this.pass = options.pass || process.env.SMTP_PASS;
+    this.from = options.from || process.env.SMTP_FROM || 'GeoSafe AI <alerts@geosafe.local>';
+
+    this.transporter = this.host
+      ? nodemailer.createTransport({
+          host: this.host,
+          port: this.port,
+          secure: this.secure,
+          auth: this.user ? { user: this.user, pass: this.pass } : undefined,
+          // Plain-text relays and local test servers may not offer STARTTLS
+          ignoreTLS: !this.secure && !this.user,
+          connectionTimeout: 10000
+        })
+      : null;
+  }
+
+  isConfigured() {
+    return !!this.transporter;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { recipient, subject, text }
+   * @returns {Promise<Object>} Delivery result
+   */
+  async send({ recipient, subject, text }) {
+    const info = await this.transporter.sendMail({
+      from: this.from,
+      to: recipient,
+      subject,
+      text
+    });
+
+    if (info.rejected && info.rejected.length > 0) {
+      throw new Error(`SMTP server rejected recipient ${info.rejected.join(', ')}`);
+    }
+
+    // SMTP acceptance does not confirm inbox delivery
+    return { status: 'SENT', providerId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
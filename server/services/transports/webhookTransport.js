@@ -0,0 +1,47 @@
+const axios = require('axios');
+
+/**
+ * WEBHOOK transport that posts alert events as JSON to an HTTP endpoint
+ */
+class WebhookTransport {
+  constructor(options = {}) {
+    this.channel = 'WEBHOOK';
+    this.url = options.url || process.env.ALERT_WEBHOOK_URL;
+    this.secret = options.secret || process.env.ALERT_WEBHOOK_SECRET;
+    this.client = axios.create({
+      timeout: parseInt(options.timeout || process.env.ALERT_WEBHOOK_TIMEOUT) || 10000,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'GeoSafe-AI-Backend/1.0',
+        ...(this.secret ? { 'X-GeoSafe-Secret': this.secret } : {})
+      }
+    });
+  }
+
+  isConfigured() {
+    return !!this.url;
+  }
+
+  // The webhook has a single fixed recipient: its URL
+  getDefaultRecipient() {
+    return this.url;
+  }
+
+  /**
+   * Post an event to the webhook
+   * @param {Object} message - { recipient, subject, text, payload }
+   * @returns {Promise<Object>} Delivery result
+   */
+  async send({ recipient, subject, text, payload }) {
+    await this.client.post(recipient || this.url, {
+      subject,
+      text,
+      ...payload
+    });
+
+    // A 2xx response means the endpoint received the event
+    return { status: 'DELIVERED', providerId: null };
+  }
+}
+
+module.exports = WebhookTransport;
@@ -0,0 +1,283 @@
+const SensorReading = require('../models/SensorReading');
+const alertService = require('./alertService');
+
+// Features whose trend is reported; forecast features are treated as deformation (failure is approached as they rise)
+const TREND_FEATURES = {
+  Slope_Angle: { forecast: true },
+  Landslide: { forecast: true },
+  Soil_Saturation: { forecast: false },
+  Rainfall_mm: { forecast: false },
+  Earthquake_Activity: { forecast: false }
+};
+
+const DEFAULT_WINDOW_HOURS = parseFloat(process.env.TREND_WINDOW_HOURS) || 24;
+const DEFAULT_BUCKET_MINUTES = 30;
+const MAX_WINDOW_HOURS = 168;
+const MAX_READINGS = 5000;
+// Alert when the earliest projected failure time is within this many hours
+const FORECAST_HORIZON_HOURS = parseFloat(process.env.TREND_FORECAST_HORIZON_HOURS) || 48;
+// Minimum time between trend checks of one sensor during ingestion
+const CHECK_INTERVAL_MS = parseInt(process.env.TREND_CHECK_INTERVAL_MS) || 5 * 60 * 1000;
+const MIN_FIT_POINTS = 5;
+const MIN_FIT_R2 = 0.6;
+const Z_95 = 1.96;
+const TREND_USER = 'system:trend-analysis';
+
+const HOUR_MS = 60 * 60 * 1000;
+const round = (value, digits = 4) => (value === null || !isFinite(value) ? null : Number(value.toFixed(digits)));
+
+/**
+ * Ordinary least-squares line through points
+ * @param {Array<Object>} points - { x, y }
+ * @returns {Object|null} { slope, intercept, r2, residualStd, n, meanX, sxx }, or null with fewer than 2 distinct x
+ */
+function linearFit(points) {
+  const n = points.length;
+  if (n < 2) return null;
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (const { x, y } of points) {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (y - meanY);
+    syy += (y - meanY) ** 2;
+  }
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const residualSS = Math.max(syy - slope * sxy, 0);
+
+  return {
+    slope,
+    intercept,
+    r2: syy > 0 ? 1 - residualSS / syy : null,
+    residualStd: n > 2 ? Math.sqrt(residualSS / (n - 2)) : 0,
+    n,
+    meanX,
+    sxx
+  };
+}
+
+// Average readings into fixed buckets to damp sensor noise; x is hours since the window start
+function bucketize(readings, start, bucketMs) {
+  const buckets = new Map();
+
+  for (const { timestamp, readings: values } of readings) {
+    const index = Math.floor((new Date(timestamp) - start) / bucketMs);
+    if (!buckets.has(index)) buckets.set(index, { time: 0, count: 0, sums: {}, counts: {} });
+    const bucket = buckets.get(index);
+    bucket.time += new Date(timestamp).getTime();
+    bucket.count++;
+    for (const feature of Object.keys(TREND_FEATURES)) {
+      if (typeof values?.[feature] === 'number') {
+        bucket.sums[feature] = (bucket.sums[feature] || 0) + values[feature];
+        bucket.counts[feature] = (bucket.counts[feature] || 0) + 1;
+      }
+    }
+  }
+
+  return [...buckets.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([, bucket]) => ({
+      x: (bucket.time / bucket.count - start) / HOUR_MS,
+      values: Object.fromEntries(Object.keys(bucket.sums).map(f => [f, bucket.sums[f] / bucket.counts[f]]))
+    }));
+}
+
+// Velocity between consecutive buckets, placed at their midpoint (units per hour)
+function velocities(series) {
+  const result = [];
+  for (let i = 1; i < series.length; i++) {
+    const dt = series[i].x - series[i - 1].x;
+    if (dt > 0) {
+      result.push({ x: (series[i].x + series[i - 1].x) / 2, y: (series[i].y - series[i - 1].y) / dt });
+    }
+  }
+  return result;
+}
+
+/**
+ * Inverse-velocity (Fukuzono) failure forecast
+ * As a slope accelerates towards failure, 1/velocity falls roughly linearly and reaches zero at failure.
+ * A line is fitted to 1/v of the positive velocities; its x-intercept is the projected failure time and
+ * the 95% interval of that intercept is the failure window.
+ * @param {Array<Object>} velocitySeries - { x (hours), y (velocity) }
+ * @param {number} start - Window start (ms)
+ * @param {number} now - Current time (ms)
+ * @returns {Object} { status, ... } ACCELERATING with failureTime/window, or NOT_ACCELERATING, UNRELIABLE, OVERDUE, INSUFFICIENT_DATA
+ */
+function inverseVelocityForecast(velocitySeries, start, now) {
+  const points = velocitySeries
+    .filter(({ y }) => y > 0)
+    .map(({ x, y }) => ({ x, y: 1 / y }));
+
+  if (points.length < MIN_FIT_POINTS) {
+    return { status: 'INSUFFICIENT_DATA', points: points.length };
+  }
+
+  const fit = linearFit(points);
+  if (!fit) {
+    return { status: 'INSUFFICIENT_DATA', points: points.length };
+  }
+
+  const summary = { points: fit.n, slope: round(fit.slope, 6), intercept: round(fit.intercept, 6), r2: round(fit.r2, 3) };
+
+  // 1/v not falling: the movement is steady or slowing down
+  if (fit.slope >= 0) {
+    return { status: 'NOT_ACCELERATING', ...summary };
+  }
+  if (fit.r2 === null || fit.r2 < MIN_FIT_R2) {
+    return { status: 'UNRELIABLE', ...summary };
+  }
+
+  const failureX = -fit.intercept / fit.slope;
+  const se = (fit.residualStd / Math.abs(fit.slope)) * Math.sqrt(1 / fit.n + (failureX - fit.meanX) ** 2 / fit.sxx);
+  const toTime = (x) => new Date(start + x * HOUR_MS);
+  const hoursToFailure = round((start + failureX * HOUR_MS - now) / HOUR_MS, 2);
+
+  // The projected failure time has passed without a failure, so the fit no longer describes the movement
+  if (hoursToFailure <= 0) {
+    return { status: 'OVERDUE', ...summary, failureTime: toTime(failureX), hoursToFailure };
+  }
+
+  return {
+    status: 'ACCELERATING',
+    ...summary,
+    failureTime: toTime(failureX),
+    window: {
+      earliest: toTime(failureX - Z_95 * se),
+      latest: toTime(failureX + Z_95 * se)
+    },
+    hoursToFailure,
+    hoursToWindow: round((start + (failureX - Z_95 * se) * HOUR_MS - now) / HOUR_MS, 2)
+  };
+}
+
+/**
+ * Trend of each key feature for a sensor, with inverse-velocity failure forecasts
+ * @param {string} sensorId - Sensor ID
+ * @param {Object} options - { hours (max 168), bucketMinutes, now }
+ * @returns {Promise<Object>} { sensorId, window, readings, features, forecast, horizonHours, withinHorizon }
+ */
+async function analyzeSensorTrend(sensorId, { hours = DEFAULT_WINDOW_HOURS, bucketMinutes = DEFAULT_BUCKET_MINUTES, now = new Date() } = {}) {
+  const windowHours = Math.min(Math.max(parseFloat(hours) || DEFAULT_WINDOW_HOURS, 1), MAX_WINDOW_HOURS);
+  const bucketMs = Math.max(parseInt(bucketMinutes) || DEFAULT_BUCKET_MINUTES, 1) * 60 * 1000;
+  const end = new Date(now).getTime();
+  const start = end - windowHours * HOUR_MS;
+
+  // Newest readings first so a capped window keeps the most recent data; anomalous readings are left out
+  const readings = (await SensorReading.find(
+    { sensorId, timestamp: { $gte: new Date(start), $lte: new Date(end) }, 'dataQuality.flagged': { $ne: true } },
+    { timestamp: 1, readings: 1 }
+  ).sort({ timestamp: -1 }).limit(MAX_READINGS).lean()).reverse();
+
+  const buckets = bucketize(readings, start, bucketMs);
+  const features = {};
+  let forecast = null;
+
+  for (const [feature, { forecast: forecastable }] of Object.entries(TREND_FEATURES)) {
+    const series = buckets
+      .filter(bucket => bucket.values[feature] !== undefined)
+      .map(bucket => ({ x: bucket.x, y: bucket.values[feature] }));
+    const velocitySeries = velocities(series);
+    const rate = linearFit(series);
+    const acceleration = linearFit(velocitySeries);
+
+    features[feature] = {
+      latest: series.length > 0 ? round(series[series.length - 1].y) : null,
+      ratePerHour: rate ? round(rate.slope, 6) : null,
+      accelerationPerHour2: acceleration ? round(acceleration.slope, 6) : null,
+      samples: series.length
+    };
+
+    if (forecastable) {
+      features[feature].forecast = inverseVelocityForecast(velocitySeries, start, end);
+      const candidate = features[feature].forecast;
+      // The earliest projected failure across features is the sensor's forecast
+      if (candidate.status === 'ACCELERATING' && (!forecast || candidate.window.earliest < forecast.window.earliest)) {
+        forecast = { feature, ...candidate };
+      }
+    }
+  }
+
+  return {
+    sensorId,
+    window: { start: new Date(start), end: new Date(end), hours: windowHours, bucketMinutes: bucketMs / 60000 },
+    readings: readings.length,
+    buckets: buckets.length,
+    features,
+    forecast,
+    horizonHours: FORECAST_HORIZON_HOURS,
+    withinHorizon: !!forecast && forecast.hoursToFailure > 0 && forecast.hoursToWindow <= FORECAST_HORIZON_HOURS
+  };
+}
+
+// When each sensor was last checked during ingestion
+const lastChecked = new Map();
+
+/**
+ * Check a sensor's trend (at most once per TREND_CHECK_INTERVAL_MS) and alert when failure is projected within the horizon
+ * @param {Object} sensor - Sensor document
+ * @param {Object} reading - Reading that prompted the check
+ * @param {Object} io - Socket.IO server
+ * @returns {Promise<Object|null>} Raised alert, or null
+ */
+async function checkSensorTrend(sensor, reading, io) {
+  const now = Date.now();
+  if (now - (lastChecked.get(sensor.sensorId) || 0) < CHECK_INTERVAL_MS) {
+    return null;
+  }
+  lastChecked.set(sensor.sensorId, now);
+
+  const trend = await analyzeSensorTrend(sensor.sensorId, { now: new Date(now) });
+  if (!trend.withinHorizon) {
+    return null;
+  }
+
+  const { feature, failureTime, window, hoursToFailure, hoursToWindow, r2 } = trend.forecast;
+  console.warn(`📉 ${sensor.sensorId} ${feature} accelerating: projected failure ${failureTime.toISOString()} (window from ${window.earliest.toISOString()})`);
+
+  const { alert } = await alertService.raiseAlert({
+    sensorId: sensor.sensorId,
+    sensorReadingId: reading._id,
+    riskLevel: 'HIGH',
+    confidence: Math.min(Math.max(r2, 0), 1),
+    // Under a quarter of the horizon left is an emergency
+    priority: hoursToWindow <= FORECAST_HORIZON_HOURS / 4 ? 'CRITICAL' : 'HIGH',
+    alertType: 'ROCKFALL_RISK',
+    affectedArea: { radius: 200, riskZone: 'IMMEDIATE' },
+    triggerFactors: [{
+      factor: feature,
+      value: trend.features[feature].latest,
+      threshold: sensor.configuration?.alertThresholds?.[feature] ?? trend.features[feature].latest,
+      severity: 'HIGH'
+    }],
+    metadata: {
+      ruleName: 'Inverse-velocity failure forecast',
+      forecast: {
+        method: 'INVERSE_VELOCITY',
+        feature,
+        failureTime,
+        windowStart: window.earliest,
+        windowEnd: window.latest,
+        hoursToFailure,
+        r2
+      }
+    }
+  }, { sensor, sensorReading: reading, io, createdBy: TREND_USER });
+
+  return alert;
+}
+
+module.exports = {
+  TREND_FEATURES,
+  FORECAST_HORIZON_HOURS,
+  linearFit,
+  inverseVelocityForecast,
+  analyzeSensorTrend,
+  checkSensorTrend
+};
@@ -0,0 +1,36 @@
+const User = require('../models/User');
+
+// Create the initial admin account from environment variables when no users exist
+async function initializeAdminUser() {
+  try {
+    const existingUserCount = await User.countDocuments();
+
+    if (existingUserCount > 0) {
+      console.log(`✅ Found ${existingUserCount} users in database`);
+      return;
+    }
+
+    const { ADMIN_USERNAME, ADMIN_PASSWORD, ADMIN_NAME, ADMIN_EMAIL } = process.env;
+
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+      console.warn('⚠️ No users found and ADMIN_USERNAME/ADMIN_PASSWORD not set - API will reject all requests');
+      return;
+    }
+
+    const admin = await User.create({
+      username: ADMIN_USERNAME,
+      password: ADMIN_PASSWORD,
+      name: ADMIN_NAME || 'Administrator',
+      email: ADMIN_EMAIL || null,
+      role: 'admin'
+    });
+
+    console.log(`👤 Created initial admin user: ${admin.username}`);
+    return admin;
+  } catch (error) {
+    console.error('❌ Error initializing admin user:', error);
+    throw error;
+  }
+}
+
+module.exports = { initializeAdminUser };
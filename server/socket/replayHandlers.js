@@ -0,0 +1,66 @@
+const { verifyAccessToken } = require('../services/authService');
+const { ReplaySession } = require('../services/replayService');
+
+module.exports = (io) => {
+  const replay = io.of('/replay');
+
+  // Replay sockets authenticate in the handshake (`auth: { token }`); there is no anonymous replay
+  replay.use((socket, next) => {
+    try {
+      const { role, username: userId, name } = verifyAccessToken(socket.handshake.auth?.token);
+      socket.user = { role, userId, name };
+      next();
+    } catch (error) {
+      next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
+    }
+  });
+
+  replay.on('connection', (socket) => {
+    console.log(`⏪ Replay client connected: ${socket.id} (${socket.user.name || socket.user.userId})`);
+    let session = null;
+
+    // Wrap a control handler so failures reach the client instead of the log only
+    const handle = (event, handler) => {
+      socket.on(event, async (data) => {
+        try {
+          await handler(data);
+        } catch (error) {
+          socket.emit('replay-error', { message: error.message, details: error.details });
+        }
+      });
+    };
+
+    // Start (or restart) a replay: { startTime, endTime, speed, mineId | sensorIds }
+    handle('replay-start', async (data) => {
+      session?.stop();
+      session = await ReplaySession.create(socket, data);
+
+      console.log(`⏪ Replay ${session.startTime.toISOString()} → ${session.endTime.toISOString()} at ${session.speed}x for ${socket.user.userId}`);
+      await session.seek(session.startTime);
+      await session.play();
+    });
+
+    handle('replay-pause', async () => session?.pause());
+
+    handle('replay-resume', async () => session?.play());
+
+    handle('replay-speed', async (data = {}) => session?.setSpeed(data.speed));
+
+    handle('replay-seek', async (data = {}) => session?.seek(data.time));
+
+    handle('replay-stop', async () => {
+      session?.stop();
+      session = null;
+    });
+
+    socket.on('disconnect', () => {
+      session?.stop();
+      session = null;
+      console.log(`⏪ Replay client disconnected: ${socket.id}`);
+    });
+  });
+
+  console.log('⏪ Replay namespace initialized');
+
+  return replay;
+};
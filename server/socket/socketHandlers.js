@@ -1,7 +1,11 @@
 const Alert = require('../models/Alert');
 const Sensor = require('../models/Sensor');
 const SensorReading = require('../models/SensorReading');
-const { getPrediction } = require('../services/aiService');
+const { verifyAccessToken } = require('../services/authService');
+const escalationService = require('../services/escalationService');
+const { ingestReading } = require('../services/readingIngestion');
+const { validatePolygon, isPointInBoundary } = require('../services/geoUtils');
+const assetTracking = require('../services/assetTracking');
 
 module.exports = (io) => {
   // Store connected clients with their roles
@@ -12,8 +16,28 @@ module.exports = (io) => {
     console.log(`📊 Total connected clients: ${io.sockets.sockets.size}`);
     
     // Handle client authentication and role assignment
-    socket.on('authenticate', (data) => {
-      const { role = 'operator', userId, name } = data;
+    socket.on('authenticate', (data = {}) => {
+      let payload;
+      try {
+        // Role and identity come from the verified access token, never from the client
+        payload = verifyAccessToken(data.token);
+      } catch (error) {
+        console.warn(`Client ${socket.id} failed authentication: ${error.message}`);
+        socket.emit('authentication-error', {
+          message: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'
+        });
+        return;
+      }
+      
+      const { role, username: userId, name } = payload;
+      
+      // Leave rooms from a previous authentication on this socket
+      const previous = connectedClients.get(socket.id);
+      if (previous) {
+        socket.leave(previous.role);
+        socket.leave(`user-${previous.userId}`);
+        socket.leave('operators');
+      }
       
       connectedClients.set(socket.id, {
         role,
@@ -22,9 +46,10 @@ module.exports = (io) => {
         connectedAt: new Date()
       });
       
-      // Join role-based rooms
+      // Join role-based and per-user rooms
       socket.join(role);
-      if (role === 'operator' || role === 'supervisor') {
+      socket.join(`user-${userId}`);
+      if (['operator', 'supervisor', 'admin'].includes(role)) {
         socket.join('operators');
       }
       
@@ -34,6 +59,8 @@ module.exports = (io) => {
       socket.emit('authentication-success', {
         message: 'Connected to GeoSafe AI',
         role,
+        userId,
+        name,
         serverTime: new Date()
       });
       
@@ -61,35 +88,49 @@ module.exports = (io) => {
     });
     
     // Handle subscribing to geographic area updates
-    socket.on('subscribe-area', (bounds) => {
-      // bounds: { north, south, east, west }
-      socket.bounds = bounds;
+    socket.on('subscribe-area', (area) => {
+      // area: { north, south, east, west } bounds, or { polygon } with a GeoJSON Polygon/MultiPolygon
+      if (area?.polygon) {
+        const problem = validatePolygon(area.polygon);
+        if (problem) {
+          socket.emit('error', { message: `Invalid area: ${problem}` });
+          return;
+        }
+        socket.area = { polygon: area.polygon };
+      } else {
+        socket.area = area ? { bounds: area } : null;
+      }
       console.log(`Client ${socket.id} subscribed to area updates`);
     });
     
     // Handle alert acknowledgment from client
     socket.on('acknowledge-alert', async (data) => {
       try {
-        const { alertId, acknowledgedBy } = data;
+        const { alertId } = data;
         const client = connectedClients.get(socket.id);
         
-        if (!client || !['operator', 'supervisor'].includes(client.role)) {
+        if (!client || !['operator', 'supervisor', 'admin'].includes(client.role)) {
           socket.emit('error', { message: 'Unauthorized to acknowledge alerts' });
           return;
         }
         
         const alert = await Alert.findOne({ alertId });
         if (alert && alert.status === 'ACTIVE') {
-          await alert.acknowledge(acknowledgedBy || client.name || client.userId);
+          await alert.acknowledge(client.userId);
           
           // Broadcast acknowledgment to all operators
           io.to('operators').emit('alert-acknowledged', {
             alertId: alert.alertId,
-            acknowledgedBy: acknowledgedBy || client.name,
+            acknowledgedBy: client.userId,
             acknowledgedAt: alert.acknowledgedAt
           });
         }
       } catch (error) {
+        // Someone else acknowledged it first
+        if (error instanceof Alert.AlertTransitionError) {
+          socket.emit('error', { message: error.message });
+          return;
+        }
         console.error('Error acknowledging alert:', error);
         socket.emit('error', { message: 'Failed to acknowledge alert' });
       }
@@ -101,7 +142,7 @@ module.exports = (io) => {
         const { sensorId, force = false } = data;
         const client = connectedClients.get(socket.id);
         
-        if (!client || !['operator', 'supervisor'].includes(client.role)) {
+        if (!client || !['operator', 'supervisor', 'admin'].includes(client.role)) {
           socket.emit('error', { message: 'Unauthorized to request assessments' });
           return;
         }
@@ -124,119 +165,50 @@ module.exports = (io) => {
     // Handle new sensor reading from frontend simulation
     socket.on('new-sensor-reading', async (data) => {
       try {
-        const { sensorId, timestamp, readings } = data;
-        console.log(`📡 Received sensor reading from frontend: ${sensorId}`);
-        
-        // Get AI prediction for this reading
-        const aiPrediction = await getPrediction({
-          sensorId,
-          timestamp,
-          readings
-        });
-        
-        console.log(`🤖 AI prediction for ${sensorId}: ${aiPrediction.level} (${aiPrediction.confidence})`);
-        
-        // Create and save sensor reading to database
-        const sensorReading = new SensorReading({
-          sensorId: sensorId.toUpperCase(),
-          timestamp: new Date(timestamp),
-          readings,
-          riskPrediction: {
-            level: aiPrediction.level,
-            confidence: aiPrediction.confidence,
-            factors: aiPrediction.factors || ['Rainfall_mm', 'Slope_Angle', 'Soil_Saturation'],
-            aiModelVersion: '1.0',
-            processingTime: 30 // Mock processing time
-          },
-          dataQuality: {
-            completeness: 0.95 + Math.random() * 0.05,
-            anomalies: []
-          },
-          metadata: {
-            source: 'SIMULATION',
-            processed: true,
-            processedAt: new Date()
-          }
-        });
+        const client = connectedClients.get(socket.id);
         
-        // Save to database for historical analysis
-        const savedReading = await sensorReading.save();
-        console.log(`💾 Sensor reading saved to database: ${savedReading._id}`);
+        if (!client) {
+          socket.emit('error', { message: 'Unauthorized to submit sensor readings' });
+          return;
+        }
         
-        // Update sensor's last reading timestamp
-        await Sensor.findOneAndUpdate(
-          { sensorId: sensorId.toUpperCase() },
-          { lastReading: new Date(timestamp) },
-          { upsert: false }
-        );
+        console.log(`📡 Received sensor reading from frontend: ${data?.sensorId}`);
         
-        // Broadcast risk update to all clients
-        io.broadcastRiskUpdate({
-          sensorId,
-          riskLevel: aiPrediction.level,
-          confidence: aiPrediction.confidence,
-          location: null, // Will be filled by client
-          timestamp: new Date()
-        });
+        const { reading } = await ingestReading(data, { io, source: 'SIMULATION' });
+        console.log(`💾 Sensor reading saved to database: ${reading._id} (${reading.riskPrediction.level})`);
         
-        // Send sensor reading back to frontend
-        socket.emit('sensor-reading', {
-          sensorId,
-          reading: {
-            _id: savedReading._id,
-            sensorId: savedReading.sensorId,
-            timestamp: savedReading.timestamp,
-            readings: savedReading.readings,
-            riskPrediction: savedReading.riskPrediction,
-            dataQuality: savedReading.dataQuality,
-            metadata: savedReading.metadata
-          }
+      } catch (error) {
+        console.error('Error processing new sensor reading:', error);
+        socket.emit('error', { 
+          message: 'Failed to process sensor reading',
+          details: error.details || error.message 
         });
+      }
+    });
+    
+    // Handle position update from a tracked asset (vehicle unit or crew device)
+    socket.on('asset-position', async (data = {}) => {
+      try {
+        const client = connectedClients.get(socket.id);
         
-        // Generate and save alert if high risk
-        if (aiPrediction.level === 'HIGH') {
-          const sensor = await Sensor.findOne({ sensorId: sensorId.toUpperCase() });
-          if (sensor) {
-            const alert = new Alert({
-              sensorId: sensor.sensorId,
-              sensorReadingId: savedReading._id,
-              riskLevel: aiPrediction.level,
-              confidence: aiPrediction.confidence,
-              triggeredAt: new Date(),
-              status: 'ACTIVE',
-              priority: 'CRITICAL',
-              alertType: 'ROCKFALL_RISK',
-              location: sensor.location,
-              affectedArea: {
-                radius: 200,
-                riskZone: 'IMMEDIATE'
-              },
-              triggerFactors: aiPrediction.factors.map(factor => ({
-                factor,
-                value: readings[factor] || 0,
-                threshold: sensor.configuration?.alertThresholds?.[factor] || 0,
-                severity: aiPrediction.level
-              }))
-            });
-            
-            // Save alert to database
-            const savedAlert = await alert.save();
-            console.log(`🚨 Alert saved to database: ${savedAlert.alertId}`);
-            
-            // Broadcast alert
-            io.broadcastAlert({
-              alert: savedAlert,
-              sensor,
-              urgent: true
-            });
-          }
+        if (!client) {
+          socket.emit('error', { message: 'Unauthorized to report asset positions' });
+          return;
         }
         
+        const { assetId, ...position } = data;
+        const { hazards } = await assetTracking.updatePosition(assetId, position, { io, source: 'SOCKET' });
+        
+        // Tell the reporting device directly, whichever rooms it is in
+        socket.emit('asset-position-ack', {
+          assetId: String(assetId).toUpperCase(),
+          hazardAlertIds: hazards.map(h => h.alert.alertId)
+        });
       } catch (error) {
-        console.error('Error processing new sensor reading:', error);
-        socket.emit('error', { 
-          message: 'Failed to process sensor reading',
-          details: error.message 
+        console.error('Error processing asset position:', error.message);
+        socket.emit('error', {
+          message: 'Failed to process asset position',
+          details: error.details || error.message
         });
       }
     });
@@ -334,7 +306,7 @@ module.exports = (io) => {
       
       // Find clients subscribed to this area
       io.sockets.sockets.forEach((socket) => {
-        if (socket.bounds && isLocationInBounds(lat, lng, socket.bounds)) {
+        if (socket.area && isLocationInArea(lat, lng, socket.area)) {
           socket.emit('area-risk-update', data);
         }
       });
@@ -380,26 +352,19 @@ module.exports = (io) => {
            lng <= bounds.east;
   }
   
+  // Utility function to check if location is within a subscribed area (bounds or polygon)
+  function isLocationInArea(lat, lng, area) {
+    if (area.polygon) {
+      return isPointInBoundary([lng, lat], area.polygon);
+    }
+    return isLocationInBounds(lat, lng, area.bounds);
+  }
+  
   // Periodic tasks
   setInterval(async () => {
     try {
-      // Check for alerts that need escalation
-      const alertsNeedingEscalation = await Alert.getAlertsNeedingEscalation();
-      
-      for (const alert of alertsNeedingEscalation) {
-        // Auto-escalate if no manual escalation
-        await alert.escalate('SYSTEM_AUTO_ESCALATION');
-        
-        io.to('operators').emit('alert-escalated', {
-          alertId: alert.alertId,
-          escalationLevel: alert.escalation.level,
-          escalatedTo: 'SYSTEM_AUTO_ESCALATION',
-          priority: alert.priority,
-          autoEscalated: true
-        });
-        
-        console.log(`Auto-escalated alert: ${alert.alertId} to level ${alert.escalation.level}`);
-      }
+      // Escalate alerts whose zone escalation policy timeout has passed
+      await escalationService.processEscalations(io);
       
       // Send connection stats to supervisors
       const connectedOperators = Array.from(connectedClients.values())